@@ -2,9 +2,14 @@ import { createReactAgent } from '@langchain/langgraph/prebuilt';
 import { ChatAnthropic } from '@langchain/anthropic';
 import tools from './tools/index.mjs';
 import { MemorySaver } from '@langchain/langgraph';
+import { MongoCheckpointSaver } from './mongoCheckpointSaver.mjs';
 
-// Initialize memory to persist state between graph runs
-const checkpointSaver = new MemorySaver();
+// Persist state between graph runs: MongoDB by default, AGENT_CHECKPOINT_STORE=memory for a throwaway store
+export const checkpointSaver = process.env.AGENT_CHECKPOINT_STORE === 'memory'
+  ? new MemorySaver()
+  : new MongoCheckpointSaver({
+    ttlDays: parseFloat(process.env.AGENT_CHECKPOINT_TTL_DAYS) || undefined
+  });
 
 
 const model = new ChatAnthropic({
@@ -17,4 +22,17 @@ const agent = createReactAgent({
   checkpointSaver
 });
 
-export default agent;
\ No newline at end of file
+// Remove all checkpoints stored for a conversation thread
+export async function deleteThread(threadId) {
+  if (typeof checkpointSaver.deleteThread === 'function') {
+    return checkpointSaver.deleteThread(threadId);
+  }
+
+  // MemorySaver keeps checkpoints by thread id and pending writes by a JSON [threadId, ns, checkpointId] key
+  delete checkpointSaver.storage[threadId];
+  Object.keys(checkpointSaver.writes).forEach(key => {
+    if (JSON.parse(key)[0] === threadId) delete checkpointSaver.writes[key];
+  });
+}
+
+export default agent;
@@ -0,0 +1,215 @@
+// mongoCheckpointSaver.mjs - LangGraph checkpoint saver backed by MongoDB
+// Keeps agent conversations across restarts and shares them between server instances.
+// Threads expire after AGENT_CHECKPOINT_TTL_DAYS (default 30) without a new checkpoint.
+
+import {
+  BaseCheckpointSaver,
+  copyCheckpoint,
+  getCheckpointId,
+  WRITES_IDX_MAP,
+  TASKS
+} from '@langchain/langgraph-checkpoint';
+import AgentCheckpoint from '../models/AgentCheckpoint.js';
+import AgentCheckpointWrite from '../models/AgentCheckpointWrite.js';
+
+const DEFAULT_TTL_DAYS = 30;
+
+export class MongoCheckpointSaver extends BaseCheckpointSaver {
+  constructor({ ttlDays = DEFAULT_TTL_DAYS, serde } = {}) {
+    super(serde);
+    this.ttlMs = ttlDays * 24 * 60 * 60 * 1000;
+  }
+
+  expiryDate() {
+    return new Date(Date.now() + this.ttlMs);
+  }
+
+  async loadPendingWrites(threadId, checkpointNs, checkpointId) {
+    const writes = await AgentCheckpointWrite
+      .find({ threadId, checkpointNs, checkpointId })
+      .sort({ _id: 1 })
+      .lean();
+
+    return Promise.all(writes.map(async write => [
+      write.taskId,
+      write.channel,
+      await this.serde.loadsTyped(write.type, toBuffer(write.value))
+    ]));
+  }
+
+  // Sends queued by the parent checkpoint's tasks belong to the child checkpoint
+  async loadPendingSends(threadId, checkpointNs, parentCheckpointId) {
+    if (parentCheckpointId === undefined || parentCheckpointId === null) return [];
+
+    const writes = await AgentCheckpointWrite
+      .find({ threadId, checkpointNs, checkpointId: parentCheckpointId, channel: TASKS })
+      .sort({ _id: 1 })
+      .lean();
+
+    return Promise.all(writes.map(write =>
+      this.serde.loadsTyped(write.type, toBuffer(write.value))
+    ));
+  }
+
+  // Build a CheckpointTuple from a stored checkpoint document
+  async toTuple(doc) {
+    const configurable = {
+      thread_id: doc.threadId,
+      checkpoint_ns: doc.checkpointNs,
+      checkpoint_id: doc.checkpointId
+    };
+    const [checkpoint, metadata, pendingWrites, pendingSends] = await Promise.all([
+      this.serde.loadsTyped(doc.type, toBuffer(doc.checkpoint)),
+      doc.metadata ? this.serde.loadsTyped(doc.type, toBuffer(doc.metadata)) : {},
+      this.loadPendingWrites(doc.threadId, doc.checkpointNs, doc.checkpointId),
+      this.loadPendingSends(doc.threadId, doc.checkpointNs, doc.parentCheckpointId)
+    ]);
+
+    const tuple = {
+      config: { configurable },
+      checkpoint: { ...checkpoint, pending_sends: pendingSends },
+      metadata,
+      pendingWrites
+    };
+
+    if (doc.parentCheckpointId) {
+      tuple.parentConfig = {
+        configurable: {
+          thread_id: doc.threadId,
+          checkpoint_ns: doc.checkpointNs,
+          checkpoint_id: doc.parentCheckpointId
+        }
+      };
+    }
+
+    return tuple;
+  }
+
+  async getTuple(config) {
+    const threadId = config.configurable?.thread_id;
+    const checkpointNs = config.configurable?.checkpoint_ns ?? '';
+    const checkpointId = getCheckpointId(config);
+
+    const query = { threadId, checkpointNs };
+    if (checkpointId) query.checkpointId = checkpointId;
+
+    // Checkpoint ids are time-ordered, so the highest id is the latest checkpoint
+    const doc = await AgentCheckpoint.findOne(query).sort({ checkpointId: -1 }).lean();
+    return doc ? this.toTuple(doc) : undefined;
+  }
+
+  async *list(config, options = {}) {
+    const { before, filter } = options;
+    let { limit } = options;
+
+    const query = {};
+    if (config.configurable?.thread_id) query.threadId = config.configurable.thread_id;
+    if (config.configurable?.checkpoint_ns !== undefined) query.checkpointNs = config.configurable.checkpoint_ns;
+    if (config.configurable?.checkpoint_id) query.checkpointId = config.configurable.checkpoint_id;
+    if (before?.configurable?.checkpoint_id) {
+      query.checkpointId = { ...(query.checkpointId && { $eq: query.checkpointId }), $lt: before.configurable.checkpoint_id };
+    }
+
+    const cursor = AgentCheckpoint.find(query).sort({ threadId: 1, checkpointNs: 1, checkpointId: -1 }).lean().cursor();
+
+    for await (const doc of cursor) {
+      if (limit !== undefined && limit <= 0) break;
+
+      const tuple = await this.toTuple(doc);
+      // Metadata is serialized, so the filter is applied after loading like the in-memory saver does
+      if (filter && !Object.entries(filter).every(([key, value]) => tuple.metadata?.[key] === value)) {
+        continue;
+      }
+
+      if (limit !== undefined) limit -= 1;
+      yield tuple;
+    }
+  }
+
+  async put(config, checkpoint, metadata) {
+    const threadId = config.configurable?.thread_id;
+    const checkpointNs = config.configurable?.checkpoint_ns ?? '';
+    if (threadId === undefined) {
+      throw new Error('Failed to put checkpoint. The passed RunnableConfig is missing a required "thread_id" field in its "configurable" property.');
+    }
+
+    const prepared = copyCheckpoint(checkpoint);
+    delete prepared.pending_sends;
+    const [type, serializedCheckpoint] = this.serde.dumpsTyped(prepared);
+    const [, serializedMetadata] = this.serde.dumpsTyped(metadata);
+    const expiresAt = this.expiryDate();
+
+    await AgentCheckpoint.updateOne(
+      { threadId, checkpointNs, checkpointId: checkpoint.id },
+      {
+        $set: {
+          parentCheckpointId: config.configurable?.checkpoint_id,
+          type,
+          checkpoint: Buffer.from(serializedCheckpoint),
+          metadata: Buffer.from(serializedMetadata),
+          expiresAt
+        }
+      },
+      { upsert: true }
+    );
+
+    // Keep the whole thread alive together so history never expires piecemeal
+    await Promise.all([
+      AgentCheckpoint.updateMany({ threadId }, { $set: { expiresAt } }),
+      AgentCheckpointWrite.updateMany({ threadId }, { $set: { expiresAt } })
+    ]);
+
+    return {
+      configurable: {
+        thread_id: threadId,
+        checkpoint_ns: checkpointNs,
+        checkpoint_id: checkpoint.id
+      }
+    };
+  }
+
+  async putWrites(config, writes, taskId) {
+    const threadId = config.configurable?.thread_id;
+    const checkpointNs = config.configurable?.checkpoint_ns ?? '';
+    const checkpointId = config.configurable?.checkpoint_id;
+    if (threadId === undefined) {
+      throw new Error('Failed to put writes. The passed RunnableConfig is missing a required "thread_id" field in its "configurable" property');
+    }
+    if (checkpointId === undefined) {
+      throw new Error('Failed to put writes. The passed RunnableConfig is missing a required "checkpoint_id" field in its "configurable" property.');
+    }
+
+    const expiresAt = this.expiryDate();
+    const operations = writes.map(([channel, value], position) => {
+      const idx = WRITES_IDX_MAP[channel] || position;
+      const [type, serializedValue] = this.serde.dumpsTyped(value);
+      const fields = { channel, type, value: Buffer.from(serializedValue), expiresAt };
+
+      // Regular writes are kept as first recorded; special writes (errors, interrupts) are replaced
+      return {
+        updateOne: {
+          filter: { threadId, checkpointNs, checkpointId, taskId, idx },
+          update: idx >= 0 ? { $setOnInsert: fields } : { $set: fields },
+          upsert: true
+        }
+      };
+    });
+
+    if (operations.length) {
+      await AgentCheckpointWrite.bulkWrite(operations, { ordered: false });
+    }
+  }
+
+  // Remove every checkpoint and pending write of a thread
+  async deleteThread(threadId) {
+    await Promise.all([
+      AgentCheckpoint.deleteMany({ threadId }),
+      AgentCheckpointWrite.deleteMany({ threadId })
+    ]);
+  }
+}
+
+// Lean documents return BSON Binary values for Buffer fields
+function toBuffer(value) {
+  return Buffer.isBuffer(value) ? value : value.value(true);
+}
@@ -1,18 +1,27 @@
 import { tool } from '@langchain/core/tools';
 import { z } from 'zod';
+import { callController, getToolUserId, missingUserResult } from './toolContext.mjs';
 
 // Define the clone template tool for the agent to use
 const cloneTemplateTool = tool(
-  async ({ templateId, customizations, newTitle, headers = {} }) => {
+  async ({ templateId, customizations, newTitle }, config) => {
     try {
+      const userId = getToolUserId(config);
+      if (!userId) return { ...missingUserResult(), templateId };
+
       // First, fetch the template
-      const templateResponse = await fetch(`http://localhost:3001/api/projects/${templateId}`);
+      const templateResponse = await callController('projects', 'getProjectById', {
+        userId,
+        params: { id: templateId }
+      });
       
       if (!templateResponse.ok) {
         throw new Error(`Failed to fetch template: ${templateResponse.status}`);
       }
       
-      const template = await templateResponse.json();
+      // Pages live on the populated layout
+      const template = JSON.parse(JSON.stringify(templateResponse.data));
+      const templatePages = template.layoutId?.pages || template.pages;
       
       // Clone the template and apply customizations
       let clonedProject = {
@@ -25,9 +34,11 @@ const cloneTemplateTool = tool(
         // Remove template-specific fields
         featured: undefined,
         popular: undefined,
-        author: undefined, // Will be set by the API based on authenticated user
+        author: undefined,
+        ownerId: userId,
+        sourceTemplateId: template._id,
         // Deep clone pages to avoid reference issues
-        pages: template.pages ? JSON.parse(JSON.stringify(template.pages)) : []
+        pages: templatePages ? JSON.parse(JSON.stringify(templatePages)) : []
       };
       
       // Apply customizations if provided
@@ -37,7 +48,7 @@ const cloneTemplateTool = tool(
           clonedProject.pages = clonedProject.pages.map(page => ({
             ...page,
             elements: page.elements.map(element => {
-              if (element.type === 'text' && element.content) {
+              if ((element.kind || element.type) === 'text' && element.content) {
                 let newContent = element.content;
                 customizations.textReplacements.forEach(replacement => {
                   newContent = newContent.replace(
@@ -94,23 +105,18 @@ const cloneTemplateTool = tool(
       delete clonedProject.createdAt;
       delete clonedProject.updatedAt;
       delete clonedProject.__v;
+      delete clonedProject.layoutId;
       
-      // Create the new project
-      const response = await fetch('http://localhost:3001/api/projects', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...headers
-        },
-        body: JSON.stringify(clonedProject)
+      // The create endpoint takes pages inside a layout
+      const { pages, ...projectMeta } = clonedProject;
+      const response = await callController('projects', 'createProject', {
+        userId,
+        body: { ...projectMeta, layout: { pages } }
       });
       
-      const responseData = await response.json();
-      
       return {
         status: response.status,
-        statusText: response.statusText,
-        data: responseData,
+        data: response.data,
         success: response.ok,
         templateId,
         customizationsApplied: !!customizations
@@ -145,8 +151,7 @@ const cloneTemplateTool = tool(
         })).optional().describe('Array of color replacements'),
         backgroundColor: z.string().optional().describe('New background color for all pages (hex code)')
       }).optional().describe('Customizations to apply to the cloned template'),
-      newTitle: z.string().optional().describe('Title for the new project (fallback if not in customizations)'),
-      headers: z.object({}).passthrough().optional().describe('Optional headers to include in the request')
+      newTitle: z.string().optional().describe('Title for the new project (fallback if not in customizations)')
     }),
   }
 );
@@ -1,5 +1,6 @@
 import { tool } from '@langchain/core/tools';
 import { z } from 'zod';
+import { callController, getToolUserId, missingUserResult, pickDefaultBrand } from './toolContext.mjs';
 
 // Simplified schema with fewer optional fields to reduce token usage
 const SimplifiedProjectSchema = z.object({
@@ -23,19 +24,19 @@ const SimplifiedProjectSchema = z.object({
 });
 
 const createBrandedProjectLiteTool = tool(
-    async ({ project, userId }) => {
+    async ({ project }, config) => {
         try {
+            const userId = getToolUserId(config);
+            if (!userId) return missingUserResult();
+
             // Quick brand fetch with minimal processing
-            const brandUrl = `http://localhost:3001/api/brands`;
-            const brandRes = await fetch(brandUrl, {
-                headers: { 'User-ID': userId || '6825167ffe3452cafe0c8440' }
-            });
+            const brandRes = await callController('brands', 'getBrands', { userId });
 
             let brandColors = null;
             if (brandRes.ok) {
-                const { data: brands } = await brandRes.json();
+                const { data: brands } = brandRes.data;
                 if (brands?.length > 0) {
-                    const brand = brands.find(b => b.isActive) || brands[0];
+                    const brand = pickDefaultBrand(brands);
                     const palette = brand.colorPalettes?.[0];
                     if (palette) {
                         brandColors = {
@@ -58,14 +59,12 @@ const createBrandedProjectLiteTool = tool(
             }
 
             // Create project
-            const projectRes = await fetch('http://localhost:3001/api/projects', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(project)
+            const projectRes = await callController('projects', 'createProject', {
+                userId,
+                body: { ...project, ownerId: userId }
             });
 
-            const result = await projectRes.json();
-            return { success: projectRes.ok, data: result };
+            return { success: projectRes.ok, data: projectRes.data };
 
         } catch (error) {
             return { success: false, error: error.message };
@@ -75,8 +74,7 @@ const createBrandedProjectLiteTool = tool(
         name: 'createBrandedProjectLite',
         description: 'Create a project with basic brand colors applied. Simplified version for faster execution.',
         schema: z.object({
-            project: SimplifiedProjectSchema,
-            userId: z.string().optional()
+            project: SimplifiedProjectSchema
         })
     }
 );
@@ -1,51 +1,38 @@
+import { createRequire } from 'module';
 import { tool } from '@langchain/core/tools';
 import { z } from 'zod';
+import { callController, getToolUserId, missingUserResult, pickDefaultBrand } from './toolContext.mjs';
+
+const require = createRequire(import.meta.url);
+const { getDefaultTypography } = require('../../utils/brandKit');
 
 const createBrandedProjectTool = tool(
     async ({ 
         projectRequest,
-        userId,
-        brandId,
-        headers = {} 
-    }) => {
+        brandId
+    }, config) => {
         try {
-            // Step 1: Fetch user's branding with timeout
-            console.log('Fetching user branding...');
-            
-            let brandUrl = 'http://localhost:3001/api/brands';
-            if (brandId) {
-                brandUrl += `/${brandId}`;
-            }
-
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
+            const userId = getToolUserId(config);
+            if (!userId) return missingUserResult();
 
-            const brandResponse = await fetch(brandUrl, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'User-ID': userId || '6825167ffe3452cafe0c8440',
-                    ...headers
-                },
-                signal: controller.signal
-            });
+            // Step 1: Fetch user's branding
+            console.log('Fetching user branding...');
 
-            clearTimeout(timeoutId);
+            const brandResponse = brandId
+                ? await callController('brands', 'getBrandById', { userId, params: { id: brandId } })
+                : await callController('brands', 'getBrands', { userId });
 
             let brandData = null;
             let brandColors = null;
             let brandFonts = null;
 
             if (brandResponse.ok) {
-                const brandResult = await brandResponse.json();
+                const brandResult = brandResponse.data;
                 
                 if (brandId) {
                     brandData = brandResult.data;
                 } else {
-                    const brands = brandResult.data;
-                    if (brands && brands.length > 0) {
-                        brandData = brands.find(brand => brand.isActive) || brands[0];
-                    }
+                    brandData = pickDefaultBrand(brandResult.data);
                 }
 
                 if (brandData) {
@@ -61,10 +48,11 @@ const createBrandedProjectTool = tool(
                     }
 
                     // Extract brand fonts
-                    if (brandData.typography) {
+                    const typography = getDefaultTypography(brandData);
+                    if (typography) {
                         brandFonts = {
-                            heading: brandData.typography.headingFont,
-                            body: brandData.typography.bodyFont
+                            heading: typography.headingFont,
+                            body: typography.bodyFont
                         };
                     }
 
@@ -97,16 +85,12 @@ const createBrandedProjectTool = tool(
             // Step 3: Create the project
             console.log('Creating branded project...');
             
-            const projectResponse = await fetch('http://localhost:3001/api/projects', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...headers
-                },
-                body: JSON.stringify(projectData)
+            const projectResponse = await callController('projects', 'createProject', {
+                userId,
+                body: { ...projectData, ownerId: userId }
             });
 
-            const projectResult = await projectResponse.json();
+            const projectResult = projectResponse.data || {};
 
             if (!projectResponse.ok) {
                 console.error('Project creation failed:', projectResult);
@@ -135,22 +119,18 @@ const createBrandedProjectTool = tool(
             };
 
             } catch (error) {
-                clearTimeout(timeoutId);
                 console.error('Error creating branded project:', error);
                 
                 // Return more specific error information
                 let errorMessage = 'Unknown error occurred';
                 let shouldRetry = false;
                 
-                if (error.name === 'AbortError') {
+                if (error.message?.includes('did not respond')) {
                     errorMessage = 'Request timeout - please try again';
                     shouldRetry = true;
                 } else if (error.message?.includes('rate limit') || error.message?.includes('429')) {
                     errorMessage = 'Rate limit exceeded - please wait a moment and try again';
                     shouldRetry = true;
-                } else if (error.message?.includes('fetch')) {
-                    errorMessage = 'Network error - please check your connection';
-                    shouldRetry = true;
                 } else {
                     errorMessage = error.message;
                 }
@@ -212,9 +192,7 @@ const createBrandedProjectTool = tool(
                     }))
                 })
             }).describe('The project data to create'),
-            userId: z.string().optional().describe('The user ID to fetch branding for. Uses default test user if not provided.'),
-            brandId: z.string().optional().describe('Optional specific brand ID to use. If not provided, uses the active brand or first available brand.'),
-            headers: z.object({}).passthrough().optional().describe('Optional headers to include in the requests')
+            brandId: z.string().optional().describe('Optional specific brand ID to use. If not provided, uses the active brand or first available brand.')
         }),
     }
 );
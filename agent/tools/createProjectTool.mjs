@@ -1,6 +1,7 @@
 import { tool } from '@langchain/core/tools';
 import { getPresetByKey } from '../../config/projectPresets.mjs';
 import { z } from 'zod';
+import { callController, getToolUserId, missingUserResult } from './toolContext.mjs';
 
 // Define element schema matching Element.ts discriminated union
 const ElementSchema = z.object({
@@ -58,7 +59,6 @@ const CreateProjectSchema = z.object({
     type: z.enum(['presentation', 'social', 'print', 'custom']).default('custom'),
     thumbnail: z.string().optional(),
     tags: z.array(z.string()).optional().default([]),
-    ownerId: z.string().optional(), // Will be converted to ObjectId on backend
     starred: z.boolean().optional().default(false),
     sharedWith: z.array(z.string()).optional().default([]), // Will be converted to ObjectId[] on backend
     sourceTemplateId: z.string().optional(), // Will be converted to ObjectId on backend
@@ -71,11 +71,14 @@ const createProjectTool = tool(
     async ({ 
         project, 
         preset, 
-        brandColors,
-        headers = {} 
-    }) => {
+        brandColors
+    }, config) => {
         try {
-            let projectData = { ...project };
+            const userId = getToolUserId(config);
+            if (!userId) return missingUserResult();
+
+            // Projects are always owned by the user the agent is acting for
+            let projectData = { ...project, ownerId: userId };
 
             // If preset is provided, merge it with project data
             if (preset) {
@@ -121,16 +124,9 @@ const createProjectTool = tool(
 
             console.log('Creating project with data:', JSON.stringify(projectData, null, 2));
 
-            const response = await fetch('http://localhost:3001/api/projects', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...headers
-                },
-                body: JSON.stringify(projectData)
-            });
+            const response = await callController('projects', 'createProject', { userId, body: projectData });
 
-            const responseData = await response.json();
+            const responseData = response.data || {};
 
             if (!response.ok) {
                 console.error('Project creation failed:', responseData);
@@ -146,7 +142,6 @@ const createProjectTool = tool(
 
             return {
                 status: response.status,
-                statusText: response.statusText,
                 data: responseData,
                 success: true
             };
@@ -170,8 +165,7 @@ const createProjectTool = tool(
                 primary: z.string(),
                 secondary: z.array(z.string()).optional(),
                 accent: z.array(z.string()).optional()
-            }).optional().describe('Brand colors to apply to the project elements. Primary color for main text/backgrounds, secondary and accent for variations.'),
-            headers: z.object({}).passthrough().optional().describe('Optional headers to include in the request')
+            }).optional().describe('Brand colors to apply to the project elements. Primary color for main text/backgrounds, secondary and accent for variations.')
         }),
     }
 );
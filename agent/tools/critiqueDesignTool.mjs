@@ -0,0 +1,69 @@
+import { createRequire } from 'module';
+import { tool } from '@langchain/core/tools';
+import { z } from 'zod';
+import { callController, getToolUserId, loadProjectForUser, missingUserResult, pickDefaultBrand } from './toolContext.mjs';
+
+const require = createRequire(import.meta.url);
+const { critiqueLayout } = require('../../utils/designCritique');
+
+/**
+ * The brand to check against: the given one, else the user's default brand
+ */
+async function loadBrand(brandId, userId) {
+    const response = brandId
+        ? await callController('brands', 'getBrandById', { userId, params: { id: brandId } })
+        : await callController('brands', 'getBrands', { userId });
+    if (!response.ok) return null;
+
+    const data = JSON.parse(JSON.stringify(response.data?.data || null));
+    return Array.isArray(data) ? pickDefaultBrand(data) : data;
+}
+
+const critiqueDesignTool = tool(
+    async ({ projectId, brandId, checkBrand = true }, config) => {
+        try {
+            const userId = getToolUserId(config);
+            if (!userId) return missingUserResult();
+
+            const { layout, error, status } = await loadProjectForUser(projectId, userId);
+            if (error) {
+                return { success: false, error, status, data: null };
+            }
+
+            const brand = checkBrand ? await loadBrand(brandId, userId) : null;
+            if (checkBrand && brandId && !brand) {
+                return { success: false, error: 'Brand not found', status: 404, data: null };
+            }
+
+            const critique = critiqueLayout(layout, { brand });
+            return {
+                success: true,
+                status: 200,
+                data: {
+                    projectId,
+                    brand: brand && { brandId: brand._id, brandName: brand.name },
+                    ...critique
+                }
+            };
+        } catch (error) {
+            console.error('Error critiquing design:', error);
+            return {
+                success: false,
+                error: error.message || 'Unknown error occurred',
+                status: null,
+                data: null
+            };
+        }
+    },
+    {
+        name: 'critiqueDesign',
+        description: 'Review a project\'s design for problems: low text contrast, text that is too small or overflows its box, overlapping elements, elements off the canvas, and colors or fonts outside the brand. Returns a score out of 100 and a list of issues, most severe first. Each issue\'s suggestion.edits can be passed straight to editProjectLayout; ask the user before applying them unless they asked for fixes.',
+        schema: z.object({
+            projectId: z.string().describe('The ID of the project to review'),
+            brandId: z.string().optional().describe('Brand to check colors and fonts against. If not provided, uses the active brand or first available brand.'),
+            checkBrand: z.boolean().optional().default(true).describe('Set to false to skip the brand palette and font checks')
+        }),
+    }
+);
+
+export default critiqueDesignTool;
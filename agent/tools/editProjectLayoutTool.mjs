@@ -0,0 +1,99 @@
+import { tool } from '@langchain/core/tools';
+import { z } from 'zod';
+import { getToolUserId, loadProjectForUser, missingUserResult, saveLayoutEdits } from './toolContext.mjs';
+
+const ElementSchema = z.object({
+    id: z.string().optional().describe('Element id; generated when omitted'),
+    kind: z.enum(['text', 'image', 'shape']),
+    x: z.number(),
+    y: z.number(),
+    width: z.number(),
+    height: z.number(),
+    rotation: z.number().optional(),
+    opacity: z.number().optional(),
+    zIndex: z.number().optional(),
+    content: z.string().optional(),
+    fontSize: z.number().optional(),
+    fontFamily: z.string().optional(),
+    textAlign: z.enum(['left', 'center', 'right']).optional(),
+    bold: z.boolean().optional(),
+    italic: z.boolean().optional(),
+    underline: z.boolean().optional(),
+    color: z.string().optional(),
+    src: z.string().optional(),
+    alt: z.string().optional(),
+    shapeType: z.enum(['rect', 'circle', 'triangle']).optional(),
+    backgroundColor: z.string().optional(),
+    borderColor: z.string().optional(),
+    borderWidth: z.number().optional()
+});
+
+const BackgroundSchema = z.object({
+    type: z.enum(['color', 'image', 'gradient']),
+    value: z.string()
+});
+
+const pageIndex = z.number().int().min(0).optional().describe('Page index; for element edits, limits the search to that page');
+
+const EditSchema = z.discriminatedUnion('op', [
+    z.object({ op: z.literal('addElement'), pageIndex, element: ElementSchema }),
+    z.object({ op: z.literal('moveElement'), elementId: z.string(), pageIndex, x: z.number(), y: z.number() }),
+    z.object({ op: z.literal('resizeElement'), elementId: z.string(), pageIndex, width: z.number(), height: z.number() }),
+    z.object({ op: z.literal('deleteElement'), elementId: z.string(), pageIndex }),
+    z.object({ op: z.literal('setText'), elementId: z.string(), pageIndex, content: z.string() }),
+    z.object({
+        op: z.literal('updateStyle'),
+        elementId: z.string(),
+        pageIndex,
+        style: ElementSchema.omit({ id: true, kind: true, x: true, y: true, width: true, height: true, content: true })
+            .describe('Style fields to set, e.g. color, fontFamily, fontSize, backgroundColor')
+    }),
+    z.object({ op: z.literal('replaceColor'), from: z.string(), to: z.string(), pageIndex }),
+    z.object({ op: z.literal('replaceFont'), from: z.string(), to: z.string() }),
+    z.object({ op: z.literal('setBackground'), pageIndex, background: BackgroundSchema }),
+    z.object({
+        op: z.literal('addPage'),
+        position: z.number().int().min(0).optional().describe('Insert position; appended when omitted'),
+        page: z.object({
+            name: z.string().optional(),
+            canvas: z.object({ width: z.number(), height: z.number() }).optional(),
+            background: BackgroundSchema.optional(),
+            elements: z.array(ElementSchema).optional()
+        }).optional()
+    })
+]);
+
+const editProjectLayoutTool = tool(
+    async ({ projectId, edits, atomic = true }, config) => {
+        try {
+            const userId = getToolUserId(config);
+            if (!userId) return missingUserResult();
+
+            const { layout, error, status } = await loadProjectForUser(projectId, userId);
+            if (error) {
+                return { success: false, error, status, data: null };
+            }
+
+            return await saveLayoutEdits(projectId, userId, layout, edits, { atomic });
+        } catch (error) {
+            console.error('Error editing project layout:', error);
+            return {
+                success: false,
+                error: error.message || 'Unknown error occurred',
+                status: null,
+                data: null
+            };
+        }
+    },
+    {
+        name: 'editProjectLayout',
+        description: 'Apply structured edits to an existing project: add, move, resize or delete elements, change text, update element styles, swap a color or font everywhere, set page backgrounds and add pages. Read the project with getProjectLayout first to get element ids. Returns a diff of what changed; tell the user what was changed.',
+        schema: z.object({
+            projectId: z.string().describe('The ID of the project to edit'),
+            edits: z.array(EditSchema).min(1).describe('Edits applied in order'),
+            atomic: z.boolean().optional().default(true).describe('When true (default), nothing is saved if any edit fails')
+        }),
+    }
+);
+
+export default editProjectLayoutTool;
@@ -1,30 +1,23 @@
+import { createRequire } from 'module';
 import { tool } from '@langchain/core/tools';
 import { z } from 'zod';
+import { callController, getToolUserId, missingUserResult, pickDefaultBrand } from './toolContext.mjs';
+
+const require = createRequire(import.meta.url);
+const { getDefaultTypography } = require('../../utils/brandKit');
 
 const getBrandingTool = tool(
-    async ({ 
-        userId,
-        brandId,
-        headers = {} 
-    }) => {
+    async ({ brandId }, config) => {
         try {
-            let url = 'http://localhost:3001/api/brands';
-            
-            // If brandId is provided, get specific brand
-            if (brandId) {
-                url += `/${brandId}`;
-            }
+            const userId = getToolUserId(config);
+            if (!userId) return missingUserResult();
 
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'User-ID': userId || '6825167ffe3452cafe0c8440', // Default user ID for testing
-                    ...headers
-                }
-            });
+            // If brandId is provided, get specific brand
+            const response = brandId
+                ? await callController('brands', 'getBrandById', { userId, params: { id: brandId } })
+                : await callController('brands', 'getBrands', { userId });
 
-            const responseData = await response.json();
+            const responseData = response.data || {};
 
             if (!response.ok) {
                 console.error('Failed to fetch branding:', responseData);
@@ -53,14 +46,15 @@ const getBrandingTool = tool(
                     };
                 }
                 
-                // Find active brand or use first brand
-                brandData = brands.find(brand => brand.isActive) || brands[0];
+                // Prefer the user's own active brand over brands shared with them
+                brandData = pickDefaultBrand(brands);
             }
 
             // Extract useful branding information for project creation
             const brandingInfo = {
                 brandId: brandData._id,
                 brandName: brandData.name,
+                accessRole: brandData.accessRole,
                 tagline: brandData.tagline,
                 industry: brandData.industry,
                 colors: extractBrandColors(brandData),
@@ -90,9 +84,7 @@ const getBrandingTool = tool(
         name: 'getBranding',
         description: 'Fetch user branding information including color palettes, fonts, logos, and brand voice to use when creating new projects. This ensures projects align with the user\'s brand identity.',
         schema: z.object({
-            userId: z.string().optional().describe('The user ID to fetch branding for. If not provided, uses default test user.'),
-            brandId: z.string().optional().describe('Optional specific brand ID to fetch. If not provided, gets the active brand or first available brand.'),
-            headers: z.object({}).passthrough().optional().describe('Optional headers to include in the request')
+            brandId: z.string().optional().describe('Optional specific brand ID to fetch. If not provided, gets the active brand or first available brand.')
         }),
     }
 );
@@ -127,7 +119,8 @@ function extractBrandColors(brandData) {
  * Extract font information from brand data
  */
 function extractBrandFonts(brandData) {
-    if (!brandData.typography) {
+    const typography = getDefaultTypography(brandData);
+    if (!typography) {
         return {
             heading: 'Arial',
             body: 'Arial',
@@ -136,9 +129,9 @@ function extractBrandFonts(brandData) {
     }
 
     return {
-        heading: brandData.typography.headingFont,
-        body: brandData.typography.bodyFont,
-        pairings: brandData.typography.fontPairings || []
+        heading: typography.headingFont,
+        body: typography.bodyFont,
+        pairings: typography.fontPairings || []
     };
 }
 
@@ -0,0 +1,57 @@
+import { tool } from '@langchain/core/tools';
+import { z } from 'zod';
+import { getToolUserId, loadProjectForUser, missingUserResult } from './toolContext.mjs';
+
+// Strip storage fields so the agent sees only design properties
+function describePage(page, pageIndex) {
+    return {
+        pageIndex,
+        name: page.name,
+        canvas: page.canvas,
+        background: page.background,
+        elements: (page.elements || []).map(({ _id, __v, ...element }) => element)
+    };
+}
+
+const getProjectLayoutTool = tool(
+    async ({ projectId }, config) => {
+        try {
+            const userId = getToolUserId(config);
+            if (!userId) return missingUserResult();
+
+            const { project, layout, error, status } = await loadProjectForUser(projectId, userId);
+            if (error) {
+                return { success: false, error, status, data: null };
+            }
+
+            return {
+                success: true,
+                status: 200,
+                data: {
+                    projectId: project._id,
+                    title: project.title,
+                    type: project.type,
+                    pageCount: layout.pages.length,
+                    pages: layout.pages.map(describePage)
+                }
+            };
+        } catch (error) {
+            console.error('Error reading project layout:', error);
+            return {
+                success: false,
+                error: error.message || 'Unknown error occurred',
+                status: null,
+                data: null
+            };
+        }
+    },
+    {
+        name: 'getProjectLayout',
+        description: 'Read an existing project\'s layout: its pages, canvas sizes, backgrounds and every element with its id, position, size and style. Call this before editing a project so edits can reference element ids and page indexes.',
+        schema: z.object({
+            projectId: z.string().describe('The ID of the project to read')
+        }),
+    }
+);
+
+export default getProjectLayoutTool;
@@ -1,10 +1,14 @@
 import createProjectTool from "./createProjectTool.mjs";
 import searchTool from "./searchTool.mjs";
-import weatherTool from "./weatherTool.mjs";
 import selectTemplateTool from "./selectTemplateTool.mjs";
 import cloneTemplateTool from "./cloneTemplateTool.mjs";
 import getBrandingTool from "./getBrandingTool.mjs";
 import createBrandedProjectTool from "./createBrandedProjectTool.mjs";
+import getProjectLayoutTool from "./getProjectLayoutTool.mjs";
+import editProjectLayoutTool from "./editProjectLayoutTool.mjs";
+import searchAssetsTool from "./searchAssetsTool.mjs";
+import placeAssetTool from "./placeAssetTool.mjs";
+import critiqueDesignTool from "./critiqueDesignTool.mjs";
 
-const tools = [weatherTool, searchTool, createProjectTool, selectTemplateTool, cloneTemplateTool, getBrandingTool, createBrandedProjectTool];
+const tools = [searchTool, createProjectTool, selectTemplateTool, cloneTemplateTool, getBrandingTool, createBrandedProjectTool, getProjectLayoutTool, editProjectLayoutTool, searchAssetsTool, placeAssetTool, critiqueDesignTool];
 export default tools;
\ No newline at end of file
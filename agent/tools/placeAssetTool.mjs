@@ -0,0 +1,150 @@
+import { tool } from '@langchain/core/tools';
+import { z } from 'zod';
+import {
+    callController,
+    getToolUserId,
+    hasAssetAccess,
+    loadProjectForUser,
+    missingUserResult,
+    saveLayoutEdits
+} from './toolContext.mjs';
+
+// Share of the canvas an image takes when no size is given
+const DEFAULT_SCALE = 0.6;
+// Gap kept between an edge-aligned image and the canvas edge, as a share of the canvas
+const EDGE_MARGIN = 0.05;
+
+/**
+ * Work out the element box for an asset on a canvas
+ * Keeps the asset's aspect ratio (from metadata.width/height) unless both width and height are given.
+ */
+function computePlacement(asset, canvas, { placement = 'center', scale = DEFAULT_SCALE, x, y, width, height }) {
+    const assetWidth = asset.metadata?.width;
+    const assetHeight = asset.metadata?.height;
+    const aspect = assetWidth && assetHeight ? assetWidth / assetHeight : 1;
+
+    // Background placement covers the whole page
+    if (placement === 'fill') {
+        return { x: 0, y: 0, width: canvas.width, height: canvas.height };
+    }
+
+    let boxWidth = width;
+    let boxHeight = height;
+    if (boxWidth && !boxHeight) boxHeight = boxWidth / aspect;
+    if (boxHeight && !boxWidth) boxWidth = boxHeight * aspect;
+    if (!boxWidth && !boxHeight) {
+        // Fit inside the scaled canvas, never upscaling past the asset's own size
+        const maxWidth = canvas.width * scale;
+        const maxHeight = canvas.height * scale;
+        boxWidth = Math.min(maxWidth, maxHeight * aspect, assetWidth || Infinity);
+        boxHeight = boxWidth / aspect;
+    }
+
+    const marginX = canvas.width * EDGE_MARGIN;
+    const marginY = canvas.height * EDGE_MARGIN;
+    const positions = {
+        center: [(canvas.width - boxWidth) / 2, (canvas.height - boxHeight) / 2],
+        top: [(canvas.width - boxWidth) / 2, marginY],
+        bottom: [(canvas.width - boxWidth) / 2, canvas.height - boxHeight - marginY],
+        left: [marginX, (canvas.height - boxHeight) / 2],
+        right: [canvas.width - boxWidth - marginX, (canvas.height - boxHeight) / 2],
+        'top-left': [marginX, marginY],
+        'top-right': [canvas.width - boxWidth - marginX, marginY],
+        'bottom-left': [marginX, canvas.height - boxHeight - marginY],
+        'bottom-right': [canvas.width - boxWidth - marginX, canvas.height - boxHeight - marginY]
+    };
+    const [defaultX, defaultY] = positions[placement] || positions.center;
+
+    return {
+        x: Math.round(x ?? defaultX),
+        y: Math.round(y ?? defaultY),
+        width: Math.round(boxWidth),
+        height: Math.round(boxHeight)
+    };
+}
+
+const placeAssetTool = tool(
+    async ({ projectId, assetId, pageIndex = 0, placement = 'center', scale, x, y, width, height, alt }, config) => {
+        try {
+            const userId = getToolUserId(config);
+            if (!userId) return missingUserResult();
+
+            const assetResponse = await callController('assets', 'getAssetById', {
+                userId,
+                params: { id: assetId }
+            });
+            const asset = assetResponse.ok ? JSON.parse(JSON.stringify(assetResponse.data)) : null;
+            if (!asset || !hasAssetAccess(asset, userId)) {
+                return { success: false, error: 'Asset not found', status: 404, data: null };
+            }
+            if (asset.type !== 'image') {
+                return { success: false, error: `Asset ${asset.name} is a ${asset.type}, not an image`, status: 400, data: null };
+            }
+
+            const { layout, error, status } = await loadProjectForUser(projectId, userId);
+            if (error) {
+                return { success: false, error, status, data: null };
+            }
+
+            const page = layout.pages[pageIndex];
+            if (!page) {
+                return { success: false, error: `Page ${pageIndex} does not exist`, status: 400, data: null };
+            }
+
+            const canvas = page.canvas?.width && page.canvas?.height ? page.canvas : { width: 800, height: 600 };
+            const box = computePlacement(asset, canvas, { placement, scale, x, y, width, height });
+
+            // Backgrounds go under everything else; other images on top
+            const zIndexes = (page.elements || []).map(element => element.zIndex || 0);
+            const zIndex = placement === 'fill'
+                ? Math.min(0, ...zIndexes) - 1
+                : Math.max(0, ...zIndexes) + 1;
+
+            const result = await saveLayoutEdits(projectId, userId, layout, [{
+                op: 'addElement',
+                pageIndex,
+                element: {
+                    kind: 'image',
+                    ...box,
+                    zIndex,
+                    src: asset.cloudinaryUrl || asset.url,
+                    alt: alt || asset.metadata?.aiDescription || asset.name
+                }
+            }]);
+
+            if (result.success) {
+                result.data.asset = { assetId: asset._id, name: asset.name };
+                result.data.placement = { pageIndex, placement, ...box, zIndex };
+            }
+            return result;
+        } catch (error) {
+            console.error('Error placing asset:', error);
+            return {
+                success: false,
+                error: error.message || 'Unknown error occurred',
+                status: null,
+                data: null
+            };
+        }
+    },
+    {
+        name: 'placeAsset',
+        description: 'Insert one of the user\'s image assets into a project page as an image element. The image keeps its aspect ratio and is sized to fit the page unless a size is given. Use searchAssets first to find the assetId.',
+        schema: z.object({
+            projectId: z.string().describe('The ID of the project to add the image to'),
+            assetId: z.string().describe('The ID of the image asset to place'),
+            pageIndex: z.number().int().min(0).optional().default(0).describe('Page to place the image on (default 0)'),
+            placement: z.enum(['center', 'top', 'bottom', 'left', 'right', 'top-left', 'top-right', 'bottom-left', 'bottom-right', 'fill'])
+                .optional().default('center')
+                .describe('Where to put the image; "fill" covers the whole page as a background'),
+            scale: z.number().min(0.05).max(1).optional().describe('Largest share of the page the image may take when no size is given (default 0.6)'),
+            x: z.number().optional().describe('Explicit left position, overrides placement'),
+            y: z.number().optional().describe('Explicit top position, overrides placement'),
+            width: z.number().positive().optional().describe('Explicit width; height follows the aspect ratio if omitted'),
+            height: z.number().positive().optional().describe('Explicit height; width follows the aspect ratio if omitted'),
+            alt: z.string().optional().describe('Alt text; defaults to the asset description or name')
+        }),
+    }
+);
+
+export default placeAssetTool;
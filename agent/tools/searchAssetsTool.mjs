@@ -0,0 +1,82 @@
+import { tool } from '@langchain/core/tools';
+import { z } from 'zod';
+import { callController, getToolUserId, missingUserResult } from './toolContext.mjs';
+
+// Compact view of an asset for the agent to choose from
+function describeAsset(asset) {
+    return {
+        assetId: asset._id,
+        name: asset.name,
+        type: asset.type,
+        url: asset.cloudinaryUrl || asset.url,
+        thumbnail: asset.thumbnail,
+        width: asset.metadata?.width,
+        height: asset.metadata?.height,
+        description: asset.metadata?.aiDescription || asset.metadata?.description,
+        tags: asset.tags || [],
+        folderId: asset.folderId,
+        similarity: Math.round((asset.similarity || 0) * 1000) / 1000
+    };
+}
+
+const searchAssetsTool = tool(
+    async ({ query, type, folderId, limit = 5, threshold = 0.5 }, config) => {
+        try {
+            const userId = getToolUserId(config);
+            if (!userId) return missingUserResult();
+
+            const response = await callController('assets', 'searchAssetsByVector', {
+                userId,
+                query: {
+                    query,
+                    limit: String(limit),
+                    threshold: String(threshold),
+                    ...(type && { type }),
+                    ...(folderId && { folderId })
+                }
+            });
+
+            if (!response.ok) {
+                return {
+                    success: false,
+                    error: response.data?.message || 'Asset search failed',
+                    status: response.status,
+                    data: null
+                };
+            }
+
+            const assets = (response.data.results || []).map(describeAsset);
+
+            return {
+                success: true,
+                status: response.status,
+                data: {
+                    query,
+                    count: assets.length,
+                    assets
+                }
+            };
+        } catch (error) {
+            console.error('Error searching assets:', error);
+            return {
+                success: false,
+                error: error.message || 'Unknown error occurred',
+                status: null,
+                data: null
+            };
+        }
+    },
+    {
+        name: 'searchAssets',
+        description: 'Semantic search over the user\'s uploaded assets (photos, logos, graphics) by what they show, e.g. "beach photo" or "blue logo". Returns matching assets with ids, URLs, dimensions and descriptions, best match first. Use placeAsset to put one into a project.',
+        schema: z.object({
+            query: z.string().min(1).describe('Description of the asset to find'),
+            type: z.enum(['image', 'video', 'audio', 'document', 'font', 'other']).optional().describe('Only return assets of this type'),
+            folderId: z.string().optional().describe('Only search this folder; use "root" for assets not in a folder'),
+            limit: z.number().int().min(1).max(20).optional().default(5).describe('Maximum number of results (default 5)'),
+            threshold: z.number().min(0).max(1).optional().default(0.5).describe('Minimum similarity from 0 to 1 (default 0.5); lower it if nothing is found')
+        }),
+    }
+);
+
+export default searchAssetsTool;
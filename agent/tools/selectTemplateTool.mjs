@@ -1,9 +1,10 @@
 import { tool } from '@langchain/core/tools';
 import { z } from 'zod';
+import { callController, getToolUserId } from './toolContext.mjs';
 
 // Define the select template tool for the agent to use
 const selectTemplateTool = tool(
-  async ({ query, category, type, tags, featured, popular, canvasSize, preset, limit = 10 }) => {
+  async ({ query, category, type, tags, featured, popular, canvasSize, preset, limit = 10 }, config) => {
     try {
       // If preset is provided, get the canvas size from it
       let requiredCanvasSize = canvasSize;
@@ -17,37 +18,38 @@ const selectTemplateTool = tool(
       }
       
       // Build the search criteria
-      let searchParams = new URLSearchParams();
+      const searchParams = {};
       
       // Always search for templates
-      searchParams.append('isTemplate', 'true');
+      searchParams.isTemplate = 'true';
       
       // Add optional filters
-      if (query) searchParams.append('search', query);
-      if (category) searchParams.append('category', category);
-      if (type) searchParams.append('type', type);
-      if (tags && tags.length > 0) {
-        tags.forEach(tag => searchParams.append('tags', tag));
-      }
-      if (featured !== undefined) searchParams.append('featured', featured.toString());
-      if (popular !== undefined) searchParams.append('popular', popular.toString());
+      if (query) searchParams.search = query;
+      if (category) searchParams.category = category;
+      if (type) searchParams.type = type;
+      if (tags && tags.length > 0) searchParams.tags = tags;
+      if (featured !== undefined) searchParams.featured = featured.toString();
+      if (popular !== undefined) searchParams.popular = popular.toString();
       
       // Add canvas size filters if specified
       if (requiredCanvasSize) {
-        searchParams.append('canvasWidth', requiredCanvasSize.width.toString());
-        searchParams.append('canvasHeight', requiredCanvasSize.height.toString());
+        searchParams.canvasWidth = requiredCanvasSize.width.toString();
+        searchParams.canvasHeight = requiredCanvasSize.height.toString();
       }
       
-      if (limit) searchParams.append('limit', limit.toString());
+      if (limit) searchParams.limit = limit.toString();
 
-      // Make request to projects endpoint with template filter
-      const response = await fetch(`http://localhost:3001/api/projects?${searchParams.toString()}`);
+      // Query projects with the template filter
+      const response = await callController('projects', 'getProjects', {
+        userId: getToolUserId(config),
+        query: searchParams
+      });
       
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        throw new Error(response.data?.message || `Template search failed with status ${response.status}`);
       }
       
-      const templates = await response.json();
+      const templates = response.data;
       
       // Format the response for the agent
       const formattedTemplates = templates.map(template => ({
@@ -0,0 +1,149 @@
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { invokeController } = require('../../utils/controllerInvoker');
+const { applyLayoutEdits } = require('../../utils/layoutEdits');
+const { diffLayouts } = require('../../utils/layoutDiff');
+const { canAccessProject } = require('../../utils/projectAccess');
+
+// TypeScript controllers need ts-node when the agent runs outside server.js
+if (!require.extensions['.ts']) {
+    require('ts-node/register');
+}
+
+const controllers = {
+    projects: () => require('../../controllers/projectController.ts'),
+    brands: () => require('../../controllers/brandController'),
+    assets: () => require('../../controllers/assetController')
+};
+
+/**
+ * The user the agent is acting for, passed by the agent controller as configurable.userId
+ */
+export function getToolUserId(config) {
+    return config?.configurable?.userId;
+}
+
+/**
+ * Result returned by a tool when the run has no authenticated user
+ */
+export function missingUserResult() {
+    return {
+        success: false,
+        error: 'No authenticated user is associated with this conversation',
+        status: 401,
+        data: null
+    };
+}
+
+/**
+ * Whether the user owns the project or it has been shared with them
+ */
+export function hasProjectAccess(project, userId) {
+    return canAccessProject(project, userId);
+}
+
+/**
+ * Whether the user owns the asset or it has been shared with them
+ */
+export function hasAssetAccess(asset, userId) {
+    if (!asset || !userId) return false;
+    return asset.userId === userId.toString() || (asset.sharedWith || []).includes(userId.toString());
+}
+
+/**
+ * The brand to use when none was named, from getBrands output (which includes shared brands)
+ * Prefers the user's own active brand, then any brand they own, then an active shared brand.
+ */
+export function pickDefaultBrand(brands) {
+    if (!Array.isArray(brands) || brands.length === 0) return null;
+    const owned = brands.filter(brand => brand.accessRole === 'owner');
+    return owned.find(brand => brand.isActive)
+        || owned[0]
+        || brands.find(brand => brand.isActive)
+        || brands[0];
+}
+
+/**
+ * Call a controller handler in-process as the given user
+ * @param {string} controller - Key in the controllers map (projects, brands)
+ * @param {string} handlerName - Exported handler name
+ * @param {Object} options - { userId, params, query, body }
+ * @returns {Promise<{status: number, ok: boolean, data: *}>}
+ */
+export async function callController(controller, handlerName, options = {}) {
+    const handler = controllers[controller]()[handlerName];
+    if (typeof handler !== 'function') {
+        throw new Error(`Unknown controller handler ${controller}.${handlerName}`);
+    }
+    return invokeController(handler, options);
+}
+
+/**
+ * Load a project with its populated layout, checking the user can access it
+ */
+export async function loadProjectForUser(projectId, userId) {
+    const response = await callController('projects', 'getProjectById', {
+        userId,
+        params: { id: projectId }
+    });
+
+    if (!response.ok) {
+        return { error: response.data?.message || 'Project not found', status: response.status };
+    }
+
+    const project = JSON.parse(JSON.stringify(response.data));
+    if (!hasProjectAccess(project, userId)) {
+        return { error: 'You do not have access to this project', status: 403 };
+    }
+    if (!project.layoutId?.pages) {
+        return { error: 'Project has no layout', status: 404 };
+    }
+
+    return { project, layout: project.layoutId };
+}
+
+/**
+ * Apply layout edits to a loaded project and save them through updateProject
+ * @returns {Promise<Object>} - Tool result with the applied edits, errors and diff
+ */
+export async function saveLayoutEdits(projectId, userId, layout, edits, { atomic = true } = {}) {
+    const result = applyLayoutEdits(layout, edits, { atomic });
+    const diff = diffLayouts(layout, result.layout);
+
+    if (!result.applied.length || !diff.hasChanges) {
+        return {
+            success: false,
+            error: result.errors.length ? 'No edits were applied' : 'The edits did not change the layout',
+            status: 400,
+            data: { applied: result.applied, errors: result.errors }
+        };
+    }
+
+    const response = await callController('projects', 'updateProject', {
+        userId,
+        params: { id: projectId },
+        body: { layout: { pages: result.layout.pages } }
+    });
+
+    if (!response.ok) {
+        console.error('Project update failed:', response.data);
+        return {
+            success: false,
+            error: response.data?.message || response.data?.error || 'Project update failed',
+            status: response.status,
+            data: { applied: result.applied, errors: result.errors }
+        };
+    }
+
+    return {
+        success: true,
+        status: response.status,
+        data: {
+            projectId,
+            applied: result.applied,
+            errors: result.errors,
+            diff
+        }
+    };
+}
@@ -1,25 +1,100 @@
 import { Request, Response } from 'express';
+import mongoose from 'mongoose';
+const Conversation = require('../models/Conversation');
 
-// Agent variable to store the loaded agent instance
-let agent: any;
+// Agent module (agent instance plus thread helpers) loaded on first use
+let agentModule: any;
 
-async function loadAgent() {
-  if (!agent) {
+// Longest tool result echoed back to a streaming client
+const TOOL_RESULT_PREVIEW_LENGTH = 500;
+
+async function loadAgentModule() {
+  if (!agentModule) {
     // Use eval to bypass TypeScript's require transformation
     const importFunc = new Function('specifier', 'return import(specifier)');
-    const module = await importFunc('../agent/index.mjs');
-    agent = module.default;
+    agentModule = await importFunc('../agent/index.mjs');
+  }
+  return agentModule;
+}
+
+async function loadAgent() {
+  const module = await loadAgentModule();
+  return module.default;
+}
+
+/* Helpers ----------------------------------------------------------------- */
+// Set by the auth middleware; never taken from the request body or query
+const getRequestUserId = (req: any): string | undefined => req.userId;
+
+// Message content is a string or, for Anthropic models, an array of content blocks
+function messageText(content: any): string {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .map(block => (typeof block === 'string' ? block : block?.type === 'text' ? block.text : ''))
+      .join('');
   }
-  return agent;
+  return '';
+}
+
+function summarizeToolResult(output: any): string {
+  const content = output?.content !== undefined ? output.content : output;
+  const text = typeof content === 'string' ? content : messageText(content) || JSON.stringify(content ?? null);
+  return text.length > TOOL_RESULT_PREVIEW_LENGTH
+    ? `${text.slice(0, TOOL_RESULT_PREVIEW_LENGTH)}…`
+    : text;
+}
+
+// Find the user's conversation, or start a new one titled after the first prompt
+async function resolveConversation(userId: string, conversationId: string | undefined, prompt: string) {
+  if (conversationId) {
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) return null;
+    return Conversation.findOne({ _id: conversationId, userId });
+  }
+
+  const title = prompt.length > 60 ? `${prompt.slice(0, 60).trim()}…` : prompt;
+  return Conversation.create({ userId, title });
+}
+
+// Drop a conversation that has no completed exchange, so failed or aborted first runs do not pile up in the list
+async function discardIfEmpty(conversation: any) {
+  if (!conversation || conversation.messageCount > 0) return;
+  try {
+    const { deletedCount } = await Conversation.deleteOne({ _id: conversation._id, messageCount: 0 });
+    if (deletedCount) {
+      const { deleteThread } = await loadAgentModule();
+      await deleteThread(conversation.threadId);
+    }
+  } catch (err) {
+    console.error(`Error discarding empty conversation ${conversation._id}:`, err);
+  }
+}
+
+async function recordExchange(conversation: any, answer: string) {
+  conversation.messageCount += 1;
+  conversation.lastMessageAt = new Date();
+  conversation.lastMessagePreview = answer.slice(0, 200);
+  await conversation.save();
 }
 
+/* Controllers ------------------------------------------------------------- */
 export const ask = async (req: Request, res: Response) => {
+  let conversation: any;
   try {
-    const { prompt } = req.body;
+    const { prompt, conversationId } = req.body;
+    const userId = getRequestUserId(req);
 
     if (!prompt) {
       return res.status(400).json({ error: 'Prompt is required' });
     }
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    conversation = await resolveConversation(userId, conversationId, prompt);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
 
     const agent = await loadAgent();
 
@@ -31,15 +106,228 @@ export const ask = async (req: Request, res: Response) => {
         },
       ],
     },
-      { configurable: { thread_id: 42 } } // <- add the thread id
+      { configurable: { thread_id: conversation.threadId, userId } }
     );
 
-    const answer = result.messages.at(-1)?.content;
+    const answer = messageText(result.messages.at(-1)?.content);
+    await recordExchange(conversation, answer);
 
-    res.json({ answer });
+    res.json({ answer, conversationId: conversation._id });
   } catch (err) {
+    await discardIfEmpty(conversation);
     res.status(500).json({ error: 'Error generating response' });
     console.error('Error generating response:', err);
     // next(err); // lets your error middleware log/format
   }
 };
+
+/**
+ * Stream an agent run over Server-Sent Events
+ * Events: conversation, token, tool_start, tool_end, done, error
+ */
+export const askStream = async (req: Request, res: Response) => {
+  const { prompt, conversationId } = req.body;
+  const userId = getRequestUserId(req);
+
+  if (!prompt) {
+    return res.status(400).json({ error: 'Prompt is required' });
+  }
+  if (!userId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  let conversation: any;
+  try {
+    conversation = await resolveConversation(userId, conversationId, prompt);
+  } catch (err) {
+    console.error('Error loading conversation:', err);
+    return res.status(500).json({ error: 'Error loading conversation' });
+  }
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx response buffering
+  });
+  res.flushHeaders();
+
+  const send = (event: string, data: any) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stop the run if the client goes away before it finishes
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abortController.abort();
+  });
+
+  send('conversation', { conversationId: conversation._id, threadId: conversation.threadId });
+
+  try {
+    const agent = await loadAgent();
+    const config = { configurable: { thread_id: conversation.threadId, userId } };
+
+    const stream = agent.streamEvents(
+      { messages: [{ role: 'user', content: prompt }] },
+      { ...config, version: 'v2', signal: abortController.signal }
+    );
+
+    for await (const event of stream) {
+      if (event.event === 'on_chat_model_stream') {
+        const token = messageText(event.data?.chunk?.content);
+        if (token) send('token', { content: token });
+      } else if (event.event === 'on_tool_start') {
+        send('tool_start', { runId: event.run_id, name: event.name, args: event.data?.input });
+      } else if (event.event === 'on_tool_end') {
+        send('tool_end', { runId: event.run_id, name: event.name, result: summarizeToolResult(event.data?.output) });
+      }
+    }
+
+    const state = await agent.getState(config);
+    const answer = messageText(state.values?.messages?.at(-1)?.content);
+    await recordExchange(conversation, answer);
+
+    send('done', { answer, conversationId: conversation._id });
+  } catch (err: any) {
+    if (abortController.signal.aborted) {
+      console.log(`Agent stream for conversation ${conversation._id} cancelled by client`);
+    } else {
+      console.error('Error streaming response:', err);
+      send('error', { error: 'Error generating response', details: err.message });
+    }
+    await discardIfEmpty(conversation);
+  } finally {
+    res.end();
+  }
+};
+
+// GET /api/agent/conversations
+export const listConversations = async (req: Request, res: Response) => {
+  try {
+    const userId = getRequestUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit as string, 10) || 20, 100);
+    const skip = parseInt(req.query.skip as string, 10) || 0;
+
+    const [conversations, total] = await Promise.all([
+      Conversation.find({ userId }).sort({ lastMessageAt: -1 }).skip(skip).limit(limit).lean(),
+      Conversation.countDocuments({ userId })
+    ]);
+
+    res.json({ conversations, total, limit, skip });
+  } catch (err: any) {
+    console.error('Error listing conversations:', err);
+    res.status(500).json({ error: 'Error listing conversations', details: err.message });
+  }
+};
+
+// GET /api/agent/conversations/:id - conversation with its message history
+export const getConversation = async (req: Request, res: Response) => {
+  try {
+    const userId = getRequestUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid conversation id' });
+    }
+
+    const conversation = await Conversation.findOne({ _id: req.params.id, userId }).lean();
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const agent = await loadAgent();
+    const state = await agent.getState({ configurable: { thread_id: conversation.threadId } });
+
+    const messages = (state.values?.messages || []).map((message: any) => ({
+      role: message._getType(),
+      content: messageText(message.content),
+      ...(message.tool_calls?.length && {
+        toolCalls: message.tool_calls.map((call: any) => ({ name: call.name, args: call.args }))
+      }),
+      ...(message.name && { name: message.name })
+    }));
+
+    res.json({ conversation, messages });
+  } catch (err: any) {
+    console.error('Error fetching conversation:', err);
+    res.status(500).json({ error: 'Error fetching conversation', details: err.message });
+  }
+};
+
+// DELETE /api/agent/conversations/:id - removes the conversation and its agent memory
+export const deleteConversation = async (req: Request, res: Response) => {
+  try {
+    const userId = getRequestUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid conversation id' });
+    }
+
+    const conversation = await Conversation.findOneAndDelete({ _id: req.params.id, userId });
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const { deleteThread } = await loadAgentModule();
+    await deleteThread(conversation.threadId);
+
+    res.json({ message: 'Conversation deleted', conversationId: conversation._id });
+  } catch (err: any) {
+    console.error('Error deleting conversation:', err);
+    res.status(500).json({ error: 'Error deleting conversation', details: err.message });
+  }
+};
+
+// GET /api/agent/admin/threads/:threadId/checkpoints - checkpoint history of a thread, newest first
+export const getThreadCheckpoints = async (req: Request, res: Response) => {
+  try {
+    const { threadId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit as string, 10) || 50, 500);
+    const before = req.query.before as string | undefined;
+
+    const { checkpointSaver } = await loadAgentModule();
+    const history = [];
+
+    for await (const tuple of checkpointSaver.list(
+      { configurable: { thread_id: threadId } },
+      { limit, ...(before && { before: { configurable: { checkpoint_id: before } } }) }
+    )) {
+      const messages = tuple.checkpoint.channel_values?.messages || [];
+      const lastMessage = messages.at(-1);
+
+      history.push({
+        checkpointId: tuple.config.configurable.checkpoint_id,
+        checkpointNs: tuple.config.configurable.checkpoint_ns,
+        parentCheckpointId: tuple.parentConfig?.configurable?.checkpoint_id || null,
+        ts: tuple.checkpoint.ts,
+        source: tuple.metadata?.source,
+        step: tuple.metadata?.step,
+        nextChannels: Object.keys(tuple.metadata?.writes || {}),
+        messageCount: messages.length,
+        lastMessage: lastMessage && {
+          role: lastMessage._getType?.(),
+          content: summarizeToolResult(lastMessage.content)
+        },
+        pendingWrites: (tuple.pendingWrites || []).map(([taskId, channel]: [string, string]) => ({ taskId, channel }))
+      });
+    }
+
+    const conversation = await Conversation.findOne({ threadId }).lean();
+
+    res.json({ threadId, conversation, checkpoints: history });
+  } catch (err: any) {
+    console.error('Error fetching thread checkpoints:', err);
+    res.status(500).json({ error: 'Error fetching thread checkpoints', details: err.message });
+  }
+};
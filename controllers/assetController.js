@@ -12,6 +12,7 @@ const cloudinary = require('../config/cloudinary');
 const { uploadToCloudinary, deleteFromCloudinary } = require('../utils/cloudinaryUploader');
 const vectorStoreService = require('../services/vectorStore');
 const vectorJobProcessor = require('../services/vectorJobProcessor');
+const eventBus = require('../services/eventBus');
 const imageAnalysisService = require('../services/imageAnalysisService');
 
 // Determine asset type from MIME type or file extension
@@ -707,21 +708,24 @@ exports.configureMulter = () => {
 // Vector search assets by semantic similarity
 exports.searchAssetsByVector = async (req, res) => {
   try {
-    const { query, userId, limit = 10, threshold = 0.7 } = req.query;
+    const { query, userId, limit = 10, threshold = 0.7, type, folderId } = req.query;
     
     if (!query) {
       return res.status(400).json({ message: 'Search query is required' });
     }
     
     // Use default user if no userId provided
-    const effectiveUserId = userId || 'default-user';
+    const effectiveUserId = req.userId || userId || 'default-user';
     
     const results = await vectorStoreService.searchAssets(
       query, 
       effectiveUserId, 
       {
         limit: parseInt(limit), 
-        threshold: parseFloat(threshold)
+        threshold: parseFloat(threshold),
+        type: type || null,
+        // 'null' (as in getAssets) or 'root' limits the search to the root folder
+        folderId: folderId === 'null' ? 'root' : folderId || null
       }
     );
 
@@ -835,7 +839,7 @@ exports.getVectorStats = async (req, res) => {
         vectorizationRate: totalAssets > 0 ? (vectorizedAssets / totalAssets * 100).toFixed(2) : 0
       },
       vectorStore: vectorStats,
-      queueStats: vectorJobProcessor.getStatus()
+      queueStats: await vectorJobProcessor.getStatus()
     });
   } catch (error) {
     console.error('Error getting vector stats:', error);
@@ -843,6 +847,82 @@ exports.getVectorStats = async (req, res) => {
   }
 };
 
+// List vectorization jobs (filter by status, type, assetId, userId)
+exports.getVectorJobs = async (req, res) => {
+  try {
+    const { status, type, assetId, userId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    if (assetId && !mongoose.Types.ObjectId.isValid(assetId)) {
+      return res.status(400).json({ message: 'Invalid assetId' });
+    }
+
+    const { jobs, total } = await vectorJobProcessor.listJobs({
+      status,
+      type,
+      assetId,
+      userId,
+      limit,
+      skip: (page - 1) * limit
+    });
+
+    res.status(200).json({
+      jobs,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      queueStats: await vectorJobProcessor.getStatus()
+    });
+  } catch (error) {
+    console.error('Error listing vector jobs:', error);
+    res.status(500).json({ message: 'Failed to list vector jobs', error: error.message });
+  }
+};
+
+// Retry a failed or cancelled vectorization job
+exports.retryVectorJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ message: 'Invalid job ID' });
+    }
+
+    const job = await vectorJobProcessor.retryJob(jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'No failed or cancelled job found with this ID' });
+    }
+
+    res.status(200).json({ message: 'Job queued for retry', job });
+  } catch (error) {
+    console.error('Error retrying vector job:', error);
+    res.status(500).json({ message: 'Failed to retry vector job', error: error.message });
+  }
+};
+
+// Cancel a pending vectorization job
+exports.cancelVectorJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ message: 'Invalid job ID' });
+    }
+
+    const job = await vectorJobProcessor.cancelJob(jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'No pending job found with this ID' });
+    }
+
+    res.status(200).json({ message: 'Job cancelled', job });
+  } catch (error) {
+    console.error('Error cancelling vector job:', error);
+    res.status(500).json({ message: 'Failed to cancel vector job', error: error.message });
+  }
+};
+
 // Force re-vectorization of all assets for a user
 exports.reVectorizeAssets = async (req, res) => {
   try {
@@ -1102,11 +1182,17 @@ exports.analyzeAsset = async (req, res) => {
           console.warn('Failed to queue asset for re-vectorization:', vectorError);
         }
         
-        console.log('AI analysis completed for asset:', {
+        const analysisSummary = {
           assetId: id,
           objects: analysis.objects?.length || 0,
           colors: analysis.colors?.length || 0,
           themes: analysis.themes?.length || 0
+        };
+        console.log('AI analysis completed for asset:', analysisSummary);
+        eventBus.publish(asset.userId, 'asset.analyzed', {
+          ...analysisSummary,
+          name: asset.name,
+          description: analysis.description || ''
         });
         
         res.status(200).json({
@@ -1175,6 +1261,8 @@ exports.batchAnalyzeAssets = async (req, res) => {
       failed: 0,
       details: []
     };
+    const batchId = `batch-${Date.now()}`;
+    eventBus.publish(effectiveUserId, 'assets.batch_started', { batchId, total: assetsToAnalyze.length });
     
     // Process each asset
     for (const asset of assetsToAnalyze) {
@@ -1240,11 +1328,26 @@ exports.batchAnalyzeAssets = async (req, res) => {
         });
       }
       
+      eventBus.publish(effectiveUserId, 'assets.batch_progress', {
+        batchId,
+        completed: results.details.length,
+        total: assetsToAnalyze.length,
+        successful: results.successful,
+        failed: results.failed,
+        asset: results.details[results.details.length - 1]
+      });
+      
       // Add a small delay to avoid overwhelming the API
       await new Promise(resolve => setTimeout(resolve, 1000));
     }
     
     console.log(`Batch analysis completed: ${results.successful} successful, ${results.failed} failed`);
+    eventBus.publish(effectiveUserId, 'assets.batch_completed', {
+      batchId,
+      total: assetsToAnalyze.length,
+      successful: results.successful,
+      failed: results.failed
+    });
     
     res.status(200).json({
       message: 'Batch analysis completed',
@@ -4,6 +4,10 @@ const User = require('../models/User');
 const mongoose = require('mongoose');
 const { ObjectId } = require('mongoose').Types;
 const { uploadToCloudinary } = require('../utils/cloudinaryUploader');
+const eventBus = require('../services/eventBus');
+const brandTransferService = require('../services/brandTransferService');
+const brandRevisionService = require('../services/brandRevisionService');
+const { brandToDesignTokens, toCssVariables, toTailwindConfig, TOKENS_CONFIG } = require('../utils/designTokens');
 const { OpenAI } = require('openai');
 const { path } = require("path");
 const fs = require('fs');
@@ -13,14 +17,38 @@ const openai = new OpenAI({
     apiKey: process.env.OPENAI_API_KEY
 });
 
+// Set by the auth middleware mounted on every brand route
+const requestUserId = (req) => req.userId.toString();
+
+/**
+ * Load the brand in req.params.id if the requesting user holds at least the given role
+ * Sends 404 when the user has no access and 403 when their role is too low, returning null.
+ */
+async function findBrandForRole(req, res, minimumRole) {
+    const userId = requestUserId(req);
+    const brand = await Brand.findOne({ _id: req.params.id, ...Brand.accessFilter(userId) });
+    if (!brand) {
+        res.status(404).json({ success: false, message: 'Brand not found' });
+        return null;
+    }
+    if (!brand.canAccess(userId, minimumRole)) {
+        res.status(403).json({ success: false, message: `This action requires the ${minimumRole} role on this brand` });
+        return null;
+    }
+    return brand;
+}
+
+// Brand as JSON plus the requesting user's role on it
+const withAccessRole = (brand, userId) => ({ ...brand.toJSON(), accessRole: brand.roleFor(userId) });
+
 /**
- * Get all brands for a user
+ * Get all brands for a user, including brands shared with them
  */
 exports.getBrands = async (req, res) => {
     try {
-        const userId = req.userId || "6825167ffe3452cafe0c8440"; // Default user ID for testing
-        const brands = await Brand.find({ userId });
-        res.status(200).json({ success: true, data: brands });
+        const userId = requestUserId(req);
+        const brands = await Brand.find(Brand.accessFilter(userId));
+        res.status(200).json({ success: true, data: brands.map(brand => withAccessRole(brand, userId)) });
     } catch (error) {
         console.error('Error fetching brands:', error);
         res.status(500).json({ success: false, message: 'Failed to fetch brands', error: error.message });
@@ -32,13 +60,9 @@ exports.getBrands = async (req, res) => {
  */
 exports.getBrandById = async (req, res) => {
     try {
-
-        const userId = req.userId || "6825167ffe3452cafe0c8440"; // Default user ID for testing
-        const brand = await Brand.findOne({ _id: req.params.id, userId: userId });
-        if (!brand) {
-            return res.status(404).json({ success: false, message: 'Brand not found' });
-        }
-        res.status(200).json({ success: true, data: brand });
+        const brand = await findBrandForRole(req, res, 'viewer');
+        if (!brand) return;
+        res.status(200).json({ success: true, data: withAccessRole(brand, requestUserId(req)) });
     } catch (error) {
         console.error('Error fetching brand:', error);
         res.status(500).json({ success: false, message: 'Failed to fetch brand', error: error.message });
@@ -63,6 +87,7 @@ exports.createBrand = async (req, res) => {
             logos: logos || [],
             brandVoice: brandVoice || {}
         });
+        await brandRevisionService.record(brand, { userId: req.userId, source: 'create' });
 
         res.status(201).json({ success: true, data: brand });
     } catch (error) {
@@ -76,14 +101,13 @@ exports.createBrand = async (req, res) => {
  */
 exports.updateBrand = async (req, res) => {
     try {
-        const { name, description, tagline, industry, colorPalettes, typography, logos, brandVoice, images, guidelines, isActive } = req.body;
-        const userId = req.userId || "6825167ffe3452cafe0c8440"; // Default user ID for testing
+        const { name, description, tagline, industry, colorPalettes, typography, logos, brandVoice, images, guidelines, isActive, revisionNote } = req.body;
+        const userId = requestUserId(req);
 
-        // Find brand and check ownership
-        const brand = await Brand.findOne({ _id: req.params.id, userId });
-        if (!brand) {
-            return res.status(404).json({ success: false, message: 'Brand not found or access denied' });
-        }
+        // Owners and editors may change the brand
+        const brand = await findBrandForRole(req, res, 'editor');
+        if (!brand) return;
+        const before = brandRevisionService.snapshot(brand);
 
         // Update fields
         if (name) brand.name = name;
@@ -99,6 +123,7 @@ exports.updateBrand = async (req, res) => {
         if (typeof isActive === 'boolean') brand.isActive = isActive;
 
         await brand.save();
+        await brandRevisionService.record(brand, { userId, source: 'manual', note: revisionNote, before });
         res.status(200).json({ success: true, data: brand });
     } catch (error) {
         console.error('Error updating brand:', error);
@@ -111,11 +136,11 @@ exports.updateBrand = async (req, res) => {
  */
 exports.deleteBrand = async (req, res) => {
     try {
-        const userId = req.userId || "6825167ffe3452cafe0c8440"; // Default user ID for testing
-        const brand = await Brand.findOneAndDelete({ _id: req.params.id, userId: userId });
-        if (!brand) {
-            return res.status(404).json({ success: false, message: 'Brand not found or access denied' });
-        }
+        const brand = await findBrandForRole(req, res, 'owner');
+        if (!brand) return;
+
+        await Brand.deleteOne({ _id: brand._id });
+        await brandRevisionService.deleteForBrand(brand._id);
         res.status(200).json({ success: true, message: 'Brand deleted successfully' });
     } catch (error) {
         console.error('Error deleting brand:', error);
@@ -130,7 +155,7 @@ exports.deleteBrand = async (req, res) => {
 exports.generateBrandFromAssets = async (req, res) => {
     try {
         const { assetIds, brandName } = req.body;
-        const userId = req.userId || "6825167ffe3452cafe0c8440";
+        const userId = requestUserId(req);
 
 
         if (!assetIds || !Array.isArray(assetIds) || assetIds.length === 0) {
@@ -153,6 +178,8 @@ exports.generateBrandFromAssets = async (req, res) => {
             return res.status(404).json({ success: false, message: 'No valid assets found' });
         }
 
+        eventBus.publish(userId, 'brand.generation_started', { brandName, assetCount: assets.length });
+
         // Process assets to extract colors, text, and imagery
         const brandData = await analyzeAssetsWithAI(assets, brandName, userId);
 
@@ -166,10 +193,21 @@ exports.generateBrandFromAssets = async (req, res) => {
             ...brandData,
             createdFromAssets: assets.map(asset => asset._id)
         });
+        await brandRevisionService.record(brand, { userId, source: 'ai', note: `Generated from ${assets.length} asset(s)` });
+
+        eventBus.publish(userId, 'brand.generated', {
+            brandId: brand._id.toString(),
+            brandName: brand.name,
+            generationMethod: brandData.aiInsights?.generationMethod || 'ai'
+        });
 
         res.status(201).json({ success: true, data: brand });
     } catch (error) {
         console.error('Error generating brand from assets:', error);
+        eventBus.publish(requestUserId(req), 'brand.generation_failed', {
+            brandName: req.body.brandName,
+            error: error.message
+        });
         res.status(500).json({ success: false, message: 'Failed to generate brand', error: error.message });
     }
 };
@@ -180,18 +218,12 @@ exports.generateBrandFromAssets = async (req, res) => {
 exports.updateBrandWithAsset = async (req, res) => {
     try {
         const { assetId } = req.body;
-        const brandId = req.params.id;
-
-        // Check if the asset and brand exist and belong to the user
-        const [brand, asset] = await Promise.all([
-            Brand.findOne({ _id: brandId, userId: req.userId }),
-            Asset.findOne({ _id: assetId, userId: req.userId })
-        ]);
 
-        if (!brand) {
-            return res.status(404).json({ success: false, message: 'Brand not found or access denied' });
-        }
+        // Editors may update the brand from one of their own assets
+        const brand = await findBrandForRole(req, res, 'editor');
+        if (!brand) return;
 
+        const asset = await Asset.findOne({ _id: assetId, userId: requestUserId(req) });
         if (!asset) {
             return res.status(404).json({ success: false, message: 'Asset not found or access denied' });
         }
@@ -202,11 +234,18 @@ exports.updateBrandWithAsset = async (req, res) => {
         }
 
         // Analyze the new asset and update the brand
+        const before = brandRevisionService.snapshot(brand);
         const updatedData = await analyzeAssetWithAI(asset, brand);
 
-        // Update brand with new data
+        // Update brand with new data (the previous state stays in the revision history)
         Object.assign(brand, updatedData);
         await brand.save();
+        await brandRevisionService.record(brand, {
+            userId: requestUserId(req),
+            source: 'asset',
+            note: `Updated from asset ${asset.name}`,
+            before
+        });
 
         res.status(200).json({ success: true, data: brand });
     } catch (error) {
@@ -216,45 +255,261 @@ exports.updateBrandWithAsset = async (req, res) => {
 };
 
 /**
- * Share a brand with other users
+ * Share a brand with other users as viewers (default) or editors
+ * Sharing again with an existing collaborator changes their role.
  */
 exports.shareBrand = async (req, res) => {
     try {
-        const { userEmails } = req.body;
-        const brandId = req.params.id;
+        const { userEmails, role = 'viewer' } = req.body;
 
         // Validate input
         if (!userEmails || !Array.isArray(userEmails) || userEmails.length === 0) {
             return res.status(400).json({ success: false, message: 'User emails are required' });
         }
-
-        // Find the brand and verify ownership
-        const brand = await Brand.findOne({ _id: brandId, userId: req.userId });
-        if (!brand) {
-            return res.status(404).json({ success: false, message: 'Brand not found or access denied' });
+        if (!Brand.COLLABORATOR_ROLES.includes(role)) {
+            return res.status(400).json({ success: false, message: `role must be one of: ${Brand.COLLABORATOR_ROLES.join(', ')}` });
         }
 
+        // Only the owner may share
+        const brand = await findBrandForRole(req, res, 'owner');
+        if (!brand) return;
+        const ownerId = brand.userId.toString();
+
         // Find users by email
         const users = await User.find({ email: { $in: userEmails } });
-        if (!users || users.length === 0) {
+        const recipients = users.filter(user => user._id.toString() !== ownerId);
+        if (recipients.length === 0) {
             return res.status(404).json({ success: false, message: 'No valid users found' });
         }
 
-        // Get user IDs
-        const userIds = users.map(user => user._id.toString());
-
-        // Update the brand's sharedWith array
-        brand.sharedWith = [...new Set([...brand.sharedWith, ...userIds])];
-        brand.shared = true;
+        recipients.forEach(user => {
+            const existing = brand.collaborators.find(collaborator => collaborator.userId.toString() === user._id.toString());
+            if (existing) {
+                existing.role = role;
+            } else {
+                brand.collaborators.push({ userId: user._id, role, addedBy: ownerId });
+            }
+        });
 
         await brand.save();
-        res.status(200).json({ success: true, data: brand });
+
+        recipients.forEach(user => {
+            eventBus.publish(user._id.toString(), 'brand.shared', {
+                brandId: brand._id,
+                brandName: brand.name,
+                role,
+                sharedBy: ownerId
+            });
+        });
+
+        res.status(200).json({ success: true, data: withAccessRole(brand, ownerId) });
     } catch (error) {
         console.error('Error sharing brand:', error);
         res.status(500).json({ success: false, message: 'Failed to share brand', error: error.message });
     }
 };
 
+/**
+ * Revoke a user's access to a brand
+ * The owner can remove any collaborator; collaborators can remove themselves.
+ */
+exports.revokeBrandAccess = async (req, res) => {
+    try {
+        const userId = requestUserId(req);
+        const targetUserId = req.params.userId;
+
+        const minimumRole = targetUserId === userId ? 'viewer' : 'owner';
+        const brand = await findBrandForRole(req, res, minimumRole);
+        if (!brand) return;
+
+        if (brand.roleFor(targetUserId) === 'owner') {
+            return res.status(400).json({ success: false, message: 'The owner cannot be removed from a brand' });
+        }
+        if (!brand.roleFor(targetUserId)) {
+            return res.status(404).json({ success: false, message: 'User is not a collaborator on this brand' });
+        }
+
+        // Both lists must drop the user, otherwise the sharedWith sync re-adds them as a viewer
+        brand.collaborators = brand.collaborators.filter(collaborator => collaborator.userId.toString() !== targetUserId);
+        brand.sharedWith = brand.sharedWith.filter(id => id.toString() !== targetUserId);
+        await brand.save();
+
+        eventBus.publish(targetUserId, 'brand.access_revoked', {
+            brandId: brand._id,
+            brandName: brand.name,
+            revokedBy: userId
+        });
+
+        res.status(200).json({ success: true, data: withAccessRole(brand, userId) });
+    } catch (error) {
+        console.error('Error revoking brand access:', error);
+        res.status(500).json({ success: false, message: 'Failed to revoke brand access', error: error.message });
+    }
+};
+
+/**
+ * List a brand's revisions, newest first (?limit=&before=)
+ */
+exports.getBrandRevisions = async (req, res) => {
+    try {
+        const brand = await findBrandForRole(req, res, 'viewer');
+        if (!brand) return;
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const before = parseInt(req.query.before, 10) || undefined;
+        const revisions = await brandRevisionService.list(brand._id, { limit, before });
+        res.status(200).json({ success: true, data: revisions });
+    } catch (error) {
+        console.error('Error fetching brand revisions:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch brand revisions', error: error.message });
+    }
+};
+
+/**
+ * Get one revision including its snapshot
+ */
+exports.getBrandRevision = async (req, res) => {
+    try {
+        const brand = await findBrandForRole(req, res, 'viewer');
+        if (!brand) return;
+
+        const revision = await brandRevisionService.get(brand._id, parseInt(req.params.revision, 10));
+        if (!revision) {
+            return res.status(404).json({ success: false, message: 'Revision not found' });
+        }
+        res.status(200).json({ success: true, data: revision });
+    } catch (error) {
+        console.error('Error fetching brand revision:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch brand revision', error: error.message });
+    }
+};
+
+/**
+ * Compare two revisions (?from=&to=, to defaults to the latest)
+ */
+exports.diffBrandRevisions = async (req, res) => {
+    try {
+        const from = parseInt(req.query.from, 10);
+        const to = req.query.to !== undefined ? parseInt(req.query.to, 10) : undefined;
+        if (!from || Number.isNaN(to)) {
+            return res.status(400).json({ success: false, message: 'from (and optional to) must be revision numbers' });
+        }
+
+        const brand = await findBrandForRole(req, res, 'viewer');
+        if (!brand) return;
+
+        const diff = await brandRevisionService.diff(brand._id, from, to);
+        if (!diff) {
+            return res.status(404).json({ success: false, message: 'Revision not found' });
+        }
+        res.status(200).json({ success: true, data: diff });
+    } catch (error) {
+        console.error('Error diffing brand revisions:', error);
+        res.status(500).json({ success: false, message: 'Failed to diff brand revisions', error: error.message });
+    }
+};
+
+/**
+ * Restore a brand to an earlier revision (recorded as a new revision)
+ */
+exports.rollbackBrand = async (req, res) => {
+    try {
+        const brand = await findBrandForRole(req, res, 'editor');
+        if (!brand) return;
+
+        const result = await brandRevisionService.rollback(brand, parseInt(req.params.revision, 10), requestUserId(req));
+        if (!result) {
+            return res.status(404).json({ success: false, message: 'Revision not found' });
+        }
+        res.status(200).json({ success: true, data: result.brand, revision: result.revision });
+    } catch (error) {
+        console.error('Error rolling back brand:', error);
+        res.status(500).json({ success: false, message: 'Failed to roll back brand', error: error.message });
+    }
+};
+
+/**
+ * Export a brand as a portable JSON bundle
+ * Logo and image files are embedded as base64 unless ?embed=false, which links them by URL.
+ */
+exports.exportBrand = async (req, res) => {
+    try {
+        const brand = await findBrandForRole(req, res, 'viewer');
+        if (!brand) return;
+
+        const bundle = await brandTransferService.exportBrand(brand, { embed: req.query.embed !== 'false' });
+        const fileName = (brand.name || 'brand').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'brand';
+
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}.brand.json"`);
+        res.status(200).json(bundle);
+    } catch (error) {
+        console.error('Error exporting brand:', error);
+        res.status(500).json({ success: false, message: 'Failed to export brand', error: error.message });
+    }
+};
+
+/**
+ * Get a brand's colors and fonts as design tokens
+ * ?format=w3c (default, W3C Design Tokens JSON), css (custom properties) or tailwind (config snippet)
+ * ?prefix= names the CSS variables and Tailwind color group (default "brand")
+ */
+exports.getBrandTokens = async (req, res) => {
+    try {
+        const { format = 'w3c', prefix = TOKENS_CONFIG.CSS_PREFIX } = req.query;
+        if (!TOKENS_CONFIG.FORMATS.includes(format)) {
+            return res.status(400).json({ success: false, message: `format must be one of ${TOKENS_CONFIG.FORMATS.join(', ')}` });
+        }
+        if (!/^[a-z][a-z0-9-]*$/i.test(prefix)) {
+            return res.status(400).json({ success: false, message: 'prefix may only contain letters, digits and hyphens' });
+        }
+
+        const brand = await findBrandForRole(req, res, 'viewer');
+        if (!brand) return;
+
+        const tokens = brandToDesignTokens(brand);
+        if (format === 'css') {
+            res.setHeader('Content-Type', 'text/css; charset=utf-8');
+            return res.status(200).send(toCssVariables(tokens, { prefix }));
+        }
+        if (format === 'tailwind') {
+            res.setHeader('Content-Type', 'application/javascript; charset=utf-8');
+            return res.status(200).send(toTailwindConfig(tokens, { prefix }));
+        }
+        res.status(200).json(tokens);
+    } catch (error) {
+        console.error('Error generating brand tokens:', error);
+        res.status(500).json({ success: false, message: 'Failed to generate brand tokens', error: error.message });
+    }
+};
+
+/**
+ * Recreate a brand from an exported bundle
+ * Body: the bundle itself, or { bundle, name } to rename the imported brand.
+ * Files are re-uploaded unless the user already has an asset with the same content hash.
+ */
+exports.importBrand = async (req, res) => {
+    try {
+        const userId = requestUserId(req);
+        const bundle = req.body.bundle || req.body;
+        const name = req.body.bundle ? req.body.name : req.query.name;
+
+        const errors = brandTransferService.validateBundle(bundle);
+        if (errors.length) {
+            return res.status(400).json({ success: false, message: 'Invalid brand bundle', errors });
+        }
+
+        const { brand, files } = await brandTransferService.importBrand(bundle, userId, { name });
+        await brandRevisionService.record(brand, { userId, source: 'import', note: bundle.exportedAt ? `Imported from export of ${bundle.exportedAt}` : undefined });
+        res.status(201).json({ success: true, data: brand, files });
+    } catch (error) {
+        console.error('Error importing brand:', error);
+        if (error instanceof mongoose.Error.ValidationError) {
+            return res.status(400).json({ success: false, message: 'Invalid brand bundle', errors: Object.values(error.errors).map(e => e.message) });
+        }
+        res.status(500).json({ success: false, message: 'Failed to import brand', error: error.message });
+    }
+};
+
 async function analyzeAssetsWithAI(assets, brandName) {
     // ----- Summarise the inputs -----
     const assetSummaries = assets.map(a => ({
@@ -4,6 +4,13 @@ const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs');
 const { uploadToCloudinary } = require('../utils/cloudinaryUploader');
+const axios = require('axios');
+const { rasterizePage } = require('../utils/layoutRenderer');
+const { renderPdf, parsePageRange, collectFontFamilies, PDF_CONFIG } = require('../utils/pdfRenderer');
+const Project = require('../models/Project.ts').default;
+const Layout = require('../models/Page.ts').default;
+const Presentation = require('../models/Presentation');
+const Asset = require('../models/Asset');
 
 /**
  * Configuration for canvas export
@@ -11,6 +18,9 @@ const { uploadToCloudinary } = require('../utils/cloudinaryUploader');
 const EXPORT_CONFIG = {
   // Supported export formats
   FORMATS: ['png', 'jpeg', 'webp'],
+
+  // Supported document formats (rendered from saved pages, not client snapshots)
+  DOCUMENT_FORMATS: ['pdf'],
   
   // Default quality settings per format
   DEFAULT_QUALITY: {
@@ -41,6 +51,124 @@ const ensureTempDir = () => {
   }
 };
 
+/**
+ * Apply format-specific encoding settings to a Sharp instance
+ * @param {import('sharp').Sharp} sharpInstance - Image pipeline to encode
+ * @param {string} format - One of EXPORT_CONFIG.FORMATS
+ * @param {number} exportQuality - Quality setting (1-100)
+ * @returns {import('sharp').Sharp} - Sharp instance with output format applied
+ */
+const applyFormatSettings = (sharpInstance, format, exportQuality) => {
+  switch (format.toLowerCase()) {
+    case 'png':
+      return sharpInstance.png({ 
+        quality: exportQuality,
+        compressionLevel: 6
+      });
+    case 'jpeg':
+      return sharpInstance.jpeg({ 
+        quality: exportQuality,
+        progressive: true
+      });
+    case 'webp':
+      return sharpInstance.webp({ 
+        quality: exportQuality,
+        lossless: exportQuality >= 100
+      });
+    default:
+      return sharpInstance;
+  }
+};
+
+/**
+ * Deliver an encoded export either as a direct download or via Cloudinary
+ * Falls back to direct download if the Cloudinary upload fails.
+ * @param {Object} res - Express response object
+ * @param {Buffer} processedBuffer - Encoded image
+ * @param {Object} options - Export details (format, quality, canvasWidth, canvasHeight, downloadMode, fileName, projectId, userId)
+ */
+const sendExport = async (res, processedBuffer, options) => {
+  const {
+    format,
+    quality: exportQuality,
+    canvasWidth,
+    canvasHeight,
+    downloadMode,
+    fileName,
+    projectId,
+    userId
+  } = options;
+
+  // Handle different download modes
+  if (downloadMode === 'cloudinary') {
+    try {
+      // Ensure temp directory exists
+      ensureTempDir();
+
+      // Generate unique temporary file path
+      const timestamp = Date.now();
+      const randomSuffix = Math.random().toString(36).substring(2, 8);
+      const tempFileName = `${EXPORT_CONFIG.FILE_PREFIX}${timestamp}_${randomSuffix}.${format}`;
+      const tempFilePath = path.join(EXPORT_CONFIG.TEMP_DIR, tempFileName);
+
+      // Write to temporary file
+      await fs.promises.writeFile(tempFilePath, processedBuffer);
+
+      // Upload to Cloudinary
+      const cloudinaryFolder = `users/${userId}/exports`;
+      const uploadOptions = {
+        resource_type: 'image',
+        context: `canvas_width=${canvasWidth}|canvas_height=${canvasHeight}|format=${format}|quality=${exportQuality}`,
+        tags: ['canvas_export', format, projectId ? `project_${projectId}` : 'standalone'].filter(Boolean)
+      };
+
+      const uploadResult = await uploadToCloudinary(tempFilePath, cloudinaryFolder, uploadOptions);
+
+      // Clean up temp file (uploadToCloudinary already does this, but just in case)
+      if (fs.existsSync(tempFilePath)) {
+        await fs.promises.unlink(tempFilePath);
+      }
+
+      return res.json({
+        success: true,
+        exportData: {
+          cloudinaryUrl: uploadResult.secure_url,
+          publicId: uploadResult.public_id,
+          format: uploadResult.format,
+          width: uploadResult.width,
+          height: uploadResult.height,
+          bytes: uploadResult.bytes
+        },
+        metadata: {
+          originalCanvas: { width: canvasWidth, height: canvasHeight },
+          format,
+          quality: exportQuality,
+          projectId,
+          exportedAt: new Date().toISOString()
+        }
+      });
+
+    } catch (cloudinaryError) {
+      console.error('Cloudinary upload failed, falling back to direct download:', cloudinaryError.message);
+      // Fall through to direct download
+    }
+  }
+
+  // Direct download mode (default and fallback)
+  const finalFileName = fileName || `canvas_export_${canvasWidth}x${canvasHeight}_${Date.now()}.${format}`;
+  
+  // Set response headers for download
+  res.set({
+    'Content-Type': format === 'pdf' ? 'application/pdf' : `image/${format}`,
+    'Content-Disposition': `attachment; filename="${finalFileName}"`,
+    'Content-Length': processedBuffer.length,
+    'Cache-Control': 'no-cache'
+  });
+
+  // Send the processed image buffer
+  return res.send(processedBuffer);
+};
+
 /**
  * Export canvas with exact aspect ratio preservation
  * @param {Object} req - Express request object
@@ -108,110 +236,292 @@ const exportCanvas = async (req, res) => {
     const exportQuality = quality || EXPORT_CONFIG.DEFAULT_QUALITY[format.toLowerCase()];
 
     // Process image with Sharp to ensure exact canvas dimensions
-    let sharpInstance = sharp(imageBuffer)
+    const sharpInstance = sharp(imageBuffer)
       .resize(canvasWidth, canvasHeight, {
         fit: 'fill', // Ensures exact dimensions matching canvas size
         withoutEnlargement: false
       });
 
-    // Apply format-specific settings
-    switch (format.toLowerCase()) {
-      case 'png':
-        sharpInstance = sharpInstance.png({ 
-          quality: exportQuality,
-          compressionLevel: 6
-        });
-        break;
-      case 'jpeg':
-        sharpInstance = sharpInstance.jpeg({ 
-          quality: exportQuality,
-          progressive: true
-        });
-        break;
-      case 'webp':
-        sharpInstance = sharpInstance.webp({ 
-          quality: exportQuality,
-          lossless: exportQuality >= 100
-        });
-        break;
+    const processedBuffer = await applyFormatSettings(sharpInstance, format, exportQuality).toBuffer();
+
+    return sendExport(res, processedBuffer, {
+      format,
+      quality: exportQuality,
+      canvasWidth,
+      canvasHeight,
+      downloadMode,
+      fileName,
+      projectId,
+      userId
+    });
+
+  } catch (error) {
+    console.error('Canvas export error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Canvas export failed', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Render a project's Layout page on the server (no client snapshot required)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const renderProject = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      format = 'png',
+      quality,
+      pageIndex = 0,
+      scale = 1,
+      downloadMode = 'direct', // 'direct' or 'cloudinary'
+      fileName
+    } = req.body;
+
+    // Validate format
+    if (!EXPORT_CONFIG.FORMATS.includes(format.toLowerCase())) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Unsupported format. Supported formats: ${EXPORT_CONFIG.FORMATS.join(', ')}` 
+      });
     }
 
-    const processedBuffer = await sharpInstance.toBuffer();
+    const renderScale = parseFloat(scale);
+    if (!renderScale || renderScale <= 0) {
+      return res.status(400).json({ success: false, error: 'scale must be a positive number' });
+    }
 
-    // Handle different download modes
-    if (downloadMode === 'cloudinary') {
-      try {
-        // Ensure temp directory exists
-        ensureTempDir();
+    const project = await Project.findById(id);
+    if (!project) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
 
-        // Generate unique temporary file path
-        const timestamp = Date.now();
-        const randomSuffix = Math.random().toString(36).substring(2, 8);
-        const tempFileName = `${EXPORT_CONFIG.FILE_PREFIX}${timestamp}_${randomSuffix}.${format}`;
-        const tempFilePath = path.join(EXPORT_CONFIG.TEMP_DIR, tempFileName);
+    const layout = await Layout.findById(project.layoutId);
+    if (!layout) {
+      return res.status(404).json({ success: false, error: 'Project layout not found' });
+    }
 
-        // Write to temporary file
-        await fs.promises.writeFile(tempFilePath, processedBuffer);
+    const page = layout.pages[parseInt(pageIndex, 10)];
+    if (!page) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Page ${pageIndex} does not exist (project has ${layout.pages.length} pages)` 
+      });
+    }
 
-        // Upload to Cloudinary
-        const cloudinaryFolder = `users/${userId}/exports`;
-        const uploadOptions = {
-          resource_type: 'image',
-          context: `canvas_width=${canvasWidth}|canvas_height=${canvasHeight}|format=${format}|quality=${exportQuality}`,
-          tags: ['canvas_export', format, projectId ? `project_${projectId}` : 'standalone'].filter(Boolean)
-        };
+    const canvasWidth = Math.round((page.canvas?.width || 800) * renderScale);
+    const canvasHeight = Math.round((page.canvas?.height || 600) * renderScale);
 
-        const uploadResult = await uploadToCloudinary(tempFilePath, cloudinaryFolder, uploadOptions);
+    // Validate dimensions
+    if (canvasWidth > EXPORT_CONFIG.MAX_DIMENSIONS.width || 
+        canvasHeight > EXPORT_CONFIG.MAX_DIMENSIONS.height) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Rendered dimensions exceed maximum allowed size: ${EXPORT_CONFIG.MAX_DIMENSIONS.width}x${EXPORT_CONFIG.MAX_DIMENSIONS.height}` 
+      });
+    }
 
-        // Clean up temp file (uploadToCloudinary already does this, but just in case)
-        if (fs.existsSync(tempFilePath)) {
-          await fs.promises.unlink(tempFilePath);
-        }
+    const exportQuality = quality || EXPORT_CONFIG.DEFAULT_QUALITY[format.toLowerCase()];
+    const sharpInstance = await rasterizePage(page, { scale: renderScale });
+    const processedBuffer = await applyFormatSettings(sharpInstance, format, exportQuality).toBuffer();
 
-        return res.json({
-          success: true,
-          exportData: {
-            cloudinaryUrl: uploadResult.secure_url,
-            publicId: uploadResult.public_id,
-            format: uploadResult.format,
-            width: uploadResult.width,
-            height: uploadResult.height,
-            bytes: uploadResult.bytes
-          },
-          metadata: {
-            originalCanvas: { width: canvasWidth, height: canvasHeight },
-            format,
-            quality: exportQuality,
-            projectId,
-            exportedAt: new Date().toISOString()
-          }
-        });
+    return sendExport(res, processedBuffer, {
+      format,
+      quality: exportQuality,
+      canvasWidth,
+      canvasHeight,
+      downloadMode,
+      fileName,
+      projectId: id,
+      userId: project.ownerId?.toString()
+    });
 
-      } catch (cloudinaryError) {
-        console.error('Cloudinary upload failed, falling back to direct download:', cloudinaryError.message);
-        // Fall through to direct download
-      }
+  } catch (error) {
+    console.error('Project render error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Project render failed', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Load the user's uploaded font files for the given families
+ * Fonts that cannot be downloaded are skipped so the export falls back to standard fonts.
+ * @param {string} userId - Owner of the font assets
+ * @param {string[]} families - Font families used by the document
+ * @returns {Promise<Map<string, Buffer>>} - Font bytes keyed by family name
+ */
+const loadCustomFonts = async (userId, families) => {
+  const fonts = new Map();
+  if (!userId || families.length === 0) return fonts;
+
+  const fontAssets = await Asset.find({
+    userId,
+    type: 'font',
+    'metadata.fontFamily': { $in: families }
+  });
+
+  for (const fontAsset of fontAssets) {
+    const fontUrl = fontAsset.cloudinaryUrl || fontAsset.url;
+    if (!fontUrl) continue;
+
+    try {
+      const response = await axios.get(fontUrl, { responseType: 'arraybuffer', timeout: 15000 });
+      fonts.set(fontAsset.metadata.fontFamily, Buffer.from(response.data));
+    } catch (error) {
+      console.warn(`Could not download font "${fontAsset.metadata.fontFamily}" for PDF export:`, error.message);
     }
+  }
 
-    // Direct download mode (default and fallback)
-    const finalFileName = fileName || `canvas_export_${canvasWidth}x${canvasHeight}_${Date.now()}.${format}`;
-    
-    // Set response headers for download
-    res.set({
-      'Content-Type': `image/${format}`,
-      'Content-Disposition': `attachment; filename="${finalFileName}"`,
-      'Content-Length': processedBuffer.length,
-      'Cache-Control': 'no-cache'
+  return fonts;
+};
+
+/**
+ * Render a set of pages to PDF and send it using the requested download mode
+ * @param {Object} res - Express response object
+ * @param {Array} pages - All pages of the document
+ * @param {Object} options - { title, pageRange, print, bleed, downloadMode, fileName, projectId, userId }
+ */
+const sendPagesAsPdf = async (res, pages, options) => {
+  const {
+    title,
+    pageRange,
+    print,
+    bleed,
+    downloadMode,
+    fileName,
+    projectId,
+    userId
+  } = options;
+
+  if (!pages || pages.length === 0) {
+    return res.status(400).json({ success: false, error: 'Document has no pages to export' });
+  }
+
+  let selectedPages;
+  try {
+    selectedPages = parsePageRange(pageRange, pages.length).map(index => pages[index]);
+  } catch (rangeError) {
+    return res.status(400).json({ success: false, error: rangeError.message });
+  }
+  if (selectedPages.length > PDF_CONFIG.MAX_PAGES) {
+    return res.status(400).json({ success: false, error: `Cannot export more than ${PDF_CONFIG.MAX_PAGES} pages at once` });
+  }
+
+  const bleedSize = bleed === undefined ? PDF_CONFIG.DEFAULT_BLEED : parseFloat(bleed);
+  if (isNaN(bleedSize) || bleedSize < 0) {
+    return res.status(400).json({ success: false, error: 'bleed must be a non-negative number of points' });
+  }
+
+  const fonts = await loadCustomFonts(userId, collectFontFamilies(selectedPages));
+  const pdfBuffer = await renderPdf(selectedPages, { title, fonts, print, bleed: bleedSize });
+
+  const firstPage = selectedPages[0];
+  const firstCanvas = firstPage.canvas || firstPage.canvasSize || {};
+
+  return sendExport(res, pdfBuffer, {
+    format: 'pdf',
+    quality: null,
+    canvasWidth: firstCanvas.width,
+    canvasHeight: firstCanvas.height,
+    downloadMode,
+    fileName: fileName || `${(title || 'export').replace(/[^a-z0-9_-]+/gi, '_')}.pdf`,
+    projectId,
+    userId
+  });
+};
+
+/**
+ * Export a project's Layout pages as a multi-page PDF
+ * Print-type projects get bleed and crop marks unless `print` is explicitly false.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const exportProjectPdf = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      pages: pageRange,
+      print,
+      bleed,
+      downloadMode = 'direct', // 'direct' or 'cloudinary'
+      fileName
+    } = req.body;
+
+    const project = await Project.findById(id);
+    if (!project) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    const layout = await Layout.findById(project.layoutId);
+    if (!layout) {
+      return res.status(404).json({ success: false, error: 'Project layout not found' });
+    }
+
+    return await sendPagesAsPdf(res, layout.pages, {
+      title: project.title,
+      pageRange,
+      print: print === undefined ? project.type === 'print' : !!print,
+      bleed,
+      downloadMode,
+      fileName,
+      projectId: id,
+      userId: project.ownerId?.toString() // custom fonts are the project owner's
+    });
+
+  } catch (error) {
+    console.error('Project PDF export error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      error: 'PDF export failed', 
+      details: error.message 
     });
+  }
+};
 
-    // Send the processed image buffer
-    return res.send(processedBuffer);
+/**
+ * Export a legacy presentation's pages as a multi-page PDF
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const exportPresentationPdf = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      pages: pageRange,
+      print = false,
+      bleed,
+      downloadMode = 'direct', // 'direct' or 'cloudinary'
+      fileName
+    } = req.body;
+
+    const presentation = await Presentation.findById(id);
+    if (!presentation) {
+      return res.status(404).json({ success: false, error: 'Presentation not found' });
+    }
+
+    return await sendPagesAsPdf(res, presentation.pages, {
+      title: presentation.title,
+      pageRange,
+      print: !!print,
+      bleed,
+      downloadMode,
+      fileName,
+      projectId: null,
+      userId: presentation.userId
+    });
 
   } catch (error) {
-    console.error('Canvas export error:', error);
+    console.error('Presentation PDF export error:', error);
     return res.status(500).json({ 
       success: false, 
-      error: 'Canvas export failed', 
+      error: 'PDF export failed', 
       details: error.message 
     });
   }
@@ -361,9 +671,15 @@ const getExportFormats = (req, res) => {
     return res.json({
       success: true,
       supportedFormats: formatInfo,
+      documentFormats: EXPORT_CONFIG.DOCUMENT_FORMATS.map(format => ({
+        format,
+        description: getFormatDescription(format)
+      })),
       maxDimensions: EXPORT_CONFIG.MAX_DIMENSIONS,
       features: [
         'Exact aspect ratio preservation',
+        'Server-side rendering of saved projects',
+        'Multi-page PDF with page ranges, embedded fonts and print bleed',
         'Multiple quality settings',
         'Direct download or cloud upload',
         'Metadata tracking',
@@ -389,7 +705,8 @@ const getFormatDescription = (format) => {
   const descriptions = {
     'png': 'High quality, lossless compression, supports transparency',
     'jpeg': 'Good quality, lossy compression, smaller file sizes',
-    'webp': 'Modern format, excellent compression, good browser support'
+    'webp': 'Modern format, excellent compression, good browser support',
+    'pdf': 'Multi-page document with vector text, suitable for sharing and print'
   };
   
   return descriptions[format] || 'Supported image format';
@@ -397,6 +714,9 @@ const getFormatDescription = (format) => {
 
 module.exports = {
   exportCanvas,
+  renderProject,
+  exportProjectPdf,
+  exportPresentationPdf,
   generateThumbnail,
   getExportFormats
 };
\ No newline at end of file
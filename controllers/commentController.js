@@ -0,0 +1,370 @@
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const Project = require('../models/Project.ts').default;
+const eventBus = require('../services/eventBus');
+const { getProjectRole, hasProjectRole, SHARE_LINK_ROLES } = require('../utils/projectAccess');
+
+// "@jane@example.com" style mentions in a comment body
+const MENTION_PATTERN = /(?:^|\s)@([^\s@]+@[^\s@]+\.[a-z]{2,})/gi;
+
+const ANCHOR_FIELDS = ['pageId', 'pageIndex', 'elementId', 'x', 'y'];
+
+/**
+ * Load the project in req.params.projectId (or the project of req.shareLink) and check the requesting
+ * user has at least `minimumRole` on it. Sends the error response and returns null when they do not.
+ */
+async function loadProjectAccess(req, res, minimumRole = 'viewer') {
+  // Set by the auth middleware, or by the share link middleware for link holders; never taken from the request itself
+  const userId = req.userId;
+  if (!userId) {
+    res.status(401).json({ message: 'Authentication required' });
+    return null;
+  }
+
+  const link = req.shareLink;
+  const projectId = link ? link.resourceId.toString() : req.params.projectId;
+  const project = mongoose.Types.ObjectId.isValid(projectId) ? await Project.findById(projectId) : null;
+  if (!project) {
+    res.status(404).json({ message: 'Project not found' });
+    return null;
+  }
+
+  // Share link holders get the link's role unless they already have more
+  let role = getProjectRole(project, userId);
+  if (link && !hasProjectRole(role, SHARE_LINK_ROLES[link.role])) role = SHARE_LINK_ROLES[link.role];
+  if (!role) {
+    res.status(403).json({ message: 'You do not have access to this project' });
+    return null;
+  }
+  if (!hasProjectRole(role, minimumRole)) {
+    res.status(403).json({ message: `This action requires the ${minimumRole} role on this project` });
+    return null;
+  }
+  return { project, userId: userId.toString(), role };
+}
+
+// Comment in req.params.commentId, which must belong to the project
+async function findProjectComment(project, commentId) {
+  if (!mongoose.Types.ObjectId.isValid(commentId)) return null;
+  return Comment.findOne({ _id: commentId, projectId: project._id });
+}
+
+/**
+ * Validate an anchor from the request body
+ * @returns {{anchor: Object|undefined, error: string|null}}
+ */
+function parseAnchor(input) {
+  if (input === undefined || input === null) return { anchor: undefined, error: null };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'anchor must be an object' };
+
+  const anchor = {};
+  ANCHOR_FIELDS.forEach(field => {
+    if (input[field] !== undefined && input[field] !== null) anchor[field] = input[field];
+  });
+  if (!Object.keys(anchor).length) return { error: `anchor needs at least one of ${ANCHOR_FIELDS.join(', ')}` };
+  if ((anchor.x === undefined) !== (anchor.y === undefined)) return { error: 'anchor.x and anchor.y go together' };
+  if (['x', 'y'].some(field => anchor[field] !== undefined && !Number.isFinite(anchor[field]))) {
+    return { error: 'anchor.x and anchor.y must be numbers' };
+  }
+  if (anchor.pageIndex !== undefined && !(Number.isInteger(anchor.pageIndex) && anchor.pageIndex >= 0)) {
+    return { error: 'anchor.pageIndex must be a page index' };
+  }
+  return { anchor, error: null };
+}
+
+/**
+ * Users mentioned in a comment: explicit `mentions` (user IDs or emails) plus @email tokens in the body
+ * Only people who can see the project are kept; the author is never notified of their own comment.
+ * @returns {Promise<{mentions: string[], ignored: string[]}>}
+ */
+async function resolveMentions(project, body, requested, authorId) {
+  const tokens = new Set(Array.isArray(requested) ? requested.map(String) : []);
+  for (const match of body.matchAll(MENTION_PATTERN)) tokens.add(match[1].toLowerCase());
+  if (!tokens.size) return { mentions: [], ignored: [] };
+
+  const ids = [...tokens].filter(token => mongoose.Types.ObjectId.isValid(token));
+  const emails = [...tokens].filter(token => token.includes('@')).map(token => token.toLowerCase());
+  const users = await User.find({ $or: [{ _id: { $in: ids } }, { email: { $in: emails } }] }).select('_id email');
+
+  const mentions = new Set();
+  const ignored = [];
+  tokens.forEach(token => {
+    const user = users.find(entry => entry._id.toString() === token || entry.email === token.toLowerCase());
+    const id = user && user._id.toString();
+    if (!user || (id !== authorId && !getProjectRole(project, id))) ignored.push(token);
+    else if (id !== authorId) mentions.add(id);
+  });
+  return { mentions: [...mentions], ignored };
+}
+
+// Tell mentioned users, and the thread's other participants for replies, about a comment
+function notifyComment(project, comment, thread, { mentions = [], participants = [] } = {}) {
+  const data = {
+    projectId: project._id,
+    projectTitle: project.title,
+    commentId: comment._id,
+    threadId: thread._id,
+    authorId: comment.authorId,
+    body: comment.body.slice(0, 200),
+    anchor: thread.anchor
+  };
+
+  mentions.forEach(userId => eventBus.publish(userId, 'comment.mention', data));
+
+  new Set(participants).forEach(userId => {
+    if (userId !== comment.authorId && !mentions.includes(userId)) {
+      eventBus.publish(userId, 'comment.reply', data);
+    }
+  });
+}
+
+// Add author names and group replies under their thread
+async function buildThreads(roots, replies) {
+  const authorIds = [...new Set([...roots, ...replies].map(comment => comment.authorId))]
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+  const authors = await User.find({ _id: { $in: authorIds } }).select('name email');
+  const names = new Map(authors.map(user => [user._id.toString(), user.name || user.email]));
+
+  const withAuthor = (comment) => ({
+    ...comment.toJSON(),
+    author: { id: comment.authorId, name: names.get(comment.authorId) || null }
+  });
+
+  return roots.map(root => ({
+    ...withAuthor(root),
+    replies: replies
+      .filter(reply => reply.parentId.toString() === root._id.toString())
+      .map(withAuthor)
+  }));
+}
+
+/**
+ * List a project's comment threads, newest first, each with its replies
+ * Query: status (open|resolved|all, default all), elementId, pageId, pageIndex
+ */
+exports.getComments = async (req, res) => {
+  try {
+    const access = await loadProjectAccess(req, res);
+    if (!access) return;
+
+    const { status = 'all', elementId, pageId, pageIndex } = req.query;
+    if (!['open', 'resolved', 'all'].includes(status)) {
+      return res.status(400).json({ message: 'status must be open, resolved or all' });
+    }
+
+    const filter = { projectId: access.project._id, parentId: null };
+    if (status !== 'all') filter.status = status;
+    if (elementId) filter['anchor.elementId'] = elementId;
+    if (pageId) filter['anchor.pageId'] = pageId;
+    if (pageIndex !== undefined) filter['anchor.pageIndex'] = parseInt(pageIndex, 10);
+
+    const roots = await Comment.find(filter).sort({ createdAt: -1 });
+    const replies = await Comment.find({ parentId: { $in: roots.map(root => root._id) } }).sort({ createdAt: 1 });
+    const openCount = await Comment.countDocuments({ projectId: access.project._id, parentId: null, status: 'open' });
+
+    res.status(200).json({ threads: await buildThreads(roots, replies), openCount });
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Get one thread with its replies
+ */
+exports.getComment = async (req, res) => {
+  try {
+    const access = await loadProjectAccess(req, res);
+    if (!access) return;
+
+    const comment = await findProjectComment(access.project, req.params.commentId);
+    if (!comment) return res.status(404).json({ message: 'Comment not found' });
+
+    const root = comment.parentId ? await Comment.findById(comment.parentId) : comment;
+    const replies = await Comment.find({ parentId: root._id }).sort({ createdAt: 1 });
+    const [thread] = await buildThreads([root], replies);
+    res.status(200).json(thread);
+  } catch (error) {
+    console.error('Error fetching comment:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Start a comment thread
+ * Body: { body, anchor?: { pageId?, pageIndex?, elementId?, x?, y? }, mentions?: [userId or email] }
+ */
+exports.createComment = async (req, res) => {
+  try {
+    const access = await loadProjectAccess(req, res, 'commenter');
+    if (!access) return;
+
+    const { body, mentions: requested } = req.body;
+    if (!body || typeof body !== 'string' || !body.trim()) {
+      return res.status(400).json({ message: 'body is required' });
+    }
+    const { anchor, error } = parseAnchor(req.body.anchor);
+    if (error) return res.status(400).json({ message: error });
+
+    const { mentions, ignored } = await resolveMentions(access.project, body, requested, access.userId);
+    const comment = await Comment.create({
+      projectId: access.project._id,
+      authorId: access.userId,
+      body,
+      anchor,
+      mentions
+    });
+
+    notifyComment(access.project, comment, comment, { mentions });
+    res.status(201).json({ ...comment.toJSON(), replies: [], ignoredMentions: ignored });
+  } catch (error) {
+    console.error('Error creating comment:', error);
+    res.status(400).json({ message: 'Failed to create comment', error: error.message });
+  }
+};
+
+/**
+ * Reply to a thread (replying to a reply adds to the same thread)
+ * Body: { body, mentions? }
+ */
+exports.replyToComment = async (req, res) => {
+  try {
+    const access = await loadProjectAccess(req, res, 'commenter');
+    if (!access) return;
+
+    const { body, mentions: requested } = req.body;
+    if (!body || typeof body !== 'string' || !body.trim()) {
+      return res.status(400).json({ message: 'body is required' });
+    }
+
+    const comment = await findProjectComment(access.project, req.params.commentId);
+    if (!comment) return res.status(404).json({ message: 'Comment not found' });
+    const thread = comment.parentId ? await Comment.findById(comment.parentId) : comment;
+
+    const { mentions, ignored } = await resolveMentions(access.project, body, requested, access.userId);
+    const reply = await Comment.create({
+      projectId: access.project._id,
+      parentId: thread._id,
+      authorId: access.userId,
+      body,
+      mentions
+    });
+
+    // The thread's author and earlier repliers hear about new replies
+    const repliers = await Comment.distinct('authorId', { parentId: thread._id });
+    notifyComment(access.project, reply, thread, { mentions, participants: [thread.authorId, ...repliers] });
+
+    res.status(201).json({ ...reply.toJSON(), ignoredMentions: ignored });
+  } catch (error) {
+    console.error('Error replying to comment:', error);
+    res.status(400).json({ message: 'Failed to reply to comment', error: error.message });
+  }
+};
+
+/**
+ * Edit a comment's body or anchor (author only)
+ * Body: { body?, anchor? } anchor: null removes it (thread comments only)
+ */
+exports.updateComment = async (req, res) => {
+  try {
+    const access = await loadProjectAccess(req, res, 'commenter');
+    if (!access) return;
+
+    const comment = await findProjectComment(access.project, req.params.commentId);
+    if (!comment) return res.status(404).json({ message: 'Comment not found' });
+    if (comment.authorId !== access.userId) {
+      return res.status(403).json({ message: 'Only the author can edit a comment' });
+    }
+
+    const { body } = req.body;
+    if (body !== undefined) {
+      if (typeof body !== 'string' || !body.trim()) return res.status(400).json({ message: 'body cannot be empty' });
+      const { mentions } = await resolveMentions(access.project, body, req.body.mentions, access.userId);
+      const added = mentions.filter(userId => !comment.mentions.includes(userId));
+      comment.body = body;
+      comment.mentions = mentions;
+      comment.editedAt = new Date();
+      const thread = comment.parentId ? await Comment.findById(comment.parentId) : comment;
+      notifyComment(access.project, comment, thread, { mentions: added });
+    }
+
+    if (req.body.anchor !== undefined) {
+      if (comment.parentId) return res.status(400).json({ message: 'Only the first comment of a thread has an anchor' });
+      const { anchor, error } = parseAnchor(req.body.anchor);
+      if (error) return res.status(400).json({ message: error });
+      comment.anchor = anchor;
+    }
+
+    await comment.save();
+    res.status(200).json(comment);
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    res.status(400).json({ message: 'Failed to update comment', error: error.message });
+  }
+};
+
+/**
+ * Delete a comment (its author or the project owner); deleting a thread's first comment deletes the thread
+ */
+exports.deleteComment = async (req, res) => {
+  try {
+    const access = await loadProjectAccess(req, res, 'commenter');
+    if (!access) return;
+
+    const comment = await findProjectComment(access.project, req.params.commentId);
+    if (!comment) return res.status(404).json({ message: 'Comment not found' });
+    if (comment.authorId !== access.userId && access.role !== 'owner') {
+      return res.status(403).json({ message: 'Only the author or the project owner can delete a comment' });
+    }
+
+    const { deletedCount } = await Comment.deleteMany({ $or: [{ _id: comment._id }, { parentId: comment._id }] });
+    res.status(200).json({ message: 'Comment deleted', deleted: deletedCount });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Resolve or reopen a thread; anyone who can comment may do either
+const setThreadStatus = (status) => async (req, res) => {
+  try {
+    const access = await loadProjectAccess(req, res, 'commenter');
+    if (!access) return;
+
+    const comment = await findProjectComment(access.project, req.params.commentId);
+    if (!comment) return res.status(404).json({ message: 'Comment not found' });
+    const thread = comment.parentId ? await Comment.findById(comment.parentId) : comment;
+
+    if (thread.status !== status) {
+      thread.status = status;
+      thread.resolvedBy = status === 'resolved' ? access.userId : undefined;
+      thread.resolvedAt = status === 'resolved' ? new Date() : undefined;
+      await thread.save();
+
+      if (thread.authorId !== access.userId) {
+        eventBus.publish(thread.authorId, `comment.${status === 'resolved' ? 'resolved' : 'reopened'}`, {
+          projectId: access.project._id,
+          projectTitle: access.project.title,
+          threadId: thread._id,
+          by: access.userId
+        });
+      }
+    }
+
+    res.status(200).json(thread);
+  } catch (error) {
+    console.error(`Error setting comment thread ${status}:`, error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Mark a thread resolved
+ */
+exports.resolveComment = setThreadStatus('resolved');
+
+/**
+ * Reopen a resolved thread
+ */
+exports.reopenComment = setThreadStatus('open');
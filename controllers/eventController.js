@@ -0,0 +1,57 @@
+const eventBus = require('../services/eventBus');
+
+// Comment line sent periodically so proxies don't close idle connections
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * Format an event as a Server-Sent Events frame
+ */
+const formatEvent = (event) =>
+  `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+
+/**
+ * Stream a user's job events over Server-Sent Events
+ * Query: userId (EventSource cannot send headers), types (optional comma-separated filter)
+ * Reconnecting clients send Last-Event-ID and receive the events they missed.
+ */
+exports.streamEvents = (req, res) => {
+  const userId = req.userId || req.query.userId;
+  if (!userId) {
+    return res.status(400).json({ message: 'userId is required' });
+  }
+
+  const types = req.query.types
+    ? req.query.types.split(',').map(type => type.trim()).filter(Boolean)
+    : null;
+  const wants = (event) => !types || types.includes(event.type);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx response buffering
+  });
+  res.flushHeaders();
+
+  // Tell the client how long to wait before reconnecting, then confirm the subscription
+  res.write('retry: 5000\n\n');
+  res.write(`event: connected\ndata: ${JSON.stringify({ userId, types })}\n\n`);
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+  if (!Number.isNaN(lastEventId)) {
+    eventBus.getEventsSince(userId, lastEventId)
+      .filter(wants)
+      .forEach(event => res.write(formatEvent(event)));
+  }
+
+  const unsubscribe = eventBus.subscribe(userId, (event) => {
+    if (wants(event)) res.write(formatEvent(event));
+  });
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
@@ -1,5 +1,6 @@
 const Folder = require('../models/Folder');
 const Asset = require('../models/Asset');
+const ShareLink = require('../models/ShareLink');
 
 
 // Get all folders for a user (with optional parent folder filtering)
@@ -255,8 +256,9 @@ exports.deleteFolder = async (req, res) => {
     // Delete all assets in these folders
     await Asset.deleteMany({ folderId: { $in: folderIds } });
     
-    // Delete all folders
+    // Delete all folders and links to them
     await Folder.deleteMany({ _id: { $in: folderIds } });
+    await ShareLink.deleteMany({ resourceType: 'folder', resourceId: { $in: folderIds } });
     
     res.status(200).json({ message: 'Folder and all contents deleted successfully' });
   } catch (error) {
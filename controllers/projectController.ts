@@ -4,6 +4,7 @@ import mongoose from 'mongoose';
 import * as ProjectModule from '../models/Project';
 import * as TemplateModule from '../models/Template';
 import * as LayoutModule from '../models/Page'; // Page.ts exports Layout model
+import { revisionFilter } from '../models/Page';
 
 // Services / helpers
 import { processProjectThumbnail } from '../utils/thumbnailProcessor';
@@ -11,6 +12,17 @@ import templateVectorService from '../services/templateVectorService';
 import { getPresetsList } from '../config/projectPresets';
 const imageAnalysisService = require('../services/imageAnalysisService');
 const Asset = require('../models/Asset');
+const Brand = require('../models/Brand');
+const brandCompliance = require('../utils/brandCompliance');
+const { applyLayoutEdits } = require('../utils/layoutEdits');
+const { diffLayouts } = require('../utils/layoutDiff');
+const { applyBrandToLayout, APPLY_BRAND_CONFIG } = require('../utils/brandKit');
+const projectVersionService = require('../services/projectVersionService');
+const { applyPatch, validatePatch } = require('../utils/jsonPatch');
+const collaborationService = require('../services/collaborationService');
+const Comment = require('../models/Comment');
+const ShareLink = require('../models/ShareLink');
+const { getProjectRole, hasProjectRole, SHARE_LINK_ROLES } = require('../utils/projectAccess');
 
 // Extract the default exports
 const Project = (ProjectModule as any).default || ProjectModule;
@@ -22,6 +34,29 @@ const Layout = (LayoutModule as any).default || LayoutModule;
  * ------------------------------------------------------------------ */
 const isObjectId = (id: string) => mongoose.Types.ObjectId.isValid(id);
 
+/**
+ * Load a brand the user owns or has been shared. Without a brandId, falls
+ * back to the user's active brand, then their first one.
+ */
+async function findBrandForUser(brandId: string | undefined, user: any) {
+  const userId = (user || '').toString();
+  if (brandId) {
+    return Brand.findOne({ _id: brandId, ...Brand.accessFilter(userId) });
+  }
+  const brands = await Brand.find({ userId });
+  return brands.find((item: any) => item.isActive) || brands[0] || null;
+}
+
+/**
+ * The requester's role on a project; share link holders get the link's role
+ * unless they already have more.
+ */
+function requestProjectRole(req: any, project: any) {
+  const role = getProjectRole(project, req.userId);
+  const link = req.shareLink;
+  return link && !hasProjectRole(role, SHARE_LINK_ROLES[link.role]) ? SHARE_LINK_ROLES[link.role] : role;
+}
+
 /**
  * Build a Mongo filter object from the incoming query string for projects.
  * Only fields that exist on the new Project model are supported.
@@ -235,7 +270,10 @@ export const createProject = async (req: any, res: any) => {
       return res.status(500).json({ message: 'Failed to create project' });
     }
 
-    // 4️⃣  Vectorize if it could serve as a template
+    // 4️⃣  Start the version history with the initial layout
+    await projectVersionService.record(project, layoutDoc, { userId: req.userId || project.ownerId, note: 'Project created' });
+
+    // 5️⃣  Vectorize if it could serve as a template
     await vectorizeTemplate(project);
 
     console.log('Project created successfully:', project);
@@ -260,9 +298,13 @@ export const updateProject = async (req: any, res: any) => {
     const project = await Project.findById(id);
     if (!project) return res.status(404).json({ message: 'Project not found' });
 
-    // 🔄 1. Handle layout update
+    // 🔄 1. Handle layout update, snapshotting the result (unchanged pages are not re-recorded)
     if (payload.layout) {
-      await Layout.findByIdAndUpdate(project.layoutId, payload.layout, { new: true, runValidators: true });
+      const before = await Layout.findById(project.layoutId);
+      const updatedLayout = await Layout.findByIdAndUpdate(project.layoutId, payload.layout, { new: true, runValidators: true });
+      if (updatedLayout) {
+        await projectVersionService.record(project, updatedLayout, { userId: req.userId, before });
+      }
     }
 
     // 🔄 2. Handle thumbnail & other meta updates
@@ -278,14 +320,102 @@ export const updateProject = async (req: any, res: any) => {
   }
 };
 
+/**
+ * Apply an RFC 6902 JSON Patch to the project's layout, so saves only send what changed.
+ * Body: { baseRevision, operations } or, with Content-Type application/json-patch+json,
+ * the operations array with the base revision in an If-Match header. Responds 409 when
+ * the layout has moved past baseRevision (or a "test" operation fails) and 422 when an
+ * operation cannot be applied; the layout is unchanged in both cases.
+ */
+export const patchProjectLayout = async (req: any, res: any) => {
+  try {
+    const { id } = req.params;
+    const operations = Array.isArray(req.body) ? req.body : req.body.operations;
+    const ifMatch = req.headers?.['if-match'];
+    const baseRevision = Array.isArray(req.body)
+      ? (ifMatch ? Number(String(ifMatch).replace(/^W\//, '').replace(/"/g, '')) : NaN)
+      : req.body.baseRevision;
+
+    const invalid = validatePatch(operations);
+    if (invalid.length) return res.status(400).json({ message: 'Invalid patch', errors: invalid });
+    if (!Number.isInteger(baseRevision) || baseRevision < 0) {
+      return res.status(400).json({ message: 'baseRevision (or an If-Match header) is required' });
+    }
+    const outsidePages = operations.find((operation: any) =>
+      [operation.path, operation.from].some(path => typeof path === 'string' && !/^\/pages(\/|$)/.test(path))
+    );
+    if (outsidePages) {
+      return res.status(400).json({ message: `Only /pages can be patched (got "${outsidePages.path}")` });
+    }
+
+    const project = await Project.findById(id);
+    if (!project) return res.status(404).json({ message: 'Project not found' });
+    if (req.userId && !hasProjectRole(requestProjectRole(req, project), 'editor')) {
+      return res.status(403).json({ message: 'Only the project owner and editors can change its layout' });
+    }
+
+    const layout = await Layout.findById(project.layoutId);
+    if (!layout) return res.status(404).json({ message: 'Project layout not found' });
+
+    const currentRevision = layout.revision || 0;
+    if (currentRevision !== baseRevision) {
+      return res.status(409).json({ message: 'Layout has changed since baseRevision', baseRevision, currentRevision });
+    }
+
+    const result = applyPatch({ pages: layout.toObject().pages }, operations);
+    if (result.error) {
+      return res.status(result.error.conflict ? 409 : 422).json({ message: result.error.message, error: result.error, currentRevision });
+    }
+
+    // Conditional on the revision so a save that landed since the read is not overwritten
+    const updatedLayout = await Layout.findOneAndUpdate(
+      { _id: project.layoutId, revision: revisionFilter(baseRevision) },
+      { pages: result.document.pages },
+      { new: true, runValidators: true }
+    );
+    if (!updatedLayout) {
+      const latest = await Layout.findById(project.layoutId).select('revision');
+      return res.status(409).json({ message: 'Layout has changed since baseRevision', baseRevision, currentRevision: latest?.revision });
+    }
+
+    await projectVersionService.record(project, updatedLayout, { userId: req.userId, before: layout });
+
+    res.setHeader('ETag', `"${updatedLayout.revision}"`);
+    res.status(200).json({ projectId: project._id, revision: updatedLayout.revision, applied: operations.length });
+  } catch (err: any) {
+    console.error('patchProjectLayout error', err);
+    res.status(500).json({ message: 'Failed to patch layout', error: err.message });
+  }
+};
+
+/**
+ * Who is currently editing the project in a collaboration session (the session
+ * itself runs over a WebSocket at /api/projects/:id/collaborate).
+ */
+export const getProjectParticipants = async (req: any, res: any) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    if (!project) return res.status(404).json({ message: 'Project not found' });
+
+    const participants = await collaborationService.getParticipants(project._id);
+    res.status(200).json(participants);
+  } catch (err: any) {
+    console.error('getProjectParticipants error', err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
 export const deleteProject = async (req: any, res: any) => {
   try {
     const { id } = req.params;
     const project = await Project.findById(id);
     if (!project) return res.status(404).json({ message: 'Project not found' });
 
-    // Delete layout first to avoid orphans
+    // Delete layout, its history, review comments and share links first to avoid orphans
     await Layout.findByIdAndDelete(project.layoutId);
+    await projectVersionService.deleteForProject(project._id);
+    await Comment.deleteMany({ projectId: project._id });
+    await ShareLink.deleteMany({ resourceType: 'project', resourceId: project._id });
     await Project.findByIdAndDelete(id);
 
     res.status(200).json({ message: 'Project deleted' });
@@ -362,6 +492,214 @@ export const toggleTemplate = async (req: any, res: any) => {
   }
 };
 
+/**
+ * Check a project's layout against a brand's palette, typography and logos.
+ * Query: brandId? (defaults to the user's active brand), fix? ('true' rewrites
+ * off-brand colors and fonts to the nearest brand value and saves the layout).
+ * Missing logos are reported but never added automatically.
+ */
+export const checkBrandCompliance = async (req: any, res: any) => {
+  try {
+    const { id } = req.params;
+    const { brandId, fix } = req.query;
+
+    const project = await Project.findById(id);
+    if (!project) return res.status(404).json({ message: 'Project not found' });
+
+    const layout = await Layout.findById(project.layoutId);
+    if (!layout) return res.status(404).json({ message: 'Project layout not found' });
+
+    if (brandId && !isObjectId(brandId)) return res.status(400).json({ message: 'Invalid brandId' });
+    const brand = await findBrandForUser(brandId, req.userId || project.ownerId);
+    if (!brand) return res.status(404).json({ message: 'Brand not found' });
+
+    const before = brandCompliance.checkBrandCompliance(layout, brand);
+    const brandInfo = { brandId: brand._id, name: brand.name };
+
+    if (fix !== 'true' || !before.fixes.length) {
+      return res.status(200).json({ projectId: project._id, brand: brandInfo, ...before });
+    }
+
+    const { layout: fixed, applied, errors } = applyLayoutEdits(layout, before.fixes, { atomic: false });
+    const diff = diffLayouts(layout, fixed);
+    if (diff.hasChanges) {
+      const updatedLayout = await Layout.findByIdAndUpdate(project.layoutId, { pages: fixed.pages }, { new: true, runValidators: true });
+      await projectVersionService.record(project, updatedLayout, { userId: req.userId, before: layout, note: `Fixed compliance with brand "${brand.name}"` });
+    }
+
+    res.status(200).json({
+      projectId: project._id,
+      brand: brandInfo,
+      ...brandCompliance.checkBrandCompliance(fixed, brand),
+      fixed: { applied, errors, diff, previousScore: before.score }
+    });
+  } catch (err: any) {
+    console.error('checkBrandCompliance error', err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Restyle a project with a brand: the layout's color roles (primary, secondary,
+ * accent…) and heading/body fonts are mapped onto the brand's palette and
+ * typography, and the default logo is optionally added to the first page.
+ * Body: { brandId?, insertLogo?, logoPosition? } (brandId defaults to the user's active brand)
+ */
+export const applyBrand = async (req: any, res: any) => {
+  try {
+    const { id } = req.params;
+    const { brandId, insertLogo = false, logoPosition = 'top-right' } = req.body;
+
+    if (!APPLY_BRAND_CONFIG.LOGO_POSITIONS.includes(logoPosition)) {
+      return res.status(400).json({ message: `logoPosition must be one of ${APPLY_BRAND_CONFIG.LOGO_POSITIONS.join(', ')}` });
+    }
+
+    const project = await Project.findById(id);
+    if (!project) return res.status(404).json({ message: 'Project not found' });
+
+    const layout = await Layout.findById(project.layoutId);
+    if (!layout) return res.status(404).json({ message: 'Project layout not found' });
+
+    if (brandId && !isObjectId(brandId)) return res.status(400).json({ message: 'Invalid brandId' });
+    const brand = await findBrandForUser(brandId, req.userId || project.ownerId);
+    if (!brand) return res.status(404).json({ message: 'Brand not found' });
+
+    const result = applyBrandToLayout(layout, brand, { insertLogo, logoPosition });
+    const diff = diffLayouts(layout, result.layout);
+
+    const updatedLayout = diff.hasChanges
+      ? await Layout.findByIdAndUpdate(project.layoutId, { pages: result.layout.pages }, { new: true, runValidators: true })
+      : layout;
+    if (diff.hasChanges) {
+      await projectVersionService.record(project, updatedLayout, { userId: req.userId, before: layout, note: `Applied brand "${brand.name}"` });
+    }
+
+    res.status(200).json({
+      projectId: project._id,
+      brand: { brandId: brand._id, name: brand.name },
+      mapping: result.mapping,
+      logo: result.logo,
+      diff,
+      layout: updatedLayout
+    });
+  } catch (err: any) {
+    console.error('applyBrand error', err);
+    res.status(400).json({ message: 'Failed to apply brand', error: err.message });
+  }
+};
+
+/**
+ * List a project's layout versions, newest first, without their pages.
+ * Query: limit?, before? (only versions older than this number), named? ('true' for manual versions only)
+ */
+export const getProjectVersions = async (req: any, res: any) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    if (!project) return res.status(404).json({ message: 'Project not found' });
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const before = parseInt(req.query.before, 10) || undefined;
+    const versions = await projectVersionService.list(project._id, { limit, before, named: req.query.named === 'true' });
+    res.status(200).json(versions);
+  } catch (err: any) {
+    console.error('getProjectVersions error', err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Save the project's current layout as a named version, which retention never prunes.
+ * Body: { name, note? }
+ */
+export const createProjectVersion = async (req: any, res: any) => {
+  try {
+    const { name, note } = req.body;
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'name is required' });
+    }
+
+    const project = await Project.findById(req.params.id);
+    if (!project) return res.status(404).json({ message: 'Project not found' });
+    if (!hasProjectRole(requestProjectRole(req, project), 'editor')) {
+      return res.status(403).json({ message: 'Only the project owner and editors can save versions' });
+    }
+
+    const layout = await Layout.findById(project.layoutId);
+    if (!layout) return res.status(404).json({ message: 'Project layout not found' });
+
+    const version = await projectVersionService.createNamed(project, layout, { userId: req.userId, name: name.trim(), note });
+    res.status(201).json(version);
+  } catch (err: any) {
+    console.error('createProjectVersion error', err);
+    res.status(400).json({ message: 'Failed to create version', error: err.message });
+  }
+};
+
+/**
+ * Get one version including its pages.
+ */
+export const getProjectVersion = async (req: any, res: any) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    if (!project) return res.status(404).json({ message: 'Project not found' });
+
+    const version = await projectVersionService.get(project._id, parseInt(req.params.version, 10));
+    if (!version) return res.status(404).json({ message: 'Version not found' });
+
+    res.status(200).json(version);
+  } catch (err: any) {
+    console.error('getProjectVersion error', err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Structural diff between two versions.
+ * Query: from (required), to? (defaults to the latest version)
+ */
+export const diffProjectVersions = async (req: any, res: any) => {
+  try {
+    const from = parseInt(req.query.from, 10);
+    const to = req.query.to !== undefined ? parseInt(req.query.to, 10) : undefined;
+    if (!from || (to !== undefined && !to)) {
+      return res.status(400).json({ message: 'from (and optional to) must be version numbers' });
+    }
+
+    const project = await Project.findById(req.params.id);
+    if (!project) return res.status(404).json({ message: 'Project not found' });
+
+    const diff = await projectVersionService.diff(project._id, from, to);
+    if (!diff) return res.status(404).json({ message: 'Version not found' });
+
+    res.status(200).json(diff);
+  } catch (err: any) {
+    console.error('diffProjectVersions error', err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Restore the project's layout to an earlier version. The current layout stays
+ * in the history, so a restore can itself be undone.
+ */
+export const restoreProjectVersion = async (req: any, res: any) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    if (!project) return res.status(404).json({ message: 'Project not found' });
+    if (!hasProjectRole(requestProjectRole(req, project), 'editor')) {
+      return res.status(403).json({ message: 'Only the project owner and editors can restore versions' });
+    }
+
+    const result = await projectVersionService.restore(project, parseInt(req.params.version, 10), req.userId);
+    if (!result) return res.status(404).json({ message: 'Version not found' });
+
+    res.status(200).json({ projectId: project._id, layout: result.layout, version: result.version });
+  } catch (err: any) {
+    console.error('restoreProjectVersion error', err);
+    res.status(400).json({ message: 'Failed to restore version', error: err.message });
+  }
+};
+
 export const getProjectPresets = async (req: any, res: any) => {
   try {
     const presets = getPresetsList();
@@ -834,8 +1172,17 @@ export default {
   createProject,
   createProjectFromImage,
   updateProject,
+  patchProjectLayout,
+  getProjectParticipants,
   deleteProject,
   cloneProject,
+  checkBrandCompliance,
+  applyBrand,
+  getProjectVersions,
+  createProjectVersion,
+  getProjectVersion,
+  diffProjectVersions,
+  restoreProjectVersion,
   getTemplates,
   searchTemplates,
   getSimilarTemplates,
@@ -0,0 +1,282 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const ShareLink = require('../models/ShareLink');
+const Folder = require('../models/Folder');
+const Asset = require('../models/Asset');
+const Project = require('../models/Project.ts').default;
+const Layout = require('../models/Page.ts').default;
+const { patchProjectLayout } = require('./projectController.ts');
+const { rasterizePage } = require('../utils/layoutRenderer');
+const { getProjectRole } = require('../utils/projectAccess');
+
+/**
+ * Configuration for share links
+ */
+const SHARE_CONFIG = {
+  // Roles a link may grant per resource; folders hold assets only, so their links are view links
+  ROLES: {
+    project: ['view', 'comment', 'edit'],
+    folder: ['view']
+  },
+
+  MIN_PASSWORD_LENGTH: 4,
+  MAX_EXPIRY_DAYS: 365,
+
+  PREVIEW_FORMATS: ['png', 'jpeg', 'webp'],
+  MAX_PREVIEW_SCALE: 2,
+
+  // How deep a shared folder's subfolders can be browsed
+  MAX_FOLDER_DEPTH: 20
+};
+
+/**
+ * Load the project or folder in req.params.id (of type req.shareResourceType) and check the
+ * signed-in user owns it. Sends the error response and returns null when they do not.
+ */
+async function loadOwnedResource(req, res) {
+  const userId = req.userId; // set by the auth middleware; never taken from the request itself
+  if (!userId) {
+    res.status(401).json({ message: 'Authentication required' });
+    return null;
+  }
+
+  const resourceType = req.shareResourceType;
+  const Model = resourceType === 'project' ? Project : Folder;
+  const resource = mongoose.Types.ObjectId.isValid(req.params.id) ? await Model.findById(req.params.id) : null;
+  if (!resource) {
+    res.status(404).json({ message: `${resourceType === 'project' ? 'Project' : 'Folder'} not found` });
+    return null;
+  }
+
+  const isOwner = resourceType === 'project'
+    ? getProjectRole(resource, userId) === 'owner'
+    : resource.userId === userId.toString();
+  if (!isOwner) {
+    res.status(403).json({ message: `Only the ${resourceType} owner can manage its share links` });
+    return null;
+  }
+  return { resource, resourceType, userId: userId.toString() };
+}
+
+/**
+ * Work out a link's expiry from the request body
+ * @returns {{expiresAt: Date|null, error: string|null}}
+ */
+function parseExpiry({ expiresAt, expiresInDays }) {
+  if (expiresAt !== undefined && expiresInDays !== undefined) {
+    return { error: 'Use expiresAt or expiresInDays, not both' };
+  }
+
+  let expiry = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!(days > 0) || days > SHARE_CONFIG.MAX_EXPIRY_DAYS) {
+      return { error: `expiresInDays must be between 0 and ${SHARE_CONFIG.MAX_EXPIRY_DAYS}` };
+    }
+    expiry = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  } else if (expiresAt !== undefined && expiresAt !== null) {
+    expiry = new Date(expiresAt);
+    if (Number.isNaN(expiry.getTime())) return { error: 'expiresAt must be a date' };
+    if (expiry <= new Date()) return { error: 'expiresAt must be in the future' };
+  }
+  return { expiresAt: expiry, error: null };
+}
+
+// Whether a folder is the shared folder or somewhere beneath it
+async function isWithinFolder(folder, rootId) {
+  let current = folder;
+  for (let depth = 0; current && depth <= SHARE_CONFIG.MAX_FOLDER_DEPTH; depth++) {
+    if (current._id.toString() === rootId.toString()) return true;
+    if (!current.parentId) return false;
+    current = await Folder.findById(current.parentId).select('parentId');
+  }
+  return false;
+}
+
+/**
+ * Create a share link for a project or folder (owner only)
+ * Body: { role?: 'view'|'comment'|'edit', label?, expiresAt? | expiresInDays?, password? }
+ * The token is only returned here; afterwards links are listed without it.
+ */
+exports.createShareLink = async (req, res) => {
+  try {
+    const owned = await loadOwnedResource(req, res);
+    if (!owned) return;
+
+    const { role = 'view', label, password } = req.body;
+    const roles = SHARE_CONFIG.ROLES[owned.resourceType];
+    if (!roles.includes(role)) {
+      return res.status(400).json({ message: `role must be one of ${roles.join(', ')} for a ${owned.resourceType}` });
+    }
+
+    const { expiresAt, error } = parseExpiry(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    if (password !== undefined && password !== null &&
+        (typeof password !== 'string' || password.length < SHARE_CONFIG.MIN_PASSWORD_LENGTH)) {
+      return res.status(400).json({ message: `password must be at least ${SHARE_CONFIG.MIN_PASSWORD_LENGTH} characters` });
+    }
+    const passwordHash = password ? await bcrypt.hash(password, await bcrypt.genSalt(10)) : null;
+
+    const token = ShareLink.generateToken();
+    const link = await ShareLink.create({
+      tokenHash: ShareLink.hashToken(token),
+      resourceType: owned.resourceType,
+      resourceId: owned.resource._id,
+      role,
+      label,
+      createdBy: owned.userId,
+      expiresAt,
+      passwordHash
+    });
+
+    res.status(201).json({ ...link.toOwnerJSON(), token, path: `/api/share/${token}` });
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    res.status(400).json({ message: 'Failed to create share link', error: error.message });
+  }
+};
+
+/**
+ * List a project's or folder's share links, newest first (owner only)
+ * Query: active=true to leave out revoked and expired links
+ */
+exports.getShareLinks = async (req, res) => {
+  try {
+    const owned = await loadOwnedResource(req, res);
+    if (!owned) return;
+
+    const links = await ShareLink.find({ resourceType: owned.resourceType, resourceId: owned.resource._id })
+      .select('+passwordHash')
+      .sort({ createdAt: -1 });
+
+    const listed = req.query.active === 'true' ? links.filter(link => link.isActive()) : links;
+    res.status(200).json(listed.map(link => link.toOwnerJSON()));
+  } catch (error) {
+    console.error('Error fetching share links:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Revoke a share link (owner only); revoked links stay listed but stop working
+ */
+exports.revokeShareLink = async (req, res) => {
+  try {
+    const owned = await loadOwnedResource(req, res);
+    if (!owned) return;
+
+    const { linkId } = req.params;
+    const link = mongoose.Types.ObjectId.isValid(linkId)
+      ? await ShareLink.findOne({ _id: linkId, resourceType: owned.resourceType, resourceId: owned.resource._id }).select('+passwordHash')
+      : null;
+    if (!link) return res.status(404).json({ message: 'Share link not found' });
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      link.revokedBy = owned.userId;
+      await link.save();
+    }
+
+    res.status(200).json(link.toOwnerJSON());
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Read-only view of a shared resource for link holders
+ * Projects come with their layout; folders with their subfolders and assets (?folderId= browses a subfolder).
+ */
+exports.getSharedResource = async (req, res) => {
+  try {
+    const link = req.shareLink;
+    const share = { role: link.role, resourceType: link.resourceType, label: link.label, expiresAt: link.expiresAt };
+
+    if (link.resourceType === 'project') {
+      const project = await Project.findById(link.resourceId);
+      if (!project) return res.status(404).json({ message: 'The shared project no longer exists' });
+      const layout = await Layout.findById(project.layoutId);
+
+      return res.status(200).json({
+        share,
+        project: {
+          _id: project._id,
+          title: project.title,
+          description: project.description,
+          type: project.type,
+          thumbnail: project.thumbnail,
+          tags: project.tags,
+          updatedAt: project.updatedAt
+        },
+        layout: layout ? { pages: layout.pages, revision: layout.revision } : null
+      });
+    }
+
+    const { folderId } = req.query;
+    const folder = folderId
+      ? (mongoose.Types.ObjectId.isValid(folderId) ? await Folder.findById(folderId) : null)
+      : await Folder.findById(link.resourceId);
+    if (!folder || !(await isWithinFolder(folder, link.resourceId))) {
+      return res.status(404).json({ message: 'Folder not found' });
+    }
+
+    const folders = await Folder.find({ parentId: folder._id }).select('name slug updatedAt').sort({ name: 1 });
+    const assets = await Asset.find({ folderId: folder._id })
+      .select('name type mimeType fileSize url cloudinaryUrl thumbnail tags createdAt')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      share,
+      folder: { _id: folder._id, name: folder.name, parentId: folder.parentId, updatedAt: folder.updatedAt },
+      folders,
+      assets
+    });
+  } catch (error) {
+    console.error('Error fetching shared resource:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Rendered image of a shared project's page
+ * Query: page (index, default 0), format (png|jpeg|webp, default png), scale (default 1, at most MAX_PREVIEW_SCALE)
+ */
+exports.getSharedPreview = async (req, res) => {
+  try {
+    const { page: pageIndex = 0, format = 'png', scale = 1 } = req.query;
+    if (!SHARE_CONFIG.PREVIEW_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of ${SHARE_CONFIG.PREVIEW_FORMATS.join(', ')}` });
+    }
+    const renderScale = parseFloat(scale);
+    if (!(renderScale > 0) || renderScale > SHARE_CONFIG.MAX_PREVIEW_SCALE) {
+      return res.status(400).json({ message: `scale must be between 0 and ${SHARE_CONFIG.MAX_PREVIEW_SCALE}` });
+    }
+
+    const project = await Project.findById(req.shareLink.resourceId);
+    const layout = project && await Layout.findById(project.layoutId);
+    if (!layout) return res.status(404).json({ message: 'The shared project no longer exists' });
+
+    const page = layout.pages[parseInt(pageIndex, 10)];
+    if (!page) {
+      return res.status(400).json({ message: `Page ${pageIndex} does not exist (project has ${layout.pages.length} pages)` });
+    }
+
+    const image = await (await rasterizePage(page, { scale: renderScale })).toFormat(format).toBuffer();
+    res.setHeader('Content-Type', `image/${format}`);
+    res.setHeader('Cache-Control', 'private, max-age=60');
+    res.status(200).send(image);
+  } catch (error) {
+    console.error('Error rendering shared preview:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Apply a JSON Patch to a shared project's layout (edit links); same contract as PATCH /api/projects/:id/layout
+ */
+exports.patchSharedLayout = (req, res) => {
+  req.params.id = req.shareLink.resourceId.toString();
+  return patchProjectLayout(req, res);
+};
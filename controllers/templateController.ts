@@ -10,6 +10,10 @@ import Template from '../models/Template';
 import Project from '../models/Project';
 import { LayoutDocument as Layout } from '../models/Page';
 import { getPresetsList } from '../config/projectPresets';
+import { collectTokenReferences, buildTokenValues, resolveLayoutTokens } from '../utils/templateTokens';
+import { brandToTokenValues } from '../utils/brandKit';
+import { extractTokens } from '../utils/tokenExtractor';
+const Brand = require('../models/Brand');
 
 /* Helper ------------------------------------------------------------------ */
 const isObjectId = (id: string) => {
@@ -185,8 +189,7 @@ export const deleteTemplate = async (req: Request, res: Response) => {
 export const useTemplate = async (req: Request, res: Response) => {
   try {
     const { id } = req.params;            // template id
-    const { ownerId } = req.body;         // new project owner
-    
+    const { ownerId, tokens = {}, brandId } = req.body; // new project owner + token overrides
 
     if (!ownerId) return res.status(400).json({ message: 'ownerId is required' });
 
@@ -219,7 +222,36 @@ export const useTemplate = async (req: Request, res: Response) => {
       plainLayout = fetched.toObject();
     }
     delete plainLayout._id; // ensure new _id is generateds
-    const clonedLayout = await Layout.create(JSON.parse(JSON.stringify(plainLayout)));
+    const layoutCopy = JSON.parse(JSON.stringify(plainLayout));
+
+    /* --------------------------------------------------
+ * Resolve design tokens (defaults < brand < overrides)
+ * -------------------------------------------------- */
+    let brandValues = {};
+    if (brandId) {
+      if (!isObjectId(brandId)) return res.status(400).json({ message: 'Invalid brandId' });
+      // Only brands the user owns or has been shared
+      const userId = ((req as any).userId || ownerId).toString();
+      const brand = await Brand.findOne({ _id: brandId, ...Brand.accessFilter(userId) });
+      if (!brand) return res.status(404).json({ message: 'Brand not found' });
+      brandValues = brandToTokenValues(brand);
+    }
+
+    const { values, errors } = buildTokenValues((tmpl as any).tokens, {
+      overrides: tokens,
+      brandValues,
+      references: collectTokenReferences(layoutCopy)
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid template tokens', errors });
+    }
+
+    const { unresolved } = resolveLayoutTokens(layoutCopy, values);
+    if (unresolved.length > 0) {
+      console.warn(`useTemplate: unresolved tokens in template ${id}: ${unresolved.join(', ')}`);
+    }
+
+    const clonedLayout = await Layout.create(layoutCopy);
 
     const project = await Project.create({
       title: `${tmpl.title} (Copy)`,
@@ -251,17 +283,30 @@ export const createTemplateFromProject = async (req: Request, res: Response) =>
     // Slug must be unique
     if (!slug) return res.status(400).json({ message: 'slug is required' });
 
-    const template = await Template.create({
-      title: proj.title,
-      slug,
-      aspectRatio: proj.type,
-      categories,
-      tags,
-      layoutId: proj.layoutId,
-      embedding: [],        // supply via background job
-      tokens: {},           // build if possible
-      status: 'draft'
-    });
+    const sourceLayout = await Layout.findById(proj.layoutId);
+    if (!sourceLayout) return res.status(404).json({ message: 'Project layout not found' });
+
+    // Lift colors/fonts/images/copy into tokens; the template gets its own tokenized layout
+    const { tokens, layout: tokenizedLayout } = extractTokens(sourceLayout.toObject());
+    const templateLayout = await Layout.create(tokenizedLayout);
+
+    let template;
+    try {
+      template = await Template.create({
+        title: proj.title,
+        slug,
+        aspectRatio: proj.type,
+        categories,
+        tags,
+        layoutId: templateLayout._id,
+        embedding: [],        // supply via background job
+        tokens,
+        status: 'draft'
+      });
+    } catch (createErr) {
+      await Layout.findByIdAndDelete(templateLayout._id); // don't leave an orphaned layout behind
+      throw createErr;
+    }
 
     res.status(201).json(template);
   } catch (err: any) {
@@ -7,6 +7,9 @@ import tools from './agent/tools/index.mjs';
 const getBrandingTool = tools.find(tool => tool.name === 'getBranding');
 const createBrandedProjectTool = tools.find(tool => tool.name === 'createBrandedProject');
 
+// Tools act as the user in configurable.userId, as set by the agent controller
+const toolConfig = { configurable: { userId: '6825167ffe3452cafe0c8440' } };
+
 // Example agent workflow for: "Create a social media post for my business"
 async function exampleAgentWorkflow(userRequest = "Create a social media post for my business") {
     console.log(`User Request: "${userRequest}"\n`);
@@ -21,9 +24,7 @@ async function exampleAgentWorkflow(userRequest = "Create a social media post fo
     // Step 2: Get user's branding
     console.log("🎨 Step 1: Fetching user branding...");
     try {
-        const brandingResult = await getBrandingTool.invoke({
-            userId: '6825167ffe3452cafe0c8440'
-        });
+        const brandingResult = await getBrandingTool.invoke({}, toolConfig);
         
         if (brandingResult.success) {
             console.log("✅ Brand information retrieved:");
@@ -100,9 +101,8 @@ async function exampleAgentWorkflow(userRequest = "Create a social media post fo
                             ]
                         }]
                     }
-                },
-                userId: '6825167ffe3452cafe0c8440'
-            });
+                }
+            }, toolConfig);
             
             if (projectResult.success) {
                 console.log("✅ Branded project created successfully!");
@@ -0,0 +1,17 @@
+// Guards operational endpoints with a shared key sent in the X-Admin-Key header
+const adminAuthMiddleware = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  // Admin endpoints are disabled unless a key is configured
+  if (!adminKey) {
+    return res.status(403).json({ message: 'Admin access is not configured' });
+  }
+
+  if (req.header('X-Admin-Key') !== adminKey) {
+    return res.status(401).json({ message: 'Invalid admin key, access denied' });
+  }
+
+  next();
+};
+
+module.exports = adminAuthMiddleware;
@@ -0,0 +1,48 @@
+const bcrypt = require('bcryptjs');
+const ShareLink = require('../models/ShareLink');
+const { hasProjectRole, SHARE_LINK_ROLES } = require('../utils/projectAccess');
+
+// Resolves the share link in req.params.token and checks it allows `minimumRole` ('view', 'comment' or 'edit')
+// on a resource of `resourceType` (any when omitted). Password protected links need an X-Share-Password header.
+// Sets req.shareLink; link holders who are not signed in act as "share-link:<link id>".
+const shareLinkMiddleware = (minimumRole = 'view', resourceType) => async (req, res, next) => {
+  try {
+    const link = await ShareLink.findOne({ tokenHash: ShareLink.hashToken(req.params.token) }).select('+passwordHash');
+    if (!link || (resourceType && link.resourceType !== resourceType)) {
+      return res.status(404).json({ message: 'Share link not found' });
+    }
+    if (link.revokedAt) {
+      return res.status(410).json({ message: 'This share link has been revoked' });
+    }
+    if (!link.isActive()) {
+      return res.status(410).json({ message: 'This share link has expired', expiredAt: link.expiresAt });
+    }
+
+    if (link.passwordHash) {
+      const password = req.header('X-Share-Password');
+      if (!password) {
+        return res.status(401).json({ message: 'This share link is password protected', passwordRequired: true });
+      }
+      if (!(await bcrypt.compare(password, link.passwordHash))) {
+        return res.status(401).json({ message: 'Incorrect share link password', passwordRequired: true });
+      }
+    }
+
+    if (!hasProjectRole(SHARE_LINK_ROLES[link.role], SHARE_LINK_ROLES[minimumRole])) {
+      return res.status(403).json({ message: `This share link does not allow that (it is a ${link.role} link)` });
+    }
+
+    // Usage stats are best effort
+    ShareLink.updateOne({ _id: link._id }, { $set: { lastAccessedAt: new Date() }, $inc: { accessCount: 1 } })
+      .catch(error => console.error('Error recording share link access:', error.message));
+
+    req.shareLink = link;
+    req.userId = req.userId || `share-link:${link._id}`;
+    next();
+  } catch (error) {
+    console.error('Share link error:', error);
+    return res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = shareLinkMiddleware;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Serialized LangGraph checkpoint; one document per checkpoint of an agent thread
+const AgentCheckpointSchema = new Schema({
+  threadId: {
+    type: String,
+    required: true
+  },
+  checkpointNs: {
+    type: String,
+    default: ''
+  },
+  checkpointId: {
+    type: String,
+    required: true
+  },
+  parentCheckpointId: {
+    type: String
+  },
+  type: {
+    type: String // Serializer type of checkpoint and metadata
+  },
+  checkpoint: {
+    type: Buffer,
+    required: true
+  },
+  metadata: {
+    type: Buffer
+  },
+  expiresAt: {
+    type: Date // Refreshed for the whole thread on every new checkpoint
+  }
+}, {
+  timestamps: true // Automatically add createdAt and updatedAt fields
+});
+
+// Checkpoint ids are time-ordered, so sorting by id gives thread history
+AgentCheckpointSchema.index({ threadId: 1, checkpointNs: 1, checkpointId: -1 }, { unique: true });
+// Remove threads once they have been idle past their expiry
+AgentCheckpointSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AgentCheckpoint', AgentCheckpointSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Pending channel write recorded by a task against an agent checkpoint
+const AgentCheckpointWriteSchema = new Schema({
+  threadId: {
+    type: String,
+    required: true
+  },
+  checkpointNs: {
+    type: String,
+    default: ''
+  },
+  checkpointId: {
+    type: String,
+    required: true
+  },
+  taskId: {
+    type: String,
+    required: true
+  },
+  idx: {
+    type: Number,
+    required: true // Position in the task's writes; negative for special channels
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String // Serializer type of value
+  },
+  value: {
+    type: Buffer
+  },
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true // Automatically add createdAt and updatedAt fields
+});
+
+AgentCheckpointWriteSchema.index(
+  { threadId: 1, checkpointNs: 1, checkpointId: 1, taskId: 1, idx: 1 },
+  { unique: true }
+);
+// Expire together with the thread's checkpoints
+AgentCheckpointWriteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AgentCheckpointWrite', AgentCheckpointWriteSchema);
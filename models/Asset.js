@@ -72,6 +72,9 @@ const AssetSchema = new Schema({
   },
   vectorLastUpdated: {
     type: Date // Track when vector was last updated
+  },
+  vectorProvider: {
+    type: String // Embedding provider signature the vector was built with (e.g. "openai:text-embedding-ada-002:1536")
   }
 }, {
   timestamps: true // Automatically add createdAt and updatedAt fields
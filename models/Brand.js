@@ -69,6 +69,29 @@ const LogoSchema = new Schema({
     }
 }, { _id: false });
 
+// Roles that can be granted to collaborators (the owner's role is implicit)
+const COLLABORATOR_ROLES = ['viewer', 'editor'];
+
+// Schema for a user the brand is shared with
+const CollaboratorSchema = new Schema({
+    userId: {
+        type: String,
+        required: true
+    },
+    role: {
+        type: String,
+        enum: COLLABORATOR_ROLES,
+        default: 'viewer'
+    },
+    addedBy: {
+        type: String
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
 // Schema for brand voice/tone
 const BrandVoiceSchema = new Schema({
     tone: {
@@ -111,6 +134,7 @@ const BrandSchema = new Schema({
         trim: true
     },
     colorPalettes: [ColorPaletteSchema],
+    typography: [TypographySchema],
     logos: [LogoSchema],
     brandVoice: BrandVoiceSchema,
     images: [{
@@ -132,8 +156,9 @@ const BrandSchema = new Schema({
         default: false
     },
     sharedWith: [{
-        type: String // User IDs
+        type: String // User IDs; kept in sync with collaborators for access queries
     }],
+    collaborators: [CollaboratorSchema],
     createdFromAssets: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Asset'
@@ -146,8 +171,58 @@ const BrandSchema = new Schema({
     timestamps: true // Automatically add createdAt and updatedAt fields
 });
 
+// What each role may do; owners can also share, revoke and delete
+const BRAND_ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// Users listed only in sharedWith (shared before roles existed) become viewers,
+// then sharedWith is rebuilt from collaborators
+BrandSchema.pre('validate', function syncSharedWith(next) {
+    const known = new Set(this.collaborators.map(collaborator => collaborator.userId));
+    (this.sharedWith || []).forEach(userId => {
+        if (!known.has(userId) && userId !== this.userId) {
+            this.collaborators.push({ userId, role: 'viewer' });
+            known.add(userId);
+        }
+    });
+    this.sharedWith = this.collaborators.map(collaborator => collaborator.userId);
+    this.shared = this.collaborators.length > 0;
+    next();
+});
+
+BrandSchema.statics.COLLABORATOR_ROLES = COLLABORATOR_ROLES;
+
+/**
+ * Query filter for brands the user owns or has been shared
+ */
+BrandSchema.statics.accessFilter = function accessFilter(userId) {
+    const id = (userId || '').toString();
+    return { $or: [{ userId: id }, { sharedWith: id }] };
+};
+
+/**
+ * The user's role on this brand: owner, editor, viewer or null
+ */
+BrandSchema.methods.roleFor = function roleFor(userId) {
+    const id = (userId || '').toString();
+    if (!id) return null;
+    if (this.userId === id) return 'owner';
+    const collaborator = (this.collaborators || []).find(entry => entry.userId === id);
+    if (collaborator) return collaborator.role;
+    return (this.sharedWith || []).includes(id) ? 'viewer' : null;
+};
+
+/**
+ * Whether the user's role is at least the given one
+ */
+BrandSchema.methods.canAccess = function canAccess(userId, minimumRole = 'viewer') {
+    const role = this.roleFor(userId);
+    return !!role && BRAND_ROLE_RANK[role] >= BRAND_ROLE_RANK[minimumRole];
+};
+
 // Index for faster lookups by userId
 BrandSchema.index({ userId: 1 });
+// Index for brands shared with a user
+BrandSchema.index({ sharedWith: 1 });
 // Index for searches by name
 BrandSchema.index({ name: 'text' });
 
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One immutable entry in a brand's change history; snapshot holds the brand's tracked fields after the change
+const BrandRevisionSchema = new Schema({
+  brandId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Brand',
+    required: true,
+    immutable: true
+  },
+  revision: {
+    type: Number, // Sequential per brand, starting at 1
+    required: true,
+    immutable: true
+  },
+  userId: {
+    type: String, // Who made the change
+    immutable: true
+  },
+  source: {
+    type: String,
+    enum: ['create', 'manual', 'ai', 'asset', 'import', 'rollback', 'baseline'],
+    required: true,
+    immutable: true
+  },
+  changedFields: [{
+    type: String,
+    immutable: true
+  }],
+  snapshot: {
+    type: Schema.Types.Mixed,
+    required: true,
+    immutable: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    immutable: true
+  },
+  rolledBackTo: {
+    type: Number, // Revision restored by a rollback
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+BrandRevisionSchema.index({ brandId: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model('BrandRevision', BrandRevisionSchema);
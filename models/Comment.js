@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Where on the design a comment points; every part is optional
+const AnchorSchema = new Schema({
+  pageId: {
+    type: String
+  },
+  pageIndex: {
+    type: Number,
+    min: 0
+  },
+  elementId: {
+    type: String // Element `id` within the layout
+  },
+  x: {
+    type: Number // Canvas coordinates on the page
+  },
+  y: {
+    type: Number
+  }
+}, { _id: false });
+
+// A review comment on a project; replies point at the thread's first comment
+const CommentSchema = new Schema({
+  projectId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+    immutable: true
+  },
+  parentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null, // null for the comment that starts a thread
+    immutable: true
+  },
+  authorId: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 5000
+  },
+  anchor: {
+    type: AnchorSchema,
+    default: undefined
+  },
+  mentions: [{
+    type: String // User IDs mentioned in the body
+  }],
+  // Thread state, kept on the first comment
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolvedBy: {
+    type: String
+  },
+  resolvedAt: {
+    type: Date
+  },
+  editedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Threads per project by state, and replies per thread
+CommentSchema.index({ projectId: 1, parentId: 1, status: 1, createdAt: -1 });
+CommentSchema.index({ parentId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Comment', CommentSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const crypto = require('crypto');
+
+const ConversationSchema = new Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  threadId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomUUID() // Agent checkpoint thread for this conversation
+  },
+  title: {
+    type: String,
+    trim: true,
+    default: 'New conversation'
+  },
+  lastMessagePreview: {
+    type: String,
+    default: ''
+  },
+  messageCount: {
+    type: Number,
+    default: 0 // User prompts sent in this conversation
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true // Automatically add createdAt and updatedAt fields
+});
+
+// Index for listing a user's most recent conversations
+ConversationSchema.index({ userId: 1, lastMessageAt: -1 });
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
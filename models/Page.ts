@@ -14,9 +14,28 @@ const PageSchema = new mongoose.Schema({
 }, { _id: false });
 
  const LayoutSchema = new mongoose.Schema({
-  pages: [PageSchema]
+  pages: [PageSchema],
+  // Bumped on every save; clients send it back as the base revision of incremental updates
+  revision: { type: Number, default: 0 }
 });
 
+// Every write advances the revision; a revision sent with the update itself is ignored
+LayoutSchema.pre(['findOneAndUpdate', 'updateOne'], function bumpRevision() {
+  const update: any = this.getUpdate() || {};
+  delete update.revision;
+  if (update.$set) delete update.$set.revision;
+  update.$inc = { ...(update.$inc || {}), revision: 1 };
+  this.setUpdate(update);
+});
+
+LayoutSchema.pre('save', function bumpRevision() {
+  if (!this.isNew && this.isModified()) this.revision = (this.revision || 0) + 1;
+});
+
+// Query value matching a layout at `revision`; layouts saved before revisions existed have no
+// field and count as revision 0
+export const revisionFilter = (revision: number) => (revision === 0 ? { $in: [0, null] } : revision);
+
 export type Layout = InferSchemaType<typeof LayoutSchema>;
 
 const LayoutModel = mongoose.model('Layout', LayoutSchema);
@@ -0,0 +1,24 @@
+import mongoose, { InferSchemaType } from 'mongoose';
+
+/* ------------ projectVersion.model.ts ------------ */
+// One snapshot of a project's layout pages; versions are numbered per project and never edited
+// (apart from naming an automatic snapshot, which turns it into a manual version)
+const ProjectVersionSchema = new mongoose.Schema({
+  projectId:    { type: mongoose.Types.ObjectId, ref: 'Project', required: true, immutable: true },
+  version:      { type: Number, required: true, immutable: true }, // Sequential per project, starting at 1
+  kind:         { type: String, enum: ['auto', 'manual', 'restore', 'baseline'], required: true },
+  name:         { type: String, trim: true }, // Set on manual versions
+  note:         { type: String, trim: true, immutable: true },
+  userId:       { type: String, immutable: true }, // Who made the change
+  hash:         { type: String, required: true, immutable: true }, // sha256 of the pages, for deduplication
+  pages:        { type: mongoose.Schema.Types.Mixed, required: true, immutable: true },
+  restoredFrom: { type: Number, immutable: true } // Version restored by a restore
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+ProjectVersionSchema.index({ projectId: 1, version: -1 }, { unique: true });
+
+const ProjectVersionModel = mongoose.model('ProjectVersion', ProjectVersionSchema);
+
+export type ProjectVersion = InferSchemaType<typeof ProjectVersionSchema>;
+
+export default ProjectVersionModel;
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A link that gives whoever holds it access to a project or folder without an account
+const ShareLinkSchema = new Schema({
+  tokenHash: {
+    type: String, // sha256 of the token; the token itself is only shown when the link is created
+    required: true,
+    unique: true,
+    immutable: true
+  },
+  resourceType: {
+    type: String,
+    enum: ['project', 'folder'],
+    required: true,
+    immutable: true
+  },
+  resourceId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    immutable: true
+  },
+  role: {
+    type: String,
+    enum: ['view', 'comment', 'edit'],
+    default: 'view'
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  expiresAt: {
+    type: Date,
+    default: null // null never expires
+  },
+  passwordHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: String
+  },
+  lastAccessedAt: {
+    type: Date
+  },
+  accessCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Tokens are random and only their sha256 is stored
+ShareLinkSchema.statics.generateToken = function generateToken() {
+  return crypto.randomBytes(24).toString('base64url');
+};
+
+ShareLinkSchema.statics.hashToken = function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Whether the link can still be used
+ShareLinkSchema.methods.isActive = function isActive() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Plain view for owners; never includes the password hash
+ShareLinkSchema.methods.toOwnerJSON = function toOwnerJSON() {
+  const { tokenHash, passwordHash, __v, ...link } = this.toObject();
+  return {
+    ...link,
+    hasPassword: !!passwordHash,
+    active: this.isActive()
+  };
+};
+
+// Index for listing a resource's links
+ShareLinkSchema.index({ resourceType: 1, resourceId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ShareLink', ShareLinkSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Numeric rank so jobs can be sorted by priority in queries
+const PRIORITY_RANK = {
+  high: 3,
+  normal: 2,
+  low: 1
+};
+
+const VectorJobSchema = new Schema({
+  type: {
+    type: String,
+    enum: ['add', 'update', 'remove'],
+    required: true
+  },
+  assetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset',
+    required: true
+  },
+  userId: {
+    type: String // Owner of the asset, for filtering job lists
+  },
+  priority: {
+    type: String,
+    enum: Object.keys(PRIORITY_RANK),
+    default: 'normal'
+  },
+  priorityRank: {
+    type: Number,
+    default: PRIORITY_RANK.normal
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0 // Incremented each time a worker leases the job
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  lastError: {
+    type: String
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now // Pushed back with exponential backoff after failures
+  },
+  leaseOwner: {
+    type: String // Worker id currently holding the job
+  },
+  leaseExpiresAt: {
+    type: Date // Jobs whose lease expired are picked up again (worker crashed or restarted)
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true // Automatically add createdAt and updatedAt fields
+});
+
+VectorJobSchema.pre('validate', function (next) {
+  this.priorityRank = PRIORITY_RANK[this.priority] || PRIORITY_RANK.normal;
+  next();
+});
+
+// Index for leasing the next runnable job
+VectorJobSchema.index({ status: 1, priorityRank: -1, nextRunAt: 1 });
+// Index for job lookups per asset
+VectorJobSchema.index({ assetId: 1, type: 1, status: 1 });
+// Completed jobs are kept for a week for inspection, then removed
+VectorJobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60, partialFilterExpression: { status: 'completed' } }
+);
+
+module.exports = mongoose.model('VectorJob', VectorJobSchema);
+module.exports.PRIORITY_RANK = PRIORITY_RANK;
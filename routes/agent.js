@@ -1,7 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const agentController = require('../controllers/agentController.ts');
+const adminAuth = require('../middleware/adminAuth');
+const authMiddleware = require('../middleware/auth');
 
-router.post('/ask', agentController.ask);
+// Agent runs act as the signed-in user
+router.post('/ask', authMiddleware, agentController.ask);
+router.post('/ask/stream', authMiddleware, agentController.askStream);
+
+// Conversation threads of the signed-in user
+router.get('/conversations', authMiddleware, agentController.listConversations);
+router.get('/conversations/:id', authMiddleware, agentController.getConversation);
+router.delete('/conversations/:id', authMiddleware, agentController.deleteConversation);
+
+// Operations: inspect persisted agent state
+router.get('/admin/threads/:threadId/checkpoints', adminAuth, agentController.getThreadCheckpoints);
 
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const assetController = require('../controllers/assetController');
+const adminAuth = require('../middleware/adminAuth');
 
 // Configure the multer middleware for file uploads
 const upload = assetController.configureMulter();
@@ -20,6 +21,15 @@ router.post('/vector/process', assetController.processVectorJobs);
 // POST force re-vectorization of all assets
 router.post('/vector/revectorize', assetController.reVectorizeAssets);
 
+// GET vectorization jobs (filter with ?status=&type=&assetId=&userId=) (admin only)
+router.get('/vector/jobs', adminAuth, assetController.getVectorJobs);
+
+// POST retry a failed or cancelled vectorization job (admin only)
+router.post('/vector/jobs/:jobId/retry', adminAuth, assetController.retryVectorJob);
+
+// POST cancel a pending vectorization job (admin only)
+router.post('/vector/jobs/:jobId/cancel', adminAuth, assetController.cancelVectorJob);
+
 // POST analyze single asset with AI
 router.post('/:id/analyze', assetController.analyzeAsset);
 
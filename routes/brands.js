@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const brandController = require('../controllers/brandController');
+const authMiddleware = require('../middleware/auth');
+
+// Every brand route acts for the signed-in user
+router.use(authMiddleware);
 
 // Get all brands for a user
 router.get('/', brandController.getBrands);
@@ -17,6 +21,21 @@ router.put('/:id', brandController.updateBrand);
 // Delete a brand
 router.delete('/:id', brandController.deleteBrand);
 
+// Import a brand from an exported bundle
+router.post('/import', brandController.importBrand);
+
+// Export a brand as a portable bundle (?embed=false links files instead of embedding them)
+router.get('/:id/export', brandController.exportBrand);
+
+// Brand revision history
+router.get('/:id/revisions', brandController.getBrandRevisions);
+router.get('/:id/revisions/diff', brandController.diffBrandRevisions);
+router.get('/:id/revisions/:revision', brandController.getBrandRevision);
+router.post('/:id/revisions/:revision/rollback', brandController.rollbackBrand);
+
+// Get the brand as design tokens (?format=w3c|css|tailwind)
+router.get('/:id/tokens', brandController.getBrandTokens);
+
 // Generate a brand from uploaded assets
 router.post('/generate', brandController.generateBrandFromAssets);
 
@@ -26,4 +45,7 @@ router.post('/:id/add-asset', brandController.updateBrandWithAsset);
 // Share a brand with other users
 router.post('/:id/share', brandController.shareBrand);
 
+// Revoke a collaborator's access (owners, or collaborators leaving a brand)
+router.delete('/:id/collaborators/:userId', brandController.revokeBrandAccess);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // :projectId comes from the projects router
+const commentController = require('../controllers/commentController');
+
+// GET comment threads for a project (?status=open|resolved|all&elementId=&pageId=&pageIndex=)
+router.get('/', commentController.getComments);
+
+// GET one thread with its replies
+router.get('/:commentId', commentController.getComment);
+
+// POST start a thread, optionally anchored to a page, element or point
+router.post('/', commentController.createComment);
+
+// POST reply to a thread
+router.post('/:commentId/replies', commentController.replyToComment);
+
+// PATCH edit a comment's body or anchor
+router.patch('/:commentId', commentController.updateComment);
+
+// DELETE a comment (deleting the first comment deletes the thread)
+router.delete('/:commentId', commentController.deleteComment);
+
+// POST resolve or reopen a thread
+router.post('/:commentId/resolve', commentController.resolveComment);
+router.post('/:commentId/reopen', commentController.reopenComment);
+
+module.exports = router;
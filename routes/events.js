@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/eventController');
+
+// GET stream of per-user job events (Server-Sent Events)
+router.get('/', eventController.streamEvents);
+
+module.exports = router;
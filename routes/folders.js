@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const folderController = require('../controllers/folderController');
+const shareLinkRoutes = require('./shareLinks');
+const authMiddleware = require('../middleware/auth');
 
 // GET all folders (with optional filtering)
 router.get('/', folderController.getFolders);
@@ -8,6 +10,9 @@ router.get('/', folderController.getFolders);
 // GET all folders for a user
 router.get('/user/:userId', folderController.getFolders);
 
+// Share links to the folder (signed-in owner only)
+router.use('/:id/share-links', authMiddleware, shareLinkRoutes('folder'));
+
 // GET folder by ID
 router.get('/:id', folderController.getFolder);
 
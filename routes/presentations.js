@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const presentationController = require('../controllers/presentationController');
+const canvasController = require('../controllers/canvasController');
 
 // GET all presentations (with optional filtering)
 router.get('/', presentationController.getPresentations);
@@ -20,4 +21,7 @@ router.delete('/:id', presentationController.deletePresentation);
 // POST clone presentation
 router.post('/:id/clone', presentationController.clonePresentation);
 
+// POST export presentation pages as a multi-page PDF
+router.post('/:id/export/pdf', canvasController.exportPresentationPdf);
+
 module.exports = router;
\ No newline at end of file
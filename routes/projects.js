@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const projectController = require('../controllers/projectController.ts');
+const canvasController = require('../controllers/canvasController');
+const commentRoutes = require('./comments');
+const shareLinkRoutes = require('./shareLinks');
+const authMiddleware = require('../middleware/auth');
 
 // GET all projects (with optional filtering)
 router.get('/', projectController.getProjects);
@@ -22,6 +26,27 @@ router.get('/templates/hybrid-search', projectController.hybridSearchTemplates);
 // GET similar templates
 router.get('/:id/similar', projectController.getSimilarTemplates);
 
+// GET check project against a brand (?brandId=&fix=true)
+router.get('/:id/brand-check', projectController.checkBrandCompliance);
+
+// GET layout version history (?limit=&before=&named=true)
+router.get('/:id/versions', projectController.getProjectVersions);
+
+// GET structural diff between two versions (?from=&to=)
+router.get('/:id/versions/diff', projectController.diffProjectVersions);
+
+// GET one version with its pages
+router.get('/:id/versions/:version', projectController.getProjectVersion);
+
+// GET users currently in the project's collaboration session
+router.get('/:id/participants', projectController.getProjectParticipants);
+
+// Review comments on a project (signed-in users only)
+router.use('/:projectId/comments', authMiddleware, commentRoutes);
+
+// Share links to the project (signed-in owner only)
+router.use('/:id/share-links', authMiddleware, shareLinkRoutes('project'));
+
 // GET project by ID
 router.get('/:id', projectController.getProjectById);
 
@@ -34,6 +59,9 @@ router.post('/from-image', projectController.createProjectFromImage);
 // PUT update project
 router.put('/:id', projectController.updateProject);
 
+// PATCH apply a JSON Patch to the project layout (optimistic concurrency on the layout revision)
+router.patch('/:id/layout', projectController.patchProjectLayout);
+
 // PUT toggle project template status
 router.put('/:id/toggle-template', projectController.toggleTemplate);
 
@@ -43,4 +71,19 @@ router.delete('/:id', projectController.deleteProject);
 // POST clone project
 router.post('/:id/clone', projectController.cloneProject);
 
+// POST save the current layout as a named version (owner and editors only)
+router.post('/:id/versions', authMiddleware, projectController.createProjectVersion);
+
+// POST restore the layout to an earlier version (owner and editors only)
+router.post('/:id/versions/:version/restore', authMiddleware, projectController.restoreProjectVersion);
+
+// POST restyle project with a brand's colors, fonts and logo
+router.post('/:id/apply-brand', projectController.applyBrand);
+
+// POST render project layout to an image on the server
+router.post('/:id/render', canvasController.renderProject);
+
+// POST export project pages as a multi-page PDF
+router.post('/:id/export/pdf', canvasController.exportProjectPdf);
+
 module.exports = router;
\ No newline at end of file
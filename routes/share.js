@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const shareLinkController = require('../controllers/shareLinkController');
+const shareLink = require('../middleware/shareLink');
+const commentRoutes = require('./comments');
+
+// Public endpoints for share link holders; the token in the URL is the credential
+// (password protected links also need an X-Share-Password header)
+
+// GET the shared project with its layout, or the shared folder's contents (?folderId= for a subfolder)
+router.get('/:token', shareLink('view'), shareLinkController.getSharedResource);
+
+// GET a rendered page of the shared project (?page=&format=png|jpeg|webp&scale=)
+router.get('/:token/preview', shareLink('view', 'project'), shareLinkController.getSharedPreview);
+
+// Review comments; reading needs a view link, writing a comment or edit link
+router.use('/:token/comments', shareLink('view', 'project'), commentRoutes);
+
+// PATCH apply a JSON Patch to the shared project's layout (edit links)
+router.patch('/:token/layout', shareLink('edit', 'project'), shareLinkController.patchSharedLayout);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const shareLinkController = require('../controllers/shareLinkController');
+
+// Share link management for one kind of resource, mounted under /:id/share-links of its router
+const shareLinkRoutes = (resourceType) => {
+  const router = express.Router({ mergeParams: true }); // :id comes from the parent router
+
+  router.use((req, res, next) => {
+    req.shareResourceType = resourceType;
+    next();
+  });
+
+  // GET share links (?active=true for usable links only)
+  router.get('/', shareLinkController.getShareLinks);
+
+  // POST create a share link with a role, optional expiry and password
+  router.post('/', shareLinkController.createShareLink);
+
+  // DELETE revoke a share link
+  router.delete('/:linkId', shareLinkController.revokeShareLink);
+
+  return router;
+};
+
+module.exports = shareLinkRoutes;
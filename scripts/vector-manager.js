@@ -8,14 +8,19 @@
  * - Vectorize all existing assets
  * - Check vectorization status
  * - Clear vector store
+ * - Re-embed assets and templates after the embedding provider changes
  */
 
+// Allow requiring the TypeScript models (Project, Template)
+require('ts-node/register');
+
 const dotenv = require('dotenv');
 dotenv.config();
 
 const mongoose = require('mongoose');
 const { connectDB } = require('../config/db');
 const vectorStoreService = require('../services/vectorStore');
+const templateVectorService = require('../services/templateVectorService');
 const vectorJobProcessor = require('../services/vectorJobProcessor');
 const Asset = require('../models/Asset');
 
@@ -62,10 +67,11 @@ async function checkStatus(userId = 'default-user') {
     console.log(`   - Pending: ${pendingAssets}`);
     console.log(`   - Progress: ${totalAssets > 0 ? ((vectorizedAssets / totalAssets) * 100).toFixed(2) : 0}%`);
     
-    const queueStats = vectorJobProcessor.getStatus();
+    const queueStats = await vectorJobProcessor.getStatus();
     console.log('🔄 Queue Status:');
-    console.log(`   - Jobs in queue: ${queueStats.totalJobs}`);
-    console.log(`   - Currently processing: ${queueStats.processing}`);
+    console.log(`   - Jobs in queue: ${queueStats.queueSize}`);
+    console.log(`   - Currently processing: ${queueStats.jobs.processing}`);
+    console.log(`   - Failed: ${queueStats.jobs.failed}`);
   } catch (error) {
     console.error('❌ Failed to check status:', error.message);
     process.exit(1);
@@ -116,6 +122,89 @@ async function searchAssets(query, userId = 'default-user', limit = 10) {
   }
 }
 
+async function reembedAssets(force) {
+  const signature = vectorStoreService.getProviderSignature();
+  const filter = force
+    ? { vectorized: true }
+    : { vectorized: true, vectorProvider: { $ne: signature } };
+
+  const assets = await Asset.find(filter);
+  console.log(`Re-embedding ${assets.length} assets with ${signature}...`);
+
+  let processed = 0;
+  let failed = 0;
+  for (const asset of assets) {
+    const added = await vectorStoreService.addAsset(asset);
+    if (added) {
+      await Asset.findByIdAndUpdate(asset._id, {
+        vectorProvider: signature,
+        vectorLastUpdated: new Date()
+      });
+      processed++;
+    } else {
+      failed++;
+    }
+
+    if ((processed + failed) % 25 === 0) {
+      console.log(`   ...${processed + failed}/${assets.length}`);
+    }
+  }
+
+  console.log(`   - Assets re-embedded: ${processed}`);
+  console.log(`   - Assets failed: ${failed}`);
+}
+
+async function reembedTemplates() {
+  const Template = require('../models/Template.ts').default;
+  const Project = require('../models/Project.ts').default;
+
+  // Same selection the project controller uses when vectorizing projects as templates
+  const templates = await Template.find({});
+  const projects = await Project.find({
+    layoutId: { $exists: true, $ne: null },
+    $or: [{ starred: true }, { type: { $ne: 'custom' } }]
+  });
+
+  const docs = [...templates, ...projects];
+  console.log(`Re-embedding ${templates.length} templates and ${projects.length} template-eligible projects...`);
+
+  let processed = 0;
+  let failed = 0;
+  for (const doc of docs) {
+    if (await templateVectorService.addTemplate(doc)) {
+      processed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log(`   - Templates re-embedded: ${processed}`);
+  console.log(`   - Templates failed: ${failed}`);
+}
+
+async function reembed(options) {
+  await vectorStoreService.initialize();
+  await templateVectorService.initialize();
+
+  if (!vectorStoreService.initialized || !templateVectorService.initialized) {
+    console.error('❌ Vector services failed to initialize; check the embedding provider and vector backend settings');
+    process.exit(1);
+  }
+
+  console.log(`Embedding provider: ${vectorStoreService.getProviderSignature()}`);
+  console.log(`Asset index: ${vectorStoreService.indexName}`);
+  console.log(`Template index: ${templateVectorService.indexName}`);
+
+  try {
+    if (!options.templatesOnly) await reembedAssets(options.force);
+    if (!options.assetsOnly) await reembedTemplates();
+    console.log('✅ Re-embedding completed. Indexes built with previous providers can be deleted once search is verified.');
+  } catch (error) {
+    console.error('❌ Re-embedding failed:', error.message);
+    process.exit(1);
+  }
+}
+
 async function main() {
   await connectDB();
   
@@ -153,6 +242,14 @@ async function main() {
       
       await searchAssets(searchQuery, searchUserId, searchLimit);
       break;
+
+    case 'reembed':
+      await reembed({
+        force: args.includes('--force'),
+        assetsOnly: args.includes('--assets-only'),
+        templatesOnly: args.includes('--templates-only')
+      });
+      break;
       
     default:
       console.log('Vector Store Management Script');
@@ -166,6 +263,8 @@ async function main() {
       console.log('  status [userId]              Check vectorization status');
       console.log('  clear [userId]               Clear vector store for user');
       console.log('  search "query" [userId] [limit] Search assets by similarity');
+      console.log('  reembed [--force] [--assets-only|--templates-only]');
+      console.log('                               Re-embed vectors with the configured embedding provider');
       console.log('');
       console.log('Examples:');
       console.log('  npm run vector init');
@@ -173,6 +272,7 @@ async function main() {
       console.log('  npm run vector vectorize default-user --force');
       console.log('  npm run vector status');
       console.log('  npm run vector search "logo design" default-user 5');
+      console.log('  EMBEDDING_PROVIDER=local npm run vector reembed');
       process.exit(0);
   }
   
@@ -22,6 +22,7 @@ const templateVectorService = require('./services/templateVectorService');
 const vectorJobProcessor = require('./services/vectorJobProcessor');
 const imageAnalysisService = require('./services/imageAnalysisService');
 const imageVectorService = require('./services/imageVectorService');
+const collaborationService = require('./services/collaborationService');
 
 // Create Express app
 const app = express();
@@ -33,7 +34,7 @@ const corsOptions = {
   credentials: true
 };
 app.use(cors(corsOptions));
-app.use(express.json({ limit: '50mb' })); // Increased limit for large project data
+app.use(express.json({ limit: '50mb', type: ['application/json', 'application/json-patch+json'] })); // Increased limit for large project data; JSON Patch for layout updates
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
 app.use(morgan('dev'));
@@ -54,6 +55,8 @@ const agentRoutes = require('./routes/agent'); // Import agent routes
 const canvasRoutes = require('./routes/canvas'); // Import canvas routes
 const fontRoutes = require('./routes/fonts'); // Import font routes
 const ocrRoutes = require('./routes/ocr'); // Import OCR routes
+const eventRoutes = require('./routes/events'); // Import event stream routes
+const shareRoutes = require('./routes/share'); // Import public share link routes
 
 // Routes
 app.use('/api/projects', projectRoutes);
@@ -68,6 +71,8 @@ app.use('/api/agent', agentRoutes); // Use agent routes
 app.use('/api/canvas', canvasRoutes); // Use canvas routes
 app.use('/api/fonts', fontRoutes); // Use font routes
 app.use('/api/ocr', ocrRoutes); // Use OCR routes
+app.use('/api/events', eventRoutes); // Use event stream routes
+app.use('/api/share', shareRoutes); // Use public share link routes
 
 // Base route
 app.get('/', (req, res) => {
@@ -112,14 +117,20 @@ connectDB() // Use connectDB from db.js
       console.warn('Template vector service initialization failed:', error.message);
       console.warn('Template vector search will be disabled');
     }
+
+    // Resume vectorization jobs persisted before the last shutdown
+    vectorJobProcessor.startProcessing();
     
     // Initialize Passport for Google OAuth
     authController.initializePassport(app);
     
     // Start the server after successful DB connection
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
+
+    // Real-time collaborative editing (WebSocket upgrades on /api/projects/:id/collaborate)
+    collaborationService.attach(server);
   })
   .catch((error) => {
     console.error('MongoDB connection error:', error);
@@ -0,0 +1,176 @@
+const BrandRevision = require('../models/BrandRevision');
+const { diffFields } = require('../utils/layoutDiff');
+
+// Brand fields kept in revisions and restored on rollback (ownership and sharing are not versioned)
+const TRACKED_FIELDS = [
+  'name',
+  'description',
+  'tagline',
+  'industry',
+  'colorPalettes',
+  'typography',
+  'logos',
+  'brandVoice',
+  'images',
+  'guidelines',
+  'isActive'
+];
+
+// Attempts at taking the next revision number when concurrent changes race for it
+const MAX_CREATE_ATTEMPTS = 5;
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+/**
+ * Append-only change history for brands.
+ * Every create, edit, AI update, import and rollback adds a revision with a snapshot of the
+ * tracked fields, so any earlier state can be compared or restored.
+ */
+class BrandRevisionService {
+  // Plain copy of a brand's tracked fields (sub-document ids dropped so snapshots compare by content)
+  snapshot(brand) {
+    const plain = typeof brand.toObject === 'function' ? brand.toObject() : brand;
+    const snapshot = {};
+    TRACKED_FIELDS.forEach(field => {
+      if (plain[field] !== undefined) {
+        snapshot[field] = JSON.parse(JSON.stringify(plain[field], (key, value) => (key === '_id' ? undefined : value)));
+      }
+    });
+    return snapshot;
+  }
+
+  async latest(brandId) {
+    return BrandRevision.findOne({ brandId }).sort({ revision: -1 });
+  }
+
+  // First revision for a brand that predates history; another change may have created it first
+  async createBaseline(brand, before) {
+    try {
+      return await BrandRevision.create({
+        brandId: brand._id,
+        revision: 1,
+        userId: brand.userId,
+        source: 'baseline',
+        changedFields: [],
+        snapshot: before
+      });
+    } catch (error) {
+      if (!isDuplicateKey(error)) throw error;
+      return this.latest(brand._id);
+    }
+  }
+
+  /**
+   * Record a brand change (never throws; history problems must not fail the edit itself)
+   * Brands created before history existed get a "baseline" revision from `before` first.
+   * @param {Object} brand - Brand document after the change
+   * @param {Object} options - { userId, source, note, before, rolledBackTo }
+   * @returns {Promise<Object|null>} - The new revision, or null when nothing changed
+   */
+  async record(brand, { userId, source, note, before, rolledBackTo } = {}) {
+    try {
+      const snapshot = this.snapshot(brand);
+
+      for (let attempt = 1; ; attempt++) {
+        let previous = await this.latest(brand._id);
+        if (!previous && before) previous = await this.createBaseline(brand, before);
+
+        const changedFields = Object.keys(diffFields(previous ? previous.snapshot : {}, snapshot));
+        if (previous && changedFields.length === 0) return null;
+
+        try {
+          return await BrandRevision.create({
+            brandId: brand._id,
+            revision: previous ? previous.revision + 1 : 1,
+            userId: userId ? userId.toString() : undefined,
+            source,
+            changedFields,
+            snapshot,
+            note,
+            rolledBackTo
+          });
+        } catch (error) {
+          // A concurrent change took this number; diff against it and take the next one
+          if (!isDuplicateKey(error) || attempt >= MAX_CREATE_ATTEMPTS) throw error;
+        }
+      }
+    } catch (error) {
+      console.error(`Error recording ${source} revision for brand ${brand && brand._id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Revisions of a brand, newest first, without snapshots
+   * @param {string} brandId
+   * @param {Object} options - { limit, before } before: only revisions older than this number
+   */
+  async list(brandId, { limit = 50, before } = {}) {
+    const filter = { brandId };
+    if (before) filter.revision = { $lt: before };
+    return BrandRevision.find(filter)
+      .select('-snapshot')
+      .sort({ revision: -1 })
+      .limit(limit);
+  }
+
+  async get(brandId, revision) {
+    return BrandRevision.findOne({ brandId, revision });
+  }
+
+  /**
+   * Field-level differences between two revisions
+   * @returns {Promise<Object|null>} - { from, to, changedFields, changes } or null if a revision is missing
+   */
+  async diff(brandId, fromRevision, toRevision) {
+    const [from, to] = await Promise.all([
+      this.get(brandId, fromRevision),
+      toRevision ? this.get(brandId, toRevision) : this.latest(brandId)
+    ]);
+    if (!from || !to) return null;
+
+    const changes = diffFields(from.snapshot, to.snapshot);
+    return {
+      from: from.revision,
+      to: to.revision,
+      changedFields: Object.keys(changes),
+      changes
+    };
+  }
+
+  /**
+   * Restore a brand to an earlier revision; the rollback is recorded as a new revision
+   * @param {Object} brand - Brand document
+   * @param {number} revision - Revision to restore
+   * @param {string} userId - Who rolled back
+   * @returns {Promise<{brand: Object, revision: Object|null}|null>} - null when the revision does not exist
+   */
+  async rollback(brand, revision, userId) {
+    const target = await this.get(brand._id, revision);
+    if (!target) return null;
+
+    const before = this.snapshot(brand);
+    TRACKED_FIELDS.forEach(field => {
+      brand[field] = target.snapshot[field];
+    });
+    await brand.save();
+
+    const recorded = await this.record(brand, {
+      userId,
+      source: 'rollback',
+      note: `Rolled back to revision ${revision}`,
+      before,
+      rolledBackTo: revision
+    });
+    return { brand, revision: recorded };
+  }
+
+  async deleteForBrand(brandId) {
+    return BrandRevision.deleteMany({ brandId });
+  }
+}
+
+// Create and export singleton instance
+const brandRevisionService = new BrandRevisionService();
+
+module.exports = brandRevisionService;
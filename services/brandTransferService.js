@@ -0,0 +1,310 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const Brand = require('../models/Brand');
+const Asset = require('../models/Asset');
+const { uploadToCloudinary, deleteFromCloudinary } = require('../utils/cloudinaryUploader');
+const { fetchPublicUrl } = require('../utils/remoteFetch');
+const vectorJobProcessor = require('./vectorJobProcessor');
+
+/**
+ * Configuration for brand export/import bundles
+ */
+const TRANSFER_CONFIG = {
+  FORMAT: 'brand-kit',
+  VERSION: 1,
+
+  // Brand fields copied as-is; logos and images are exported separately with their files
+  BRAND_FIELDS: ['name', 'description', 'tagline', 'industry', 'colorPalettes', 'typography', 'brandVoice', 'guidelines'],
+
+  // Downloading logo/image files for embedding or re-hosting
+  FETCH_TIMEOUT: 15000,
+  MAX_FILE_BYTES: 10 * 1024 * 1024,
+
+  // Tag added to assets created by an import
+  IMPORT_TAG: 'brand-import'
+};
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Moves brands between accounts or environments as a self-contained JSON bundle.
+ * Logo and brand image files are embedded as base64 (or linked by URL) and, on import,
+ * re-uploaded to Cloudinary unless the user already has an asset with the same file hash.
+ */
+class BrandTransferService {
+  // Download a file from a public host, enforcing the size limit
+  async fetchFile(url) {
+    const response = await fetchPublicUrl(url, {
+      responseType: 'arraybuffer',
+      timeout: TRANSFER_CONFIG.FETCH_TIMEOUT,
+      maxContentLength: TRANSFER_CONFIG.MAX_FILE_BYTES
+    });
+    return {
+      buffer: Buffer.from(response.data),
+      mimeType: (response.headers['content-type'] || '').split(';')[0] || null
+    };
+  }
+
+  // Describe one logo/image file for the bundle, using the brand owner's asset record when there is one
+  async describeFile(id, url, name, embed, userId) {
+    const asset = await Asset.findOne({ userId, $or: [{ cloudinaryUrl: url }, { url }] });
+    const file = {
+      id,
+      url,
+      fileName: asset?.originalFilename || asset?.name || path.basename(url.split('?')[0]) || name,
+      mimeType: asset?.mimeType || null,
+      size: asset?.fileSize || null,
+      sha256: asset?.metadata?.fileHash || null
+    };
+
+    if (embed) {
+      try {
+        const { buffer, mimeType } = await this.fetchFile(url);
+        file.data = buffer.toString('base64');
+        file.size = buffer.length;
+        file.sha256 = sha256(buffer);
+        file.mimeType = file.mimeType || mimeType;
+      } catch (error) {
+        // Keep the link so the import can still try it
+        file.embedError = error.message;
+      }
+    }
+    return file;
+  }
+
+  /**
+   * Build a portable bundle for a brand
+   * @param {Object} brand - Brand document
+   * @param {Object} options - { embed } embed file contents as base64 (default) or link by URL only
+   * @returns {Promise<Object>} - Bundle
+   */
+  async exportBrand(brand, { embed = true } = {}) {
+    const plain = typeof brand.toObject === 'function' ? brand.toObject() : brand;
+    const files = [];
+    const fileIds = new Map(); // url -> file id
+
+    const addFile = async (url, name) => {
+      if (!url) return null;
+      if (!fileIds.has(url)) {
+        const id = `file-${files.length + 1}`;
+        fileIds.set(url, id);
+        files.push(await this.describeFile(id, url, name, embed, plain.userId));
+      }
+      return fileIds.get(url);
+    };
+
+    // Sub-document ids belong to this database, not to the bundle
+    const brandData = {};
+    TRANSFER_CONFIG.BRAND_FIELDS.forEach(field => {
+      if (plain[field] !== undefined) {
+        brandData[field] = JSON.parse(JSON.stringify(plain[field], (key, value) => (key === '_id' ? undefined : value)));
+      }
+    });
+
+    const logos = [];
+    for (const logo of plain.logos || []) {
+      logos.push({ name: logo.name, usage: logo.usage, isDefault: !!logo.isDefault, file: await addFile(logo.url, logo.name) });
+    }
+
+    const images = [];
+    for (const image of plain.images || []) {
+      images.push({ category: image.category, tags: image.tags || [], file: await addFile(image.url, image.category) });
+    }
+
+    return {
+      format: TRANSFER_CONFIG.FORMAT,
+      version: TRANSFER_CONFIG.VERSION,
+      exportedAt: new Date().toISOString(),
+      embedded: embed,
+      brand: brandData,
+      logos,
+      images,
+      files
+    };
+  }
+
+  /**
+   * Check a bundle's shape before importing it
+   * @param {Object} bundle
+   * @returns {string[]} - Validation errors (empty when valid)
+   */
+  validateBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object') return ['Bundle must be a JSON object'];
+
+    const errors = [];
+    if (bundle.format !== TRANSFER_CONFIG.FORMAT) errors.push(`format must be "${TRANSFER_CONFIG.FORMAT}"`);
+    if (bundle.version > TRANSFER_CONFIG.VERSION) errors.push(`Unsupported bundle version ${bundle.version}`);
+    if (!bundle.brand || !bundle.brand.name) errors.push('brand.name is required');
+
+    const fileIds = new Set((bundle.files || []).map(file => file.id));
+    [...(bundle.logos || []), ...(bundle.images || [])].forEach(entry => {
+      if (entry.file && !fileIds.has(entry.file)) errors.push(`Unknown file reference "${entry.file}"`);
+    });
+    (bundle.files || []).forEach(file => {
+      if (!file.data && !file.url) errors.push(`File ${file.id} has neither data nor url`);
+    });
+    return errors;
+  }
+
+  // Upload a file's bytes as a new asset for the user
+  async uploadFile(file, buffer, hash, userId) {
+    const mimeType = file.mimeType || 'application/octet-stream';
+    const type = mimeType.startsWith('image/') ? 'image' : 'other';
+    const extension = path.extname(file.fileName || '') || '';
+    const tempPath = path.join(os.tmpdir(), `brand-import-${crypto.randomBytes(8).toString('hex')}${extension}`);
+    await fs.promises.writeFile(tempPath, buffer);
+
+    let uploadResult;
+    try {
+      uploadResult = await uploadToCloudinary(tempPath, `users/${userId}/${type}s`);
+    } catch (error) {
+      await fs.promises.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+
+    const asset = await Asset.create({
+      name: file.fileName || file.id,
+      originalFilename: file.fileName,
+      userId,
+      folderId: null,
+      type,
+      mimeType,
+      fileSize: buffer.length,
+      cloudinaryId: uploadResult.public_id,
+      cloudinaryUrl: uploadResult.secure_url,
+      url: uploadResult.secure_url,
+      tags: [TRANSFER_CONFIG.IMPORT_TAG],
+      metadata: {
+        width: uploadResult.width,
+        height: uploadResult.height,
+        format: uploadResult.format,
+        resource_type: uploadResult.resource_type,
+        fileHash: hash,
+        aiAnalysisPending: type === 'image'
+      }
+    });
+
+    // Queue for vectorization like any uploaded asset (enqueue never throws)
+    vectorJobProcessor.enqueue('add', asset._id, 'normal');
+    return asset;
+  }
+
+  // Turn one bundle file into a URL owned by the user: reuse, upload or keep the link
+  async resolveFile(file, userId, byHash) {
+    let buffer = null;
+    if (file.data) {
+      buffer = Buffer.from(file.data, 'base64');
+      if (file.sha256 && sha256(buffer) !== file.sha256) {
+        return { status: 'failed', error: `File ${file.id} does not match its sha256` };
+      }
+    } else {
+      // Linked file: re-host it when reachable, otherwise keep pointing at the original
+      try {
+        const fetched = await this.fetchFile(file.url);
+        buffer = fetched.buffer;
+        file = { ...file, mimeType: file.mimeType || fetched.mimeType };
+      } catch (error) {
+        return { status: 'linked', url: file.url, warning: `Kept link for ${file.id}: ${error.message}` };
+      }
+    }
+
+    const hash = sha256(buffer);
+    if (byHash.has(hash)) return { ...byHash.get(hash), status: 'reused' };
+
+    const existing = await Asset.findOne({ userId, 'metadata.fileHash': hash });
+    const asset = existing || await this.uploadFile(file, buffer, hash, userId);
+    const resolved = {
+      status: existing ? 'reused' : 'uploaded',
+      url: asset.cloudinaryUrl || asset.url,
+      cloudinaryId: asset.cloudinaryId,
+      assetId: asset._id
+    };
+    byHash.set(hash, resolved);
+    return resolved;
+  }
+
+  /**
+   * Recreate a brand from a bundle for a user
+   * @param {Object} bundle - Bundle produced by exportBrand
+   * @param {string} userId - Owner of the new brand
+   * @param {Object} options - { name } overrides the brand name
+   * @returns {Promise<{brand: Object, files: Object}>} - The new brand and a per-file report
+   */
+  async importBrand(bundle, userId, { name } = {}) {
+    const files = { uploaded: 0, reused: 0, linked: 0, failed: 0, details: [] };
+    const resolved = new Map(); // file id -> { url, cloudinaryId }
+    const byHash = new Map();
+
+    const brandData = {};
+    TRANSFER_CONFIG.BRAND_FIELDS.forEach(field => {
+      if (bundle.brand[field] !== undefined) brandData[field] = bundle.brand[field];
+    });
+    brandData.name = name || brandData.name;
+
+    // Reject invalid brand fields before any file is uploaded
+    await new Brand({ ...brandData, userId }).validate();
+
+    for (const file of bundle.files || []) {
+      let result;
+      try {
+        result = await this.resolveFile(file, userId, byHash);
+      } catch (error) {
+        result = { status: 'failed', error: error.message };
+      }
+      files[result.status]++;
+      files.details.push({ id: file.id, fileName: file.fileName, ...result });
+      if (result.url) resolved.set(file.id, result);
+    }
+
+    // Logos and images whose file could not be resolved are dropped (url is required on logos)
+    const logos = (bundle.logos || [])
+      .filter(logo => resolved.has(logo.file))
+      .map(logo => ({
+        name: logo.name || 'Logo',
+        usage: logo.usage,
+        isDefault: !!logo.isDefault,
+        url: resolved.get(logo.file).url,
+        cloudinaryId: resolved.get(logo.file).cloudinaryId
+      }));
+    const images = (bundle.images || [])
+      .filter(image => resolved.has(image.file))
+      .map(image => ({
+        category: image.category,
+        tags: image.tags || [],
+        url: resolved.get(image.file).url,
+        cloudinaryId: resolved.get(image.file).cloudinaryId
+      }));
+
+    let brand;
+    try {
+      brand = await Brand.create({ ...brandData, userId, logos, images });
+    } catch (error) {
+      await this.discardUploads(files.details);
+      throw error;
+    }
+
+    return { brand, files };
+  }
+
+  // Delete the assets an import uploaded when its brand could not be created (reused assets are kept)
+  async discardUploads(details) {
+    for (const detail of details.filter(entry => entry.status === 'uploaded')) {
+      try {
+        const asset = await Asset.findById(detail.assetId);
+        if (!asset) continue;
+        await deleteFromCloudinary(asset.cloudinaryId, asset.metadata?.resource_type || 'image')
+          .catch(error => console.warn(`Could not delete imported file ${detail.id} from Cloudinary:`, error.message));
+        await Asset.deleteOne({ _id: asset._id });
+      } catch (error) {
+        console.warn(`Could not remove imported file ${detail.id}:`, error.message);
+      }
+    }
+  }
+}
+
+// Create and export singleton instance
+const brandTransferService = new BrandTransferService();
+
+module.exports = brandTransferService;
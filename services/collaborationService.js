@@ -0,0 +1,449 @@
+const { URL } = require('url');
+const jwt = require('jsonwebtoken');
+const { WebSocketServer, WebSocket } = require('ws');
+const Project = require('../models/Project.ts').default;
+const { default: Layout, revisionFilter } = require('../models/Page.ts');
+const Element = require('../models/Element.ts').default;
+const User = require('../models/User');
+const projectVersionService = require('./projectVersionService');
+const { getProjectRole } = require('../utils/projectAccess');
+const { validateOp, transformOp, applyOp, touchedKeys } = require('../utils/collabOps');
+
+/**
+ * Configuration for collaborative editing sessions
+ */
+const COLLAB_CONFIG = {
+  // ws(s)://host/api/projects/:id/collaborate?token=<jwt>
+  PATH: /^\/api\/projects\/([^/]+)\/collaborate\/?$/,
+
+  // Merged layouts are saved this long after the last operation, and at least this often while editing continues
+  PERSIST_DEBOUNCE: 2000,
+  PERSIST_MAX_WAIT: 10000,
+
+  // Failed saves are retried this many times before the session stops and waits for the next operation
+  MAX_PERSIST_ATTEMPTS: 5,
+
+  // Operations kept per session for transforming late operations and catching up reconnecting clients
+  HISTORY_SIZE: 500,
+
+  HEARTBEAT_INTERVAL: 30000,
+  MAX_PAYLOAD: 1024 * 1024,
+
+  // Assigned to participants in join order, for cursors and selection outlines
+  PRESENCE_COLORS: ['#e53935', '#1e88e5', '#43a047', '#fb8c00', '#8e24aa', '#00acc1', '#6d4c41', '#3949ab']
+};
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Reject elements the Layout could not save (missing position or size, wrong field types)
+function validateElement(element) {
+  const Model = (Element.discriminators && Element.discriminators[element.kind]) || Element;
+  const error = new Model(element).validateSync();
+  if (error) {
+    throw new Error(Object.values(error.errors).map(entry => entry.message).join('; '));
+  }
+}
+
+/**
+ * Real-time collaborative editing of project layouts over WebSockets.
+ * Everyone editing a project joins one in-memory session that sequences their operations
+ * (each gets the next clock value), resolves concurrent edits, broadcasts the result with
+ * presence (selection, cursor), and saves the merged layout to the project's Layout.
+ * Note: sessions live on one server instance; all editors of a project must reach the same one.
+ */
+class CollaborationService {
+  constructor() {
+    this.wss = null;
+    this.rooms = new Map(); // projectId -> Promise<room>
+    this.sessionSequence = 0;
+    this.heartbeat = null;
+  }
+
+  /**
+   * Accept collaboration connections on an HTTP server
+   * @param {http.Server} server
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: COLLAB_CONFIG.MAX_PAYLOAD });
+    server.on('upgrade', (request, socket, head) => {
+      this.handleUpgrade(request, socket, head).catch(error => {
+        console.error('Collaboration upgrade error:', error);
+        this.rejectUpgrade(socket, 500, 'Internal Server Error');
+      });
+    });
+
+    // Drop connections that stopped answering pings
+    this.heartbeat = setInterval(() => {
+      this.wss.clients.forEach(socket => {
+        if (socket.isAlive === false) return socket.terminate();
+        socket.isAlive = false;
+        socket.ping();
+      });
+    }, COLLAB_CONFIG.HEARTBEAT_INTERVAL);
+    server.on('close', () => clearInterval(this.heartbeat));
+  }
+
+  rejectUpgrade(socket, status, message) {
+    if (socket.destroyed) return;
+    socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+  }
+
+  // Authenticate the user (browsers cannot set headers on WebSockets, so the JWT may come as ?token=)
+  async handleUpgrade(request, socket, head) {
+    const url = new URL(request.url, 'http://localhost');
+    const match = url.pathname.match(COLLAB_CONFIG.PATH);
+    if (!match) return this.rejectUpgrade(socket, 404, 'Not Found');
+
+    const token = url.searchParams.get('token') || (request.headers.authorization || '').replace('Bearer ', '');
+    let userId;
+    try {
+      userId = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret').userId;
+    } catch (error) {
+      return this.rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    const project = await Project.findById(match[1]).catch(() => null);
+    if (!project) return this.rejectUpgrade(socket, 404, 'Not Found');
+    const role = getProjectRole(project, userId);
+    if (!role) return this.rejectUpgrade(socket, 403, 'Forbidden');
+
+    this.wss.handleUpgrade(request, socket, head, ws => {
+      this.join(ws, project, userId.toString(), role).catch(error => {
+        console.error(`Error joining collaboration session for project ${project._id}:`, error);
+        ws.close(1011, 'Failed to join session');
+      });
+    });
+  }
+
+  // Load (or reuse) the session for a project
+  getRoom(project) {
+    const projectId = project._id.toString();
+    if (!this.rooms.has(projectId)) {
+      const loading = Layout.findById(project.layoutId).then(layout => {
+        if (!layout) throw new Error('Project layout not found');
+        const pages = clone(layout.toObject().pages || []);
+        return {
+          projectId,
+          project,
+          layoutId: project.layoutId,
+          layout: { pages },
+          persistedLayout: { pages: clone(pages) },
+          revision: layout.revision || 0,
+          clock: 0,
+          savedClock: 0,
+          history: [],
+          historyBase: 0, // Clock of the last operation dropped from history
+          lastWrites: new Map(), // touched key -> { clock, userId }
+          clients: new Map(), // socket -> participant
+          dirtySince: null,
+          persistTimer: null,
+          persisting: null,
+          persistQueued: false,
+          lastEditor: null
+        };
+      });
+      loading.catch(() => this.rooms.delete(projectId));
+      this.rooms.set(projectId, loading);
+    }
+    return this.rooms.get(projectId);
+  }
+
+  async join(ws, project, userId, role) {
+    const room = await this.getRoom(project);
+    await this.refresh(room);
+    const user = await User.findById(userId).select('name email').catch(() => null);
+
+    const participant = {
+      sessionId: `s${++this.sessionSequence}`,
+      userId,
+      name: user ? user.name || user.email : 'Unknown user',
+      role,
+      color: COLLAB_CONFIG.PRESENCE_COLORS[room.clients.size % COLLAB_CONFIG.PRESENCE_COLORS.length],
+      selection: [],
+      cursor: null,
+      joinedAt: new Date().toISOString()
+    };
+    room.clients.set(ws, participant);
+
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+    ws.on('message', data => this.handleMessage(room, ws, data));
+    ws.on('close', () => this.leave(room, ws));
+
+    this.send(ws, {
+      type: 'init',
+      you: participant,
+      clock: room.clock,
+      revision: room.revision,
+      layout: room.layout,
+      users: [...room.clients.values()]
+    });
+    this.broadcast(room, { type: 'presence.join', user: participant }, ws);
+  }
+
+  // Pick up saves made outside the session while it had nothing unsaved
+  async refresh(room) {
+    if (room.clock !== room.savedClock) return;
+    const current = await Layout.findById(room.layoutId);
+    if (!current || (current.revision || 0) === room.revision) return;
+
+    room.layout = { pages: clone(current.toObject().pages || []) };
+    room.persistedLayout = { pages: clone(room.layout.pages) };
+    room.revision = current.revision || 0;
+    this.broadcast(room, { type: 'reset', clock: room.clock, revision: room.revision, layout: room.layout });
+  }
+
+  leave(room, ws) {
+    const participant = room.clients.get(ws);
+    if (!participant) return;
+    room.clients.delete(ws);
+    this.broadcast(room, { type: 'presence.leave', sessionId: participant.sessionId, userId: participant.userId });
+
+    // Save and close the session once its last participant is gone
+    if (room.clients.size === 0) {
+      clearTimeout(room.persistTimer);
+      this.persist(room).finally(() => {
+        if (room.clients.size === 0 && room.clock === room.savedClock) this.rooms.delete(room.projectId);
+      });
+    }
+  }
+
+  send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+  }
+
+  broadcast(room, message, except = null) {
+    const payload = JSON.stringify(message);
+    room.clients.forEach((participant, ws) => {
+      if (ws !== except && ws.readyState === WebSocket.OPEN) ws.send(payload);
+    });
+  }
+
+  /**
+   * Client messages:
+   *   { type: 'op', id, baseClock, op }     - an operation made on top of the state at baseClock
+   *   { type: 'presence', selection, cursor } - selected element ids, cursor { x, y, pageIndex }
+   *   { type: 'sync', since }               - operations after a clock, e.g. after reconnecting
+   */
+  handleMessage(room, ws, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return this.send(ws, { type: 'error', message: 'Messages must be JSON' });
+    }
+
+    switch (message && message.type) {
+      case 'op':
+        return this.handleOp(room, ws, message);
+      case 'presence':
+        return this.handlePresence(room, ws, message);
+      case 'sync':
+        return this.handleSync(room, ws, message);
+      default:
+        return this.send(ws, { type: 'error', message: 'type must be op, presence or sync' });
+    }
+  }
+
+  /**
+   * Sequence one operation
+   * Operations the sender had not seen (after baseClock, from other sessions) are accounted for
+   * by transforming page indices; element fields are last-writer-wins in clock order, and the
+   * ack lists any concurrent writes the operation overwrote. Updates to deleted elements fail.
+   */
+  handleOp(room, ws, message) {
+    const participant = room.clients.get(ws);
+    const { id, baseClock } = message;
+    const reject = (error, extra = {}) => this.send(ws, { type: 'reject', id, error, ...extra });
+
+    if (!Number.isInteger(baseClock) || baseClock < 0 || baseClock > room.clock) {
+      return reject('baseClock must be a clock value received from this session');
+    }
+    if (baseClock < room.historyBase) {
+      return reject('Too far behind; resync required', { resync: true });
+    }
+    const invalid = validateOp(message.op);
+    if (invalid) return reject(invalid);
+
+    let op = message.op;
+    for (const entry of room.history) {
+      if (entry.clock <= baseClock || entry.sessionId === participant.sessionId) continue;
+      op = transformOp(op, entry.op);
+      if (!op) return reject('The target page was deleted');
+    }
+
+    let applied;
+    try {
+      applied = applyOp(room.layout, op, { validateElement });
+    } catch (error) {
+      return reject(error.message);
+    }
+
+    const clock = ++room.clock;
+    const keys = touchedKeys(applied);
+    const overwritten = keys
+      .map(key => ({ key, ...room.lastWrites.get(key) }))
+      .filter(write => write.clock > baseClock && write.userId !== participant.userId);
+    keys.forEach(key => room.lastWrites.set(key, { clock, userId: participant.userId }));
+
+    room.history.push({ clock, sessionId: participant.sessionId, userId: participant.userId, op: applied });
+    if (room.history.length > COLLAB_CONFIG.HISTORY_SIZE) {
+      room.historyBase = room.history.shift().clock;
+    }
+    room.lastEditor = participant.userId;
+
+    this.send(ws, { type: 'ack', id, clock, op: applied, overwritten });
+    this.broadcast(room, { type: 'op', clock, sessionId: participant.sessionId, userId: participant.userId, op: applied }, ws);
+    this.schedulePersist(room);
+  }
+
+  handlePresence(room, ws, message) {
+    const participant = room.clients.get(ws);
+    if (Array.isArray(message.selection)) {
+      participant.selection = message.selection.filter(elementId => typeof elementId === 'string');
+    }
+    if (message.cursor === null || (message.cursor && typeof message.cursor === 'object')) {
+      participant.cursor = message.cursor && {
+        x: Number(message.cursor.x) || 0,
+        y: Number(message.cursor.y) || 0,
+        pageIndex: Number(message.cursor.pageIndex) || 0
+      };
+    }
+    this.broadcast(room, {
+      type: 'presence',
+      sessionId: participant.sessionId,
+      userId: participant.userId,
+      selection: participant.selection,
+      cursor: participant.cursor
+    }, ws);
+  }
+
+  // Missed operations when they are still in history, otherwise the whole layout
+  handleSync(room, ws, message) {
+    const since = Number(message.since);
+    if (Number.isInteger(since) && since >= room.historyBase && since <= room.clock) {
+      return this.send(ws, {
+        type: 'ops',
+        clock: room.clock,
+        ops: room.history.filter(entry => entry.clock > since)
+      });
+    }
+    this.send(ws, { type: 'reset', clock: room.clock, revision: room.revision, layout: room.layout });
+  }
+
+  schedulePersist(room) {
+    room.dirtySince = room.dirtySince || Date.now();
+    clearTimeout(room.persistTimer);
+    const wait = Math.min(COLLAB_CONFIG.PERSIST_DEBOUNCE, room.dirtySince + COLLAB_CONFIG.PERSIST_MAX_WAIT - Date.now());
+    room.persistTimer = setTimeout(() => this.persist(room), Math.max(0, wait));
+  }
+
+  /**
+   * Save the session's layout (never throws)
+   * The write is conditional on the layout revision; if the layout was saved outside the
+   * session (REST update, restore), unsaved operations are replayed on top of that save
+   * and participants receive the rebased layout.
+   */
+  async persist(room) {
+    if (room.persisting) {
+      room.persistQueued = true;
+      return room.persisting;
+    }
+    if (room.clock === room.savedClock) return null;
+
+    room.persisting = (async () => {
+      try {
+        const savedClock = room.clock;
+        let updated = await this.writeLayout(room, room.layout.pages);
+
+        if (!updated) {
+          const fresh = await Layout.findById(room.layoutId);
+          if (!fresh) return;
+          const rebased = { pages: clone(fresh.toObject().pages || []) };
+          room.history
+            .filter(entry => entry.clock > room.savedClock)
+            .forEach(entry => {
+              try {
+                applyOp(rebased, entry.op, { validateElement });
+              } catch (error) {
+                // The outside save removed what this operation changed
+              }
+            });
+          room.layout = rebased;
+          room.revision = fresh.revision || 0;
+          this.broadcast(room, { type: 'reset', clock: room.clock, revision: room.revision, layout: room.layout });
+          updated = await this.writeLayout(room, rebased.pages);
+          if (!updated) {
+            this.persistFailed(room, 'The layout keeps changing outside the session');
+            return;
+          }
+        }
+
+        room.persistFailures = 0;
+        room.revision = updated.revision;
+        room.savedClock = savedClock;
+        if (room.clock === savedClock) room.dirtySince = null;
+
+        await projectVersionService.record(room.project, updated, {
+          userId: room.lastEditor,
+          before: room.persistedLayout,
+          note: 'Collaborative editing session'
+        });
+        room.persistedLayout = { pages: clone(updated.toObject().pages || []) };
+        this.broadcast(room, { type: 'saved', clock: savedClock, revision: room.revision });
+      } catch (error) {
+        console.error(`Error saving collaborative layout for project ${room.projectId}:`, error);
+        this.persistFailed(room, error.message);
+      }
+    })();
+
+    await room.persisting;
+    room.persisting = null;
+    if (room.persistQueued) {
+      room.persistQueued = false;
+      return this.persist(room);
+    }
+    return null;
+  }
+
+  // Retry a failed save a bounded number of times; participants hear about every failure
+  persistFailed(room, message) {
+    room.persistFailures = (room.persistFailures || 0) + 1;
+    const retrying = room.persistFailures < COLLAB_CONFIG.MAX_PERSIST_ATTEMPTS;
+    this.broadcast(room, { type: 'save.failed', clock: room.clock, attempts: room.persistFailures, retrying, message });
+
+    if (retrying) {
+      this.schedulePersist(room);
+    } else {
+      console.error(`Giving up saving collaborative layout for project ${room.projectId} after ${room.persistFailures} attempts`);
+      room.persistFailures = 0; // the next operation starts a fresh round of attempts
+      if (room.clients.size === 0) this.rooms.delete(room.projectId);
+    }
+  }
+
+  writeLayout(room, pages) {
+    return Layout.findOneAndUpdate(
+      { _id: room.layoutId, revision: revisionFilter(room.revision) },
+      { pages: clone(pages) },
+      { new: true, runValidators: true }
+    );
+  }
+
+  /**
+   * Participants currently editing a project
+   * @param {string} projectId
+   * @returns {Promise<Object[]>}
+   */
+  async getParticipants(projectId) {
+    const loading = this.rooms.get(projectId.toString());
+    if (!loading) return [];
+    const room = await loading.catch(() => null);
+    return room ? [...room.clients.values()] : [];
+  }
+}
+
+// Create and export singleton instance
+const collaborationService = new CollaborationService();
+
+module.exports = collaborationService;
@@ -0,0 +1,68 @@
+// index.js - Select the embedding provider used by the vector services
+//
+// EMBEDDING_PROVIDER=openai     - text-embedding-ada-002, 1536 dimensions (default)
+// EMBEDDING_PROVIDER=openai-v3  - EMBEDDING_MODEL (default text-embedding-3-small), optional EMBEDDING_DIMENSIONS
+// EMBEDDING_PROVIDER=local      - Offline hashed n-gram embeddings, EMBEDDING_DIMENSIONS (default 384)
+
+const crypto = require('crypto');
+const OpenAIEmbeddingProvider = require('./openaiProvider');
+const LocalEmbeddingProvider = require('./localProvider');
+
+// Signature of the provider the original indexes were built with; those keep their unsuffixed names
+const LEGACY_SIGNATURE = 'openai:text-embedding-ada-002:1536';
+
+let provider = null;
+
+/**
+ * Build a provider from explicit settings
+ * @param {Object} config - { provider, model, dimensions }
+ * @returns {OpenAIEmbeddingProvider|LocalEmbeddingProvider}
+ */
+function createEmbeddingProvider({ provider: name = 'openai', model, dimensions } = {}) {
+  switch (name) {
+    case 'openai':
+      return new OpenAIEmbeddingProvider({ model: model || 'text-embedding-ada-002', dimensions });
+    case 'openai-v3':
+      return new OpenAIEmbeddingProvider({ model: model || 'text-embedding-3-small', dimensions });
+    case 'local':
+      return new LocalEmbeddingProvider({ dimensions: dimensions || 384 });
+    default:
+      throw new Error(`Unknown EMBEDDING_PROVIDER "${name}". Supported: openai, openai-v3, local`);
+  }
+}
+
+/**
+ * Get the configured provider (created once from the environment)
+ * @returns {OpenAIEmbeddingProvider|LocalEmbeddingProvider}
+ */
+function getEmbeddingProvider() {
+  if (!provider) {
+    const dimensions = parseInt(process.env.EMBEDDING_DIMENSIONS, 10);
+    provider = createEmbeddingProvider({
+      provider: (process.env.EMBEDDING_PROVIDER || 'openai').trim().toLowerCase(),
+      model: process.env.EMBEDDING_MODEL,
+      dimensions: Number.isNaN(dimensions) ? undefined : dimensions
+    });
+  }
+  return provider;
+}
+
+/**
+ * Derive the vector index name for a provider
+ * Vectors from different providers are not comparable, so each provider gets its own index.
+ * @param {string} baseName - Base index name (e.g. 'canva-assets')
+ * @param {Object} embeddingProvider - Provider instance
+ * @returns {string} - Index name (lowercase, hyphenated, Pinecone-safe)
+ */
+function getIndexName(baseName, embeddingProvider) {
+  if (embeddingProvider.signature === LEGACY_SIGNATURE) return baseName;
+  const hash = crypto.createHash('sha1').update(embeddingProvider.signature).digest('hex').slice(0, 8);
+  return `${baseName}-${embeddingProvider.dimension}-${hash}`;
+}
+
+module.exports = {
+  createEmbeddingProvider,
+  getEmbeddingProvider,
+  getIndexName,
+  LEGACY_SIGNATURE
+};
@@ -0,0 +1,81 @@
+// localProvider.js - Offline, deterministic embedding provider using hashed character n-grams
+// Quality is well below a trained model, but it needs no network or API key, the same text
+// always yields the same vector, and texts sharing words/subwords land close together.
+
+const crypto = require('crypto');
+
+const LOCAL_CONFIG = {
+  // Character n-gram sizes taken from each word (with boundary markers)
+  NGRAM_SIZES: [3, 4],
+
+  // Whole words weigh more than their fragments
+  WORD_WEIGHT: 2,
+
+  // Bump when the feature extraction changes so vectors are re-embedded
+  VERSION: 'v1'
+};
+
+class LocalEmbeddingProvider {
+  constructor({ dimensions = 384 } = {}) {
+    this.name = 'local';
+    this.model = `hashed-ngram-${LOCAL_CONFIG.VERSION}`;
+    this.dimension = dimensions;
+    this.signature = `local:${this.model}:${this.dimension}`;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  // Split text into lowercase word tokens
+  tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+  }
+
+  // Map a feature to a bucket and a sign (the sign halves collision bias)
+  hashFeature(feature) {
+    const digest = crypto.createHash('md5').update(feature).digest();
+    return {
+      bucket: digest.readUInt32LE(0) % this.dimension,
+      sign: (digest[4] & 1) === 0 ? 1 : -1
+    };
+  }
+
+  async embed(text) {
+    const vector = new Array(this.dimension).fill(0);
+
+    this.tokenize(text).forEach(word => {
+      const features = [[`w:${word}`, LOCAL_CONFIG.WORD_WEIGHT]];
+      const padded = `<${word}>`;
+      LOCAL_CONFIG.NGRAM_SIZES.forEach(size => {
+        for (let i = 0; i + size <= padded.length; i++) {
+          features.push([`g:${padded.slice(i, i + size)}`, 1]);
+        }
+      });
+
+      features.forEach(([feature, weight]) => {
+        const { bucket, sign } = this.hashFeature(feature);
+        vector[bucket] += sign * weight;
+      });
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    if (norm === 0) {
+      // Cosine indexes cannot store a zero vector; use a fixed unit vector for empty text
+      vector[0] = 1;
+      return vector;
+    }
+    return vector.map(value => value / norm);
+  }
+
+  async embedBatch(texts) {
+    return Promise.all(texts.map(text => this.embed(text)));
+  }
+}
+
+module.exports = LocalEmbeddingProvider;
@@ -0,0 +1,67 @@
+// openaiProvider.js - Embedding provider backed by the OpenAI embeddings API
+
+const OpenAI = require('openai');
+
+// Native output size of each supported model
+const MODEL_DIMENSIONS = {
+  'text-embedding-ada-002': 1536,
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072
+};
+
+// Models that accept a reduced `dimensions` parameter
+const SHORTENABLE_MODELS = ['text-embedding-3-small', 'text-embedding-3-large'];
+
+class OpenAIEmbeddingProvider {
+  constructor({ model = 'text-embedding-ada-002', dimensions } = {}) {
+    const nativeDimension = MODEL_DIMENSIONS[model];
+    if (!nativeDimension) {
+      throw new Error(`Unsupported OpenAI embedding model "${model}". Supported: ${Object.keys(MODEL_DIMENSIONS).join(', ')}`);
+    }
+    if (dimensions && dimensions !== nativeDimension && !SHORTENABLE_MODELS.includes(model)) {
+      throw new Error(`${model} does not support custom dimensions`);
+    }
+    if (dimensions && dimensions > nativeDimension) {
+      throw new Error(`${model} supports at most ${nativeDimension} dimensions`);
+    }
+
+    this.name = 'openai';
+    this.model = model;
+    this.dimension = dimensions || nativeDimension;
+    this.sendDimensions = !!dimensions && SHORTENABLE_MODELS.includes(model);
+    this.signature = `openai:${model}:${this.dimension}`;
+    this.openai = null;
+  }
+
+  isAvailable() {
+    return !!process.env.OPENAI_API_KEY;
+  }
+
+  getClient() {
+    if (!this.openai) {
+      this.openai = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY
+      });
+    }
+    return this.openai;
+  }
+
+  async embed(text) {
+    const [embedding] = await this.embedBatch([text]);
+    return embedding;
+  }
+
+  async embedBatch(texts) {
+    const response = await this.getClient().embeddings.create({
+      model: this.model,
+      input: texts,
+      ...(this.sendDimensions && { dimensions: this.dimension })
+    });
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+module.exports = OpenAIEmbeddingProvider;
@@ -0,0 +1,73 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process, per-user event bus used to push job progress to connected clients.
+ * Events are kept briefly so a reconnecting client (SSE Last-Event-ID) can catch up.
+ * Note: delivery is limited to clients connected to the same server instance.
+ */
+class EventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0); // One listener per open connection
+    this.sequence = 0;
+    this.recent = new Map(); // userId -> [event]
+    this.historySize = 100; // Events kept per user for replay
+    this.historyTtl = 10 * 60 * 1000; // 10 minutes
+  }
+
+  // Publish an event to a user's subscribers (never throws)
+  publish(userId, type, data = {}) {
+    try {
+      if (!userId) return null;
+
+      const event = {
+        id: ++this.sequence,
+        type,
+        userId: userId.toString(),
+        data,
+        timestamp: new Date().toISOString()
+      };
+
+      const history = this.recent.get(event.userId) || [];
+      history.push(event);
+      this.recent.set(event.userId, this.pruneHistory(history));
+
+      this.emitter.emit(`user:${event.userId}`, event);
+      return event;
+    } catch (error) {
+      console.error(`Error publishing event ${type}:`, error);
+      return null;
+    }
+  }
+
+  // Drop events beyond the size limit or older than the TTL
+  pruneHistory(history) {
+    const cutoff = Date.now() - this.historyTtl;
+    return history
+      .filter(event => new Date(event.timestamp).getTime() >= cutoff)
+      .slice(-this.historySize);
+  }
+
+  // Subscribe to a user's events; returns an unsubscribe function
+  subscribe(userId, listener) {
+    const channel = `user:${userId}`;
+    this.emitter.on(channel, listener);
+    return () => this.emitter.off(channel, listener);
+  }
+
+  // Events published for a user after the given event id
+  getEventsSince(userId, lastEventId) {
+    const history = this.pruneHistory(this.recent.get(userId.toString()) || []);
+    return history.filter(event => event.id > lastEventId);
+  }
+
+  // Number of open subscriptions for a user
+  getSubscriberCount(userId) {
+    return this.emitter.listenerCount(`user:${userId}`);
+  }
+}
+
+// Create and export singleton instance
+const eventBus = new EventBus();
+
+module.exports = eventBus;
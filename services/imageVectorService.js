@@ -2,10 +2,12 @@
 const OpenAI = require('openai');
 const fs = require('fs');
 const axios = require('axios');
+const { getEmbeddingProvider } = require('./embeddingProviders');
 
 class ImageVectorService {
   constructor() {
     this.openai = null;
+    this.embeddingProvider = null;
     this.initialized = false;
   }
 
@@ -19,6 +21,7 @@ class ImageVectorService {
       this.openai = new OpenAI({
         apiKey: process.env.OPENAI_API_KEY
       });
+      this.embeddingProvider = getEmbeddingProvider();
 
       this.initialized = true;
       console.log('Image vector service initialized successfully');
@@ -77,14 +80,12 @@ class ImageVectorService {
       const visualDescription = response.choices[0].message.content;
       
       // Generate embedding from the visual-focused description
-      const embeddingResponse = await this.openai.embeddings.create({
-        model: 'text-embedding-ada-002',
-        input: visualDescription,
-      });
+      const embedding = await this.embeddingProvider.embed(visualDescription);
 
       return {
-        embedding: embeddingResponse.data[0].embedding,
+        embedding,
         visualDescription: visualDescription,
+        provider: this.embeddingProvider.signature,
         type: 'visual-focused'
       };
 
@@ -121,15 +122,13 @@ class ImageVectorService {
       ].filter(Boolean).join(' ');
 
       // Generate final embedding
-      const embeddingResponse = await this.openai.embeddings.create({
-        model: 'text-embedding-ada-002',
-        input: combinedText,
-      });
+      const embedding = await this.embeddingProvider.embed(combinedText);
 
       return {
-        embedding: embeddingResponse.data[0].embedding,
+        embedding,
         combinedDescription: combinedText,
         visualDescription: visualResult.visualDescription,
+        provider: this.embeddingProvider.signature,
         type: 'hybrid'
       };
 
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const ProjectVersion = require('../models/ProjectVersion.ts').default;
+const Layout = require('../models/Page.ts').default;
+const { diffLayouts } = require('../utils/layoutDiff');
+
+/**
+ * Configuration for project version history
+ */
+const VERSION_CONFIG = {
+  // Automatic snapshots kept per project; named (manual) versions are never pruned
+  MAX_AUTO_VERSIONS: parseInt(process.env.PROJECT_VERSION_MAX_AUTO, 10) || 50,
+
+  // Automatic snapshots older than this many days are pruned (0 keeps them regardless of age)
+  MAX_AUTO_AGE_DAYS: parseInt(process.env.PROJECT_VERSION_MAX_AGE_DAYS, 10) || 0,
+
+  // Attempts at taking the next version number when concurrent saves race for it
+  MAX_CREATE_ATTEMPTS: 5
+};
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+// Plain copy of a layout's pages (sub-document ids dropped so snapshots compare by content)
+function snapshotPages(layout) {
+  const plain = layout && typeof layout.toObject === 'function' ? layout.toObject() : layout;
+  return JSON.parse(JSON.stringify((plain && plain.pages) || [], (key, value) => (key === '_id' ? undefined : value)));
+}
+
+const hashPages = (pages) => crypto.createHash('sha256').update(JSON.stringify(pages)).digest('hex');
+
+/**
+ * Snapshot history for project layouts.
+ * Every layout save records a version unless the pages are unchanged since the last one;
+ * users can name versions to keep them, compare any two, and restore an earlier one.
+ */
+class ProjectVersionService {
+  async latest(projectId) {
+    return ProjectVersion.findOne({ projectId }).sort({ version: -1 });
+  }
+
+  // Create a version numbered after the latest, retrying when a concurrent save takes the number first
+  async createNext(projectId, data) {
+    for (let attempt = 1; ; attempt++) {
+      const latest = await this.latest(projectId);
+      try {
+        return await ProjectVersion.create({ ...data, projectId, version: latest ? latest.version + 1 : 1 });
+      } catch (error) {
+        if (!isDuplicateKey(error) || attempt >= VERSION_CONFIG.MAX_CREATE_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  /**
+   * Record a project's layout after a change (never throws; history problems must not fail the save)
+   * Projects saved before history existed get a "baseline" version from `before` first.
+   * @param {Object} project - Project document
+   * @param {Object} layout - Layout (or { pages }) after the change
+   * @param {Object} options - { userId, kind, name, note, before, restoredFrom }
+   * @returns {Promise<Object|null>} - The new version, or null when the pages did not change
+   */
+  async record(project, layout, { userId, kind = 'auto', name, note, before, restoredFrom } = {}) {
+    try {
+      const pages = snapshotPages(layout);
+      const hash = hashPages(pages);
+      let previous = await this.latest(project._id);
+
+      if (!previous && before) {
+        const beforePages = snapshotPages(before);
+        try {
+          previous = await ProjectVersion.create({
+            projectId: project._id,
+            version: 1,
+            kind: 'baseline',
+            userId: project.ownerId ? project.ownerId.toString() : undefined,
+            hash: hashPages(beforePages),
+            pages: beforePages
+          });
+        } catch (error) {
+          // A concurrent save started the history first
+          if (!isDuplicateKey(error)) throw error;
+          previous = await this.latest(project._id);
+        }
+      }
+
+      if (previous && previous.hash === hash && kind === 'auto') return null;
+
+      const version = await this.createNext(project._id, {
+        kind,
+        name,
+        note,
+        userId: userId ? userId.toString() : undefined,
+        hash,
+        pages,
+        restoredFrom
+      });
+
+      if (kind === 'auto') await this.prune(project._id);
+      return version;
+    } catch (error) {
+      console.error(`Error recording ${kind} version for project ${project && project._id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Name the project's current layout so it is kept regardless of retention
+   * When the latest version already holds these pages it is named instead of duplicated.
+   * @param {Object} project - Project document
+   * @param {Object} layout - Current layout
+   * @param {Object} options - { userId, name, note }
+   * @returns {Promise<Object>} - The named version
+   */
+  async createNamed(project, layout, { userId, name, note } = {}) {
+    const pages = snapshotPages(layout);
+    const previous = await this.latest(project._id);
+
+    if (previous && previous.hash === hashPages(pages) && !previous.name && !note) {
+      previous.kind = 'manual';
+      previous.name = name;
+      return previous.save();
+    }
+    return this.createNext(project._id, {
+      kind: 'manual',
+      name,
+      note,
+      userId: userId ? userId.toString() : undefined,
+      hash: hashPages(pages),
+      pages
+    });
+  }
+
+  /**
+   * Drop automatic versions beyond the configured count and age (the latest version is always kept)
+   */
+  async prune(projectId) {
+    const automatic = await ProjectVersion.find({ projectId, kind: { $in: ['auto', 'baseline'] } })
+      .select('version createdAt')
+      .sort({ version: -1 });
+    const latest = await this.latest(projectId);
+    const cutoff = VERSION_CONFIG.MAX_AUTO_AGE_DAYS
+      ? Date.now() - VERSION_CONFIG.MAX_AUTO_AGE_DAYS * 24 * 60 * 60 * 1000
+      : null;
+
+    const expired = automatic
+      .filter((entry, index) => index >= VERSION_CONFIG.MAX_AUTO_VERSIONS || (cutoff && entry.createdAt < cutoff))
+      .filter(entry => !latest || entry.version !== latest.version)
+      .map(entry => entry.version);
+
+    if (expired.length) {
+      await ProjectVersion.deleteMany({ projectId, version: { $in: expired } });
+    }
+    return expired.length;
+  }
+
+  /**
+   * Versions of a project, newest first, without their pages
+   * @param {string} projectId
+   * @param {Object} options - { limit, before, named } before: only versions older than this number; named: manual only
+   */
+  async list(projectId, { limit = 50, before, named = false } = {}) {
+    const filter = { projectId };
+    if (before) filter.version = { $lt: before };
+    if (named) filter.kind = 'manual';
+    return ProjectVersion.find(filter)
+      .select('-pages')
+      .sort({ version: -1 })
+      .limit(limit);
+  }
+
+  async get(projectId, version) {
+    return ProjectVersion.findOne({ projectId, version });
+  }
+
+  /**
+   * Structural differences (pages and elements added, removed, changed) between two versions
+   * @returns {Promise<Object|null>} - { from, to, ...diffLayouts } or null if a version is missing
+   */
+  async diff(projectId, fromVersion, toVersion) {
+    const [from, to] = await Promise.all([
+      this.get(projectId, fromVersion),
+      toVersion ? this.get(projectId, toVersion) : this.latest(projectId)
+    ]);
+    if (!from || !to) return null;
+
+    return {
+      from: from.version,
+      to: to.version,
+      ...diffLayouts({ pages: from.pages }, { pages: to.pages })
+    };
+  }
+
+  /**
+   * Put an earlier version's pages back on the project's layout; the restore is recorded as a new version
+   * @param {Object} project - Project document
+   * @param {number} version - Version to restore
+   * @param {string} userId - Who restored it
+   * @returns {Promise<{layout: Object, version: Object|null}|null>} - null when the version does not exist
+   */
+  async restore(project, version, userId) {
+    const target = await this.get(project._id, version);
+    if (!target) return null;
+
+    const before = await Layout.findById(project.layoutId);
+    const layout = await Layout.findByIdAndUpdate(project.layoutId, { pages: target.pages }, { new: true, runValidators: true });
+
+    const recorded = await this.record(project, layout, {
+      userId,
+      kind: 'restore',
+      note: `Restored version ${version}${target.name ? ` "${target.name}"` : ''}`,
+      before,
+      restoredFrom: version
+    });
+    return { layout, version: recorded };
+  }
+
+  async deleteForProject(projectId) {
+    return ProjectVersion.deleteMany({ projectId });
+  }
+}
+
+// Create and export singleton instance
+const projectVersionService = new ProjectVersionService();
+
+module.exports = projectVersionService;
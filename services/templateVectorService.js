@@ -1,33 +1,32 @@
-const { Pinecone } = require('@pinecone-database/pinecone');
-const OpenAI = require('openai');
+const { createVectorIndex } = require('./vectorBackends');
+const { getEmbeddingProvider, getIndexName } = require('./embeddingProviders');
 
 class TemplateVectorService {
   constructor() {
-    this.pinecone = null;
     this.index = null;
-    this.openai = null;
-    this.indexName = 'canva-templates';
-    this.dimension = 1536; // OpenAI text-embedding-ada-002 dimension
+    this.embeddingProvider = null;
+    this.baseIndexName = 'canva-templates';
+    this.indexName = null; // derived from the embedding provider
+    this.dimension = null; // derived from the embedding provider
     this.initialized = false;
   }
 
   async initialize() {
     try {
-      // Initialize OpenAI for embeddings
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
-      });
-
-      // Initialize Pinecone if API key is available
-      if (process.env.PINECONE_API_KEY) {
-        this.pinecone = new Pinecone({
-          apiKey: process.env.PINECONE_API_KEY
-        });
-
-        // Check if index exists, create if it doesn't
-        await this.ensureIndexExists();
-        this.index = this.pinecone.index(this.indexName);
+      // Resolve the embedding provider; it decides the index dimension and name
+      this.embeddingProvider = getEmbeddingProvider();
+      if (!this.embeddingProvider.isAvailable()) {
+        console.warn(`Embedding provider ${this.embeddingProvider.signature} is not configured. Template vector store will be disabled.`);
+        return;
       }
+      this.dimension = this.embeddingProvider.dimension;
+      this.indexName = getIndexName(this.baseIndexName, this.embeddingProvider);
+
+      // Initialize the configured vector backend (Pinecone or local HNSW)
+      this.index = await createVectorIndex({
+        name: this.indexName,
+        dimension: this.dimension
+      });
 
       this.initialized = true;
       console.log('Template vector store service initialized successfully');
@@ -37,70 +36,14 @@ class TemplateVectorService {
     }
   }
 
-  async ensureIndexExists() {
-    try {
-      const indexList = await this.pinecone.listIndexes();
-      const indexExists = indexList.indexes?.some(index => index.name === this.indexName);
-
-      if (!indexExists) {
-        console.log(`Creating Pinecone index: ${this.indexName}`);
-        await this.pinecone.createIndex({
-          name: this.indexName,
-          dimension: this.dimension,
-          metric: 'cosine',
-          spec: {
-            serverless: {
-              cloud: 'aws',
-              region: 'us-east-1'
-            }
-          }
-        });
-        
-        // Wait for index to be ready
-        console.log('Waiting for template index to be ready...');
-        await this.waitForIndexReady();
-      }
-    } catch (error) {
-      console.error('Error ensuring template index exists:', error);
-      throw error;
-    }
-  }
-
-  async waitForIndexReady() {
-    const maxAttempts = 30;
-    let attempts = 0;
-    
-    while (attempts < maxAttempts) {
-      try {
-        const indexStats = await this.pinecone.index(this.indexName).describeIndexStats();
-        if (indexStats) {
-          console.log('Template index is ready!');
-          return;
-        }
-      } catch (error) {
-        // Index not ready yet, continue waiting
-      }
-      
-      attempts++;
-      await new Promise(resolve => setTimeout(resolve, 10000)); // Wait 10 seconds
-    }
-    
-    throw new Error('Template index failed to become ready within expected time');
-  }
-
   // Generate embeddings for template metadata
   async generateEmbedding(text) {
     try {
-      if (!this.openai) {
-        throw new Error('OpenAI not initialized');
+      if (!this.embeddingProvider) {
+        throw new Error('Embedding provider not initialized');
       }
 
-      const response = await this.openai.embeddings.create({
-        model: 'text-embedding-ada-002',
-        input: text,
-      });
-
-      return response.data[0].embedding;
+      return await this.embeddingProvider.embed(text);
     } catch (error) {
       console.error('Error generating template embedding:', error);
       throw error;
@@ -212,7 +155,7 @@ class TemplateVectorService {
     try {
       if (!this.initialized || !this.index) {
         console.log('Template vector store not available, skipping vectorization');
-        return;
+        return false;
       }
 
       // Extract layout information if layoutId exists
@@ -287,9 +230,11 @@ class TemplateVectorService {
 
       await this.index.upsert([vector]);
       console.log(`Template ${template._id} (${template.title}) added to vector store`);
+      return true;
     } catch (error) {
       console.error('Error adding template to vector store:', error);
       // Don't throw error - allow normal template operations to continue
+      return false;
     }
   }
 
@@ -515,6 +460,9 @@ class TemplateVectorService {
       const stats = await this.index.describeIndexStats();
       return {
         available: true,
+        backend: this.index.backendName,
+        indexName: this.indexName,
+        embeddingProvider: this.embeddingProvider.signature,
         totalVectors: stats.totalVectorCount,
         dimension: stats.dimension,
         indexFullness: stats.indexFullness
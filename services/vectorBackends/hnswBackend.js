@@ -0,0 +1,189 @@
+// hnswBackend.js - File-persisted local vector backend using hnswlib-node
+// Mirrors the subset of the Pinecone index API used by the vector services so it can be swapped in
+// for self-hosted and offline environments.
+
+const fs = require('fs');
+const path = require('path');
+const { HierarchicalNSW } = require('hnswlib-node');
+const { matchesFilter } = require('./metadataFilter');
+
+/**
+ * Configuration for the HNSW backend
+ */
+const HNSW_CONFIG = {
+  // Where index files are written (one .hnsw + .meta.json pair per index)
+  DATA_DIR: process.env.VECTOR_DATA_DIR || path.join(__dirname, '../../data/vectors'),
+
+  // Initial capacity; the index doubles when full
+  INITIAL_CAPACITY: 1000,
+
+  // Graph construction parameters
+  M: 16,
+  EF_CONSTRUCTION: 200,
+
+  // Minimum search breadth (raised to topK when larger)
+  MIN_EF: 50
+};
+
+class HnswBackend {
+  constructor({ name, dimension }) {
+    this.name = name;
+    this.dimension = dimension;
+    this.backendName = 'hnsw';
+    this.index = null;
+    this.records = new Map(); // id -> { label, metadata }
+    this.labels = new Map();  // label -> id
+    this.nextLabel = 0;
+    this.writeChain = Promise.resolve();
+
+    this.indexPath = path.join(HNSW_CONFIG.DATA_DIR, `${name}.hnsw`);
+    this.metaPath = path.join(HNSW_CONFIG.DATA_DIR, `${name}.meta.json`);
+  }
+
+  async initialize() {
+    await fs.promises.mkdir(HNSW_CONFIG.DATA_DIR, { recursive: true });
+    this.index = new HierarchicalNSW('cosine', this.dimension);
+
+    if (fs.existsSync(this.indexPath) && fs.existsSync(this.metaPath)) {
+      const meta = JSON.parse(await fs.promises.readFile(this.metaPath, 'utf8'));
+      if (meta.dimension !== this.dimension) {
+        throw new Error(`HNSW index ${this.name} has dimension ${meta.dimension}, expected ${this.dimension}`);
+      }
+
+      await this.index.readIndex(this.indexPath);
+      this.nextLabel = meta.nextLabel || 0;
+      Object.entries(meta.records || {}).forEach(([id, record]) => {
+        this.records.set(id, record);
+        this.labels.set(record.label, id);
+      });
+      const { totalVectorCount } = await this.describeIndexStats();
+      console.log(`Loaded HNSW index ${this.name} with ${totalVectorCount} vectors`);
+    } else {
+      this.index.initIndex(HNSW_CONFIG.INITIAL_CAPACITY, HNSW_CONFIG.M, HNSW_CONFIG.EF_CONSTRUCTION);
+      console.log(`Created HNSW index ${this.name} at ${HNSW_CONFIG.DATA_DIR}`);
+    }
+
+    return this;
+  }
+
+  // Grow the index before it runs out of slots
+  ensureCapacity(additional) {
+    const needed = this.index.getCurrentCount() + additional;
+    let capacity = this.index.getMaxElements();
+    if (needed <= capacity) return;
+
+    while (capacity < needed) capacity *= 2;
+    this.index.resizeIndex(capacity);
+  }
+
+  // Write the index and metadata sidecar; writes are serialized so they never interleave
+  persist() {
+    this.writeChain = this.writeChain
+      .then(async () => {
+        const meta = {
+          dimension: this.dimension,
+          nextLabel: this.nextLabel,
+          records: Object.fromEntries(this.records)
+        };
+        const tempMetaPath = `${this.metaPath}.tmp`;
+        await this.index.writeIndex(this.indexPath);
+        await fs.promises.writeFile(tempMetaPath, JSON.stringify(meta));
+        await fs.promises.rename(tempMetaPath, this.metaPath);
+      })
+      .catch(error => {
+        console.error(`Error persisting HNSW index ${this.name}:`, error);
+      });
+    return this.writeChain;
+  }
+
+  async upsert(vectors) {
+    this.ensureCapacity(vectors.length);
+
+    vectors.forEach(({ id, values, metadata = {} }) => {
+      if (!Array.isArray(values) || values.length !== this.dimension) {
+        throw new Error(`Vector ${id} has dimension ${values?.length}, expected ${this.dimension}`);
+      }
+
+      const existing = this.records.get(id);
+      if (existing) {
+        if (existing.deleted) this.index.unmarkDelete(existing.label);
+        this.index.addPoint(values, existing.label);
+        this.records.set(id, { label: existing.label, metadata });
+      } else {
+        const label = this.nextLabel++;
+        this.index.addPoint(values, label);
+        this.records.set(id, { label, metadata });
+        this.labels.set(label, id);
+      }
+    });
+
+    await this.persist();
+    return {};
+  }
+
+  async deleteOne(id) {
+    const record = this.records.get(id);
+    if (!record || record.deleted) return {};
+
+    this.index.markDelete(record.label);
+    // Keep the label reserved so a later upsert of the same id can reuse its slot
+    this.records.set(id, { label: record.label, metadata: {}, deleted: true });
+
+    await this.persist();
+    return {};
+  }
+
+  async query({ vector, topK = 10, filter, includeMetadata = false, includeValues = false }) {
+    const eligible = [];
+    this.records.forEach((record, id) => {
+      if (!record.deleted && matchesFilter(record.metadata, filter)) eligible.push(record.label);
+    });
+
+    const k = Math.min(topK, eligible.length);
+    if (k === 0) return { matches: [] };
+
+    const allowed = new Set(eligible);
+    this.index.setEf(Math.max(HNSW_CONFIG.MIN_EF, k));
+    const { neighbors, distances } = this.index.searchKnn(vector, k, label => allowed.has(label));
+
+    const matches = neighbors.map((label, position) => {
+      const id = this.labels.get(label);
+      const record = this.records.get(id);
+      return {
+        id,
+        score: 1 - distances[position], // cosine distance -> similarity, like Pinecone
+        ...(includeValues && { values: this.index.getPoint(label) }),
+        ...(includeMetadata && { metadata: record.metadata })
+      };
+    });
+
+    return { matches };
+  }
+
+  async fetch(ids) {
+    const vectors = {};
+    ids.forEach(id => {
+      const record = this.records.get(id);
+      if (record && !record.deleted) {
+        vectors[id] = {
+          id,
+          values: this.index.getPoint(record.label),
+          metadata: record.metadata
+        };
+      }
+    });
+    return { vectors };
+  }
+
+  async describeIndexStats() {
+    const totalVectorCount = [...this.records.values()].filter(record => !record.deleted).length;
+    return {
+      totalVectorCount,
+      dimension: this.dimension,
+      indexFullness: totalVectorCount / this.index.getMaxElements()
+    };
+  }
+}
+
+module.exports = HnswBackend;
+module.exports.HNSW_CONFIG = HNSW_CONFIG;
@@ -0,0 +1,47 @@
+// index.js - Select and initialize the vector backend used by the vector services
+//
+// VECTOR_BACKEND=pinecone  - Pinecone serverless (requires PINECONE_API_KEY)
+// VECTOR_BACKEND=hnsw      - Local file-persisted HNSW index (VECTOR_DATA_DIR, default ./data/vectors)
+// unset                    - Pinecone when PINECONE_API_KEY is set, otherwise HNSW
+
+const PineconeBackend = require('./pineconeBackend');
+const HnswBackend = require('./hnswBackend');
+
+const BACKENDS = {
+  pinecone: PineconeBackend,
+  hnsw: HnswBackend
+};
+
+/**
+ * Resolve which backend to use from the environment
+ * @returns {string} - Backend key
+ */
+function getBackendName() {
+  const configured = (process.env.VECTOR_BACKEND || '').trim().toLowerCase();
+  if (configured) {
+    if (!BACKENDS[configured]) {
+      throw new Error(`Unknown VECTOR_BACKEND "${configured}". Supported: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    return configured;
+  }
+  return process.env.PINECONE_API_KEY ? 'pinecone' : 'hnsw';
+}
+
+/**
+ * Create and initialize a vector index
+ * The returned object exposes upsert, deleteOne, query, fetch and describeIndexStats
+ * with Pinecone-compatible arguments and responses.
+ * @param {Object} options - { name, dimension }
+ * @returns {Promise<PineconeBackend|HnswBackend>}
+ */
+async function createVectorIndex({ name, dimension }) {
+  const Backend = BACKENDS[getBackendName()];
+  const backend = new Backend({ name, dimension });
+  await backend.initialize();
+  return backend;
+}
+
+module.exports = {
+  createVectorIndex,
+  getBackendName
+};
@@ -0,0 +1,71 @@
+// metadataFilter.js - Evaluate Pinecone-style metadata filters against stored metadata
+
+/**
+ * Values stored as lists (tags, categories…) match if any element matches, like Pinecone
+ * @param {*} actual - Stored metadata value
+ * @param {Function} predicate - Test for a single scalar value
+ * @returns {boolean}
+ */
+function anyValue(actual, predicate) {
+  return Array.isArray(actual) ? actual.some(predicate) : predicate(actual);
+}
+
+/**
+ * Evaluate a single field condition such as { $eq: 'image' } or { $in: ['a', 'b'] }
+ * A bare value is treated as $eq.
+ * @param {*} actual - Stored metadata value
+ * @param {*} condition - Condition object or literal
+ * @returns {boolean}
+ */
+function matchesCondition(actual, condition) {
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    return anyValue(actual, value => value === condition);
+  }
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    switch (operator) {
+      case '$eq':
+        return anyValue(actual, value => value === expected);
+      case '$ne':
+        return !anyValue(actual, value => value === expected);
+      case '$in':
+        return anyValue(actual, value => expected.includes(value));
+      case '$nin':
+        return !anyValue(actual, value => expected.includes(value));
+      case '$gt':
+        return typeof actual === 'number' && actual > expected;
+      case '$gte':
+        return typeof actual === 'number' && actual >= expected;
+      case '$lt':
+        return typeof actual === 'number' && actual < expected;
+      case '$lte':
+        return typeof actual === 'number' && actual <= expected;
+      case '$exists':
+        return (actual !== undefined) === !!expected;
+      default:
+        throw new Error(`Unsupported metadata filter operator: ${operator}`);
+    }
+  });
+}
+
+/**
+ * Check whether metadata satisfies a Pinecone-style filter
+ * Supports $and/$or plus $eq, $ne, $in, $nin, $gt, $gte, $lt, $lte and $exists.
+ * @param {Object} metadata - Stored metadata
+ * @param {Object|undefined} filter - Filter expression
+ * @returns {boolean}
+ */
+function matchesFilter(metadata, filter) {
+  if (!filter || Object.keys(filter).length === 0) return true;
+  const data = metadata || {};
+
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(sub => matchesFilter(data, sub));
+    if (key === '$or') return condition.some(sub => matchesFilter(data, sub));
+    return matchesCondition(data[key], condition);
+  });
+}
+
+module.exports = {
+  matchesFilter
+};
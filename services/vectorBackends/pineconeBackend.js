@@ -0,0 +1,96 @@
+// pineconeBackend.js - Vector backend backed by a Pinecone serverless index
+
+const { Pinecone } = require('@pinecone-database/pinecone');
+
+class PineconeBackend {
+  constructor({ name, dimension }) {
+    this.name = name;
+    this.dimension = dimension;
+    this.backendName = 'pinecone';
+    this.pinecone = null;
+    this.index = null;
+  }
+
+  async initialize() {
+    if (!process.env.PINECONE_API_KEY) {
+      throw new Error('PINECONE_API_KEY is required for the pinecone vector backend');
+    }
+
+    this.pinecone = new Pinecone({
+      apiKey: process.env.PINECONE_API_KEY
+    });
+
+    // Check if index exists, create if it doesn't
+    await this.ensureIndexExists();
+    this.index = this.pinecone.index(this.name);
+    return this;
+  }
+
+  async ensureIndexExists() {
+    const indexList = await this.pinecone.listIndexes();
+    const indexExists = indexList.indexes?.some(index => index.name === this.name);
+
+    if (!indexExists) {
+      console.log(`Creating Pinecone index: ${this.name}`);
+      await this.pinecone.createIndex({
+        name: this.name,
+        dimension: this.dimension,
+        metric: 'cosine',
+        spec: {
+          serverless: {
+            cloud: 'aws',
+            region: 'us-east-1'
+          }
+        }
+      });
+
+      // Wait for index to be ready
+      console.log(`Waiting for index ${this.name} to be ready...`);
+      await this.waitForIndexReady();
+    }
+  }
+
+  async waitForIndexReady() {
+    const maxAttempts = 30;
+    let attempts = 0;
+
+    while (attempts < maxAttempts) {
+      try {
+        const indexStats = await this.pinecone.index(this.name).describeIndexStats();
+        if (indexStats) {
+          console.log(`Index ${this.name} is ready!`);
+          return;
+        }
+      } catch (error) {
+        // Index not ready yet, continue waiting
+      }
+
+      attempts++;
+      await new Promise(resolve => setTimeout(resolve, 10000)); // Wait 10 seconds
+    }
+
+    throw new Error(`Index ${this.name} failed to become ready within expected time`);
+  }
+
+  async upsert(vectors) {
+    return this.index.upsert(vectors);
+  }
+
+  async deleteOne(id) {
+    return this.index.deleteOne(id);
+  }
+
+  async query(options) {
+    return this.index.query(options);
+  }
+
+  async fetch(ids) {
+    return this.index.fetch(ids);
+  }
+
+  async describeIndexStats() {
+    return this.index.describeIndexStats();
+  }
+}
+
+module.exports = PineconeBackend;
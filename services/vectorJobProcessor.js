@@ -1,34 +1,54 @@
+const os = require('os');
 const Asset = require('../models/Asset');
+const VectorJob = require('../models/VectorJob');
+const { PRIORITY_RANK } = require('../models/VectorJob');
 const vectorStoreService = require('../services/vectorStore');
 const imageAnalysisService = require('./imageAnalysisService');
 const imageVectorService = require('./imageVectorService');
+const eventBus = require('./eventBus');
 
 class VectorJobProcessor {
   constructor() {
     this.isProcessing = false;
-    this.queue = [];
     this.batchSize = 10;
     this.processingInterval = 5000; // 5 seconds
+    this.leaseDuration = 5 * 60 * 1000; // 5 minutes - a job held longer is assumed abandoned
+    this.backoffBase = 30 * 1000; // 30 seconds, doubled per attempt
+    this.backoffMax = 60 * 60 * 1000; // 1 hour
+    this.workerId = `${os.hostname()}-${process.pid}-${Math.random().toString(36).substring(2, 8)}`;
   }
 
-  // Add job to queue
-  enqueue(jobType, assetId, priority = 'normal') {
-    const job = {
-      id: `${jobType}-${assetId}-${Date.now()}`,
-      type: jobType,
-      assetId,
-      priority,
-      createdAt: new Date(),
-      attempts: 0,
-      maxAttempts: 3
-    };
+  // Add job to queue (never throws - callers fire and forget)
+  async enqueue(jobType, assetId, priority = 'normal') {
+    try {
+      const asset = jobType === 'remove' ? null : await Asset.findById(assetId).select('userId');
 
-    this.queue.push(job);
-    console.log(`Added vector job: ${job.id}`);
-    
-    // Start processing if not already running
-    if (!this.isProcessing) {
+      // Reuse a pending job for the same asset and type instead of piling up duplicates
+      const existing = await VectorJob.findOneAndUpdate(
+        { assetId, type: jobType, status: 'pending' },
+        { $set: { nextRunAt: new Date() } },
+        { new: true }
+      );
+      if (existing) {
+        console.log(`Vector job ${existing._id} already queued for ${jobType} ${assetId}`);
+        this.startProcessing();
+        return existing;
+      }
+
+      const job = await VectorJob.create({
+        type: jobType,
+        assetId,
+        userId: asset?.userId,
+        priority: PRIORITY_RANK[priority] ? priority : 'normal'
+      });
+      console.log(`Added vector job: ${job._id} (${jobType} ${assetId})`);
+
+      // Start processing if not already running
       this.startProcessing();
+      return job;
+    } catch (error) {
+      console.error(`Failed to queue vector job ${jobType} for asset ${assetId}:`, error);
+      return null;
     }
   }
 
@@ -37,7 +57,7 @@ class VectorJobProcessor {
     if (this.isProcessing) return;
     
     this.isProcessing = true;
-    console.log('Starting vector job processor');
+    console.log(`Starting vector job processor (worker ${this.workerId})`);
     
     this.processLoop();
   }
@@ -51,56 +71,118 @@ class VectorJobProcessor {
   // Main processing loop
   async processLoop() {
     while (this.isProcessing) {
+      let processed = 0;
       try {
-        if (this.queue.length > 0) {
-          await this.processBatch();
-        }
-        
-        // Wait before next processing cycle
-        await new Promise(resolve => setTimeout(resolve, this.processingInterval));
+        processed = await this.processBatch();
       } catch (error) {
         console.error('Error in vector job processing loop:', error);
+      }
+
+      // Keep draining while there is work, otherwise wait before polling again
+      if (processed < this.batchSize) {
         await new Promise(resolve => setTimeout(resolve, this.processingInterval));
       }
     }
   }
 
-  // Process a batch of jobs
+  // Atomically claim the next runnable job (pending and due, or processing with an expired lease)
+  async leaseNextJob() {
+    const now = new Date();
+    return VectorJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextRunAt: { $lte: now } },
+          { status: 'processing', leaseExpiresAt: { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'processing',
+          leaseOwner: this.workerId,
+          leaseExpiresAt: new Date(now.getTime() + this.leaseDuration)
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { priorityRank: -1, nextRunAt: 1 }, new: true }
+    );
+  }
+
+  // Delay before the next attempt: base * 2^(attempts - 1), capped, with +/-20% jitter
+  getBackoffDelay(attempts) {
+    const delay = Math.min(this.backoffBase * Math.pow(2, Math.max(0, attempts - 1)), this.backoffMax);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  // Process a batch of jobs; returns how many were leased
   async processBatch() {
-    // Sort by priority (high priority first)
-    this.queue.sort((a, b) => {
-      const priorityOrder = { high: 3, normal: 2, low: 1 };
-      return priorityOrder[b.priority] - priorityOrder[a.priority];
-    });
+    let count = 0;
+
+    while (count < this.batchSize) {
+      const job = await this.leaseNextJob();
+      if (!job) break;
+      count++;
 
-    const batch = this.queue.splice(0, this.batchSize);
-    
-    for (const job of batch) {
       try {
         await this.processJob(job);
+        await VectorJob.updateOne(
+          { _id: job._id, leaseOwner: this.workerId },
+          {
+            $set: { status: 'completed', completedAt: new Date() },
+            $unset: { leaseOwner: 1, leaseExpiresAt: 1, lastError: 1 }
+          }
+        );
       } catch (error) {
-        console.error(`Error processing job ${job.id}:`, error);
-        
-        // Retry failed jobs
-        job.attempts++;
-        if (job.attempts < job.maxAttempts) {
-          job.priority = 'low'; // Lower priority for retries
-          this.queue.push(job);
-          console.log(`Retrying job ${job.id} (attempt ${job.attempts})`);
+        console.error(`Error processing job ${job._id}:`, error);
+
+        const exhausted = job.attempts >= job.maxAttempts;
+        const nextRunAt = new Date(Date.now() + this.getBackoffDelay(job.attempts));
+        await VectorJob.updateOne(
+          { _id: job._id, leaseOwner: this.workerId },
+          {
+            $set: {
+              status: exhausted ? 'failed' : 'pending',
+              lastError: error.message,
+              ...(!exhausted && { nextRunAt })
+            },
+            $unset: { leaseOwner: 1, leaseExpiresAt: 1 }
+          }
+        );
+
+        const eventData = {
+          jobId: job._id.toString(),
+          assetId: job.assetId.toString(),
+          jobType: job.type,
+          attempts: job.attempts,
+          maxAttempts: job.maxAttempts,
+          error: error.message
+        };
+
+        if (exhausted) {
+          console.error(`Job ${job._id} failed after ${job.attempts} attempts`);
+          eventBus.publish(job.userId, 'vector.job_failed', eventData);
         } else {
-          console.error(`Job ${job.id} failed after ${job.maxAttempts} attempts`);
+          console.log(`Retrying job ${job._id} at ${nextRunAt.toISOString()} (attempt ${job.attempts} of ${job.maxAttempts})`);
+          eventBus.publish(job.userId, 'vector.job_retry_scheduled', { ...eventData, nextRunAt: nextRunAt.toISOString() });
         }
       }
     }
+
+    return count;
   }
 
   // Process individual job
   async processJob(job) {
-    console.log(`Processing vector job: ${job.id}`);
-    
+    console.log(`Processing vector job: ${job._id} (${job.type} ${job.assetId})`);
+
+    // The asset is already gone for removals
+    if (job.type === 'remove') {
+      await this.removeAssetFromVector(job.assetId.toString());
+      return;
+    }
+
     const asset = await Asset.findById(job.assetId);
     if (!asset) {
-      console.log(`Asset ${job.assetId} not found, skipping job ${job.id}`);
+      console.log(`Asset ${job.assetId} not found, skipping job ${job._id}`);
       return;
     }
 
@@ -111,11 +193,8 @@ class VectorJobProcessor {
       case 'update':
         await this.updateAssetInVector(asset);
         break;
-      case 'remove':
-        await this.removeAssetFromVector(job.assetId);
-        break;
       default:
-        console.error(`Unknown job type: ${job.type}`);
+        throw new Error(`Unknown job type: ${job.type}`);
     }
   }
 
@@ -156,6 +235,7 @@ class VectorJobProcessor {
               
               // Add hybrid vector data
               hybridVector: hybridVector?.embedding || null,
+              hybridVectorProvider: hybridVector?.provider || null,
               visualDescription: hybridVector?.visualDescription || '',
               combinedDescription: hybridVector?.combinedDescription || '',
               vectorType: hybridVector?.type || 'text-only',
@@ -172,15 +252,27 @@ class VectorJobProcessor {
             // Update the local asset object for vectorization
             asset.metadata = updatedMetadata;
 
-            console.log(`AI analysis completed for image ${asset.name}:`, {
+            const analysisSummary = {
               objects: analysis.objects?.length || 0,
               colors: analysis.colors?.length || 0,
               themes: analysis.themes?.length || 0,
               hasHybridVector: !!hybridVector?.embedding,
               vectorType: hybridVector?.type || 'text-only'
+            };
+            console.log(`AI analysis completed for image ${asset.name}:`, analysisSummary);
+            eventBus.publish(asset.userId, 'asset.analyzed', {
+              assetId: asset._id.toString(),
+              name: asset.name,
+              description: analysis.description || '',
+              ...analysisSummary
             });
           } else {
             console.warn(`AI analysis failed for image: ${asset.name}`);
+            eventBus.publish(asset.userId, 'asset.analysis_failed', {
+              assetId: asset._id.toString(),
+              name: asset.name,
+              error: 'Analysis returned no result'
+            });
             // Mark as completed even if failed to avoid retries
             await Asset.findByIdAndUpdate(asset._id, {
               'metadata.aiAnalysisPending': false,
@@ -190,6 +282,11 @@ class VectorJobProcessor {
           }
         } catch (analysisError) {
           console.error(`Error during AI analysis for ${asset.name}:`, analysisError);
+          eventBus.publish(asset.userId, 'asset.analysis_failed', {
+            assetId: asset._id.toString(),
+            name: asset.name,
+            error: analysisError.message
+          });
           // Mark as failed but continue with vectorization
           await Asset.findByIdAndUpdate(asset._id, {
             'metadata.aiAnalysisPending': false,
@@ -201,15 +298,24 @@ class VectorJobProcessor {
       }
 
       // Proceed with vectorization
-      await vectorStoreService.addAsset(asset);
+      const added = await vectorStoreService.addAsset(asset);
+      if (!added) {
+        throw new Error('Vector store did not accept the asset (store unavailable or embedding failed)');
+      }
       
       // Update asset to mark as vectorized
       await Asset.findByIdAndUpdate(asset._id, {
         vectorized: true,
-        vectorLastUpdated: new Date()
+        vectorLastUpdated: new Date(),
+        vectorProvider: vectorStoreService.getProviderSignature()
       });
       
       console.log(`Asset ${asset._id} successfully vectorized`);
+      eventBus.publish(asset.userId, 'asset.vectorized', {
+        assetId: asset._id.toString(),
+        name: asset.name,
+        jobType: 'add'
+      });
     } catch (error) {
       console.error(`Error vectorizing asset ${asset._id}:`, error);
       throw error;
@@ -259,6 +365,14 @@ class VectorJobProcessor {
             asset.metadata = updatedMetadata;
 
             console.log(`AI analysis updated for image ${asset.name}`);
+            eventBus.publish(asset.userId, 'asset.analyzed', {
+              assetId: asset._id.toString(),
+              name: asset.name,
+              description: analysis.description || '',
+              objects: analysis.objects?.length || 0,
+              colors: analysis.colors?.length || 0,
+              themes: analysis.themes?.length || 0
+            });
           }
         } catch (analysisError) {
           console.error(`Error during AI analysis update for ${asset.name}:`, analysisError);
@@ -266,15 +380,24 @@ class VectorJobProcessor {
         }
       }
 
-      await vectorStoreService.updateAsset(asset);
+      const updated = await vectorStoreService.updateAsset(asset);
+      if (!updated) {
+        throw new Error('Vector store did not accept the asset (store unavailable or embedding failed)');
+      }
       
       // Update timestamp
       await Asset.findByIdAndUpdate(asset._id, {
         vectorized: true,
-        vectorLastUpdated: new Date()
+        vectorLastUpdated: new Date(),
+        vectorProvider: vectorStoreService.getProviderSignature()
       });
       
       console.log(`Asset ${asset._id} successfully updated in vector store`);
+      eventBus.publish(asset.userId, 'asset.vectorized', {
+        assetId: asset._id.toString(),
+        name: asset.name,
+        jobType: 'update'
+      });
     } catch (error) {
       console.error(`Error updating asset ${asset._id} in vector store:`, error);
       throw error;
@@ -293,21 +416,59 @@ class VectorJobProcessor {
   }
 
   // Get queue status
-  getStatus() {
+  async getStatus() {
+    const counts = await VectorJob.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const byStatus = { pending: 0, processing: 0, completed: 0, failed: 0, cancelled: 0 };
+    counts.forEach(({ _id, count }) => { byStatus[_id] = count; });
+
     return {
       isProcessing: this.isProcessing,
-      queueSize: this.queue.length,
-      jobs: this.queue.map(job => ({
-        id: job.id,
-        type: job.type,
-        assetId: job.assetId,
-        priority: job.priority,
-        attempts: job.attempts,
-        createdAt: job.createdAt
-      }))
+      workerId: this.workerId,
+      queueSize: byStatus.pending + byStatus.processing,
+      jobs: byStatus
     };
   }
 
+  // List jobs for inspection
+  async listJobs({ status, type, assetId, userId, limit = 50, skip = 0 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+    if (assetId) filter.assetId = assetId;
+    if (userId) filter.userId = userId;
+
+    const [jobs, total] = await Promise.all([
+      VectorJob.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      VectorJob.countDocuments(filter)
+    ]);
+    return { jobs, total };
+  }
+
+  // Put a failed or cancelled job back in the queue with a fresh attempt budget
+  async retryJob(jobId) {
+    const job = await VectorJob.findOneAndUpdate(
+      { _id: jobId, status: { $in: ['failed', 'cancelled'] } },
+      {
+        $set: { status: 'pending', attempts: 0, nextRunAt: new Date() },
+        $unset: { lastError: 1, completedAt: 1 }
+      },
+      { new: true }
+    );
+    if (job) this.startProcessing();
+    return job;
+  }
+
+  // Cancel a job that has not started yet
+  async cancelJob(jobId) {
+    return VectorJob.findOneAndUpdate(
+      { _id: jobId, status: 'pending' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+  }
+
   // Process all unvectorized assets (for initial setup or recovery)
   async processAllUnvectorized() {
     try {
@@ -322,11 +483,13 @@ class VectorJobProcessor {
 
       console.log(`Found ${unvectorizedAssets.length} unvectorized assets`);
 
+      let queued = 0;
       for (const asset of unvectorizedAssets) {
-        this.enqueue('add', asset._id, 'low');
+        if (await this.enqueue('add', asset._id, 'low')) queued++;
       }
 
-      console.log(`Queued ${unvectorizedAssets.length} assets for vectorization`);
+      console.log(`Queued ${queued} assets for vectorization`);
+      return { found: unvectorizedAssets.length, queued };
     } catch (error) {
       console.error('Error processing all unvectorized assets:', error);
       throw error;
@@ -341,11 +504,13 @@ class VectorJobProcessor {
       const allAssets = await Asset.find({});
       console.log(`Found ${allAssets.length} total assets`);
 
+      let queued = 0;
       for (const asset of allAssets) {
-        this.enqueue('update', asset._id, 'low');
+        if (await this.enqueue('update', asset._id, 'low')) queued++;
       }
 
-      console.log(`Queued ${allAssets.length} assets for re-vectorization`);
+      console.log(`Queued ${queued} assets for re-vectorization`);
+      return { found: allAssets.length, queued };
     } catch (error) {
       console.error('Error re-vectorizing all assets:', error);
       throw error;
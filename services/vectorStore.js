@@ -1,35 +1,34 @@
-const { Pinecone } = require('@pinecone-database/pinecone');
-const OpenAI = require('openai');
+const { createVectorIndex } = require('./vectorBackends');
+const { getEmbeddingProvider, getIndexName, LEGACY_SIGNATURE } = require('./embeddingProviders');
 const fs = require('fs');
 const path = require('path');
 
 class VectorStoreService {
   constructor() {
-    this.pinecone = null;
     this.index = null;
-    this.openai = null;
-    this.indexName = 'canva-assets';
-    this.dimension = 1536; // OpenAI text-embedding-ada-002 dimension
+    this.embeddingProvider = null;
+    this.baseIndexName = 'canva-assets';
+    this.indexName = null; // derived from the embedding provider
+    this.dimension = null; // derived from the embedding provider
     this.initialized = false;
   }
 
   async initialize() {
     try {
-      // Initialize OpenAI for embeddings
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
-      });
-
-      // Initialize Pinecone if API key is available
-      if (process.env.PINECONE_API_KEY) {
-        this.pinecone = new Pinecone({
-          apiKey: process.env.PINECONE_API_KEY
-        });
-
-        // Check if index exists, create if it doesn't
-        await this.ensureIndexExists();
-        this.index = this.pinecone.index(this.indexName);
+      // Resolve the embedding provider; it decides the index dimension and name
+      this.embeddingProvider = getEmbeddingProvider();
+      if (!this.embeddingProvider.isAvailable()) {
+        console.warn(`Embedding provider ${this.embeddingProvider.signature} is not configured. Vector store will be disabled.`);
+        return;
       }
+      this.dimension = this.embeddingProvider.dimension;
+      this.indexName = getIndexName(this.baseIndexName, this.embeddingProvider);
+
+      // Initialize the configured vector backend (Pinecone or local HNSW)
+      this.index = await createVectorIndex({
+        name: this.indexName,
+        dimension: this.dimension
+      });
 
       this.initialized = true;
       console.log('Vector store service initialized successfully');
@@ -39,70 +38,14 @@ class VectorStoreService {
     }
   }
 
-  async ensureIndexExists() {
-    try {
-      const indexList = await this.pinecone.listIndexes();
-      const indexExists = indexList.indexes?.some(index => index.name === this.indexName);
-
-      if (!indexExists) {
-        console.log(`Creating Pinecone index: ${this.indexName}`);
-        await this.pinecone.createIndex({
-          name: this.indexName,
-          dimension: this.dimension,
-          metric: 'cosine',
-          spec: {
-            serverless: {
-              cloud: 'aws',
-              region: 'us-east-1'
-            }
-          }
-        });
-        
-        // Wait for index to be ready
-        console.log('Waiting for index to be ready...');
-        await this.waitForIndexReady();
-      }
-    } catch (error) {
-      console.error('Error ensuring index exists:', error);
-      throw error;
-    }
-  }
-
-  async waitForIndexReady() {
-    const maxAttempts = 30;
-    let attempts = 0;
-    
-    while (attempts < maxAttempts) {
-      try {
-        const indexStats = await this.pinecone.index(this.indexName).describeIndexStats();
-        if (indexStats) {
-          console.log('Index is ready!');
-          return;
-        }
-      } catch (error) {
-        // Index not ready yet, continue waiting
-      }
-      
-      attempts++;
-      await new Promise(resolve => setTimeout(resolve, 10000)); // Wait 10 seconds
-    }
-    
-    throw new Error('Index failed to become ready within expected time');
-  }
-
   // Generate embeddings for asset metadata
   async generateEmbedding(text) {
     try {
-      if (!this.openai) {
-        throw new Error('OpenAI not initialized');
+      if (!this.embeddingProvider) {
+        throw new Error('Embedding provider not initialized');
       }
 
-      const response = await this.openai.embeddings.create({
-        model: 'text-embedding-ada-002',
-        input: text,
-      });
-
-      return response.data[0].embedding;
+      return await this.embeddingProvider.embed(text);
     } catch (error) {
       console.error('Error generating embedding:', error);
       throw error;
@@ -192,17 +135,26 @@ class VectorStoreService {
     try {
       if (!this.initialized || !this.index) {
         console.log('Vector store not available, skipping vectorization');
-        return;
+        return false;
       }
 
       let embedding;
       let vectorSource = 'text';
       
-      // Use hybrid vector if available (for images with AI analysis)
-      if (asset.type === 'image' && asset.metadata?.hybridVector) {
+      // Hybrid vectors stored before provider tracking were built with the legacy provider
+      const hybridProvider = asset.metadata?.hybridVectorProvider || LEGACY_SIGNATURE;
+
+      // Use hybrid vector if available (for images with AI analysis) and built by the current provider
+      if (asset.type === 'image' && asset.metadata?.hybridVector &&
+          hybridProvider === this.embeddingProvider.signature) {
         embedding = asset.metadata.hybridVector;
         vectorSource = 'hybrid';
         console.log(`Using hybrid vector for image: ${asset.name}`);
+      } else if (asset.type === 'image' && asset.metadata?.combinedDescription) {
+        // Re-embed the stored hybrid description with the current provider (no new vision call)
+        embedding = await this.generateEmbedding(asset.metadata.combinedDescription);
+        vectorSource = 'hybrid';
+        console.log(`Re-embedding hybrid description for image: ${asset.name}`);
       } else {
         // Fall back to text-based embedding
         const searchableText = this.createSearchableText(asset);
@@ -236,9 +188,11 @@ class VectorStoreService {
 
       await this.index.upsert([vector]);
       console.log(`Asset ${asset._id} added to vector store using ${vectorSource} embedding`);
+      return true;
     } catch (error) {
       console.error('Error adding asset to vector store:', error);
       // Don't throw error - allow normal asset operations to continue
+      return false;
     }
   }
 
@@ -247,14 +201,15 @@ class VectorStoreService {
     try {
       if (!this.initialized || !this.index) {
         console.log('Vector store not available, skipping vectorization update');
-        return;
+        return false;
       }
 
       // Remove old vector and add new one
       await this.removeAsset(asset._id.toString());
-      await this.addAsset(asset);
+      return await this.addAsset(asset);
     } catch (error) {
       console.error('Error updating asset in vector store:', error);
+      return false;
     }
   }
 
@@ -415,6 +370,11 @@ class VectorStoreService {
     }
   }
 
+  // Signature of the embedding provider that produced this index's vectors
+  getProviderSignature() {
+    return this.embeddingProvider ? this.embeddingProvider.signature : null;
+  }
+
   // Get vector store statistics
   async getStats() {
     try {
@@ -425,6 +385,9 @@ class VectorStoreService {
       const stats = await this.index.describeIndexStats();
       return {
         available: true,
+        backend: this.index.backendName,
+        indexName: this.indexName,
+        embeddingProvider: this.embeddingProvider.signature,
         totalVectors: stats.totalVectorCount,
         dimension: stats.dimension,
         indexFullness: stats.indexFullness
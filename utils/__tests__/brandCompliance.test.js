@@ -0,0 +1,78 @@
+const { checkBrandCompliance, getBrandRules, isNeutral } = require('../brandCompliance');
+const { applyLayoutEdits } = require('../layoutEdits');
+
+const brand = () => ({
+  colorPalettes: [
+    { name: 'Main', primary: '#1E40AF', secondary: ['#f59e0b'], accent: [] },
+    { name: 'Alt', primary: '#1e40af', secondary: ['#10b981'] }
+  ],
+  typography: [{ isDefault: true, headingFont: 'Playfair Display', bodyFont: 'Inter', fontPairings: [{ heading: 'inter', body: 'Lato' }] }],
+  logos: [{ name: 'Logo', url: 'https://cdn.example.com/logo.png', usage: 'primary' }]
+});
+
+const page = (elements, background = { type: 'color', value: '#ffffff' }) => ({ pages: [{ background, elements }] });
+
+describe('getBrandRules', () => {
+  test('collects unique colors and fonts across palettes and typography sets', () => {
+    const rules = getBrandRules(brand());
+
+    expect(rules.colors.map(entry => entry.color)).toEqual(['#1e40af', '#f59e0b', '#10b981']);
+    expect(rules.fonts).toEqual(['Playfair Display', 'Inter', 'Lato']);
+    expect(rules).toMatchObject({ headingFont: 'Playfair Display', bodyFont: 'Inter' });
+  });
+});
+
+describe('isNeutral', () => {
+  test('treats greys as neutral and saturated colors as not', () => {
+    expect(isNeutral('#808080')).toBe(true);
+    expect(isNeutral('#6b7280')).toBe(true);
+    expect(isNeutral('#ff0000')).toBe(false);
+  });
+});
+
+describe('checkBrandCompliance', () => {
+  test('passes a layout that only uses brand values', () => {
+    const result = checkBrandCompliance(page([
+      { id: 't', kind: 'text', color: '#1E40AF', fontFamily: 'lato' },
+      { id: 's', kind: 'shape', backgroundColor: '#f59e0b', borderColor: '#000000' },
+      { id: 'l', kind: 'image', src: 'https://cdn.example.com/logo.png?w=200' }
+    ]), brand());
+
+    expect(result).toMatchObject({ compliant: true, score: 100, fixes: [] });
+    expect(result.logo).toMatchObject({ required: true, used: true, suggested: null });
+  });
+
+  test('flags off-brand colors and fonts with fixes and a missing logo', () => {
+    const result = checkBrandCompliance(page([
+      { id: 'h', kind: 'text', color: '#e11d48', fontFamily: 'Comic Sans', fontSize: 40 },
+      { id: 'b', kind: 'text', color: '#1e40af', fontFamily: 'Arial' }
+    ]), brand());
+
+    expect(result.compliant).toBe(false);
+    expect(result.colors.offBrand).toEqual([
+      expect.objectContaining({ color: '#e11d48', usages: [{ pageIndex: 0, elementId: 'h', field: 'color' }] })
+    ]);
+    expect(result.fixes).toEqual([
+      { op: 'replaceColor', from: '#e11d48', to: result.colors.offBrand[0].nearest.color },
+      { op: 'replaceFont', from: 'Comic Sans', to: 'Playfair Display' },
+      { op: 'replaceFont', from: 'Arial', to: 'Inter' }
+    ]);
+    expect(result.logo.suggested).toEqual({ name: 'Logo', url: 'https://cdn.example.com/logo.png', usage: 'primary' });
+    // 6 checked values (background, 2 colors, 2 fonts, logo), 4 off-brand
+    expect(result.score).toBe(33);
+  });
+
+  test('produces fixes that make the layout compliant', () => {
+    const layout = page([{ id: 'h', kind: 'text', color: '#e11d48', fontFamily: 'Comic Sans' }], { type: 'color', value: '#e11d48' });
+    const { fixes } = checkBrandCompliance(layout, brand());
+    const fixed = applyLayoutEdits(layout, fixes).layout;
+
+    expect(checkBrandCompliance(fixed, { ...brand(), logos: [] }).compliant).toBe(true);
+  });
+
+  test('skips checks the brand has no rules for', () => {
+    const result = checkBrandCompliance(page([{ id: 't', kind: 'text', color: '#e11d48', fontFamily: 'Arial' }]), {});
+
+    expect(result).toMatchObject({ compliant: true, score: 100, fixes: [] });
+  });
+});
@@ -0,0 +1,105 @@
+const { validateOp, transformOp, applyOp, touchedKeys } = require('../collabOps');
+
+const layout = () => ({
+  pages: [
+    { name: 'One', elements: [{ id: 'a', kind: 'text', text: 'Hello', x: 0 }] },
+    { name: 'Two', elements: [{ id: 'b', kind: 'shape' }] },
+    { name: 'Three', elements: [] }
+  ]
+});
+
+describe('validateOp', () => {
+  test('accepts well-formed operations', () => {
+    expect(validateOp({ type: 'element.add', pageIndex: 0, element: { id: 'c', kind: 'image' } })).toBeNull();
+    expect(validateOp({ type: 'page.update', pageIndex: 1, fields: { name: 'Renamed' } })).toBeNull();
+  });
+
+  test('rejects unknown types, protected fields and missing indices', () => {
+    expect(validateOp({ type: 'page.rename' })).toMatch(/^type must be one of/);
+    expect(validateOp({ type: 'element.update', elementId: 'a', fields: { id: 'z' } })).toBe('id cannot be changed');
+    expect(validateOp({ type: 'page.update', pageIndex: 0, fields: { elements: [] } })).toBe('Page field elements cannot be changed');
+    expect(validateOp({ type: 'page.delete', pageIndex: -1 })).toBe('pageIndex is required');
+  });
+});
+
+describe('transformOp', () => {
+  test('leaves operations alone after element-only changes', () => {
+    const op = { type: 'page.update', pageIndex: 2, fields: { name: 'x' } };
+    expect(transformOp(op, { type: 'element.delete', elementId: 'a' })).toBe(op);
+  });
+
+  test('shifts page indices past an inserted page', () => {
+    const applied = { type: 'page.add', index: 1 };
+
+    expect(transformOp({ type: 'page.update', pageIndex: 0, fields: {} }, applied).pageIndex).toBe(0);
+    expect(transformOp({ type: 'page.update', pageIndex: 1, fields: {} }, applied).pageIndex).toBe(2);
+    expect(transformOp({ type: 'element.move', elementId: 'a', pageIndex: 2 }, applied).pageIndex).toBe(3);
+  });
+
+  test('shifts page indices down past a deleted page and drops operations on it', () => {
+    const applied = { type: 'page.delete', pageIndex: 1 };
+
+    expect(transformOp({ type: 'page.update', pageIndex: 0, fields: {} }, applied).pageIndex).toBe(0);
+    expect(transformOp({ type: 'page.update', pageIndex: 1, fields: {} }, applied)).toBeNull();
+    expect(transformOp({ type: 'element.add', pageIndex: 2, element: { id: 'c' } }, applied).pageIndex).toBe(1);
+  });
+
+  test('orders concurrent page insertions after the sequenced one', () => {
+    expect(transformOp({ type: 'page.add', index: 1 }, { type: 'page.add', index: 1 }).index).toBe(2);
+    expect(transformOp({ type: 'page.add', index: 0 }, { type: 'page.add', index: 1 }).index).toBe(0);
+    expect(transformOp({ type: 'page.add', index: 2 }, { type: 'page.delete', pageIndex: 1 }).index).toBe(1);
+    expect(transformOp({ type: 'page.add' }, { type: 'page.add', index: 0 })).toEqual({ type: 'page.add' });
+  });
+
+  test('converges when two clients edit concurrently', () => {
+    const first = { type: 'page.add', index: 0, page: { name: 'Intro' } };
+    const second = { type: 'page.update', pageIndex: 1, fields: { name: 'Second' } };
+
+    const server = layout();
+    const applied = applyOp(server, first);
+    applyOp(server, transformOp(second, applied));
+
+    expect(server.pages.map(page => page.name)).toEqual(['Intro', 'One', 'Second', 'Three']);
+  });
+});
+
+describe('applyOp', () => {
+  test('adds and moves elements, resolving their positions', () => {
+    const document = layout();
+
+    expect(applyOp(document, { type: 'element.add', pageIndex: 2, element: { id: 'c', kind: 'text' } }).index).toBe(0);
+    expect(applyOp(document, { type: 'element.move', elementId: 'a', pageIndex: 1, index: 0 }).index).toBe(0);
+    expect(document.pages.map(page => page.elements.map(element => element.id))).toEqual([[], ['a', 'b'], ['c']]);
+  });
+
+  test('updates element fields, removing those set to null', () => {
+    const document = layout();
+    applyOp(document, { type: 'element.update', elementId: 'a', fields: { text: 'Hi', x: null } });
+
+    expect(document.pages[0].elements[0]).toEqual({ id: 'a', kind: 'text', text: 'Hi' });
+  });
+
+  test('leaves an element unchanged when validation rejects the update', () => {
+    const document = layout();
+    const validateElement = (element) => { if (element.text === '') throw new Error('text is required'); };
+
+    expect(() => applyOp(document, { type: 'element.update', elementId: 'a', fields: { text: '' } }, { validateElement }))
+      .toThrow('text is required');
+    expect(document.pages[0].elements[0].text).toBe('Hello');
+  });
+
+  test('rejects missing targets, duplicate ids and deleting the last page', () => {
+    expect(() => applyOp(layout(), { type: 'element.delete', elementId: 'zz' })).toThrow('Element zz does not exist');
+    expect(() => applyOp(layout(), { type: 'element.add', pageIndex: 0, element: { id: 'b', kind: 'text' } }))
+      .toThrow('Element b already exists');
+    expect(() => applyOp({ pages: [{ elements: [] }] }, { type: 'page.delete', pageIndex: 0 })).toThrow('Cannot delete the last page');
+  });
+});
+
+describe('touchedKeys', () => {
+  test('names the registers an operation writes', () => {
+    expect(touchedKeys({ type: 'element.update', elementId: 'a', fields: { x: 1, y: 2 } })).toEqual(['element:a.x', 'element:a.y']);
+    expect(touchedKeys({ type: 'page.update', pageIndex: 1, fields: { name: 'x' } })).toEqual(['page:1.name']);
+    expect(touchedKeys({ type: 'page.add', index: 0 })).toEqual([]);
+  });
+});
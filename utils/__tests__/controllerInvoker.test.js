@@ -0,0 +1,67 @@
+const { invokeController } = require('../controllerInvoker');
+
+describe('invokeController', () => {
+  test('passes the request parts and resolves with the JSON response', async () => {
+    const handler = (req, res) => {
+      res.status(201).json({
+        id: req.params.id,
+        page: req.query.page,
+        name: req.body.name,
+        userId: req.userId,
+        match: req.header('If-Match')
+      });
+    };
+
+    const response = await invokeController(handler, {
+      params: { id: 'p1' },
+      query: { page: '2' },
+      body: { name: 'Poster' },
+      headers: { 'If-Match': '"3"' },
+      userId: 'u1'
+    });
+
+    expect(response).toEqual({
+      status: 201,
+      ok: true,
+      data: { id: 'p1', page: '2', name: 'Poster', userId: 'u1', match: '"3"' },
+      headers: {}
+    });
+  });
+
+  test('collects headers and streamed chunks', async () => {
+    const handler = (req, res) => {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.flushHeaders();
+      res.write('data: one\n\n');
+      res.write('data: two\n\n');
+      res.end();
+    };
+
+    const response = await invokeController(handler);
+
+    expect(response.data).toBe('data: one\n\ndata: two\n\n');
+    expect(response.headers).toEqual({ 'content-type': 'text/event-stream' });
+  });
+
+  test('keeps only the first response', async () => {
+    const response = await invokeController((req, res) => {
+      res.status(404).json({ message: 'Not found' });
+      res.status(200).json({ message: 'Too late' });
+    });
+
+    expect(response).toMatchObject({ status: 404, ok: false, data: { message: 'Not found' } });
+  });
+
+  test('turns thrown and forwarded errors into error responses', async () => {
+    const thrown = await invokeController(async () => { throw new Error('Boom'); });
+    const forwarded = await invokeController((req, res, next) => next(Object.assign(new Error('Gone'), { status: 410 })));
+
+    expect(thrown).toMatchObject({ status: 500, ok: false, data: { message: 'Boom' } });
+    expect(forwarded).toMatchObject({ status: 410, data: { message: 'Gone' } });
+  });
+
+  test('rejects when the handler never responds', async () => {
+    await expect(invokeController(function silent() {}, {}, { timeout: 20 }))
+      .rejects.toThrow('Controller silent did not respond within 20ms');
+  });
+});
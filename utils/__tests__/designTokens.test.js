@@ -0,0 +1,88 @@
+const {
+  brandToDesignTokens,
+  toCssVariables,
+  toTailwindTheme,
+  toTailwindConfig
+} = require('../designTokens');
+
+const brand = (overrides = {}) => ({
+  name: 'Acme',
+  colorPalettes: [{ name: 'Main', isDefault: true, primary: '#ff0000', secondary: ['#00ff00'], accent: ['#0000ff'] }],
+  typography: [{ isDefault: true, headingFont: 'Inter', bodyFont: 'Open Sans' }],
+  ...overrides
+});
+
+describe('brandToDesignTokens', () => {
+  test('groups palettes and aliases the default palette roles', () => {
+    const tokens = brandToDesignTokens(brand());
+
+    expect(tokens.color.palette.main.primary).toEqual({ $value: '#ff0000' });
+    expect(tokens.color.primary).toEqual({ $value: '{color.palette.main.primary}' });
+    expect(tokens.font.heading).toEqual({ $value: '{font.set.default.heading}' });
+  });
+
+  test('does not give palettes the slugs of color role aliases', () => {
+    const tokens = brandToDesignTokens(brand({
+      colorPalettes: [
+        { name: 'Primary', isDefault: true, primary: '#ff0000' },
+        { name: 'Accent 2', primary: '#00ff00' }
+      ]
+    }));
+
+    expect(Object.keys(tokens.color.palette)).toEqual(['primary-2', 'accent-2']);
+    expect(tokens.color.primary).toEqual({ $value: '{color.palette.primary-2.primary}' });
+  });
+});
+
+describe('toCssVariables', () => {
+  test('renders aliases as var() references', () => {
+    const css = toCssVariables(brandToDesignTokens(brand()));
+
+    expect(css).toContain('--brand-color-palette-main-primary: #ff0000;');
+    expect(css).toContain('--brand-color-primary: var(--brand-color-palette-main-primary);');
+    expect(css).toContain('--brand-font-set-default-body: "Open Sans";');
+  });
+
+  test('escapes quotes, backslashes and line breaks in font names', () => {
+    const css = toCssVariables(brandToDesignTokens(brand({
+      typography: [{ isDefault: true, headingFont: 'Evil"; } body { color: red; } x {\n"', bodyFont: 'Back\\slash' }]
+    })));
+
+    expect(css).toContain('--brand-font-set-default-heading: "Evil\\"; } body { color: red; } x { \\"";');
+    expect(css).toContain('--brand-font-set-default-body: "Back\\\\slash";');
+    expect(css.match(/^}$/gm)).toHaveLength(1);
+  });
+
+  test('keeps the brand name inside a single-line header comment', () => {
+    const css = toCssVariables(brandToDesignTokens(brand({ name: 'Acme */ body { display: none } /*\nmore' })));
+    const [header, ...rest] = css.split('\n');
+
+    expect(header).toBe('/* Design tokens for Acme * / body { display: none } /* more */');
+    expect(rest[0]).toBe(':root {');
+  });
+});
+
+describe('toTailwindTheme', () => {
+  test('keeps role aliases and palettes apart in the color group', () => {
+    const theme = toTailwindTheme(brandToDesignTokens(brand({
+      colorPalettes: [
+        { name: 'Primary', isDefault: true, primary: '#ff0000' },
+        { name: 'Other', primary: '#00ff00' }
+      ]
+    })));
+
+    expect(theme.colors.brand.primary).toBe('#ff0000');
+    expect(theme.colors.brand['primary-2']).toEqual({ primary: '#ff0000' });
+    expect(theme.colors.brand.other).toEqual({ primary: '#00ff00' });
+  });
+});
+
+describe('toTailwindConfig', () => {
+  test('cannot break out of the header comment', () => {
+    const config = toTailwindConfig(brandToDesignTokens(brand({ name: 'Acme\nprocess.exit(1); //' })));
+    const lines = config.split('\n');
+
+    expect(lines[0]).toBe('// Design tokens for Acme process.exit(1); //');
+    expect(lines[1]).toBe('module.exports = {');
+  });
+});
@@ -0,0 +1,101 @@
+const { applyPatch, validatePatch, parsePointer } = require('../jsonPatch');
+
+const layout = () => ({
+  pages: [
+    { name: 'Cover', elements: [{ id: 'a', text: 'Hello' }, { id: 'b', text: 'World' }] }
+  ]
+});
+
+describe('parsePointer', () => {
+  test('unescapes ~1 and ~0', () => {
+    expect(parsePointer('/a~1b/c~0d')).toEqual(['a/b', 'c~d']);
+    expect(parsePointer('')).toEqual([]);
+  });
+
+  test('rejects pointers that would reach a prototype', () => {
+    expect(() => parsePointer('/__proto__/polluted')).toThrow('"__proto__" is not allowed in a path');
+    expect(() => parsePointer('/pages/0/constructor/prototype')).toThrow('not allowed');
+  });
+});
+
+describe('validatePatch', () => {
+  test('reports missing values and unknown ops', () => {
+    expect(validatePatch({})).toEqual(['Patch must be an array of operations']);
+    expect(validatePatch([{ op: 'add', path: '/pages/-' }, { op: 'jump', path: '/x' }, { op: 'move', path: '/x' }])).toEqual([
+      'Operation 0: value is required for add',
+      'Operation 1: op must be one of add, remove, replace, move, copy, test',
+      'Operation 2: from is required for move'
+    ]);
+  });
+});
+
+describe('applyPatch', () => {
+  test('applies every operation to a copy', () => {
+    const document = layout();
+    const { document: patched, error } = applyPatch(document, [
+      { op: 'replace', path: '/pages/0/elements/0/text', value: 'Hi' },
+      { op: 'add', path: '/pages/0/elements/-', value: { id: 'c' } },
+      { op: 'move', from: '/pages/0/elements/1', path: '/pages/0/elements/0' },
+      { op: 'copy', from: '/pages/0/name', path: '/pages/0/title' },
+      { op: 'remove', path: '/pages/0/name' }
+    ]);
+
+    expect(error).toBeNull();
+    expect(patched.pages[0]).toEqual({
+      title: 'Cover',
+      elements: [{ id: 'b', text: 'World' }, { id: 'a', text: 'Hi' }, { id: 'c' }]
+    });
+    expect(document).toEqual(layout());
+  });
+
+  test('leaves the document unchanged when a later operation fails', () => {
+    const document = layout();
+    const result = applyPatch(document, [
+      { op: 'replace', path: '/pages/0/name', value: 'Changed' },
+      { op: 'remove', path: '/pages/3' }
+    ]);
+
+    expect(result.document).toEqual(layout());
+    expect(result.error).toMatchObject({ index: 1, op: 'remove', path: '/pages/3', conflict: false });
+  });
+
+  test('marks failed tests as conflicts', () => {
+    const result = applyPatch(layout(), [
+      { op: 'test', path: '/pages/0/elements/0/text', value: 'Hello' },
+      { op: 'test', path: '/pages/0/elements/1/text', value: 'Changed elsewhere' },
+      { op: 'remove', path: '/pages/0' }
+    ]);
+
+    expect(result.error).toMatchObject({ index: 1, op: 'test', conflict: true });
+    expect(result.document).toEqual(layout());
+  });
+
+  test('rejects prototype keys without polluting objects', () => {
+    const operations = [
+      [{ op: 'add', path: '/__proto__/polluted', value: true }],
+      [{ op: 'add', path: '/pages/0/constructor/prototype/polluted', value: true }],
+      [{ op: 'copy', from: '/__proto__', path: '/pages/0/copied' }]
+    ];
+
+    operations.forEach(patch => {
+      const result = applyPatch(layout(), patch);
+      expect(result.error).toMatchObject({ index: 0 });
+      expect(result.error.message).toMatch(/is not allowed in a path/);
+    });
+    expect({}.polluted).toBeUndefined();
+    expect(Object.prototype.polluted).toBeUndefined();
+  });
+
+  test('does not read inherited properties', () => {
+    const result = applyPatch(layout(), [{ op: 'add', path: '/pages/0/toString/x', value: 1 }]);
+
+    expect(result.error).not.toBeNull();
+    expect(result.document).toEqual(layout());
+  });
+
+  test('refuses to move a value into its own children', () => {
+    const result = applyPatch(layout(), [{ op: 'move', from: '/pages/0', path: '/pages/0/elements/0' }]);
+
+    expect(result.error.message).toBe('Cannot move a value into one of its own children');
+  });
+});
@@ -0,0 +1,64 @@
+const { diffLayouts, diffFields } = require('../layoutDiff');
+
+const layout = (elements, pageProps = {}) => ({
+  pages: [{ name: 'Cover', ...pageProps, elements }]
+});
+
+describe('diffFields', () => {
+  test('lists changed fields and ignores ids', () => {
+    expect(diffFields({ _id: 1, x: 0, y: 0 }, { _id: 2, x: 5, y: 0, width: 10 })).toEqual({
+      x: { from: 0, to: 5 },
+      width: { from: undefined, to: 10 }
+    });
+  });
+});
+
+describe('diffLayouts', () => {
+  test('reports no changes for equal layouts', () => {
+    const diff = diffLayouts(layout([{ id: 'a', kind: 'text' }]), layout([{ id: 'a', kind: 'text' }]));
+
+    expect(diff.hasChanges).toBe(false);
+    expect(diff.summary).toEqual([]);
+  });
+
+  test('reports added, removed and changed elements', () => {
+    const diff = diffLayouts(
+      layout([{ id: 'a', kind: 'text', content: 'Hello' }, { id: 'b', kind: 'shape' }]),
+      layout([{ id: 'a', kind: 'text', content: 'Hi' }, { id: 'c', kind: 'image' }], { name: 'Front' })
+    );
+
+    expect(diff.elements.added).toEqual([{ id: 'c', kind: 'image', pageIndex: 0 }]);
+    expect(diff.elements.removed).toEqual([{ id: 'b', kind: 'shape', pageIndex: 0 }]);
+    expect(diff.elements.modified).toEqual([
+      { id: 'a', kind: 'text', pageIndex: 0, changes: { content: { from: 'Hello', to: 'Hi' } } }
+    ]);
+    expect(diff.pages.modified).toEqual([{ pageIndex: 0, changes: { name: { from: 'Cover', to: 'Front' } } }]);
+    expect(diff.summary).toEqual([
+      'Page 0 name: "Cover" → "Front"',
+      'Changed text a: content "Hello" → "Hi"',
+      'Added image c on page 0',
+      'Removed shape b from page 0'
+    ]);
+  });
+
+  test('treats an element moved to another page as modified', () => {
+    const before = { pages: [{ elements: [{ id: 'a', kind: 'text' }] }, { elements: [] }] };
+    const after = { pages: [{ elements: [] }, { elements: [{ id: 'a', kind: 'text' }] }] };
+
+    expect(diffLayouts(before, after).elements.modified).toEqual([
+      { id: 'a', kind: 'text', pageIndex: 1, changes: { pageIndex: { from: 0, to: 1 } } }
+    ]);
+  });
+
+  test('reports added and removed pages and shortens long values', () => {
+    const long = 'x'.repeat(100);
+    const diff = diffLayouts(
+      { pages: [{ name: 'One', elements: [] }] },
+      { pages: [{ name: long, elements: [] }, { name: 'Two', elements: [] }] }
+    );
+
+    expect(diff.pages.added).toEqual([{ pageIndex: 1, name: 'Two' }]);
+    expect(diff.summary[0]).toBe(`Page 0 name: "One" → "${'x'.repeat(59)}…`);
+    expect(diff.summary[1]).toBe('Added page 1 "Two"');
+  });
+});
@@ -0,0 +1,106 @@
+const { applyLayoutEdits, findElement } = require('../layoutEdits');
+
+const layout = () => ({
+  pages: [
+    {
+      name: 'Cover',
+      canvas: { width: 1080, height: 1080 },
+      background: { type: 'color', value: '#FF0000' },
+      elements: [
+        { id: 'title', kind: 'text', content: 'Hello', fontFamily: 'Inter', color: '#ff000080', x: 0, y: 0 },
+        { id: 'box', kind: 'shape', backgroundColor: '#ff0000', x: 10, y: 10 }
+      ]
+    }
+  ]
+});
+
+describe('findElement', () => {
+  test('finds elements by id, optionally on one page', () => {
+    expect(findElement(layout(), 'box')).toMatchObject({ pageIndex: 0, elementIndex: 1 });
+    expect(findElement(layout(), 'box', 1)).toBeNull();
+  });
+});
+
+describe('applyLayoutEdits', () => {
+  test('applies edits to a copy and describes them', () => {
+    const original = layout();
+    const result = applyLayoutEdits(original, [
+      { op: 'moveElement', elementId: 'box', x: 50, y: 60 },
+      { op: 'setText', elementId: 'title', content: 'Welcome' },
+      { op: 'updateStyle', elementId: 'title', style: { fontSize: 48, bold: true } }
+    ]);
+
+    expect(result.errors).toEqual([]);
+    expect(result.applied.map(edit => edit.description)).toEqual([
+      'Moved box to (50, 60)',
+      'Changed text of title',
+      'Updated fontSize, bold of title'
+    ]);
+    expect(result.layout.pages[0].elements[0]).toMatchObject({ content: 'Welcome', fontSize: 48, bold: true });
+    expect(original).toEqual(layout());
+  });
+
+  test('discards every edit when one fails', () => {
+    const result = applyLayoutEdits(layout(), [
+      { op: 'moveElement', elementId: 'box', x: 50, y: 60 },
+      { op: 'setText', elementId: 'box', content: 'Nope' }
+    ]);
+
+    expect(result.applied).toEqual([]);
+    expect(result.errors).toEqual([{ index: 1, op: 'setText', error: 'Element box is not a text element' }]);
+    expect(result.layout).toEqual(layout());
+  });
+
+  test('keeps the edits that succeed when not atomic', () => {
+    const result = applyLayoutEdits(layout(), [
+      { op: 'updateStyle', elementId: 'box', style: { fontSize: 12 } },
+      { op: 'resizeElement', elementId: 'box', width: 20, height: 30 }
+    ], { atomic: false });
+
+    expect(result.errors).toEqual([{ index: 0, op: 'updateStyle', error: 'Cannot set fontSize on a shape element' }]);
+    expect(result.layout.pages[0].elements[1]).toMatchObject({ width: 20, height: 30 });
+    expect(result.layout.pages[0].elements[1].fontSize).toBeUndefined();
+  });
+
+  test('replaces colors everywhere, keeping their alpha', () => {
+    const result = applyLayoutEdits(layout(), [{ op: 'replaceColor', from: '#ff0000', to: '#00ff00' }]);
+    const [page] = result.layout.pages;
+
+    expect(result.applied[0].description).toBe('Replaced #ff0000 with #00ff00 in 3 places');
+    expect(page.background.value).toBe('#00ff00');
+    expect(page.elements[0].color).toBe('#00ff0080');
+    expect(page.elements[1].backgroundColor).toBe('#00ff00');
+  });
+
+  test('replaces fonts case-insensitively', () => {
+    const result = applyLayoutEdits(layout(), [{ op: 'replaceFont', from: ' inter ', to: 'Roboto' }]);
+
+    expect(result.layout.pages[0].elements[0].fontFamily).toBe('Roboto');
+  });
+
+  test('adds pages with validated elements', () => {
+    const result = applyLayoutEdits(layout(), [{
+      op: 'addPage',
+      position: 0,
+      page: { name: 'Intro', elements: [{ id: 'logo', kind: 'image', x: 0, y: 0, width: 100, height: 100 }] }
+    }]);
+
+    expect(result.layout.pages.map(page => page.name)).toEqual(['Intro', 'Cover']);
+    expect(result.layout.pages[0].canvas).toEqual({ width: 1080, height: 1080 });
+    expect(result.layout.pages[0].elements[0]).toMatchObject({ id: 'logo', rotation: 0, opacity: 1 });
+  });
+
+  test('rejects invalid elements and unknown operations', () => {
+    const result = applyLayoutEdits(layout(), [
+      { op: 'addElement', element: { kind: 'video', x: 0, y: 0, width: 1, height: 1 } },
+      { op: 'addElement', element: { id: 'title', kind: 'text', x: 0, y: 0, width: 1, height: 1 } },
+      { op: 'explode' }
+    ], { atomic: false });
+
+    expect(result.errors.map(error => error.error)).toEqual([
+      'element.kind must be one of text, image, shape',
+      'Element title already exists',
+      expect.stringMatching(/^Unknown edit operation "explode"/)
+    ]);
+  });
+});
@@ -0,0 +1,37 @@
+const { fetchPublicUrl, assertPublicUrl, isPublicAddress } = require('../remoteFetch');
+
+describe('isPublicAddress', () => {
+  test('blocks loopback, private, link-local and mapped addresses', () => {
+    ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '::1', '::', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1', '::ffff:127.0.0.1']
+      .forEach(address => expect([address, isPublicAddress(address)]).toEqual([address, false]));
+  });
+
+  test('allows public addresses and rejects non-addresses', () => {
+    expect(isPublicAddress('93.184.216.34')).toBe(true);
+    expect(isPublicAddress('2606:4700::1111')).toBe(true);
+    expect(isPublicAddress('example.com')).toBe(false);
+  });
+});
+
+describe('assertPublicUrl', () => {
+  test('accepts http(s) URLs on host names and public addresses', () => {
+    expect(assertPublicUrl('https://cdn.example.com/logo.png').hostname).toBe('cdn.example.com');
+    expect(assertPublicUrl('http://93.184.216.34/a.png').hostname).toBe('93.184.216.34');
+  });
+
+  test('rejects other protocols, invalid URLs and private IP literals', () => {
+    expect(() => assertPublicUrl('file:///etc/passwd')).toThrow('Only http(s) URLs can be fetched');
+    expect(() => assertPublicUrl('not a url')).toThrow('Invalid URL');
+    expect(() => assertPublicUrl('http://169.254.169.254/latest/meta-data')).toThrow('not a public address');
+    expect(() => assertPublicUrl('http://[::1]:8080/')).toThrow('not a public address');
+    expect(() => assertPublicUrl('http://2130706433/')).toThrow('not a public address');
+  });
+});
+
+describe('fetchPublicUrl', () => {
+  test('refuses host names that resolve to private addresses', async () => {
+    await expect(fetchPublicUrl('http://localhost:9/', { timeout: 2000 }))
+      .rejects.toThrow(/resolves to non-public address/);
+  });
+});
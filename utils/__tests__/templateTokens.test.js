@@ -0,0 +1,94 @@
+const {
+  getTokenDefinitions,
+  normalizeTokenValues,
+  collectTokenReferences,
+  buildTokenValues,
+  resolveLayoutTokens
+} = require('../templateTokens');
+
+const tokens = () => ({
+  colors: new Map([['primary', { default: '#111111' }], ['accent', {}]]),
+  fonts: { heading: { default: 'Inter' } },
+  copy: new Map([['headline', { default: 'Hello', required: true, maxLength: 10 }]])
+});
+
+const layout = () => ({
+  pages: [{
+    name: '{copy.headline} page',
+    background: { type: 'color', value: '{colors.primary}' },
+    elements: [
+      { id: 'a', kind: 'text', content: '{copy.headline}!', fontFamily: '{fonts.heading}', color: '{colors.accent}' },
+      { id: 'b', kind: 'image', src: '{images.logo}', x: '{colors.primary}' }
+    ]
+  }]
+});
+
+describe('getTokenDefinitions', () => {
+  test('reads Maps and plain objects into every group', () => {
+    expect(getTokenDefinitions(tokens())).toEqual({
+      colors: { primary: { default: '#111111' }, accent: {} },
+      fonts: { heading: { default: 'Inter' } },
+      images: {},
+      copy: { headline: { default: 'Hello', required: true, maxLength: 10 } }
+    });
+  });
+});
+
+describe('normalizeTokenValues', () => {
+  test('accepts nested and dotted keys and ignores unknown groups', () => {
+    expect(normalizeTokenValues({ colors: { primary: '#fff', accent: null }, 'copy.headline': 42, 'sizes.big': 1 })).toEqual({
+      colors: { primary: '#fff' },
+      fonts: {},
+      images: {},
+      copy: { headline: '42' }
+    });
+  });
+});
+
+describe('collectTokenReferences', () => {
+  test('lists each reference in token fields once', () => {
+    expect(collectTokenReferences(layout()).sort()).toEqual([
+      'colors.accent', 'colors.primary', 'copy.headline', 'fonts.heading', 'images.logo'
+    ]);
+  });
+});
+
+describe('buildTokenValues', () => {
+  test('lets brand values override defaults and overrides win over both', () => {
+    const { values, errors } = buildTokenValues(tokens(), {
+      brandValues: { colors: { primary: '#222222', accent: '#333333' } },
+      overrides: { 'colors.accent': '#444444' }
+    });
+
+    expect(errors).toEqual([]);
+    expect(values.colors).toEqual({ primary: '#222222', accent: '#444444' });
+    expect(values.fonts.heading).toBe('Inter');
+  });
+
+  test('reports unknown overrides and copy rules', () => {
+    const { errors } = buildTokenValues(tokens(), {
+      overrides: { copy: { headline: 'Far too long' }, colors: { primray: '#000' }, images: { logo: 'x.png' } },
+      references: ['images.logo']
+    });
+
+    expect(errors).toEqual([
+      'Unknown token "colors.primray"',
+      'copy.headline exceeds maxLength of 10 (got 12)'
+    ]);
+    expect(buildTokenValues(tokens(), { overrides: { 'copy.headline': '  ' } }).errors).toEqual(['copy.headline is required']);
+  });
+});
+
+describe('resolveLayoutTokens', () => {
+  test('replaces references in token fields and reports the unresolved ones', () => {
+    const { values } = buildTokenValues(tokens(), { overrides: { 'colors.accent': '#444444' } });
+    const { layout: resolved, unresolved } = resolveLayoutTokens(layout(), values);
+    const [page] = resolved.pages;
+
+    expect(page.name).toBe('Hello page');
+    expect(page.background.value).toBe('#111111');
+    expect(page.elements[0]).toMatchObject({ content: 'Hello!', fontFamily: 'Inter', color: '#444444' });
+    expect(page.elements[1]).toMatchObject({ src: '{images.logo}', x: '{colors.primary}' });
+    expect(unresolved).toEqual(['images.logo']);
+  });
+});
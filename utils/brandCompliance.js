@@ -0,0 +1,220 @@
+// brandCompliance.js - Utility for checking a project Layout against a Brand's palette, typography and logos
+// Off-brand values come with layoutEdits operations that rewrite them to the closest brand value.
+
+const { parseColor, normalizeHex, deltaE } = require('./colorUtils');
+const { getDefaultTypography, getDefaultLogo } = require('./brandKit');
+
+/**
+ * Configuration for brand compliance checks
+ */
+const COMPLIANCE_CONFIG = {
+  // Colors within this delta E of a brand color count as on-brand
+  COLOR_TOLERANCE: 10,
+
+  // Colors with HSL saturation below this are neutrals (black, white, greys) and always allowed
+  NEUTRAL_SATURATION: 0.12,
+
+  // Text at or above this size counts as a heading when suggesting a replacement font
+  HEADING_FONT_SIZE: 24,
+
+  // Color fields checked per element kind
+  COLOR_FIELDS: {
+    text: ['color'],
+    shape: ['backgroundColor', 'borderColor']
+  }
+};
+
+const toPlain = (value) =>
+  value && typeof value.toObject === 'function' ? value.toObject() : value;
+
+const normalizeFont = (font) => (typeof font === 'string' ? font.trim().toLowerCase() : '');
+
+// Logo URLs are compared without query strings so transformed CDN links still match
+const normalizeUrl = (url) => (typeof url === 'string' ? url.split('?')[0].trim() : '');
+
+/**
+ * Whether a color is a neutral (low saturation) that fits any brand
+ * @param {string} color
+ * @returns {boolean}
+ */
+function isNeutral(color) {
+  const rgb = parseColor(color);
+  if (!rgb) return true;
+  const max = Math.max(rgb.r, rgb.g, rgb.b) / 255;
+  const min = Math.min(rgb.r, rgb.g, rgb.b) / 255;
+  if (max === min) return true;
+  const lightness = (max + min) / 2;
+  const saturation = lightness > 0.5 ? (max - min) / (2 - max - min) : (max - min) / (max + min);
+  return saturation < COMPLIANCE_CONFIG.NEUTRAL_SATURATION;
+}
+
+/**
+ * Collect the colors, fonts and logos a brand allows, across all of its palettes and typography sets
+ * @param {Object} brand - Brand document
+ * @returns {{colors: Array<Object>, fonts: string[], headingFont: string|null, bodyFont: string|null, logos: Array<Object>}}
+ */
+function getBrandRules(brand) {
+  const plain = toPlain(brand) || {};
+  const colors = [];
+  const seenColors = new Set();
+  const addColor = (color, role, palette) => {
+    const hex = normalizeHex(color);
+    if (!hex || seenColors.has(hex)) return;
+    seenColors.add(hex);
+    colors.push({ color: hex, role, palette });
+  };
+
+  (plain.colorPalettes || []).forEach(palette => {
+    addColor(palette.primary, 'primary', palette.name);
+    (palette.secondary || []).forEach(color => addColor(color, 'secondary', palette.name));
+    (palette.accent || []).forEach(color => addColor(color, 'accent', palette.name));
+  });
+
+  const fonts = [];
+  const addFont = (font) => {
+    if (font && !fonts.some(existing => normalizeFont(existing) === normalizeFont(font))) fonts.push(font);
+  };
+  (plain.typography || []).forEach(typography => {
+    addFont(typography.headingFont);
+    addFont(typography.bodyFont);
+    (typography.fontPairings || []).forEach(pairing => {
+      addFont(pairing.heading);
+      addFont(pairing.body);
+    });
+  });
+
+  const typography = getDefaultTypography(plain);
+  return {
+    colors,
+    fonts,
+    headingFont: typography?.headingFont || fonts[0] || null,
+    bodyFont: typography?.bodyFont || fonts[fonts.length - 1] || null,
+    logos: (plain.logos || []).filter(logo => logo.url)
+  };
+}
+
+/**
+ * Closest brand color by perceptual distance
+ * @param {string} color
+ * @param {Array<Object>} brandColors - From getBrandRules
+ * @returns {{color: string, role: string, palette: string, distance: number}|null}
+ */
+function nearestBrandColor(color, brandColors) {
+  return brandColors
+    .map(candidate => ({ ...candidate, distance: Math.round(deltaE(color, candidate.color) * 100) / 100 }))
+    .sort((a, b) => a.distance - b.distance)[0] || null;
+}
+
+/**
+ * Check a layout against a brand
+ * Page color backgrounds, text colors and shape fills and borders are checked against every brand palette,
+ * text fonts against every brand typography set, and image sources against the brand logos.
+ * @param {Object} layout - Layout document or plain object
+ * @param {Object} brand - Brand document or plain object
+ * @returns {{compliant: boolean, score: number, colors: Object, fonts: Object, logo: Object, fixes: Array<Object>}}
+ */
+function checkBrandCompliance(layout, brand) {
+  const pages = toPlain(layout)?.pages || [];
+  const rules = getBrandRules(brand);
+
+  // Colors: hex -> usages
+  const colorUsages = new Map();
+  let colorsChecked = 0;
+  const noteColor = (value, usage) => {
+    const hex = normalizeHex(value);
+    if (!hex) return;
+    colorsChecked++;
+    if (!colorUsages.has(hex)) colorUsages.set(hex, []);
+    colorUsages.get(hex).push(usage);
+  };
+
+  // Fonts: lowercase name -> { font, usages }
+  const fontUsages = new Map();
+  let fontsChecked = 0;
+  const logoUsages = [];
+  const logoUrls = new Set(rules.logos.map(logo => normalizeUrl(logo.url)));
+
+  pages.forEach((page, pageIndex) => {
+    if (page.background?.type === 'color') {
+      noteColor(page.background.value, { pageIndex, elementId: null, field: 'background' });
+    }
+
+    (page.elements || []).forEach(element => {
+      (COMPLIANCE_CONFIG.COLOR_FIELDS[element.kind] || []).forEach(field => {
+        if (element[field]) noteColor(element[field], { pageIndex, elementId: element.id, field });
+      });
+
+      if (element.kind === 'text' && element.fontFamily) {
+        fontsChecked++;
+        const key = normalizeFont(element.fontFamily);
+        if (!fontUsages.has(key)) fontUsages.set(key, { font: element.fontFamily, usages: [] });
+        fontUsages.get(key).usages.push({ pageIndex, elementId: element.id, fontSize: element.fontSize || 16 });
+      }
+
+      if (element.kind === 'image' && logoUrls.has(normalizeUrl(element.src))) {
+        logoUsages.push({ pageIndex, elementId: element.id, url: element.src });
+      }
+    });
+  });
+
+  const fixes = [];
+
+  // Without brand colors there is nothing to compare against
+  const offBrandColors = [];
+  if (rules.colors.length) {
+    colorUsages.forEach((usages, hex) => {
+      if (isNeutral(hex)) return;
+      const nearest = nearestBrandColor(hex, rules.colors);
+      if (nearest.distance <= COMPLIANCE_CONFIG.COLOR_TOLERANCE) return;
+      offBrandColors.push({ color: hex, nearest, usages });
+      fixes.push({ op: 'replaceColor', from: hex, to: nearest.color });
+    });
+  }
+
+  const offBrandFonts = [];
+  if (rules.fonts.length) {
+    const allowed = rules.fonts.map(normalizeFont);
+    fontUsages.forEach(({ font, usages }, key) => {
+      if (allowed.includes(key)) return;
+      // Mostly-large text maps to the heading font, otherwise the body font
+      const headings = usages.filter(usage => usage.fontSize >= COMPLIANCE_CONFIG.HEADING_FONT_SIZE).length;
+      const suggested = headings > usages.length / 2 ? rules.headingFont : rules.bodyFont;
+      offBrandFonts.push({ font, suggested, usages: usages.map(({ fontSize, ...usage }) => usage) });
+      fixes.push({ op: 'replaceFont', from: font, to: suggested });
+    });
+  }
+
+  const defaultLogo = getDefaultLogo(toPlain(brand));
+  const logo = {
+    required: rules.logos.length > 0,
+    used: logoUsages.length > 0,
+    usages: logoUsages,
+    suggested: defaultLogo && !logoUsages.length
+      ? { name: defaultLogo.name, url: defaultLogo.url, usage: defaultLogo.usage }
+      : null
+  };
+
+  // Share of checked values that are on-brand, with a missing logo counting as one miss
+  const offBrandValues = offBrandColors.reduce((total, entry) => total + entry.usages.length, 0)
+    + offBrandFonts.reduce((total, entry) => total + entry.usages.length, 0)
+    + (logo.required && !logo.used ? 1 : 0);
+  const checkedValues = colorsChecked + fontsChecked + (logo.required ? 1 : 0);
+  const score = checkedValues ? Math.round(((checkedValues - offBrandValues) / checkedValues) * 100) : 100;
+
+  return {
+    compliant: offBrandValues === 0,
+    score,
+    colors: { checked: colorsChecked, offBrand: offBrandColors },
+    fonts: { checked: fontsChecked, offBrand: offBrandFonts },
+    logo,
+    fixes
+  };
+}
+
+module.exports = {
+  checkBrandCompliance,
+  getBrandRules,
+  nearestBrandColor,
+  isNeutral,
+  COMPLIANCE_CONFIG
+};
@@ -0,0 +1,225 @@
+// brandKit.js - Utility for reading a Brand's defaults and mapping them onto design tokens
+
+const crypto = require('crypto');
+const { extractTokens } = require('./tokenExtractor');
+const { buildTokenValues, resolveLayoutTokens } = require('./templateTokens');
+
+/**
+ * Configuration for applying a brand to an existing layout
+ */
+const APPLY_BRAND_CONFIG = {
+  // Logo box size as a share of the page's shorter side, and its gap to the canvas edge
+  LOGO_SCALE: 0.15,
+  LOGO_MARGIN: 0.04,
+  LOGO_POSITIONS: ['top-left', 'top-right', 'bottom-left', 'bottom-right']
+};
+
+/**
+ * Pick the entry flagged isDefault, falling back to the first one
+ * @param {Array} items - Brand sub-documents
+ * @returns {Object|null}
+ */
+function pickDefault(items) {
+  if (!Array.isArray(items) || items.length === 0) return null;
+  return items.find(item => item && item.isDefault) || items[0];
+}
+
+/**
+ * Get the brand's default color palette
+ * @param {Object} brand - Brand document
+ * @returns {Object|null} - { name, primary, secondary[], accent[] }
+ */
+function getDefaultPalette(brand) {
+  return pickDefault(brand && brand.colorPalettes);
+}
+
+/**
+ * Get the brand's default typography pairing
+ * @param {Object} brand - Brand document
+ * @returns {Object|null} - { headingFont, bodyFont, fontPairings[] }
+ */
+function getDefaultTypography(brand) {
+  return pickDefault(brand && brand.typography);
+}
+
+/**
+ * Get the brand's default logo, preferring the primary usage
+ * @param {Object} brand - Brand document
+ * @returns {Object|null} - { name, url, usage }
+ */
+function getDefaultLogo(brand) {
+  const logos = (brand && brand.logos) || [];
+  return logos.find(logo => logo.isDefault)
+    || logos.find(logo => logo.usage === 'primary')
+    || logos[0]
+    || null;
+}
+
+/**
+ * Name a palette's colors by role: primary, secondary, secondary2…, accent, accent2…
+ * @param {Object} palette - { primary, secondary[], accent[] }
+ * @returns {Object} - { role: color }
+ */
+function paletteToRoles(palette) {
+  const colors = {};
+  if (!palette) return colors;
+  if (palette.primary) colors.primary = palette.primary;
+  ['secondary', 'accent'].forEach(role => {
+    (palette[role] || []).filter(Boolean).forEach((color, index) => {
+      colors[index === 0 ? role : `${role}${index + 1}`] = color;
+    });
+  });
+  return colors;
+}
+
+/**
+ * Map a brand onto template token values
+ * Colors: primary, secondary, secondary2…, accent, accent2…
+ * Fonts: heading/body plus primary/secondary aliases
+ * Images: logo
+ * Copy: brandName, tagline
+ * @param {Object} brand - Brand document
+ * @returns {Object} - { colors, fonts, images, copy }
+ */
+function brandToTokenValues(brand) {
+  const values = { colors: {}, fonts: {}, images: {}, copy: {} };
+  if (!brand) return values;
+
+  const palette = getDefaultPalette(brand);
+  if (palette) values.colors = paletteToRoles(palette);
+
+  const typography = getDefaultTypography(brand);
+  if (typography) {
+    if (typography.headingFont) {
+      values.fonts.heading = typography.headingFont;
+      values.fonts.primary = typography.headingFont;
+    }
+    if (typography.bodyFont) {
+      values.fonts.body = typography.bodyFont;
+      values.fonts.secondary = typography.bodyFont;
+    }
+  }
+
+  const logo = getDefaultLogo(brand);
+  if (logo && logo.url) values.images.logo = logo.url;
+
+  if (brand.name) values.copy.brandName = brand.name;
+  if (brand.tagline) values.copy.tagline = brand.tagline;
+
+  return values;
+}
+
+/**
+ * Logo image element for a page corner
+ * @param {Object} page - Layout page
+ * @param {Object} logo - Brand logo { name, url }
+ * @param {string} position - One of APPLY_BRAND_CONFIG.LOGO_POSITIONS
+ * @returns {Object} - Image element
+ */
+function buildLogoElement(page, logo, position) {
+  const width = page.canvas?.width || 800;
+  const height = page.canvas?.height || 600;
+  const size = Math.round(Math.min(width, height) * APPLY_BRAND_CONFIG.LOGO_SCALE);
+  const margin = Math.round(Math.min(width, height) * APPLY_BRAND_CONFIG.LOGO_MARGIN);
+  const zIndexes = (page.elements || []).map(element => element.zIndex || 0);
+
+  return {
+    id: `logo-${crypto.randomBytes(4).toString('hex')}`,
+    kind: 'image',
+    x: position.endsWith('left') ? margin : width - size - margin,
+    y: position.startsWith('top') ? margin : height - size - margin,
+    width: size,
+    height: size,
+    rotation: 0,
+    opacity: 1,
+    zIndex: Math.max(0, ...zIndexes) + 1,
+    src: logo.url,
+    alt: logo.name || 'Logo'
+  };
+}
+
+/**
+ * Brand fonts for font roles beyond heading/body (font3, font4…)
+ * A role whose text is on average larger than the body text gets the heading font, otherwise the body font.
+ * @param {Object} tokenized - Layout with fontFamily token references
+ * @param {Object} fontTokens - Extracted font token definitions
+ * @param {Object} brandFonts - Font values from brandToTokenValues
+ * @returns {Object} - { role: font }
+ */
+function mapExtraFonts(tokenized, fontTokens, brandFonts) {
+  const sizes = {};
+  (tokenized.pages || []).forEach(page => {
+    (page.elements || []).forEach(element => {
+      const match = typeof element.fontFamily === 'string' && element.fontFamily.match(/^\{fonts\.(.+)\}$/);
+      if (!match) return;
+      (sizes[match[1]] = sizes[match[1]] || []).push(element.fontSize || 16);
+    });
+  });
+  const average = role => (sizes[role] || []).reduce((total, size) => total + size, 0) / ((sizes[role] || []).length || 1);
+  const allSizes = Object.values(sizes).flat().sort((a, b) => a - b);
+  const bodySize = sizes.body ? average('body') : allSizes[Math.floor(allSizes.length / 2)] || 16;
+
+  const mapped = {};
+  Object.keys(fontTokens).filter(role => role !== 'heading' && role !== 'body').forEach(role => {
+    const font = average(role) > bodySize ? brandFonts.heading : brandFonts.body;
+    if (font) mapped[role] = font;
+  });
+  return mapped;
+}
+
+/**
+ * Restyle an existing layout with a brand
+ * The layout's colors and fonts are grouped into roles the same way templates are tokenized
+ * (background, text, primary, secondary, accent…; heading, body, font3…), then each role the brand
+ * defines is swapped for the brand's value; extra font roles go to the heading or body font by size. Roles the brand has no value for keep their
+ * current value, so backgrounds and body text stay readable. Semi-transparent colors are kept.
+ * The input is not modified.
+ * @param {Object} layout - Layout document or plain object
+ * @param {Object} brand - Brand document
+ * @param {Object} options - { insertLogo, logoPosition }
+ * @returns {{layout: Object, mapping: Object, logo: Object|null}} - Restyled layout, role changes and the inserted logo element
+ */
+function applyBrandToLayout(layout, brand, { insertLogo = false, logoPosition = 'top-right' } = {}) {
+  const plain = layout && typeof layout.toObject === 'function' ? layout.toObject() : layout;
+  const { tokens, layout: tokenized } = extractTokens(plain);
+
+  // Only colors and fonts are rebranded; images and copy resolve back to their current values
+  const brandValues = brandToTokenValues(brand);
+  const fonts = { ...brandValues.fonts, ...mapExtraFonts(tokenized, tokens.fonts, brandValues.fonts) };
+  const { values } = buildTokenValues(tokens, {
+    brandValues: { colors: brandValues.colors, fonts }
+  });
+  const { layout: branded } = resolveLayoutTokens(tokenized, values);
+
+  const mapping = { colors: {}, fonts: {} };
+  ['colors', 'fonts'].forEach(group => {
+    Object.entries(tokens[group]).forEach(([role, definition]) => {
+      mapping[group][role] = { from: definition.default, to: values[group][role] };
+    });
+  });
+
+  let logoElement = null;
+  const logo = getDefaultLogo(brand);
+  if (insertLogo && logo && logo.url && branded.pages && branded.pages.length) {
+    const page = branded.pages[0];
+    const alreadyPlaced = (page.elements || []).some(element => element.kind === 'image' && element.src === logo.url);
+    if (!alreadyPlaced) {
+      const position = APPLY_BRAND_CONFIG.LOGO_POSITIONS.includes(logoPosition) ? logoPosition : 'top-right';
+      logoElement = buildLogoElement(page, logo, position);
+      page.elements = page.elements || [];
+      page.elements.push(logoElement);
+    }
+  }
+
+  return { layout: branded, mapping, logo: logoElement };
+}
+
+module.exports = {
+  getDefaultPalette,
+  getDefaultTypography,
+  getDefaultLogo,
+  paletteToRoles,
+  brandToTokenValues,
+  applyBrandToLayout,
+  APPLY_BRAND_CONFIG
+};
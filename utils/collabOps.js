@@ -0,0 +1,240 @@
+// collabOps.js - Utility for the element-level operations exchanged by collaborative editing sessions
+// Operations are applied in the order the server sequences them. Element fields behave as
+// last-writer-wins registers (elements are addressed by id, so they need no transformation);
+// page indices are transformed against page insertions and deletions the sender had not seen.
+
+const { EDIT_CONFIG, findElement } = require('./layoutEdits');
+
+/**
+ * Configuration for collaborative operations
+ */
+const COLLAB_OPS_CONFIG = {
+  OPERATIONS: [
+    'element.add',
+    'element.update',
+    'element.delete',
+    'element.move',
+    'page.add',
+    'page.update',
+    'page.delete'
+  ],
+
+  // Page properties page.update may set
+  PAGE_FIELDS: ['name', 'canvas', 'background'],
+
+  // Element fields that element.update may not change
+  PROTECTED_ELEMENT_FIELDS: ['id', 'kind'],
+
+  DEFAULT_CANVAS: EDIT_CONFIG.DEFAULT_CANVAS
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isIndex = (value) => Number.isInteger(value) && value >= 0;
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Check an operation's shape
+ * @param {Object} op
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateOp(op) {
+  if (!isPlainObject(op)) return 'Operation must be an object';
+  if (!COLLAB_OPS_CONFIG.OPERATIONS.includes(op.type)) {
+    return `type must be one of ${COLLAB_OPS_CONFIG.OPERATIONS.join(', ')}`;
+  }
+
+  switch (op.type) {
+    case 'element.add':
+      if (!isPlainObject(op.element) || typeof op.element.id !== 'string' || !op.element.id) {
+        return 'element with a string id is required';
+      }
+      if (!EDIT_CONFIG.ELEMENT_KINDS.includes(op.element.kind)) {
+        return `element.kind must be one of ${EDIT_CONFIG.ELEMENT_KINDS.join(', ')}`;
+      }
+      return isIndex(op.pageIndex) ? null : 'pageIndex is required';
+    case 'element.update': {
+      if (typeof op.elementId !== 'string') return 'elementId is required';
+      if (!isPlainObject(op.fields) || !Object.keys(op.fields).length) return 'fields are required';
+      const protectedField = Object.keys(op.fields).find(field => COLLAB_OPS_CONFIG.PROTECTED_ELEMENT_FIELDS.includes(field));
+      return protectedField ? `${protectedField} cannot be changed` : null;
+    }
+    case 'element.delete':
+      return typeof op.elementId === 'string' ? null : 'elementId is required';
+    case 'element.move':
+      if (typeof op.elementId !== 'string') return 'elementId is required';
+      return isIndex(op.pageIndex) ? null : 'pageIndex is required';
+    case 'page.add':
+      return op.page === undefined || isPlainObject(op.page) ? null : 'page must be an object';
+    case 'page.update': {
+      if (!isIndex(op.pageIndex)) return 'pageIndex is required';
+      if (!isPlainObject(op.fields) || !Object.keys(op.fields).length) return 'fields are required';
+      const unknown = Object.keys(op.fields).find(field => !COLLAB_OPS_CONFIG.PAGE_FIELDS.includes(field));
+      return unknown ? `Page field ${unknown} cannot be changed` : null;
+    }
+    case 'page.delete':
+      return isIndex(op.pageIndex) ? null : 'pageIndex is required';
+    default:
+      return null;
+  }
+}
+
+// Index of an existing page after an insertion or deletion; null when the page itself was deleted
+function shiftPageIndex(pageIndex, applied) {
+  if (applied.type === 'page.add') {
+    return pageIndex >= applied.index ? pageIndex + 1 : pageIndex;
+  }
+  if (pageIndex === applied.pageIndex) return null;
+  return pageIndex > applied.pageIndex ? pageIndex - 1 : pageIndex;
+}
+
+// Insertion point after an insertion or deletion (concurrent inserts at one place keep server order)
+function shiftInsertIndex(index, applied) {
+  if (applied.type === 'page.add') {
+    return index >= applied.index ? index + 1 : index;
+  }
+  return index > applied.pageIndex ? index - 1 : index;
+}
+
+/**
+ * Rewrite an operation's page indices to account for an operation applied before it
+ * that its sender had not seen
+ * @param {Object} op - Incoming operation
+ * @param {Object} applied - Already applied operation (as sequenced, with resolved indices)
+ * @returns {Object|null} - Transformed operation, or null when its target page was deleted
+ */
+function transformOp(op, applied) {
+  if (!['page.add', 'page.delete'].includes(applied.type)) return op;
+
+  if (op.type === 'page.add') {
+    return isIndex(op.index) ? { ...op, index: shiftInsertIndex(op.index, applied) } : op;
+  }
+  if (op.pageIndex === undefined) return op;
+
+  const pageIndex = shiftPageIndex(op.pageIndex, applied);
+  return pageIndex === null ? null : { ...op, pageIndex };
+}
+
+/**
+ * Apply an operation to a layout in place
+ * The returned operation has its defaults resolved (page.add index, element.move position)
+ * so other clients can apply exactly the same change.
+ * @param {Object} layout - Plain layout ({ pages })
+ * @param {Object} op - Validated operation
+ * @param {Object} options - { validateElement } called with each added or changed element; throws to reject it
+ * @returns {Object} - The operation as applied
+ */
+function applyOp(layout, op, { validateElement = () => {} } = {}) {
+  const pages = layout.pages = layout.pages || [];
+  const requirePage = (pageIndex) => {
+    if (!pages[pageIndex]) throw new Error(`Page ${pageIndex} does not exist`);
+    pages[pageIndex].elements = pages[pageIndex].elements || [];
+    return pages[pageIndex];
+  };
+  const requireElement = (elementId) => {
+    const found = findElement(layout, elementId);
+    if (!found) throw new Error(`Element ${elementId} does not exist`);
+    return found;
+  };
+
+  switch (op.type) {
+    case 'element.add': {
+      if (findElement(layout, op.element.id)) throw new Error(`Element ${op.element.id} already exists`);
+      const page = requirePage(op.pageIndex);
+      const element = clone(op.element);
+      validateElement(element);
+      const index = isIndex(op.index) ? Math.min(op.index, page.elements.length) : page.elements.length;
+      page.elements.splice(index, 0, element);
+      return { ...op, element, index };
+    }
+
+    case 'element.update': {
+      const { element } = requireElement(op.elementId);
+      const updated = clone(element);
+      Object.entries(op.fields).forEach(([field, value]) => {
+        if (value === null) delete updated[field];
+        else updated[field] = clone(value);
+      });
+      validateElement(updated);
+      Object.keys(element).forEach(field => delete element[field]);
+      Object.assign(element, updated);
+      return op;
+    }
+
+    case 'element.delete': {
+      const { page, elementIndex } = requireElement(op.elementId);
+      page.elements.splice(elementIndex, 1);
+      return op;
+    }
+
+    case 'element.move': {
+      const { page, elementIndex, element } = requireElement(op.elementId);
+      const target = requirePage(op.pageIndex);
+      page.elements.splice(elementIndex, 1);
+      const index = isIndex(op.index) ? Math.min(op.index, target.elements.length) : target.elements.length;
+      target.elements.splice(index, 0, element);
+      return { ...op, index };
+    }
+
+    case 'page.add': {
+      const index = isIndex(op.index) ? Math.min(op.index, pages.length) : pages.length;
+      const page = {
+        name: `Page ${pages.length + 1}`,
+        canvas: { ...COLLAB_OPS_CONFIG.DEFAULT_CANVAS },
+        background: { type: 'color', value: '#ffffff' },
+        ...clone(op.page || {}),
+        elements: []
+      };
+      pages.splice(index, 0, page);
+      return { ...op, page, index };
+    }
+
+    case 'page.update': {
+      const page = requirePage(op.pageIndex);
+      Object.entries(op.fields).forEach(([field, value]) => {
+        if (value === null) delete page[field];
+        else page[field] = clone(value);
+      });
+      return op;
+    }
+
+    case 'page.delete': {
+      requirePage(op.pageIndex);
+      if (pages.length === 1) throw new Error('Cannot delete the last page');
+      pages.splice(op.pageIndex, 1);
+      return op;
+    }
+
+    default:
+      throw new Error(`Unsupported operation ${op.type}`);
+  }
+}
+
+/**
+ * Registers an operation writes, for reporting last-writer-wins overwrites
+ * (e.g. "element:a1.x", "element:a1" for add/delete, "page:0.background")
+ * @param {Object} op - Applied operation
+ * @returns {string[]}
+ */
+function touchedKeys(op) {
+  switch (op.type) {
+    case 'element.update':
+      return Object.keys(op.fields).map(field => `element:${op.elementId}.${field}`);
+    case 'element.add':
+      return [`element:${op.element.id}`];
+    case 'element.delete':
+    case 'element.move':
+      return [`element:${op.elementId}`];
+    case 'page.update':
+      return Object.keys(op.fields).map(field => `page:${op.pageIndex}.${field}`);
+    default:
+      return [];
+  }
+}
+
+module.exports = {
+  validateOp,
+  transformOp,
+  applyOp,
+  touchedKeys,
+  COLLAB_OPS_CONFIG
+};
@@ -0,0 +1,220 @@
+// colorUtils.js - Helpers for parsing and converting the color strings stored in layouts and brands
+
+/**
+ * A handful of CSS named colors that show up in AI-generated layouts
+ */
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  red: '#ff0000',
+  green: '#008000',
+  blue: '#0000ff',
+  yellow: '#ffff00',
+  orange: '#ffa500',
+  purple: '#800080',
+  pink: '#ffc0cb',
+  gray: '#808080',
+  grey: '#808080',
+  transparent: '#00000000'
+};
+
+/**
+ * Parse a color string into its RGBA components
+ * Supports #rgb, #rgba, #rrggbb, #rrggbbaa, rgb(), rgba() and a few named colors
+ * @param {string} color - The color string to parse
+ * @returns {{r: number, g: number, b: number, a: number}|null} - Components (a in 0..1) or null if unparseable
+ */
+function parseColor(color) {
+  if (!color || typeof color !== 'string') return null;
+
+  let value = color.trim().toLowerCase();
+  if (NAMED_COLORS[value]) value = NAMED_COLORS[value];
+
+  const hexMatch = value.match(/^#([0-9a-f]{3,8})$/);
+  if (hexMatch) {
+    let hex = hexMatch[1];
+    if (hex.length === 3 || hex.length === 4) {
+      hex = hex.split('').map(ch => ch + ch).join('');
+    }
+    if (hex.length !== 6 && hex.length !== 8) return null;
+
+    return {
+      r: parseInt(hex.substr(0, 2), 16),
+      g: parseInt(hex.substr(2, 2), 16),
+      b: parseInt(hex.substr(4, 2), 16),
+      a: hex.length === 8 ? parseInt(hex.substr(6, 2), 16) / 255 : 1
+    };
+  }
+
+  const rgbMatch = value.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+  if (rgbMatch) {
+    return {
+      r: Math.min(255, Math.round(parseFloat(rgbMatch[1]))),
+      g: Math.min(255, Math.round(parseFloat(rgbMatch[2]))),
+      b: Math.min(255, Math.round(parseFloat(rgbMatch[3]))),
+      a: rgbMatch[4] !== undefined ? Math.min(1, parseFloat(rgbMatch[4])) : 1
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Convert RGB components to a lowercase #rrggbb string (alpha is dropped)
+ * @param {{r: number, g: number, b: number}} rgb - The color components
+ * @returns {string} - Hex color string
+ */
+function toHex({ r, g, b }) {
+  return '#' + [r, g, b]
+    .map(channel => Math.max(0, Math.min(255, Math.round(channel))).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Normalize any supported color string to lowercase #rrggbb
+ * @param {string} color - The color string
+ * @returns {string|null} - Normalized hex or null if unparseable
+ */
+function normalizeHex(color) {
+  const parsed = parseColor(color);
+  return parsed ? toHex(parsed) : null;
+}
+
+/**
+ * Convert RGB components to CIE L*a*b* (D65 white point)
+ * @param {{r: number, g: number, b: number}} rgb - The color components
+ * @returns {{l: number, a: number, b: number}} - Lab components
+ */
+function rgbToLab({ r, g, b }) {
+  const linear = [r, g, b].map(channel => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+
+  const x = (linear[0] * 0.4124 + linear[1] * 0.3576 + linear[2] * 0.1805) / 0.95047;
+  const y = (linear[0] * 0.2126 + linear[1] * 0.7152 + linear[2] * 0.0722) / 1.0;
+  const z = (linear[0] * 0.0193 + linear[1] * 0.1192 + linear[2] * 0.9505) / 1.08883;
+
+  const f = t => (t > 0.008856 ? Math.cbrt(t) : (7.787 * t) + 16 / 116);
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+
+  return {
+    l: (116 * fy) - 16,
+    a: 500 * (fx - fy),
+    b: 200 * (fy - fz)
+  };
+}
+
+/**
+ * Perceptual distance between two colors (CIE76 delta E)
+ * Roughly: < 2 imperceptible, < 10 similar, > 25 clearly different
+ * @param {string|Object} first - Color string or RGB components
+ * @param {string|Object} second - Color string or RGB components
+ * @returns {number} - Delta E, or Infinity if either color is unparseable
+ */
+function deltaE(first, second) {
+  const rgbA = typeof first === 'string' ? parseColor(first) : first;
+  const rgbB = typeof second === 'string' ? parseColor(second) : second;
+  if (!rgbA || !rgbB) return Infinity;
+
+  const labA = rgbToLab(rgbA);
+  const labB = rgbToLab(rgbB);
+  return Math.sqrt(
+    Math.pow(labA.l - labB.l, 2) +
+    Math.pow(labA.a - labB.a, 2) +
+    Math.pow(labA.b - labB.b, 2)
+  );
+}
+
+/**
+ * Composite a (possibly translucent) color over an opaque background
+ * @param {Object} foreground - RGBA components
+ * @param {Object} background - RGB components
+ * @returns {{r: number, g: number, b: number, a: number}} - Opaque result
+ */
+function blendOver(foreground, background) {
+  const alpha = foreground.a === undefined ? 1 : foreground.a;
+  return {
+    r: foreground.r * alpha + background.r * (1 - alpha),
+    g: foreground.g * alpha + background.g * (1 - alpha),
+    b: foreground.b * alpha + background.b * (1 - alpha),
+    a: 1
+  };
+}
+
+/**
+ * WCAG relative luminance
+ * @param {{r: number, g: number, b: number}} rgb - The color components
+ * @returns {number} - Luminance from 0 (black) to 1 (white)
+ */
+function relativeLuminance({ r, g, b }) {
+  const [lr, lg, lb] = [r, g, b].map(channel => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+}
+
+/**
+ * WCAG contrast ratio between two colors
+ * A translucent first color is composited over the second.
+ * @param {string|Object} foreground - Color string or RGBA components
+ * @param {string|Object} background - Color string or RGB components
+ * @returns {number|null} - Ratio from 1 to 21, or null if either color is unparseable
+ */
+function contrastRatio(foreground, background) {
+  const fg = typeof foreground === 'string' ? parseColor(foreground) : foreground;
+  const bg = typeof background === 'string' ? parseColor(background) : background;
+  if (!fg || !bg) return null;
+
+  const lighter = relativeLuminance(blendOver(fg, bg));
+  const darker = relativeLuminance(bg);
+  const [high, low] = lighter > darker ? [lighter, darker] : [darker, lighter];
+  return (high + 0.05) / (low + 0.05);
+}
+
+/**
+ * Group similar colors together
+ * Colors are visited heaviest first; each joins the first cluster whose representative
+ * is within `threshold` delta E, otherwise it starts a new cluster.
+ * @param {Array<{color: string, weight: number}>} samples - Colors with their usage weight
+ * @param {number} threshold - Maximum delta E to join a cluster
+ * @returns {Array<{color: string, weight: number, members: string[]}>} - Clusters sorted by weight (representative is the heaviest member, as #rrggbb)
+ */
+function clusterColors(samples, threshold = 10) {
+  const totals = new Map();
+  samples.forEach(({ color, weight = 1 }) => {
+    const hex = normalizeHex(color);
+    if (hex) totals.set(hex, (totals.get(hex) || 0) + weight);
+  });
+
+  const clusters = [];
+  [...totals.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([hex, weight]) => {
+      const cluster = clusters.find(candidate => deltaE(candidate.color, hex) <= threshold);
+      if (cluster) {
+        cluster.weight += weight;
+        cluster.members.push(hex);
+      } else {
+        clusters.push({ color: hex, weight, members: [hex] });
+      }
+    });
+
+  return clusters.sort((a, b) => b.weight - a.weight);
+}
+
+module.exports = {
+  parseColor,
+  toHex,
+  normalizeHex,
+  rgbToLab,
+  deltaE,
+  clusterColors,
+  blendOver,
+  relativeLuminance,
+  contrastRatio,
+  NAMED_COLORS
+};
@@ -0,0 +1,150 @@
+// controllerInvoker.js - Utility for calling Express controller handlers in-process
+// Lets server-side callers such as agent tools reuse controller logic as a specific user
+// without an HTTP round trip, so they work regardless of the port the server listens on.
+
+/**
+ * Configuration for in-process controller calls
+ */
+const INVOKER_CONFIG = {
+  // Handlers that never respond are treated as failed after this long (in milliseconds)
+  TIMEOUT: 60000
+};
+
+/**
+ * Build a minimal Express-like request
+ * @param {Object} options - { params, query, body, headers, userId, user }
+ * @returns {Object} - Request object
+ */
+function createRequest({ params = {}, query = {}, body = {}, headers = {}, userId, user } = {}) {
+  const normalizedHeaders = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+
+  const req = {
+    method: 'INTERNAL',
+    params,
+    query,
+    body,
+    headers: normalizedHeaders,
+    userId,
+    user,
+    get: (name) => normalizedHeaders[name.toLowerCase()],
+    header: (name) => normalizedHeaders[name.toLowerCase()],
+    on: () => req
+  };
+  return req;
+}
+
+/**
+ * Build a minimal Express-like response that settles a promise once the handler responds
+ * @param {Function} resolve - Called with { status, ok, data, headers }
+ * @returns {Object} - Response object
+ */
+function createResponse(resolve) {
+  const res = {
+    statusCode: 200,
+    headersSent: false,
+    writableEnded: false,
+    locals: {},
+    responseHeaders: {},
+    chunks: [],
+
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      if (typeof name === 'object') {
+        Object.entries(name).forEach(([key, val]) => res.set(key, val));
+      } else {
+        res.responseHeaders[name.toLowerCase()] = value;
+      }
+      return res;
+    },
+    setHeader(name, value) {
+      return res.set(name, value);
+    },
+    get(name) {
+      return res.responseHeaders[name.toLowerCase()];
+    },
+    json(data) {
+      return res.finish(data);
+    },
+    send(data) {
+      return res.finish(data);
+    },
+    sendStatus(code) {
+      res.statusCode = code;
+      return res.finish(undefined);
+    },
+    write(chunk) {
+      res.headersSent = true;
+      res.chunks.push(chunk);
+      return true;
+    },
+    end(chunk) {
+      if (chunk !== undefined) res.chunks.push(chunk);
+      const data = res.chunks.length
+        ? res.chunks.every(Buffer.isBuffer) ? Buffer.concat(res.chunks) : res.chunks.join('')
+        : undefined;
+      return res.finish(data);
+    },
+    flushHeaders() {
+      res.headersSent = true;
+    },
+    on: () => res,
+    finish(data) {
+      if (res.writableEnded) return res;
+      res.headersSent = true;
+      res.writableEnded = true;
+      resolve({
+        status: res.statusCode,
+        ok: res.statusCode >= 200 && res.statusCode < 300,
+        data,
+        headers: res.responseHeaders
+      });
+      return res;
+    }
+  };
+  return res;
+}
+
+/**
+ * Call a controller handler and wait for its response
+ * @param {Function} handler - Express handler (req, res) => void
+ * @param {Object} options - Request parts: params, query, body, headers, userId, user
+ * @param {Object} settings - { timeout }
+ * @returns {Promise<{status: number, ok: boolean, data: *, headers: Object}>} - The handler's response
+ */
+function invokeController(handler, options = {}, settings = {}) {
+  const { timeout = INVOKER_CONFIG.TIMEOUT } = settings;
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(new Error(`Controller ${handler.name || 'handler'} did not respond within ${timeout}ms`));
+    }, timeout);
+    const settle = (response) => {
+      clearTimeout(timer);
+      resolve(response);
+    };
+
+    const req = createRequest(options);
+    const res = createResponse(settle);
+
+    // Errors passed to next() or thrown synchronously become 500 responses, as the error middleware would
+    const next = (error) => {
+      if (error) {
+        res.status(error.status || 500).json({ message: error.message || 'Server error' });
+      }
+    };
+
+    Promise.resolve()
+      .then(() => handler(req, res, next))
+      .catch(next);
+  });
+}
+
+module.exports = {
+  invokeController,
+  INVOKER_CONFIG
+};
@@ -0,0 +1,346 @@
+// designCritique.js - Utility for reviewing a Layout for common design problems
+// Each issue carries a fix suggestion expressed as layoutEdits operations, so the agent can apply it directly.
+
+const { parseColor, toHex, contrastRatio, blendOver } = require('./colorUtils');
+const { checkBrandCompliance, getBrandRules } = require('./brandCompliance');
+
+/**
+ * Configuration for design critique
+ */
+const CRITIQUE_CONFIG = {
+  // Points taken off the score of 100 per issue
+  SEVERITY_PENALTY: { error: 15, warning: 6, info: 2 },
+  SEVERITY_ORDER: ['error', 'warning', 'info'],
+
+  // WCAG AA contrast; large text is >= 24px, or >= 18.66px when bold
+  MIN_CONTRAST: 4.5,
+  MIN_CONTRAST_LARGE: 3,
+  LARGE_TEXT_SIZE: 24,
+  LARGE_BOLD_TEXT_SIZE: 18.66,
+
+  // Smallest readable text: the larger of an absolute floor and a share of the canvas's short side
+  MIN_FONT_SIZE: 12,
+  MIN_FONT_SIZE_RATIO: 0.02,
+  MAX_DISTINCT_FONT_SIZES: 4,
+
+  // Rough text metrics used to estimate whether copy fits its box
+  AVERAGE_CHAR_WIDTH: 0.55,
+  LINE_HEIGHT: 1.2,
+  OVERFLOW_TOLERANCE: 1.1,
+
+  // Overlaps smaller than this share of the smaller element are ignored
+  MIN_OVERLAP_RATIO: 0.02,
+  // Gap left when moving an element clear of another
+  SPACING: 16
+};
+
+const box = (element) => ({
+  left: element.x || 0,
+  top: element.y || 0,
+  right: (element.x || 0) + (element.width || 0),
+  bottom: (element.y || 0) + (element.height || 0)
+});
+
+const area = ({ left, top, right, bottom }) => Math.max(0, right - left) * Math.max(0, bottom - top);
+
+function intersection(first, second) {
+  return {
+    left: Math.max(first.left, second.left),
+    top: Math.max(first.top, second.top),
+    right: Math.min(first.right, second.right),
+    bottom: Math.min(first.bottom, second.bottom)
+  };
+}
+
+const contains = (outer, inner) =>
+  outer.left <= inner.left && outer.top <= inner.top && outer.right >= inner.right && outer.bottom >= inner.bottom;
+
+const isVisible = (element) => element.opacity === undefined || element.opacity > 0;
+
+const isLargeText = (element) =>
+  (element.fontSize || 16) >= CRITIQUE_CONFIG.LARGE_TEXT_SIZE ||
+  (element.bold && (element.fontSize || 16) >= CRITIQUE_CONFIG.LARGE_BOLD_TEXT_SIZE);
+
+/**
+ * Elements in paint order (zIndex, then array order)
+ */
+function stackingOrder(elements) {
+  return elements
+    .map((element, index) => ({ element, index }))
+    .sort((a, b) => (a.element.zIndex || 0) - (b.element.zIndex || 0) || a.index - b.index)
+    .map(({ element }) => element);
+}
+
+/**
+ * Opaque color behind the center of an element, or null when it sits on an image or gradient
+ * @returns {{color: Object|null, over: string}} - Effective background and what it comes from
+ */
+function backgroundBehind(page, ordered, target) {
+  let color = null;
+  let over = page.background?.type || 'color';
+  if (!page.background || page.background.type === 'color') {
+    const parsed = parseColor(page.background?.value || '#ffffff');
+    color = parsed ? blendOver(parsed, { r: 255, g: 255, b: 255 }) : null;
+  }
+
+  const targetBox = box(target);
+  const centerX = (targetBox.left + targetBox.right) / 2;
+  const centerY = (targetBox.top + targetBox.bottom) / 2;
+
+  for (const element of ordered) {
+    if (element === target) break;
+    if (!isVisible(element)) continue;
+    const elementBox = box(element);
+    const coversCenter = elementBox.left <= centerX && elementBox.right >= centerX &&
+      elementBox.top <= centerY && elementBox.bottom >= centerY;
+    if (!coversCenter) continue;
+
+    if (element.kind === 'image') {
+      color = null;
+      over = 'image';
+    } else if (element.kind === 'shape' && element.backgroundColor) {
+      const fill = parseColor(element.backgroundColor);
+      if (!fill) continue;
+      const alpha = fill.a * (element.opacity === undefined ? 1 : element.opacity);
+      if (alpha >= 1) {
+        color = fill;
+        over = 'shape';
+      } else if (color) {
+        color = blendOver({ ...fill, a: alpha }, color);
+      }
+    }
+  }
+
+  return { color, over };
+}
+
+/**
+ * Best replacement text color: a brand color that passes, otherwise black or white
+ */
+function suggestTextColor(background, required, palette) {
+  const candidates = [...palette, '#000000', '#ffffff']
+    .map(color => ({ color, ratio: contrastRatio(color, background) }))
+    .filter(candidate => candidate.ratio !== null);
+
+  const passing = candidates.filter(candidate => candidate.ratio >= required);
+  const pool = passing.length ? passing : candidates;
+  return pool.sort((a, b) => b.ratio - a.ratio)[0]?.color || '#000000';
+}
+
+function checkContrast(page, pageIndex, ordered, palette, report) {
+  ordered.filter(element => element.kind === 'text' && isVisible(element) && element.content).forEach(element => {
+    const { color: background, over } = backgroundBehind(page, ordered, element);
+    const textColor = parseColor(element.color || '#000000');
+    if (!textColor) return;
+
+    if (!background) {
+      if (over === 'image') {
+        report('info', 'contrast', pageIndex, [element.id],
+          `Text ${element.id} sits on an image; check it stays readable or add a backing shape`, null);
+      }
+      return;
+    }
+
+    const ratio = contrastRatio({ ...textColor, a: textColor.a * (element.opacity ?? 1) }, background);
+    const required = isLargeText(element) ? CRITIQUE_CONFIG.MIN_CONTRAST_LARGE : CRITIQUE_CONFIG.MIN_CONTRAST;
+    if (ratio >= required) return;
+
+    const backgroundHex = toHex(background);
+    const replacement = suggestTextColor(backgroundHex, required, palette);
+    report(ratio < CRITIQUE_CONFIG.MIN_CONTRAST_LARGE ? 'error' : 'warning', 'contrast', pageIndex, [element.id],
+      `Text ${element.id} has a contrast ratio of ${ratio.toFixed(2)}:1 against ${backgroundHex} (needs ${required}:1)`,
+      {
+        description: `Change the text color to ${replacement}`,
+        edits: [{ op: 'updateStyle', elementId: element.id, style: { color: replacement } }]
+      });
+  });
+}
+
+function checkTypography(page, pageIndex, ordered, report) {
+  const canvas = page.canvas || {};
+  const shortSide = Math.min(canvas.width || 800, canvas.height || 600);
+  const minimum = Math.max(CRITIQUE_CONFIG.MIN_FONT_SIZE, Math.round(shortSide * CRITIQUE_CONFIG.MIN_FONT_SIZE_RATIO));
+  const textElements = ordered.filter(element => element.kind === 'text' && element.content);
+
+  textElements.forEach(element => {
+    const fontSize = element.fontSize || 16;
+    if (fontSize < minimum) {
+      report('warning', 'typography', pageIndex, [element.id],
+        `Text ${element.id} is ${fontSize}px, too small to read on a ${canvas.width}x${canvas.height} canvas (minimum ${minimum}px)`,
+        {
+          description: `Increase the font size to ${minimum}px`,
+          edits: [{ op: 'updateStyle', elementId: element.id, style: { fontSize: minimum } }]
+        });
+    }
+
+    // Estimate wrapped lines from average character width
+    const charsPerLine = Math.max(1, Math.floor((element.width || 1) / (fontSize * CRITIQUE_CONFIG.AVERAGE_CHAR_WIDTH)));
+    const lines = element.content.split('\n')
+      .reduce((total, paragraph) => total + Math.max(1, Math.ceil(paragraph.length / charsPerLine)), 0);
+    const neededHeight = Math.ceil(lines * fontSize * CRITIQUE_CONFIG.LINE_HEIGHT);
+    if (neededHeight > (element.height || 0) * CRITIQUE_CONFIG.OVERFLOW_TOLERANCE) {
+      report('warning', 'typography', pageIndex, [element.id],
+        `Text ${element.id} likely overflows its box (about ${lines} line${lines === 1 ? '' : 's'} need ${neededHeight}px, box is ${element.height}px)`,
+        {
+          description: `Make the text box ${neededHeight}px tall`,
+          edits: [{ op: 'resizeElement', elementId: element.id, width: element.width, height: neededHeight }]
+        });
+    }
+  });
+
+  const sizes = new Set(textElements.map(element => element.fontSize || 16));
+  if (sizes.size > CRITIQUE_CONFIG.MAX_DISTINCT_FONT_SIZES) {
+    report('info', 'typography', pageIndex, textElements.map(element => element.id),
+      `Page uses ${sizes.size} different text sizes; a tighter type scale (${CRITIQUE_CONFIG.MAX_DISTINCT_FONT_SIZES} or fewer) reads more clearly`, null);
+  }
+}
+
+function checkOverlap(page, pageIndex, ordered, report) {
+  const canvas = page.canvas || {};
+  const visible = ordered.filter(isVisible);
+
+  for (let i = 0; i < visible.length; i++) {
+    for (let j = i + 1; j < visible.length; j++) {
+      const lower = visible[i];
+      const upper = visible[j];
+      const lowerBox = box(lower);
+      const upperBox = box(upper);
+      const overlap = area(intersection(lowerBox, upperBox));
+      if (!overlap) continue;
+
+      const smaller = Math.min(area(lowerBox), area(upperBox)) || 1;
+      if (overlap / smaller < CRITIQUE_CONFIG.MIN_OVERLAP_RATIO) continue;
+
+      // A shape or image fully behind another element is a backdrop, not a collision
+      if (lower.kind !== 'text' && contains(lowerBox, upperBox)) continue;
+      if (upper.kind !== 'text' && lower.kind !== 'text' && contains(upperBox, lowerBox)) continue;
+
+      const involvesText = lower.kind === 'text' || upper.kind === 'text';
+      const targetY = lowerBox.bottom + CRITIQUE_CONFIG.SPACING;
+      const fits = targetY + (upper.height || 0) <= (canvas.height || Infinity);
+
+      report(involvesText ? 'warning' : 'info', 'overlap', pageIndex, [lower.id, upper.id],
+        `${upper.kind} ${upper.id} overlaps ${lower.kind} ${lower.id} (${Math.round((overlap / smaller) * 100)}% of the smaller element)`,
+        fits
+          ? {
+            description: `Move ${upper.id} below ${lower.id}`,
+            edits: [{ op: 'moveElement', elementId: upper.id, x: upper.x, y: targetY }]
+          }
+          : null);
+    }
+  }
+}
+
+function checkBounds(page, pageIndex, ordered, report) {
+  const canvas = page.canvas || {};
+  if (!canvas.width || !canvas.height) return;
+  const canvasBox = { left: 0, top: 0, right: canvas.width, bottom: canvas.height };
+
+  ordered.forEach(element => {
+    const elementBox = box(element);
+    if (contains(canvasBox, elementBox)) return;
+
+    if (!area(intersection(canvasBox, elementBox))) {
+      report('error', 'bounds', pageIndex, [element.id],
+        `${element.kind} ${element.id} is entirely outside the canvas`,
+        {
+          description: `Delete ${element.id}, or move it onto the canvas`,
+          edits: [{ op: 'deleteElement', elementId: element.id }]
+        });
+      return;
+    }
+
+    // Clamp into the canvas when the element is small enough to fit
+    const fitsCanvas = (element.width || 0) <= canvas.width && (element.height || 0) <= canvas.height;
+    const x = Math.min(Math.max(element.x || 0, 0), canvas.width - (element.width || 0));
+    const y = Math.min(Math.max(element.y || 0, 0), canvas.height - (element.height || 0));
+    const suggestion = fitsCanvas
+      ? {
+        description: `Move ${element.id} to (${x}, ${y}) so it is fully on the canvas`,
+        edits: [{ op: 'moveElement', elementId: element.id, x, y }]
+      }
+      : null;
+
+    // Images and shapes often bleed off the edge on purpose; clipped text never does
+    report(element.kind === 'text' ? 'error' : 'info', 'bounds', pageIndex, [element.id],
+      `${element.kind} ${element.id} extends past the canvas edge`, suggestion);
+  });
+}
+
+function checkBrand(layout, brand, report) {
+  const { colors, fonts } = checkBrandCompliance(layout, brand);
+  const pageOf = (usages) => usages[0]?.pageIndex ?? 0;
+  const elementIds = (usages) => usages.map(usage => usage.elementId);
+  const times = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+  colors.offBrand.forEach(({ color, nearest, usages }) => {
+    report('warning', 'brand', pageOf(usages), elementIds(usages),
+      `Color ${color} is not in the brand palette (used ${times(usages.length, 'time')})`,
+      {
+        description: `Replace ${color} with the closest brand color ${nearest.color}`,
+        edits: [{ op: 'replaceColor', from: color, to: nearest.color }]
+      });
+  });
+
+  fonts.offBrand.forEach(({ font, suggested, usages }) => {
+    report('warning', 'brand', pageOf(usages), elementIds(usages),
+      `Font ${font} is not a brand font (used on ${times(usages.length, 'element')})`,
+      {
+        description: `Replace ${font} with ${suggested}`,
+        edits: [{ op: 'replaceFont', from: font, to: suggested }]
+      });
+  });
+}
+
+/**
+ * Review a layout for contrast, typography, overlap, bounds and brand issues
+ * @param {Object} layout - Layout document or plain object
+ * @param {Object} options - { brand: Brand document to check colors and fonts against }
+ * @returns {{score: number, issues: Array<Object>, counts: Object, summary: string}}
+ */
+function critiqueLayout(layout, { brand = null } = {}) {
+  const plain = layout && typeof layout.toObject === 'function' ? layout.toObject() : layout || {};
+  const issues = [];
+  const report = (severity, category, pageIndex, elementIds, message, suggestion) => {
+    issues.push({
+      id: `${category}-${issues.filter(issue => issue.category === category).length + 1}`,
+      severity,
+      category,
+      pageIndex,
+      elementIds: elementIds.filter(Boolean),
+      message,
+      suggestion: suggestion || null
+    });
+  };
+
+  const palette = brand ? getBrandRules(brand).colors.map(entry => entry.color) : [];
+  (plain.pages || []).forEach((page, pageIndex) => {
+    const ordered = stackingOrder(page.elements || []);
+    checkContrast(page, pageIndex, ordered, palette, report);
+    checkTypography(page, pageIndex, ordered, report);
+    checkOverlap(page, pageIndex, ordered, report);
+    checkBounds(page, pageIndex, ordered, report);
+  });
+  if (brand) checkBrand(plain, brand, report);
+
+  issues.sort((a, b) =>
+    CRITIQUE_CONFIG.SEVERITY_ORDER.indexOf(a.severity) - CRITIQUE_CONFIG.SEVERITY_ORDER.indexOf(b.severity));
+
+  const counts = CRITIQUE_CONFIG.SEVERITY_ORDER.reduce((result, severity) => {
+    result[severity] = issues.filter(issue => issue.severity === severity).length;
+    return result;
+  }, {});
+  const penalty = issues.reduce((total, issue) => total + CRITIQUE_CONFIG.SEVERITY_PENALTY[issue.severity], 0);
+  const score = Math.max(0, 100 - penalty);
+
+  const summary = issues.length
+    ? `Score ${score}/100: ${counts.error} error(s), ${counts.warning} warning(s), ${counts.info} note(s)`
+    : 'Score 100/100: no issues found';
+
+  return { score, issues, counts, summary };
+}
+
+module.exports = {
+  critiqueLayout,
+  CRITIQUE_CONFIG
+};
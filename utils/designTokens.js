@@ -0,0 +1,247 @@
+// designTokens.js - Utility for serializing a Brand's palettes and typography as design tokens
+// Produces W3C Design Tokens (DTCG) JSON, CSS custom properties and a Tailwind theme from the same token tree.
+
+const { parseColor, toHex } = require('./colorUtils');
+const { getDefaultPalette, getDefaultTypography, paletteToRoles } = require('./brandKit');
+
+/**
+ * Configuration for design token output
+ */
+const TOKENS_CONFIG = {
+  FORMATS: ['w3c', 'css', 'tailwind'],
+
+  // Prefix for CSS custom properties (--brand-color-primary) and the Tailwind color group
+  CSS_PREFIX: 'brand',
+  CSS_SELECTOR: ':root',
+
+  // Matches alias values like {color.palette.main.primary}
+  ALIAS_PATTERN: /^\{([^}]+)\}$/,
+
+  // Color role aliases (color.primary, color.secondary2…); palettes are not given these slugs because
+  // the Tailwind theme puts palettes and roles in the same color group
+  COLOR_ROLE_PATTERN: /^(primary|secondary\d*|accent\d*)$/
+};
+
+const toPlain = (value) =>
+  value && typeof value.toObject === 'function' ? value.toObject() : value;
+
+function slugify(value, fallback) {
+  const slug = String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return slug || fallback;
+}
+
+// Unique slug among those already used in a group, avoiding any matching `reserved`
+function uniqueSlug(value, fallback, used, reserved = null) {
+  const base = slugify(value, fallback);
+  let slug = base;
+  for (let index = 2; used.has(slug) || (reserved && reserved.test(slug)); index++) slug = `${base}-${index}`;
+  used.add(slug);
+  return slug;
+}
+
+/**
+ * Hex color for a token, keeping alpha as #rrggbbaa
+ * @param {string} value
+ * @returns {string|null}
+ */
+function toTokenColor(value) {
+  const parsed = parseColor(value);
+  if (!parsed) return null;
+  const hex = toHex(parsed);
+  return parsed.a < 1 ? hex + Math.round(parsed.a * 255).toString(16).padStart(2, '0') : hex;
+}
+
+/**
+ * Build a W3C Design Tokens tree from a brand
+ * Every palette and typography set becomes a group; the default palette and typography
+ * are also exposed as top-level aliases (color.primary, font.heading…) using the same
+ * role names as template tokens.
+ * @param {Object} brand - Brand document
+ * @returns {Object} - DTCG token tree
+ */
+function brandToDesignTokens(brand) {
+  const plain = toPlain(brand) || {};
+  const tokens = {
+    $description: `Design tokens for ${plain.name || 'brand'}`,
+    color: { $type: 'color' },
+    font: { $type: 'fontFamily' }
+  };
+
+  // Palettes
+  const defaultPalette = getDefaultPalette(plain);
+  const paletteSlugs = new Set();
+  let defaultPaletteSlug = null;
+  const palettes = {};
+  (plain.colorPalettes || []).forEach((palette, index) => {
+    const slug = uniqueSlug(palette.name, `palette-${index + 1}`, paletteSlugs, TOKENS_CONFIG.COLOR_ROLE_PATTERN);
+    if (palette === defaultPalette) defaultPaletteSlug = slug;
+
+    const group = {};
+    Object.entries(paletteToRoles(palette)).forEach(([role, color]) => {
+      const value = toTokenColor(color);
+      if (value) group[role] = { $value: value };
+    });
+    if (Object.keys(group).length) palettes[slug] = group;
+  });
+  if (Object.keys(palettes).length) tokens.color.palette = palettes;
+  if (defaultPaletteSlug && palettes[defaultPaletteSlug]) {
+    Object.keys(palettes[defaultPaletteSlug]).forEach(role => {
+      tokens.color[role] = { $value: `{color.palette.${defaultPaletteSlug}.${role}}` };
+    });
+  }
+
+  // Typography sets, with their named pairings
+  const defaultTypography = getDefaultTypography(plain);
+  const typographySlugs = new Set();
+  let defaultTypographySlug = null;
+  const sets = {};
+  (plain.typography || []).forEach((typography, index) => {
+    const slug = uniqueSlug(index === 0 ? 'default' : `set-${index + 1}`, `set-${index + 1}`, typographySlugs);
+    if (typography === defaultTypography) defaultTypographySlug = slug;
+
+    const group = {};
+    if (typography.headingFont) group.heading = { $value: [typography.headingFont] };
+    if (typography.bodyFont) group.body = { $value: [typography.bodyFont] };
+
+    const pairingSlugs = new Set();
+    (typography.fontPairings || []).forEach((pairing, pairingIndex) => {
+      if (!pairing.heading && !pairing.body) return;
+      const pairingSlug = uniqueSlug(pairing.name, `pairing-${pairingIndex + 1}`, pairingSlugs);
+      group.pairing = group.pairing || {};
+      group.pairing[pairingSlug] = {};
+      if (pairing.heading) group.pairing[pairingSlug].heading = { $value: [pairing.heading] };
+      if (pairing.body) group.pairing[pairingSlug].body = { $value: [pairing.body] };
+    });
+    if (Object.keys(group).length) sets[slug] = group;
+  });
+  if (Object.keys(sets).length) tokens.font.set = sets;
+  if (defaultTypographySlug && sets[defaultTypographySlug]) {
+    ['heading', 'body'].forEach(role => {
+      if (sets[defaultTypographySlug][role]) {
+        tokens.font[role] = { $value: `{font.set.${defaultTypographySlug}.${role}}` };
+      }
+    });
+  }
+
+  return tokens;
+}
+
+/**
+ * List every token in a tree with its path, type, raw value and alias-resolved value
+ * @param {Object} tokens - DTCG token tree
+ * @returns {Array<{path: string[], type: string, value: *, resolved: *, alias: string|null}>}
+ */
+function flattenTokens(tokens) {
+  const list = [];
+  const walk = (node, path, inheritedType) => {
+    const type = node.$type || inheritedType;
+    if (Object.prototype.hasOwnProperty.call(node, '$value')) {
+      list.push({ path, type, value: node.$value });
+      return;
+    }
+    Object.entries(node).forEach(([key, child]) => {
+      if (!key.startsWith('$') && child && typeof child === 'object') walk(child, [...path, key], type);
+    });
+  };
+  walk(tokens, [], undefined);
+
+  const byPath = new Map(list.map(token => [token.path.join('.'), token]));
+  const resolve = (token, seen = new Set()) => {
+    const match = typeof token.value === 'string' && token.value.match(TOKENS_CONFIG.ALIAS_PATTERN);
+    if (!match) return token.value;
+    const target = byPath.get(match[1]);
+    if (!target || seen.has(match[1])) return undefined;
+    seen.add(match[1]);
+    return resolve(target, seen);
+  };
+
+  return list.map(token => {
+    const match = typeof token.value === 'string' && token.value.match(TOKENS_CONFIG.ALIAS_PATTERN);
+    return { ...token, alias: match ? match[1] : null, resolved: resolve(token) };
+  });
+}
+
+const cssVariableName = (path, prefix) => `--${[prefix, ...path].filter(Boolean).join('-')}`;
+
+// Quote a font name as a CSS string (backslashes and quotes escaped, line breaks dropped)
+const cssString = (value) => `"${String(value).replace(/[\r\n\f]+/g, ' ').replace(/[\\"]/g, '\\$&')}"`;
+
+function cssFontValue(families) {
+  return (Array.isArray(families) ? families : [families])
+    .map(family => (/^[a-z-]+$/i.test(family) ? family : cssString(family)))
+    .join(', ');
+}
+
+// Single-line comment text that cannot end a /* */ comment or start a new line of code
+const commentText = (text) => String(text).replace(/[\r\n\u2028\u2029]+/g, ' ').replace(/\*\//g, '* /');
+
+/**
+ * Render tokens as CSS custom properties; aliases become var() references
+ * @param {Object} tokens - DTCG token tree
+ * @param {Object} options - { prefix, selector }
+ * @returns {string} - CSS
+ */
+function toCssVariables(tokens, { prefix = TOKENS_CONFIG.CSS_PREFIX, selector = TOKENS_CONFIG.CSS_SELECTOR } = {}) {
+  const lines = flattenTokens(tokens)
+    .filter(token => token.resolved !== undefined)
+    .map(token => {
+      const value = token.alias
+        ? `var(${cssVariableName(token.alias.split('.'), prefix)})`
+        : token.type === 'fontFamily' ? cssFontValue(token.value) : token.value;
+      return `  ${cssVariableName(token.path, prefix)}: ${value};`;
+    });
+
+  const header = tokens.$description ? `/* ${commentText(tokens.$description)} */\n` : '';
+  const body = lines.length ? `\n${lines.join('\n')}\n` : '\n';
+  return `${header}${selector} {${body}}\n`;
+}
+
+/**
+ * Tailwind theme.extend values: colors under a brand group, font families by role
+ * @param {Object} tokens - DTCG token tree
+ * @param {Object} options - { prefix } name of the color group
+ * @returns {{colors: Object, fontFamily: Object}}
+ */
+function toTailwindTheme(tokens, { prefix = TOKENS_CONFIG.CSS_PREFIX } = {}) {
+  const theme = { colors: { [prefix]: {} }, fontFamily: {} };
+
+  flattenTokens(tokens).forEach(token => {
+    if (token.resolved === undefined) return;
+    const [group, ...rest] = token.path;
+
+    if (group === 'color') {
+      // color.palette.main.primary -> brand.main.primary (bg-brand-main-primary)
+      const keys = rest[0] === 'palette' ? rest.slice(1) : rest;
+      let target = theme.colors[prefix];
+      keys.slice(0, -1).forEach(key => { target = target[key] = target[key] || {}; });
+      target[keys[keys.length - 1]] = token.resolved;
+    } else if (group === 'font') {
+      // font.heading -> font-heading; font.set.default.pairing.modern.body -> font-default-modern-body
+      const keys = rest.filter(key => key !== 'set' && key !== 'pairing');
+      theme.fontFamily[keys.join('-')] = Array.isArray(token.resolved) ? token.resolved : [token.resolved];
+    }
+  });
+
+  return theme;
+}
+
+/**
+ * Tailwind config snippet extending the theme with the brand tokens
+ * @param {Object} tokens - DTCG token tree
+ * @param {Object} options - { prefix }
+ * @returns {string} - JavaScript source
+ */
+function toTailwindConfig(tokens, options = {}) {
+  const theme = toTailwindTheme(tokens, options);
+  const header = tokens.$description ? `// ${commentText(tokens.$description)}\n` : '';
+  return `${header}module.exports = {\n  theme: {\n    extend: ${JSON.stringify(theme, null, 2).replace(/\n/g, '\n    ')}\n  }\n};\n`;
+}
+
+module.exports = {
+  brandToDesignTokens,
+  flattenTokens,
+  toCssVariables,
+  toTailwindTheme,
+  toTailwindConfig,
+  TOKENS_CONFIG
+};
@@ -0,0 +1,211 @@
+// jsonPatch.js - Utility for applying RFC 6902 JSON Patch documents
+// Used for incremental layout saves; a patch is applied to a copy and either succeeds as a whole or not at all.
+
+/**
+ * Configuration for JSON Patch handling
+ */
+const PATCH_CONFIG = {
+  OPERATIONS: ['add', 'remove', 'replace', 'move', 'copy', 'test'],
+
+  // Upper bound on operations in one patch
+  MAX_OPERATIONS: 1000,
+
+  // Keys that would reach an object's prototype
+  FORBIDDEN_KEYS: ['__proto__', 'constructor', 'prototype']
+};
+
+/**
+ * Error raised for an operation that cannot be applied
+ * `conflict` marks failed "test" operations, which mean the document is not in the expected state.
+ */
+function patchError(message, index, operation, conflict = false) {
+  const error = new Error(message);
+  error.index = index;
+  error.op = operation && operation.op;
+  error.path = operation && operation.path;
+  error.conflict = conflict;
+  return error;
+}
+
+/**
+ * Split a JSON Pointer (RFC 6901) into unescaped tokens
+ * @param {string} pointer - e.g. "/pages/0/elements/-"
+ * @returns {string[]}
+ */
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string') throw new Error('Path must be a string');
+  if (pointer === '') return [];
+  if (!pointer.startsWith('/')) throw new Error(`Invalid JSON Pointer "${pointer}"`);
+  const tokens = pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  const forbidden = tokens.find(token => PATCH_CONFIG.FORBIDDEN_KEYS.includes(token));
+  if (forbidden) throw new Error(`"${forbidden}" is not allowed in a path`);
+  return tokens;
+}
+
+const isContainer = (value) => value !== null && typeof value === 'object';
+
+// Array index for a token; '-' (past the end) only when allowed
+function arrayIndex(array, token, { allowEnd = false } = {}) {
+  if (token === '-' && allowEnd) return array.length;
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) throw new Error(`Invalid array index "${token}"`);
+  const index = Number(token);
+  if (index > array.length || (index === array.length && !allowEnd)) {
+    throw new Error(`Array index ${index} is out of bounds`);
+  }
+  return index;
+}
+
+/**
+ * Container and final token for a pointer (the target itself need not exist)
+ */
+function resolveParent(document, tokens) {
+  let parent = document;
+  for (let i = 0; i < tokens.length - 1; i++) {
+    const token = tokens[i];
+    let next;
+    if (Array.isArray(parent)) next = parent[arrayIndex(parent, token)];
+    else if (Object.prototype.hasOwnProperty.call(parent, token)) next = parent[token];
+    if (!isContainer(next)) throw new Error(`Path "/${tokens.slice(0, i + 1).join('/')}" does not exist`);
+    parent = next;
+  }
+  return { parent, key: tokens[tokens.length - 1] };
+}
+
+function getValue(document, pointer) {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) return document;
+  const { parent, key } = resolveParent(document, tokens);
+  if (Array.isArray(parent)) return parent[arrayIndex(parent, key)];
+  if (!Object.prototype.hasOwnProperty.call(parent, key)) throw new Error(`Path "${pointer}" does not exist`);
+  return parent[key];
+}
+
+function addValue(document, pointer, value) {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) return value;
+  const { parent, key } = resolveParent(document, tokens);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, { allowEnd: true }), 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return document;
+}
+
+function removeValue(document, pointer) {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) throw new Error('Cannot remove the whole document');
+  const { parent, key } = resolveParent(document, tokens);
+  if (Array.isArray(parent)) {
+    return parent.splice(arrayIndex(parent, key), 1)[0];
+  }
+  if (!Object.prototype.hasOwnProperty.call(parent, key)) throw new Error(`Path "${pointer}" does not exist`);
+  const removed = parent[key];
+  delete parent[key];
+  return removed;
+}
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Deep equality as defined for "test" (key order does not matter)
+function isEqual(first, second) {
+  if (first === second) return true;
+  if (!isContainer(first) || !isContainer(second) || Array.isArray(first) !== Array.isArray(second)) return false;
+  const firstKeys = Object.keys(first);
+  if (firstKeys.length !== Object.keys(second).length) return false;
+  return firstKeys.every(key => Object.prototype.hasOwnProperty.call(second, key) && isEqual(first[key], second[key]));
+}
+
+/**
+ * Check a patch's shape without applying it
+ * @param {Array} operations
+ * @returns {string[]} - Validation errors (empty when valid)
+ */
+function validatePatch(operations) {
+  if (!Array.isArray(operations)) return ['Patch must be an array of operations'];
+  if (operations.length > PATCH_CONFIG.MAX_OPERATIONS) {
+    return [`Patch has more than ${PATCH_CONFIG.MAX_OPERATIONS} operations`];
+  }
+
+  const errors = [];
+  operations.forEach((operation, index) => {
+    if (!operation || typeof operation !== 'object') {
+      errors.push(`Operation ${index} must be an object`);
+      return;
+    }
+    if (!PATCH_CONFIG.OPERATIONS.includes(operation.op)) {
+      errors.push(`Operation ${index}: op must be one of ${PATCH_CONFIG.OPERATIONS.join(', ')}`);
+    }
+    if (typeof operation.path !== 'string') errors.push(`Operation ${index}: path is required`);
+    if (['add', 'replace', 'test'].includes(operation.op) && !Object.prototype.hasOwnProperty.call(operation, 'value')) {
+      errors.push(`Operation ${index}: value is required for ${operation.op}`);
+    }
+    if (['move', 'copy'].includes(operation.op) && typeof operation.from !== 'string') {
+      errors.push(`Operation ${index}: from is required for ${operation.op}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Apply a JSON Patch to a copy of a document
+ * The patch is atomic: when any operation fails the original document is returned unchanged.
+ * @param {Object} document - Target document (not modified)
+ * @param {Array} operations - RFC 6902 operations
+ * @returns {{document: Object, error: Object|null}} - error: { index, op, path, message, conflict }
+ */
+function applyPatch(document, operations) {
+  const plain = document && typeof document.toObject === 'function' ? document.toObject() : document;
+  let working = clone(plain);
+
+  for (let index = 0; index < operations.length; index++) {
+    const operation = operations[index];
+    try {
+      switch (operation.op) {
+        case 'add':
+          working = addValue(working, operation.path, clone(operation.value));
+          break;
+        case 'remove':
+          removeValue(working, operation.path);
+          break;
+        case 'replace':
+          removeValue(working, operation.path);
+          working = addValue(working, operation.path, clone(operation.value));
+          break;
+        case 'move': {
+          if (operation.path.startsWith(`${operation.from}/`)) {
+            throw new Error('Cannot move a value into one of its own children');
+          }
+          const value = removeValue(working, operation.from);
+          working = addValue(working, operation.path, value);
+          break;
+        }
+        case 'copy':
+          working = addValue(working, operation.path, clone(getValue(working, operation.from)));
+          break;
+        case 'test':
+          if (!isEqual(getValue(working, operation.path), operation.value)) {
+            throw patchError(`Test failed at "${operation.path}"`, index, operation, true);
+          }
+          break;
+        default:
+          throw new Error(`Unsupported op "${operation.op}"`);
+      }
+    } catch (error) {
+      const failure = error.index === undefined ? patchError(error.message, index, operation) : error;
+      return {
+        document: plain,
+        error: { index, op: failure.op, path: failure.path, message: failure.message, conflict: failure.conflict }
+      };
+    }
+  }
+
+  return { document: working, error: null };
+}
+
+module.exports = {
+  applyPatch,
+  validatePatch,
+  parsePointer,
+  PATCH_CONFIG
+};
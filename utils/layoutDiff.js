@@ -0,0 +1,141 @@
+// layoutDiff.js - Utility for describing the differences between two versions of a Layout
+
+/**
+ * Configuration for layout diffs
+ */
+const DIFF_CONFIG = {
+  // Element fields that are not part of the design
+  IGNORED_FIELDS: ['_id', '__v'],
+
+  // Longest value shown in a change summary
+  MAX_VALUE_LENGTH: 60
+};
+
+const toPlain = (value) =>
+  value && typeof value.toObject === 'function' ? value.toObject() : value;
+
+const isEqual = (first, second) => JSON.stringify(first) === JSON.stringify(second);
+
+function formatValue(value) {
+  if (value === undefined) return 'unset';
+  const text = typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+  return text.length > DIFF_CONFIG.MAX_VALUE_LENGTH
+    ? `${text.slice(0, DIFF_CONFIG.MAX_VALUE_LENGTH)}…`
+    : text;
+}
+
+/**
+ * Field-level changes between two versions of the same element or page property bag
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Object} - { field: { from, to } }
+ */
+function diffFields(before = {}, after = {}) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  fields.forEach(field => {
+    if (DIFF_CONFIG.IGNORED_FIELDS.includes(field)) return;
+    if (!isEqual(before[field], after[field])) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+  });
+  return changes;
+}
+
+/**
+ * Map element id -> { element, pageIndex } across all pages
+ */
+function indexElements(pages) {
+  const index = new Map();
+  pages.forEach((page, pageIndex) => {
+    (page.elements || []).forEach(element => index.set(element.id, { element, pageIndex }));
+  });
+  return index;
+}
+
+/**
+ * Compare two layouts
+ * Elements are matched by id across pages, so moving an element between pages is a modification.
+ * Pages are compared by position.
+ * @param {Object} before - Layout before the change
+ * @param {Object} after - Layout after the change
+ * @returns {{pages: Object, elements: Object, summary: string[], hasChanges: boolean}}
+ */
+function diffLayouts(before, after) {
+  const beforePages = toPlain(before)?.pages || [];
+  const afterPages = toPlain(after)?.pages || [];
+  const summary = [];
+
+  // Pages
+  const pages = { added: [], removed: [], modified: [] };
+  const pageCount = Math.max(beforePages.length, afterPages.length);
+  for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+    const previous = beforePages[pageIndex];
+    const next = afterPages[pageIndex];
+
+    if (!previous) {
+      pages.added.push({ pageIndex, name: next.name });
+      summary.push(`Added page ${pageIndex}${next.name ? ` "${next.name}"` : ''}`);
+    } else if (!next) {
+      pages.removed.push({ pageIndex, name: previous.name });
+      summary.push(`Removed page ${pageIndex}${previous.name ? ` "${previous.name}"` : ''}`);
+    } else {
+      const { elements: _before, ...previousProps } = previous;
+      const { elements: _after, ...nextProps } = next;
+      const changes = diffFields(previousProps, nextProps);
+      if (Object.keys(changes).length) {
+        pages.modified.push({ pageIndex, changes });
+        Object.entries(changes).forEach(([field, { from, to }]) => {
+          summary.push(`Page ${pageIndex} ${field}: ${formatValue(from)} → ${formatValue(to)}`);
+        });
+      }
+    }
+  }
+
+  // Elements
+  const elements = { added: [], removed: [], modified: [] };
+  const beforeElements = indexElements(beforePages);
+  const afterElements = indexElements(afterPages);
+
+  afterElements.forEach(({ element, pageIndex }, id) => {
+    const previous = beforeElements.get(id);
+    if (!previous) {
+      elements.added.push({ id, kind: element.kind, pageIndex });
+      summary.push(`Added ${element.kind} ${id} on page ${pageIndex}`);
+      return;
+    }
+
+    const changes = diffFields(previous.element, element);
+    if (previous.pageIndex !== pageIndex) {
+      changes.pageIndex = { from: previous.pageIndex, to: pageIndex };
+    }
+    if (Object.keys(changes).length) {
+      elements.modified.push({ id, kind: element.kind, pageIndex, changes });
+      const described = Object.entries(changes)
+        .map(([field, { from, to }]) => `${field} ${formatValue(from)} → ${formatValue(to)}`)
+        .join(', ');
+      summary.push(`Changed ${element.kind} ${id}: ${described}`);
+    }
+  });
+
+  beforeElements.forEach(({ element, pageIndex }, id) => {
+    if (!afterElements.has(id)) {
+      elements.removed.push({ id, kind: element.kind, pageIndex });
+      summary.push(`Removed ${element.kind} ${id} from page ${pageIndex}`);
+    }
+  });
+
+  return {
+    pages,
+    elements,
+    summary,
+    hasChanges: summary.length > 0
+  };
+}
+
+module.exports = {
+  diffLayouts,
+  diffFields,
+  DIFF_CONFIG
+};
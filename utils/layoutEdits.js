@@ -0,0 +1,300 @@
+// layoutEdits.js - Utility for applying structured edits to a project Layout
+// Used by the agent to modify existing designs; every edit is validated and applied to a copy.
+
+const crypto = require('crypto');
+const { parseColor, normalizeHex } = require('./colorUtils');
+
+/**
+ * Configuration for layout edits
+ */
+const EDIT_CONFIG = {
+  // Supported edit operations
+  OPERATIONS: [
+    'addElement',
+    'moveElement',
+    'resizeElement',
+    'deleteElement',
+    'setText',
+    'updateStyle',
+    'replaceColor',
+    'replaceFont',
+    'setBackground',
+    'addPage'
+  ],
+
+  ELEMENT_KINDS: ['text', 'image', 'shape'],
+
+  // Fields updateStyle may change, per element kind ('*' applies to every kind)
+  STYLE_FIELDS: {
+    '*': ['rotation', 'opacity', 'zIndex'],
+    text: ['fontSize', 'fontFamily', 'textAlign', 'bold', 'italic', 'underline', 'color'],
+    image: ['src', 'alt'],
+    shape: ['shapeType', 'backgroundColor', 'borderColor', 'borderWidth']
+  },
+
+  // Element fields holding colors, searched by replaceColor
+  COLOR_FIELDS: ['color', 'backgroundColor', 'borderColor'],
+
+  // Canvas used for added pages when none is given
+  DEFAULT_CANVAS: { width: 800, height: 600 }
+};
+
+/**
+ * Plain deep copy of a layout (works for mongoose documents and lean objects)
+ * @param {Object} layout
+ * @returns {Object}
+ */
+function cloneLayout(layout) {
+  const plain = layout && typeof layout.toObject === 'function' ? layout.toObject() : layout;
+  return JSON.parse(JSON.stringify(plain || { pages: [] }));
+}
+
+/**
+ * Locate an element by id, optionally restricted to one page
+ * @param {Object} layout
+ * @param {string} elementId
+ * @param {number} [pageIndex]
+ * @returns {{page: Object, pageIndex: number, element: Object, elementIndex: number}|null}
+ */
+function findElement(layout, elementId, pageIndex) {
+  const pages = layout.pages || [];
+  const indexes = pageIndex !== undefined ? [pageIndex] : pages.map((_, index) => index);
+
+  for (const index of indexes) {
+    const page = pages[index];
+    const elementIndex = (page?.elements || []).findIndex(element => element.id === elementId);
+    if (elementIndex !== -1) {
+      return { page, pageIndex: index, element: page.elements[elementIndex], elementIndex };
+    }
+  }
+  return null;
+}
+
+function requireElement(layout, edit) {
+  if (!edit.elementId) throw new Error('elementId is required');
+  const found = findElement(layout, edit.elementId, edit.pageIndex);
+  if (!found) throw new Error(`Element ${edit.elementId} not found`);
+  return found;
+}
+
+function requirePage(layout, pageIndex = 0) {
+  const page = layout.pages?.[pageIndex];
+  if (!page) throw new Error(`Page ${pageIndex} does not exist`);
+  return page;
+}
+
+function requireNumbers(edit, fields) {
+  fields.forEach(field => {
+    if (typeof edit[field] !== 'number' || Number.isNaN(edit[field])) {
+      throw new Error(`${field} must be a number`);
+    }
+  });
+}
+
+/**
+ * Replace a color while keeping the original alpha channel
+ * @param {string} value - Current color
+ * @param {string} from - Color to match
+ * @param {string} to - Replacement color
+ * @returns {string} - New value (unchanged if it does not match)
+ */
+function swapColor(value, from, to) {
+  const parsed = parseColor(value);
+  if (!parsed || normalizeHex(value) !== normalizeHex(from)) return value;
+  if (parsed.a >= 1) return to;
+
+  const replacement = normalizeHex(to);
+  if (!replacement) return to;
+  return replacement + Math.round(parsed.a * 255).toString(16).padStart(2, '0');
+}
+
+const sameFont = (first, second) =>
+  typeof first === 'string' && typeof second === 'string' && first.trim().toLowerCase() === second.trim().toLowerCase();
+
+/**
+ * Apply a single edit in place and describe what it did
+ * @param {Object} layout - Layout copy being edited
+ * @param {Object} edit - { op, ... }
+ * @returns {string} - Description of the applied edit
+ */
+function applyEdit(layout, edit) {
+  switch (edit.op) {
+    case 'addElement': {
+      const page = requirePage(layout, edit.pageIndex);
+      const element = { rotation: 0, opacity: 1, zIndex: 0, ...edit.element };
+      if (!EDIT_CONFIG.ELEMENT_KINDS.includes(element.kind)) {
+        throw new Error(`element.kind must be one of ${EDIT_CONFIG.ELEMENT_KINDS.join(', ')}`);
+      }
+      requireNumbers(element, ['x', 'y', 'width', 'height']);
+      element.id = element.id || `${element.kind}-${crypto.randomBytes(4).toString('hex')}`;
+      if (findElement(layout, element.id)) throw new Error(`Element ${element.id} already exists`);
+
+      page.elements = page.elements || [];
+      page.elements.push(element);
+      return `Added ${element.kind} element ${element.id} to page ${edit.pageIndex || 0}`;
+    }
+
+    case 'moveElement': {
+      const { element } = requireElement(layout, edit);
+      requireNumbers(edit, ['x', 'y']);
+      element.x = edit.x;
+      element.y = edit.y;
+      return `Moved ${element.id} to (${edit.x}, ${edit.y})`;
+    }
+
+    case 'resizeElement': {
+      const { element } = requireElement(layout, edit);
+      requireNumbers(edit, ['width', 'height']);
+      if (edit.width <= 0 || edit.height <= 0) throw new Error('width and height must be positive');
+      element.width = edit.width;
+      element.height = edit.height;
+      return `Resized ${element.id} to ${edit.width}x${edit.height}`;
+    }
+
+    case 'deleteElement': {
+      const { page, element, elementIndex } = requireElement(layout, edit);
+      page.elements.splice(elementIndex, 1);
+      return `Deleted ${element.kind} element ${element.id}`;
+    }
+
+    case 'setText': {
+      const { element } = requireElement(layout, edit);
+      if (element.kind !== 'text') throw new Error(`Element ${element.id} is not a text element`);
+      if (typeof edit.content !== 'string') throw new Error('content must be a string');
+      element.content = edit.content;
+      return `Changed text of ${element.id}`;
+    }
+
+    case 'updateStyle': {
+      const { element } = requireElement(layout, edit);
+      const allowed = [...EDIT_CONFIG.STYLE_FIELDS['*'], ...(EDIT_CONFIG.STYLE_FIELDS[element.kind] || [])];
+      const fields = Object.keys(edit.style || {});
+      if (!fields.length) throw new Error('style must contain at least one field');
+
+      const invalid = fields.filter(field => !allowed.includes(field));
+      if (invalid.length) {
+        throw new Error(`Cannot set ${invalid.join(', ')} on a ${element.kind} element`);
+      }
+      fields.forEach(field => { element[field] = edit.style[field]; });
+      return `Updated ${fields.join(', ')} of ${element.id}`;
+    }
+
+    case 'replaceColor': {
+      if (!parseColor(edit.from) || !parseColor(edit.to)) throw new Error('from and to must be valid colors');
+      let count = 0;
+      const pages = edit.pageIndex !== undefined ? [requirePage(layout, edit.pageIndex)] : layout.pages || [];
+
+      pages.forEach(page => {
+        if (page.background?.type === 'color') {
+          const next = swapColor(page.background.value, edit.from, edit.to);
+          if (next !== page.background.value) {
+            page.background.value = next;
+            count++;
+          }
+        }
+        (page.elements || []).forEach(element => {
+          EDIT_CONFIG.COLOR_FIELDS.forEach(field => {
+            const next = swapColor(element[field], edit.from, edit.to);
+            if (next !== element[field]) {
+              element[field] = next;
+              count++;
+            }
+          });
+        });
+      });
+
+      if (!count) throw new Error(`Color ${edit.from} is not used in the layout`);
+      return `Replaced ${edit.from} with ${edit.to} in ${count} place${count === 1 ? '' : 's'}`;
+    }
+
+    case 'replaceFont': {
+      if (!edit.from || !edit.to) throw new Error('from and to are required');
+      let count = 0;
+      (layout.pages || []).forEach(page => {
+        (page.elements || []).forEach(element => {
+          if (element.kind === 'text' && sameFont(element.fontFamily, edit.from)) {
+            element.fontFamily = edit.to;
+            count++;
+          }
+        });
+      });
+
+      if (!count) throw new Error(`Font ${edit.from} is not used in the layout`);
+      return `Replaced font ${edit.from} with ${edit.to} on ${count} element${count === 1 ? '' : 's'}`;
+    }
+
+    case 'setBackground': {
+      const page = requirePage(layout, edit.pageIndex);
+      const background = edit.background || {};
+      if (!['color', 'image', 'gradient'].includes(background.type)) {
+        throw new Error('background.type must be color, image or gradient');
+      }
+      if (background.type === 'color' && !parseColor(background.value)) {
+        throw new Error('background.value must be a valid color');
+      }
+      page.background = { type: background.type, value: background.value };
+      return `Set ${background.type} background on page ${edit.pageIndex || 0}`;
+    }
+
+    case 'addPage': {
+      layout.pages = layout.pages || [];
+      const reference = layout.pages[layout.pages.length - 1];
+      const page = {
+        name: edit.page?.name || `Page ${layout.pages.length + 1}`,
+        canvas: edit.page?.canvas || reference?.canvas || EDIT_CONFIG.DEFAULT_CANVAS,
+        background: edit.page?.background || { type: 'color', value: '#ffffff' },
+        elements: []
+      };
+
+      const position = edit.position !== undefined
+        ? Math.max(0, Math.min(edit.position, layout.pages.length))
+        : layout.pages.length;
+      layout.pages.splice(position, 0, page);
+
+      // Elements go through addElement so they are validated the same way
+      (edit.page?.elements || []).forEach(element => applyEdit(layout, { op: 'addElement', pageIndex: position, element }));
+      return `Added page "${page.name}" at position ${position}`;
+    }
+
+    default:
+      throw new Error(`Unknown edit operation "${edit.op}". Supported: ${EDIT_CONFIG.OPERATIONS.join(', ')}`);
+  }
+}
+
+/**
+ * Apply a list of edits to a layout
+ * Edits run in order against a copy; the original layout is never modified.
+ * With atomic (default) any failing edit discards all changes.
+ * @param {Object} layout - Layout document or plain object
+ * @param {Array<Object>} edits - Edit operations
+ * @param {Object} options - { atomic }
+ * @returns {{layout: Object, applied: Array<Object>, errors: Array<Object>}}
+ */
+function applyLayoutEdits(layout, edits = [], { atomic = true } = {}) {
+  const working = cloneLayout(layout);
+  const applied = [];
+  const errors = [];
+
+  edits.forEach((edit, index) => {
+    // Each edit runs on a scratch copy so a failing edit leaves no partial changes
+    const scratch = cloneLayout(working);
+    try {
+      const description = applyEdit(scratch, edit);
+      working.pages = scratch.pages;
+      applied.push({ index, op: edit.op, description });
+    } catch (error) {
+      errors.push({ index, op: edit.op, error: error.message });
+    }
+  });
+
+  if (atomic && errors.length) {
+    return { layout: cloneLayout(layout), applied: [], errors };
+  }
+  return { layout: working, applied, errors };
+}
+
+module.exports = {
+  applyLayoutEdits,
+  findElement,
+  EDIT_CONFIG
+};
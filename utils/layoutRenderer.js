@@ -0,0 +1,439 @@
+// layoutRenderer.js - Utility for rasterizing Layout pages on the server via SVG composition
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { parseColor, toHex } = require('./colorUtils');
+const { fetchPublicUrl } = require('./remoteFetch');
+
+/**
+ * Configuration for server-side rendering
+ */
+const RENDER_CONFIG = {
+  // Fallback canvas size when a page has none
+  DEFAULT_CANVAS: { width: 800, height: 600 },
+
+  // Fallback page background
+  DEFAULT_BACKGROUND: '#ffffff',
+
+  // Text defaults (mirrors the editor defaults)
+  DEFAULT_FONT_FAMILY: 'Arial',
+  DEFAULT_FONT_SIZE: 16,
+  DEFAULT_TEXT_COLOR: '#000000',
+  LINE_HEIGHT: 1.2,
+
+  // Average glyph width as a fraction of the font size, used to estimate line wrapping
+  AVERAGE_CHAR_WIDTH: 0.55,
+
+  // Directory relative paths like /uploads/x.png are resolved against
+  PUBLIC_DIR: path.join(__dirname, '../public'),
+
+  // Timeout for fetching remote images (in milliseconds)
+  IMAGE_FETCH_TIMEOUT: 15000
+};
+
+/**
+ * Escape a string for use inside SVG text or attribute values
+ * @param {string} value - Raw string
+ * @returns {string} - XML-safe string
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Normalize a page from either a Layout or a legacy Presentation into one shape
+ * Legacy pages use `canvasSize`, `type` and `isBold`/`isItalic`/`isUnderlined`.
+ * @param {Object} page - Layout page or legacy presentation page
+ * @returns {Object} - { name, canvas, background, elements }
+ */
+function normalizePage(page) {
+  const source = page && typeof page.toObject === 'function' ? page.toObject() : (page || {});
+  const canvas = source.canvas || source.canvasSize || RENDER_CONFIG.DEFAULT_CANVAS;
+
+  return {
+    id: source.id,
+    name: source.name,
+    canvas: {
+      width: Number(canvas.width) || RENDER_CONFIG.DEFAULT_CANVAS.width,
+      height: Number(canvas.height) || RENDER_CONFIG.DEFAULT_CANVAS.height
+    },
+    background: source.background || { type: 'color', value: RENDER_CONFIG.DEFAULT_BACKGROUND },
+    elements: (source.elements || []).map(normalizeElement)
+  };
+}
+
+/**
+ * Normalize a single element to the Element.ts field names
+ * @param {Object} element - Layout or legacy element
+ * @returns {Object} - Element with `kind`, `bold`, `italic`, `underline`
+ */
+function normalizeElement(element) {
+  const kind = element.kind || element.type;
+  return {
+    ...element,
+    kind: kind === 'rectangle' ? 'shape' : kind,
+    rotation: element.rotation || 0,
+    opacity: element.opacity === undefined || element.opacity === null ? 1 : element.opacity,
+    zIndex: element.zIndex || 0,
+    bold: element.bold ?? element.isBold,
+    italic: element.italic ?? element.isItalic,
+    underline: element.underline ?? element.isUnderlined
+  };
+}
+
+/**
+ * Sort elements by zIndex, keeping document order for ties
+ * @param {Array} elements - Normalized elements
+ * @returns {Array} - New array in paint order
+ */
+function sortByZIndex(elements) {
+  return elements
+    .map((element, index) => ({ element, index }))
+    .sort((a, b) => (a.element.zIndex - b.element.zIndex) || (a.index - b.index))
+    .map(({ element }) => element);
+}
+
+/**
+ * Convert a stored color into SVG paint attributes
+ * SVG renderers don't reliably understand #rrggbbaa, so alpha is split out.
+ * @param {string} color - Color string
+ * @param {string} attribute - 'fill' or 'stroke'
+ * @returns {string} - Attribute string (may be empty)
+ */
+function paintAttributes(color, attribute) {
+  const parsed = parseColor(color);
+  if (!parsed) return `${attribute}="none"`;
+
+  const alpha = parsed.a < 1 ? ` ${attribute}-opacity="${parsed.a.toFixed(3)}"` : '';
+  return `${attribute}="${toHex(parsed)}"${alpha}`;
+}
+
+/**
+ * Load an image source as a buffer
+ * Supports data URLs, http(s) URLs on public hosts and paths under the public directory.
+ * @param {string} src - Image source
+ * @returns {Promise<Buffer|null>} - Image bytes or null if it could not be loaded
+ */
+async function loadImageBuffer(src) {
+  if (!src) return null;
+
+  try {
+    if (src.startsWith('data:')) {
+      const base64Data = src.replace(/^data:[^;]+;base64,/, '');
+      return Buffer.from(base64Data, 'base64');
+    }
+
+    if (/^https?:\/\//i.test(src)) {
+      const response = await fetchPublicUrl(src, {
+        responseType: 'arraybuffer',
+        timeout: RENDER_CONFIG.IMAGE_FETCH_TIMEOUT
+      });
+      return Buffer.from(response.data);
+    }
+
+    const localPath = path.join(RENDER_CONFIG.PUBLIC_DIR, src);
+    const relative = path.relative(RENDER_CONFIG.PUBLIC_DIR, localPath);
+    const insidePublic = relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+    if (insidePublic && fs.existsSync(localPath)) {
+      return await fs.promises.readFile(localPath);
+    }
+  } catch (error) {
+    console.warn(`Could not load image for rendering (${src.slice(0, 80)}):`, error.message);
+  }
+
+  return null;
+}
+
+/**
+ * Load an image source as a PNG data URL the SVG rasterizer can embed
+ * @param {string} src - Image source
+ * @param {Map} cache - Cache shared across a render to avoid refetching
+ * @returns {Promise<string|null>} - Data URL or null
+ */
+async function loadImageDataUrl(src, cache) {
+  if (cache.has(src)) return cache.get(src);
+
+  let dataUrl = null;
+  const buffer = await loadImageBuffer(src);
+  if (buffer) {
+    try {
+      const png = await sharp(buffer).png().toBuffer();
+      dataUrl = `data:image/png;base64,${png.toString('base64')}`;
+    } catch (error) {
+      console.warn('Could not decode image for rendering:', error.message);
+    }
+  }
+
+  cache.set(src, dataUrl);
+  return dataUrl;
+}
+
+/**
+ * Greedily wrap text into lines that fit the element width
+ * @param {string} content - Text content (may contain newlines)
+ * @param {number} width - Available width in px
+ * @param {number} fontSize - Font size in px
+ * @returns {string[]} - Lines
+ */
+function wrapText(content, width, fontSize) {
+  const maxChars = Math.max(1, Math.floor(width / (fontSize * RENDER_CONFIG.AVERAGE_CHAR_WIDTH)));
+  const lines = [];
+
+  String(content || '').split(/\r?\n/).forEach(paragraph => {
+    const words = paragraph.split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+      lines.push('');
+      return;
+    }
+
+    let current = '';
+    words.forEach(word => {
+      const candidate = current ? `${current} ${word}` : word;
+      if (candidate.length > maxChars && current) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = candidate;
+      }
+    });
+    lines.push(current);
+  });
+
+  return lines;
+}
+
+/**
+ * Parse a CSS linear-gradient() value into an angle and color stops
+ * @param {string} value - e.g. "linear-gradient(90deg, #ff0000, #0000ff)"
+ * @returns {{angle: number, stops: string[]}|null}
+ */
+function parseLinearGradient(value) {
+  const match = String(value || '').match(/linear-gradient\((.*)\)/i);
+  if (!match) return null;
+
+  const parts = match[1].split(/,(?![^(]*\))/).map(part => part.trim());
+  let angle = 180;
+  if (/^-?[\d.]+deg$/.test(parts[0])) {
+    angle = parseFloat(parts.shift());
+  }
+
+  const stops = parts
+    .map(part => part.split(/\s+/)[0])
+    .filter(color => parseColor(color));
+
+  return stops.length > 0 ? { angle, stops } : null;
+}
+
+/**
+ * Build the SVG markup for a page background
+ * @param {Object} background - { type, value }
+ * @param {Object} canvas - { width, height }
+ * @param {Map} imageCache - Image cache
+ * @returns {Promise<{defs: string, body: string}>}
+ */
+async function buildBackgroundSvg(background, canvas, imageCache) {
+  const { width, height } = canvas;
+  const fallback = `<rect x="0" y="0" width="${width}" height="${height}" fill="${RENDER_CONFIG.DEFAULT_BACKGROUND}"/>`;
+
+  if (!background || !background.value) {
+    return { defs: '', body: fallback };
+  }
+
+  if (background.type === 'image') {
+    const dataUrl = await loadImageDataUrl(background.value, imageCache);
+    return {
+      defs: '',
+      body: fallback + (dataUrl
+        ? `<image x="0" y="0" width="${width}" height="${height}" preserveAspectRatio="xMidYMid slice" href="${dataUrl}"/>`
+        : '')
+    };
+  }
+
+  if (background.type === 'gradient') {
+    const gradient = parseLinearGradient(background.value);
+    if (gradient) {
+      // CSS angles start at "to top" and turn clockwise
+      const radians = (gradient.angle - 90) * Math.PI / 180;
+      const x = Math.cos(radians) / 2;
+      const y = Math.sin(radians) / 2;
+      const stops = gradient.stops.map((color, index) => {
+        const offset = gradient.stops.length === 1 ? 0 : index / (gradient.stops.length - 1);
+        const parsed = parseColor(color);
+        return `<stop offset="${offset}" stop-color="${toHex(parsed)}" stop-opacity="${parsed.a}"/>`;
+      }).join('');
+
+      return {
+        defs: `<linearGradient id="page-bg" x1="${0.5 - x}" y1="${0.5 - y}" x2="${0.5 + x}" y2="${0.5 + y}">${stops}</linearGradient>`,
+        body: `<rect x="0" y="0" width="${width}" height="${height}" fill="url(#page-bg)"/>`
+      };
+    }
+  }
+
+  return {
+    defs: '',
+    body: `<rect x="0" y="0" width="${width}" height="${height}" ${paintAttributes(background.value, 'fill')}/>`
+  };
+}
+
+/**
+ * Build the SVG markup for a text element
+ * @param {Object} element - Normalized text element
+ * @returns {string}
+ */
+function buildTextSvg(element) {
+  const fontSize = element.fontSize || RENDER_CONFIG.DEFAULT_FONT_SIZE;
+  const lineHeight = fontSize * RENDER_CONFIG.LINE_HEIGHT;
+  const lines = wrapText(element.content, element.width, fontSize);
+
+  let anchor = 'start';
+  let x = element.x;
+  if (element.textAlign === 'center') {
+    anchor = 'middle';
+    x = element.x + element.width / 2;
+  } else if (element.textAlign === 'right') {
+    anchor = 'end';
+    x = element.x + element.width;
+  }
+
+  const attributes = [
+    `x="${x}"`,
+    `y="${element.y + fontSize}"`,
+    `font-family="${escapeXml(element.fontFamily || RENDER_CONFIG.DEFAULT_FONT_FAMILY)}"`,
+    `font-size="${fontSize}"`,
+    `text-anchor="${anchor}"`,
+    paintAttributes(element.color || RENDER_CONFIG.DEFAULT_TEXT_COLOR, 'fill'),
+    element.bold ? 'font-weight="bold"' : '',
+    element.italic ? 'font-style="italic"' : '',
+    element.underline ? 'text-decoration="underline"' : ''
+  ].filter(Boolean).join(' ');
+
+  const tspans = lines
+    .map((line, index) => `<tspan x="${x}" dy="${index === 0 ? 0 : lineHeight}">${escapeXml(line)}</tspan>`)
+    .join('');
+
+  return `<text ${attributes} xml:space="preserve">${tspans}</text>`;
+}
+
+/**
+ * Build the SVG markup for a shape element
+ * @param {Object} element - Normalized shape element
+ * @returns {string}
+ */
+function buildShapeSvg(element) {
+  const { x, y, width, height } = element;
+  const paint = [
+    paintAttributes(element.backgroundColor || '#cccccc', 'fill'),
+    element.borderWidth ? paintAttributes(element.borderColor || '#000000', 'stroke') : '',
+    element.borderWidth ? `stroke-width="${element.borderWidth}"` : ''
+  ].filter(Boolean).join(' ');
+
+  switch (element.shapeType) {
+    case 'circle':
+      return `<ellipse cx="${x + width / 2}" cy="${y + height / 2}" rx="${width / 2}" ry="${height / 2}" ${paint}/>`;
+    case 'triangle':
+      return `<polygon points="${x + width / 2},${y} ${x + width},${y + height} ${x},${y + height}" ${paint}/>`;
+    default:
+      return `<rect x="${x}" y="${y}" width="${width}" height="${height}" ${paint}/>`;
+  }
+}
+
+/**
+ * Build the SVG markup for a single element, including rotation and opacity
+ * @param {Object} element - Normalized element
+ * @param {Map} imageCache - Image cache
+ * @returns {Promise<string>}
+ */
+async function buildElementSvg(element, imageCache) {
+  let body = '';
+
+  switch (element.kind) {
+    case 'text':
+      body = buildTextSvg(element);
+      break;
+    case 'image': {
+      const dataUrl = await loadImageDataUrl(element.src, imageCache);
+      if (dataUrl) {
+        body = `<image x="${element.x}" y="${element.y}" width="${element.width}" height="${element.height}" preserveAspectRatio="xMidYMid slice" href="${dataUrl}"/>`;
+      }
+      break;
+    }
+    case 'shape':
+      body = buildShapeSvg(element);
+      break;
+    default:
+      return '';
+  }
+
+  if (!body) return '';
+
+  const attributes = [];
+  if (element.rotation) {
+    const cx = element.x + element.width / 2;
+    const cy = element.y + element.height / 2;
+    attributes.push(`transform="rotate(${element.rotation} ${cx} ${cy})"`);
+  }
+  if (element.opacity < 1) {
+    attributes.push(`opacity="${Math.max(0, element.opacity)}"`);
+  }
+
+  return attributes.length > 0 ? `<g ${attributes.join(' ')}>${body}</g>` : body;
+}
+
+/**
+ * Compose a full page into an SVG document
+ * @param {Object} page - Layout page (normalized or raw)
+ * @param {Object} options - Render options
+ * @param {number} options.scale - Output scale factor (default 1)
+ * @param {Map} options.imageCache - Optional shared image cache
+ * @returns {Promise<string>} - SVG markup
+ */
+async function buildPageSvg(page, options = {}) {
+  const { scale = 1, imageCache = new Map() } = options;
+  const normalized = normalizePage(page);
+  const { width, height } = normalized.canvas;
+
+  const background = await buildBackgroundSvg(normalized.background, normalized.canvas, imageCache);
+
+  const elements = [];
+  for (const element of sortByZIndex(normalized.elements)) {
+    elements.push(await buildElementSvg(element, imageCache));
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"`,
+    ` width="${Math.round(width * scale)}" height="${Math.round(height * scale)}" viewBox="0 0 ${width} ${height}">`,
+    background.defs ? `<defs>${background.defs}</defs>` : '',
+    background.body,
+    elements.join(''),
+    '</svg>'
+  ].join('');
+}
+
+/**
+ * Rasterize a page into a Sharp instance ready for format encoding
+ * @param {Object} page - Layout page
+ * @param {Object} options - Same options as buildPageSvg
+ * @returns {Promise<import('sharp').Sharp>} - Sharp instance of the rendered page
+ */
+async function rasterizePage(page, options = {}) {
+  const svg = await buildPageSvg(page, options);
+  return sharp(Buffer.from(svg));
+}
+
+module.exports = {
+  buildPageSvg,
+  rasterizePage,
+  normalizePage,
+  normalizeElement,
+  sortByZIndex,
+  wrapText,
+  loadImageBuffer,
+  parseLinearGradient,
+  RENDER_CONFIG
+};
@@ -0,0 +1,378 @@
+// pdfRenderer.js - Utility for composing Layout pages into a multi-page vector PDF
+
+const PDFDocument = require('pdfkit');
+const sharp = require('sharp');
+const { parseColor, toHex } = require('./colorUtils');
+const {
+  normalizePage,
+  sortByZIndex,
+  loadImageBuffer,
+  parseLinearGradient,
+  RENDER_CONFIG
+} = require('./layoutRenderer');
+
+/**
+ * Configuration for PDF export
+ */
+const PDF_CONFIG = {
+  // Default bleed for print mode, in points (1/8 inch)
+  DEFAULT_BLEED: 9,
+
+  // Crop mark geometry, in points
+  CROP_MARK_LENGTH: 18,
+  CROP_MARK_OFFSET: 3,
+  CROP_MARK_WIDTH: 0.25,
+
+  // Built-in PDF fonts used when no custom font file is available
+  STANDARD_FONTS: {
+    sans: { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique', boldItalic: 'Helvetica-BoldOblique' },
+    serif: { regular: 'Times-Roman', bold: 'Times-Bold', italic: 'Times-Italic', boldItalic: 'Times-BoldItalic' },
+    mono: { regular: 'Courier', bold: 'Courier-Bold', italic: 'Courier-Oblique', boldItalic: 'Courier-BoldOblique' }
+  },
+
+  // Maximum number of pages exported in a single request
+  MAX_PAGES: 200
+};
+
+/**
+ * Parse a page range expression like "1-3,5" into zero-based page indices
+ * @param {string|Array|undefined} range - Range expression, array of 1-based numbers, or empty for all pages
+ * @param {number} pageCount - Number of pages available
+ * @returns {number[]} - Sorted, de-duplicated zero-based indices
+ * @throws {Error} - If the range is malformed or out of bounds
+ */
+function parsePageRange(range, pageCount) {
+  if (range === undefined || range === null || range === '' || range === 'all') {
+    return Array.from({ length: pageCount }, (_, index) => index);
+  }
+
+  const parts = Array.isArray(range) ? range.map(String) : String(range).split(',');
+  const indices = new Set();
+
+  parts.forEach(part => {
+    const trimmed = part.trim();
+    const match = trimmed.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid page range segment "${trimmed}"`);
+    }
+
+    const start = parseInt(match[1], 10);
+    const end = match[2] ? parseInt(match[2], 10) : start;
+    if (start < 1 || end < start || end > pageCount) {
+      throw new Error(`Page range "${trimmed}" is outside 1-${pageCount}`);
+    }
+
+    for (let page = start; page <= end; page++) {
+      indices.add(page - 1);
+    }
+  });
+
+  return [...indices].sort((a, b) => a - b);
+}
+
+/**
+ * Collect the font families used by text elements across pages
+ * @param {Array} pages - Layout pages
+ * @returns {string[]} - Unique font family names
+ */
+function collectFontFamilies(pages) {
+  const families = new Set();
+  pages.forEach(page => {
+    normalizePage(page).elements.forEach(element => {
+      if (element.kind === 'text' && element.fontFamily) {
+        families.add(element.fontFamily);
+      }
+    });
+  });
+  return [...families];
+}
+
+/**
+ * Pick the PDF font name for a text element
+ * Custom fonts registered on the document win; otherwise a standard font of a similar style is used.
+ * @param {Object} element - Normalized text element
+ * @param {Set<string>} registeredFonts - Font families registered on the document
+ * @returns {string} - Font name to pass to doc.font()
+ */
+function resolveFontName(element, registeredFonts) {
+  const family = element.fontFamily || RENDER_CONFIG.DEFAULT_FONT_FAMILY;
+  if (registeredFonts.has(family)) return family;
+
+  const lower = family.toLowerCase();
+  let group = PDF_CONFIG.STANDARD_FONTS.sans;
+  if (/mono|courier|code/.test(lower)) {
+    group = PDF_CONFIG.STANDARD_FONTS.mono;
+  } else if (/serif|times|georgia|garamond|playfair|merriweather|lora/.test(lower) && !/sans/.test(lower)) {
+    group = PDF_CONFIG.STANDARD_FONTS.serif;
+  }
+
+  if (element.bold && element.italic) return group.boldItalic;
+  if (element.bold) return group.bold;
+  if (element.italic) return group.italic;
+  return group.regular;
+}
+
+/**
+ * Set the fill color on the document, folding color alpha into element opacity
+ * @param {PDFDocument} doc - Document
+ * @param {string} color - Color string
+ * @param {number} opacity - Element opacity
+ * @returns {boolean} - False if the color could not be parsed
+ */
+function applyFill(doc, color, opacity) {
+  const parsed = parseColor(color);
+  if (!parsed) return false;
+  doc.fillColor(toHex(parsed), parsed.a * opacity);
+  return true;
+}
+
+/**
+ * Convert an image buffer into a format pdfkit can embed (PNG or JPEG)
+ * @param {Buffer} buffer - Source image bytes
+ * @returns {Promise<Buffer|null>}
+ */
+async function toEmbeddableImage(buffer) {
+  try {
+    const { format } = await sharp(buffer).metadata();
+    if (format === 'png' || format === 'jpeg') return buffer;
+    return await sharp(buffer).png().toBuffer();
+  } catch (error) {
+    console.warn('Could not decode image for PDF export:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Load an image once per export
+ * @param {string} src - Image source
+ * @param {Map} cache - Cache of src -> Buffer|null
+ * @returns {Promise<Buffer|null>}
+ */
+async function loadPdfImage(src, cache) {
+  if (!cache.has(src)) {
+    const buffer = await loadImageBuffer(src);
+    cache.set(src, buffer ? await toEmbeddableImage(buffer) : null);
+  }
+  return cache.get(src);
+}
+
+/**
+ * Draw a page background, optionally extended into the bleed area
+ * @param {PDFDocument} doc - Document
+ * @param {Object} background - { type, value }
+ * @param {Object} area - { x, y, width, height } to cover
+ * @param {Map} imageCache - Image cache
+ */
+async function drawBackground(doc, background, area, imageCache) {
+  const { x, y, width, height } = area;
+
+  doc.save();
+  doc.rect(x, y, width, height).fill(RENDER_CONFIG.DEFAULT_BACKGROUND);
+
+  if (background && background.value) {
+    if (background.type === 'image') {
+      const image = await loadPdfImage(background.value, imageCache);
+      if (image) {
+        doc.rect(x, y, width, height).clip();
+        doc.image(image, x, y, { cover: [width, height], align: 'center', valign: 'center' });
+      }
+    } else if (background.type === 'gradient' && parseLinearGradient(background.value)) {
+      const { angle, stops } = parseLinearGradient(background.value);
+      const radians = (angle - 90) * Math.PI / 180;
+      const cx = x + width / 2;
+      const cy = y + height / 2;
+      const dx = Math.cos(radians) * width / 2;
+      const dy = Math.sin(radians) * height / 2;
+      const gradient = doc.linearGradient(cx - dx, cy - dy, cx + dx, cy + dy);
+      stops.forEach((color, index) => {
+        const parsed = parseColor(color);
+        gradient.stop(stops.length === 1 ? 0 : index / (stops.length - 1), toHex(parsed), parsed.a);
+      });
+      doc.rect(x, y, width, height).fill(gradient);
+    } else if (applyFill(doc, background.value, 1)) {
+      doc.rect(x, y, width, height).fill();
+    }
+  }
+
+  doc.restore();
+}
+
+/**
+ * Draw a single element with rotation and opacity
+ * @param {PDFDocument} doc - Document
+ * @param {Object} element - Normalized element
+ * @param {Object} context - { registeredFonts, imageCache }
+ */
+async function drawElement(doc, element, context) {
+  const { x, y, width, height } = element;
+  const opacity = Math.max(0, Math.min(1, element.opacity));
+
+  doc.save();
+  if (element.rotation) {
+    doc.rotate(element.rotation, { origin: [x + width / 2, y + height / 2] });
+  }
+
+  switch (element.kind) {
+    case 'text': {
+      const fontSize = element.fontSize || RENDER_CONFIG.DEFAULT_FONT_SIZE;
+      doc.font(resolveFontName(element, context.registeredFonts)).fontSize(fontSize);
+      if (!applyFill(doc, element.color || RENDER_CONFIG.DEFAULT_TEXT_COLOR, opacity)) {
+        doc.fillColor(RENDER_CONFIG.DEFAULT_TEXT_COLOR, opacity);
+      }
+      doc.text(String(element.content || ''), x, y, {
+        width,
+        align: element.textAlign || 'left',
+        underline: !!element.underline,
+        lineGap: fontSize * (RENDER_CONFIG.LINE_HEIGHT - 1),
+        lineBreak: true
+      });
+      break;
+    }
+    case 'image': {
+      const image = await loadPdfImage(element.src, context.imageCache);
+      if (image) {
+        doc.opacity(opacity);
+        doc.rect(x, y, width, height).clip();
+        doc.image(image, x, y, { cover: [width, height], align: 'center', valign: 'center' });
+      }
+      break;
+    }
+    case 'shape': {
+      if (element.shapeType === 'circle') {
+        doc.ellipse(x + width / 2, y + height / 2, width / 2, height / 2);
+      } else if (element.shapeType === 'triangle') {
+        doc.polygon([x + width / 2, y], [x + width, y + height], [x, y + height]);
+      } else {
+        doc.rect(x, y, width, height);
+      }
+
+      const hasFill = applyFill(doc, element.backgroundColor || '#cccccc', opacity);
+      const border = element.borderWidth ? parseColor(element.borderColor || '#000000') : null;
+      if (border) {
+        doc.lineWidth(element.borderWidth).strokeColor(toHex(border), border.a * opacity);
+      }
+
+      if (hasFill && border) doc.fillAndStroke();
+      else if (hasFill) doc.fill();
+      else if (border) doc.stroke();
+      break;
+    }
+    default:
+      break;
+  }
+
+  doc.restore();
+}
+
+/**
+ * Draw crop marks at the trim corners, outside the bleed area
+ * @param {PDFDocument} doc - Document
+ * @param {Object} trim - { x, y, width, height } of the trim box
+ * @param {number} bleed - Bleed size in points
+ */
+function drawCropMarks(doc, trim, bleed) {
+  const gap = bleed + PDF_CONFIG.CROP_MARK_OFFSET;
+  const length = PDF_CONFIG.CROP_MARK_LENGTH;
+  const left = trim.x;
+  const right = trim.x + trim.width;
+  const top = trim.y;
+  const bottom = trim.y + trim.height;
+
+  doc.save();
+  doc.lineWidth(PDF_CONFIG.CROP_MARK_WIDTH).strokeColor('#000000', 1);
+
+  [[left, top, -1, -1], [right, top, 1, -1], [left, bottom, -1, 1], [right, bottom, 1, 1]].forEach(([cx, cy, sx, sy]) => {
+    // Horizontal mark
+    doc.moveTo(cx + sx * gap, cy).lineTo(cx + sx * (gap + length), cy).stroke();
+    // Vertical mark
+    doc.moveTo(cx, cy + sy * gap).lineTo(cx, cy + sy * (gap + length)).stroke();
+  });
+
+  doc.restore();
+}
+
+/**
+ * Render pages into a single PDF document
+ * Each page is sized to its own canvas (1px = 1pt). Text stays vector and uses
+ * registered custom fonts where available.
+ * @param {Array} pages - Layout pages (or legacy presentation pages)
+ * @param {Object} options - Render options
+ * @param {string} options.title - Document title metadata
+ * @param {Map<string, Buffer>} options.fonts - Custom font files keyed by family name
+ * @param {boolean} options.print - Enable print mode (bleed + crop marks)
+ * @param {number} options.bleed - Bleed size in points for print mode
+ * @returns {Promise<Buffer>} - PDF bytes
+ */
+async function renderPdf(pages, options = {}) {
+  const {
+    title = 'Export',
+    fonts = new Map(),
+    print = false,
+    bleed = PDF_CONFIG.DEFAULT_BLEED
+  } = options;
+
+  if (pages.length > PDF_CONFIG.MAX_PAGES) {
+    throw new Error(`Cannot export more than ${PDF_CONFIG.MAX_PAGES} pages at once`);
+  }
+
+  const doc = new PDFDocument({ autoFirstPage: false, info: { Title: title, Producer: 'Canva Clone API' } });
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  // registerFont only stores the file; selecting it is what parses it, so a bad file fails here
+  // rather than in the middle of rendering
+  const registeredFonts = new Set();
+  fonts.forEach((buffer, family) => {
+    try {
+      doc.registerFont(family, buffer);
+      doc.font(family);
+      registeredFonts.add(family);
+    } catch (error) {
+      console.warn(`Could not embed font "${family}" in PDF, using a standard font instead:`, error.message);
+    }
+  });
+
+  doc.font(PDF_CONFIG.STANDARD_FONTS.sans.regular);
+
+  const context = { registeredFonts, imageCache: new Map() };
+  const margin = print ? bleed + PDF_CONFIG.CROP_MARK_OFFSET + PDF_CONFIG.CROP_MARK_LENGTH : 0;
+
+  for (const rawPage of pages) {
+    const page = normalizePage(rawPage);
+    const { width, height } = page.canvas;
+
+    doc.addPage({ size: [width + margin * 2, height + margin * 2], margin: 0 });
+
+    const trim = { x: margin, y: margin, width, height };
+    const backgroundArea = print
+      ? { x: margin - bleed, y: margin - bleed, width: width + bleed * 2, height: height + bleed * 2 }
+      : trim;
+
+    await drawBackground(doc, page.background, backgroundArea, context.imageCache);
+
+    doc.save();
+    doc.translate(margin, margin);
+    for (const element of sortByZIndex(page.elements)) {
+      await drawElement(doc, element, context);
+    }
+    doc.restore();
+
+    if (print) {
+      drawCropMarks(doc, trim, bleed);
+    }
+  }
+
+  doc.end();
+  return finished;
+}
+
+module.exports = {
+  renderPdf,
+  parsePageRange,
+  collectFontFamilies,
+  PDF_CONFIG
+};
@@ -0,0 +1,59 @@
+// projectAccess.js - Utility for deciding what a user may do with a project
+// Owners and users in the project's sharedWith list can both edit; everyone else has no access.
+// Share links grant their holder a role of their own (viewer, commenter or editor).
+
+/**
+ * Project roles from least to most access
+ */
+const PROJECT_ROLES = ['viewer', 'commenter', 'editor', 'owner'];
+
+/**
+ * Project role granted by each share link role
+ */
+const SHARE_LINK_ROLES = {
+  view: 'viewer',
+  comment: 'commenter',
+  edit: 'editor'
+};
+
+/**
+ * The user's role on a project: 'owner', 'editor' or null
+ * @param {Object} project - Project document or plain object
+ * @param {string|Object} userId
+ * @returns {string|null}
+ */
+function getProjectRole(project, userId) {
+  if (!project || !userId) return null;
+  const id = userId.toString();
+  if (project.ownerId && project.ownerId.toString() === id) return 'owner';
+  const sharedWith = (project.sharedWith || []).map(entry => entry.toString());
+  return sharedWith.includes(id) ? 'editor' : null;
+}
+
+/**
+ * Whether the user owns the project or it has been shared with them
+ * @param {Object} project
+ * @param {string|Object} userId
+ * @returns {boolean}
+ */
+function canAccessProject(project, userId) {
+  return getProjectRole(project, userId) !== null;
+}
+
+/**
+ * Whether a role grants at least the access of another
+ * @param {string|null} role - One of PROJECT_ROLES
+ * @param {string} minimumRole - One of PROJECT_ROLES
+ * @returns {boolean}
+ */
+function hasProjectRole(role, minimumRole) {
+  return PROJECT_ROLES.includes(role) && PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(minimumRole);
+}
+
+module.exports = {
+  getProjectRole,
+  canAccessProject,
+  hasProjectRole,
+  PROJECT_ROLES,
+  SHARE_LINK_ROLES
+};
@@ -0,0 +1,109 @@
+// remoteFetch.js - Utility for downloading user-supplied URLs without reaching private networks
+// Only http(s) URLs on public addresses are fetched. Host names are checked when they are resolved
+// for each connection (so redirects and DNS changes cannot slip through), IP literals up front.
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+
+/**
+ * Configuration for remote downloads
+ */
+const REMOTE_FETCH_CONFIG = {
+  PROTOCOLS: ['http:', 'https:'],
+
+  // Loopback, private, link-local (cloud metadata), shared, multicast and reserved ranges
+  BLOCKED_IPV4: [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+  ],
+  BLOCKED_IPV6: [
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+  ],
+
+  TIMEOUT: 15000,
+  MAX_REDIRECTS: 5
+};
+
+const blockList = new net.BlockList();
+REMOTE_FETCH_CONFIG.BLOCKED_IPV4.forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+REMOTE_FETCH_CONFIG.BLOCKED_IPV6.forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  // BlockList also matches IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) against the IPv4 ranges
+  return !blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check a URL's protocol, and its host when that is an IP address
+ * @param {string} url
+ * @returns {URL}
+ * @throws {Error} - When the URL must not be fetched
+ */
+function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid URL "${url}"`);
+  }
+  if (!REMOTE_FETCH_CONFIG.PROTOCOLS.includes(parsed.protocol)) {
+    throw new Error(`Only http(s) URLs can be fetched (got ${parsed.protocol})`);
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw new Error(`Refusing to fetch ${parsed.hostname}: not a public address`);
+  }
+  return parsed;
+}
+
+// dns.lookup that fails when a host name resolves to any non-public address
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Refusing to fetch ${hostname}: resolves to non-public address ${blocked.address}`));
+    }
+    if (options && options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * GET a user-supplied URL, refusing private and link-local destinations (including after redirects)
+ * @param {string} url
+ * @param {Object} options - Extra axios options (responseType, maxContentLength, timeout, ...)
+ * @returns {Promise<Object>} - axios response
+ */
+async function fetchPublicUrl(url, options = {}) {
+  assertPublicUrl(url);
+  return axios.get(url, {
+    timeout: REMOTE_FETCH_CONFIG.TIMEOUT,
+    maxRedirects: REMOTE_FETCH_CONFIG.MAX_REDIRECTS,
+    ...options,
+    httpAgent,
+    httpsAgent,
+    proxy: false,
+    beforeRedirect: (redirect) => assertPublicUrl(redirect.href)
+  });
+}
+
+module.exports = {
+  fetchPublicUrl,
+  assertPublicUrl,
+  isPublicAddress,
+  REMOTE_FETCH_CONFIG
+};
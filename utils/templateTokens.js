@@ -0,0 +1,194 @@
+// templateTokens.js - Utility for resolving Template design tokens inside Layout pages
+
+/**
+ * Configuration for token resolution
+ */
+const TOKEN_CONFIG = {
+  // Token groups defined on models/Template.ts
+  GROUPS: ['colors', 'fonts', 'images', 'copy'],
+
+  // Matches references like {colors.primary} or {copy.headline}
+  REFERENCE_PATTERN: /\{(colors|fonts|images|copy)\.([A-Za-z0-9_-]+)\}/g,
+
+  // Page and element fields that may hold token references
+  ELEMENT_FIELDS: ['content', 'color', 'backgroundColor', 'borderColor', 'fontFamily', 'src', 'alt'],
+  PAGE_FIELDS: ['name']
+};
+
+/**
+ * Convert a Mongoose Map (or plain object) into a plain object
+ * @param {Map|Object|undefined} value - Map-like value
+ * @returns {Object} - Plain object
+ */
+function mapToObject(value) {
+  if (!value) return {};
+  if (value instanceof Map) return Object.fromEntries(value);
+  if (typeof value.toObject === 'function') return value.toObject();
+  return { ...value };
+}
+
+/**
+ * Normalize a template's token definitions into { group: { name: definition } }
+ * @param {Object} tokens - template.tokens (Maps of SimpleTokenSchema / CopyTokenSchema)
+ * @returns {Object} - Plain definitions per group
+ */
+function getTokenDefinitions(tokens) {
+  const definitions = {};
+  TOKEN_CONFIG.GROUPS.forEach(group => {
+    const entries = mapToObject(tokens && tokens[group]);
+    definitions[group] = {};
+    Object.entries(entries).forEach(([name, definition]) => {
+      const plain = definition && typeof definition.toObject === 'function' ? definition.toObject() : definition;
+      definitions[group][name] = plain || {};
+    });
+  });
+  return definitions;
+}
+
+/**
+ * Normalize token values supplied by a caller
+ * Accepts nested ({ colors: { primary: '#f00' } }) or flat ({ 'colors.primary': '#f00' }) objects.
+ * @param {Object} values - Caller-supplied values
+ * @returns {Object} - { group: { name: value } }
+ */
+function normalizeTokenValues(values) {
+  const normalized = {};
+  TOKEN_CONFIG.GROUPS.forEach(group => { normalized[group] = {}; });
+  if (!values || typeof values !== 'object') return normalized;
+
+  Object.entries(values).forEach(([key, value]) => {
+    if (TOKEN_CONFIG.GROUPS.includes(key) && value && typeof value === 'object') {
+      Object.entries(value).forEach(([name, tokenValue]) => {
+        if (tokenValue !== undefined && tokenValue !== null) {
+          normalized[key][name] = String(tokenValue);
+        }
+      });
+      return;
+    }
+
+    const [group, ...rest] = key.split('.');
+    if (TOKEN_CONFIG.GROUPS.includes(group) && rest.length > 0 && value !== undefined && value !== null) {
+      normalized[group][rest.join('.')] = String(value);
+    }
+  });
+
+  return normalized;
+}
+
+/**
+ * Walk every token-capable string in a layout
+ * @param {Object} layout - Plain layout object with pages
+ * @param {Function} visit - Called with (value, setter) for each string field
+ */
+function forEachTokenField(layout, visit) {
+  (layout.pages || []).forEach(page => {
+    TOKEN_CONFIG.PAGE_FIELDS.forEach(field => {
+      if (typeof page[field] === 'string') visit(page[field], value => { page[field] = value; });
+    });
+
+    if (page.background && typeof page.background.value === 'string') {
+      visit(page.background.value, value => { page.background.value = value; });
+    }
+
+    (page.elements || []).forEach(element => {
+      TOKEN_CONFIG.ELEMENT_FIELDS.forEach(field => {
+        if (typeof element[field] === 'string') visit(element[field], value => { element[field] = value; });
+      });
+    });
+  });
+}
+
+/**
+ * List the token references used by a layout
+ * @param {Object} layout - Plain layout object with pages
+ * @returns {string[]} - Unique references like "colors.primary"
+ */
+function collectTokenReferences(layout) {
+  const references = new Set();
+  forEachTokenField(layout, value => {
+    for (const match of value.matchAll(TOKEN_CONFIG.REFERENCE_PATTERN)) {
+      references.add(`${match[1]}.${match[2]}`);
+    }
+  });
+  return [...references];
+}
+
+/**
+ * Combine template defaults with brand values and explicit overrides, then validate copy rules
+ * Precedence (lowest to highest): template defaults, brand values, overrides.
+ * @param {Object} tokens - template.tokens
+ * @param {Object} options - { overrides, brandValues, references }
+ * @returns {{values: Object, errors: string[]}} - Resolved values per group and validation errors
+ */
+function buildTokenValues(tokens, options = {}) {
+  const { overrides = {}, brandValues = {}, references = [] } = options;
+  const definitions = getTokenDefinitions(tokens);
+  const explicit = normalizeTokenValues(overrides);
+  const fromBrand = normalizeTokenValues(brandValues);
+  const errors = [];
+  const values = {};
+
+  TOKEN_CONFIG.GROUPS.forEach(group => {
+    values[group] = {};
+    Object.entries(definitions[group]).forEach(([name, definition]) => {
+      if (definition.default !== undefined) values[group][name] = definition.default;
+    });
+    Object.assign(values[group], fromBrand[group], explicit[group]);
+  });
+
+  // Reject overrides that neither the template nor the layout knows about (usually typos)
+  TOKEN_CONFIG.GROUPS.forEach(group => {
+    Object.keys(explicit[group]).forEach(name => {
+      const reference = `${group}.${name}`;
+      if (!definitions[group][name] && !references.includes(reference)) {
+        errors.push(`Unknown token "${reference}"`);
+      }
+    });
+  });
+
+  Object.entries(definitions.copy).forEach(([name, definition]) => {
+    const value = values.copy[name];
+    if (definition.required && (!value || !value.trim())) {
+      errors.push(`copy.${name} is required`);
+    }
+    if (definition.maxLength && value && value.length > definition.maxLength) {
+      errors.push(`copy.${name} exceeds maxLength of ${definition.maxLength} (got ${value.length})`);
+    }
+  });
+
+  return { values, errors };
+}
+
+/**
+ * Replace token references in a layout with concrete values (mutates the layout)
+ * References without a value are left in place and reported.
+ * @param {Object} layout - Plain layout object with pages
+ * @param {Object} values - Resolved values per group (from buildTokenValues)
+ * @returns {{layout: Object, unresolved: string[]}} - The layout and references left unresolved
+ */
+function resolveLayoutTokens(layout, values) {
+  const unresolved = new Set();
+
+  forEachTokenField(layout, (value, set) => {
+    const resolved = value.replace(TOKEN_CONFIG.REFERENCE_PATTERN, (reference, group, name) => {
+      const tokenValue = values[group] && values[group][name];
+      if (tokenValue === undefined) {
+        unresolved.add(`${group}.${name}`);
+        return reference;
+      }
+      return tokenValue;
+    });
+    if (resolved !== value) set(resolved);
+  });
+
+  return { layout, unresolved: [...unresolved] };
+}
+
+module.exports = {
+  getTokenDefinitions,
+  normalizeTokenValues,
+  collectTokenReferences,
+  buildTokenValues,
+  resolveLayoutTokens,
+  TOKEN_CONFIG
+};
@@ -0,0 +1,312 @@
+// tokenExtractor.js - Utility for deriving Template design tokens from an existing Layout
+
+const { parseColor, normalizeHex, clusterColors } = require('./colorUtils');
+const { TOKEN_CONFIG } = require('./templateTokens');
+
+/**
+ * Configuration for token extraction
+ */
+const EXTRACT_CONFIG = {
+  // Colors closer than this (delta E) share one token
+  COLOR_CLUSTER_THRESHOLD: 12,
+
+  // Names given to color clusters after background/text, heaviest first
+  COLOR_ROLES: ['primary', 'secondary', 'accent'],
+
+  // Text at least this multiple of the median font size counts as a heading
+  HEADING_SIZE_RATIO: 1.4,
+
+  // Copy tokens allow some growth over the original text before overflowing
+  COPY_GROWTH_RATIO: 1.5,
+  COPY_MIN_EXTRA_CHARS: 10,
+
+  // Names given to copy tokens, largest text first
+  COPY_ROLES: ['headline', 'subheadline']
+};
+
+/**
+ * Name the n-th item of a role sequence: primary, secondary, accent, accent2, accent3…
+ * @param {string[]} roles - Base role names
+ * @param {number} index - Zero-based position
+ * @returns {string}
+ */
+function roleName(roles, index) {
+  if (index < roles.length) return roles[index];
+  const last = roles[roles.length - 1];
+  return `${last}${index - roles.length + 2}`;
+}
+
+/**
+ * Whether a string already contains a token reference
+ * @param {string} value
+ * @returns {boolean}
+ */
+function hasTokenReference(value) {
+  return typeof value === 'string' && new RegExp(TOKEN_CONFIG.REFERENCE_PATTERN.source).test(value);
+}
+
+/**
+ * An opaque, parseable color that is not already a token reference
+ * Semi-transparent colors are left literal so their alpha is not lost.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isTokenizableColor(value) {
+  if (!value || hasTokenReference(value)) return false;
+  const parsed = parseColor(value);
+  return !!parsed && parsed.a === 1;
+}
+
+/**
+ * Area of an element, used to weight colors and images by visual prominence
+ * @param {Object} element
+ * @returns {number}
+ */
+function elementArea(element) {
+  return Math.max(1, (element.width || 0) * (element.height || 0));
+}
+
+/**
+ * Most frequent value in a weighted tally
+ * @param {Map<string, number>} tally
+ * @returns {string|undefined}
+ */
+function topOf(tally) {
+  return [...tally.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+/**
+ * Cluster colors into tokens and rewrite color fields to reference them
+ * @param {Array} pages - Pages (mutated)
+ * @returns {Object} - tokens.colors definitions
+ */
+function extractColorTokens(pages) {
+  const samples = [];
+  const backgroundTally = new Map();
+  const textTally = new Map();
+  const fields = [];
+
+  pages.forEach(page => {
+    const canvasArea = (page.canvas?.width || 800) * (page.canvas?.height || 600);
+    if (page.background && page.background.type !== 'image' && page.background.type !== 'gradient' &&
+        isTokenizableColor(page.background.value)) {
+      const hex = normalizeHex(page.background.value);
+      samples.push({ color: hex, weight: canvasArea });
+      backgroundTally.set(hex, (backgroundTally.get(hex) || 0) + canvasArea);
+      fields.push({ target: page.background, field: 'value' });
+    }
+
+    (page.elements || []).forEach(element => {
+      const area = elementArea(element);
+      if (element.kind === 'text' && isTokenizableColor(element.color)) {
+        const hex = normalizeHex(element.color);
+        samples.push({ color: hex, weight: area });
+        textTally.set(hex, (textTally.get(hex) || 0) + area);
+        fields.push({ target: element, field: 'color' });
+      }
+      if (element.kind === 'shape') {
+        ['backgroundColor', 'borderColor'].forEach(field => {
+          if (isTokenizableColor(element[field])) {
+            samples.push({ color: element[field], weight: field === 'borderColor' ? area * 0.1 : area });
+            fields.push({ target: element, field });
+          }
+        });
+      }
+    });
+  });
+
+  const clusters = clusterColors(samples, EXTRACT_CONFIG.COLOR_CLUSTER_THRESHOLD);
+  const clusterOf = hex => clusters.find(cluster => cluster.members.includes(hex));
+  const names = new Map();
+
+  const backgroundCluster = clusterOf(topOf(backgroundTally));
+  if (backgroundCluster) names.set(backgroundCluster, 'background');
+  const textCluster = clusterOf(topOf(textTally));
+  if (textCluster && !names.has(textCluster)) names.set(textCluster, 'text');
+
+  let roleIndex = 0;
+  clusters.forEach(cluster => {
+    if (!names.has(cluster)) names.set(cluster, roleName(EXTRACT_CONFIG.COLOR_ROLES, roleIndex++));
+  });
+
+  fields.forEach(({ target, field }) => {
+    const cluster = clusterOf(normalizeHex(target[field]));
+    target[field] = `{colors.${names.get(cluster)}}`;
+  });
+
+  const colors = {};
+  clusters.forEach(cluster => { colors[names.get(cluster)] = { default: cluster.color }; });
+  return colors;
+}
+
+/**
+ * Split text elements into heading and body roles by font size
+ * @param {Array} textElements
+ * @returns {Map<Object, 'heading'|'body'>}
+ */
+function classifyTextRoles(textElements) {
+  const sizes = textElements.map(element => element.fontSize || 16).sort((a, b) => a - b);
+  // Lower median, so one headline among two sizes is compared against the body text rather than itself
+  const median = sizes[Math.floor((sizes.length - 1) / 2)] || 16;
+  const roles = new Map();
+  textElements.forEach(element => {
+    const isHeading = textElements.length > 1 && (element.fontSize || 16) >= median * EXTRACT_CONFIG.HEADING_SIZE_RATIO;
+    roles.set(element, isHeading ? 'heading' : 'body');
+  });
+  return roles;
+}
+
+/**
+ * Derive heading/body font tokens and rewrite fontFamily fields to reference them
+ * Families that match neither token get their own (font3, font4…) so nothing changes visually.
+ * @param {Array} textElements - Text elements (mutated)
+ * @returns {Object} - tokens.fonts definitions
+ */
+function extractFontTokens(textElements) {
+  const withFamily = textElements.filter(element => element.fontFamily && !hasTokenReference(element.fontFamily));
+  if (withFamily.length === 0) return {};
+
+  const roles = classifyTextRoles(withFamily);
+  const tallies = { heading: new Map(), body: new Map() };
+  withFamily.forEach(element => {
+    const tally = tallies[roles.get(element)];
+    const weight = String(element.content || '').length || 1;
+    tally.set(element.fontFamily, (tally.get(element.fontFamily) || 0) + weight);
+  });
+
+  const fonts = {};
+  ['heading', 'body'].forEach(role => {
+    const family = topOf(tallies[role]);
+    if (family) fonts[role] = { default: family };
+  });
+
+  let extraIndex = 3;
+  withFamily.forEach(element => {
+    const role = roles.get(element);
+    let tokenName = fonts[role] && fonts[role].default === element.fontFamily
+      ? role
+      : Object.keys(fonts).find(name => fonts[name].default === element.fontFamily);
+
+    if (!tokenName) {
+      tokenName = `font${extraIndex++}`;
+      fonts[tokenName] = { default: element.fontFamily };
+    }
+    element.fontFamily = `{fonts.${tokenName}}`;
+  });
+
+  return fonts;
+}
+
+/**
+ * Lift image sources into tokens (largest image becomes "hero")
+ * @param {Array} pages - Pages (mutated)
+ * @returns {Object} - tokens.images definitions
+ */
+function extractImageTokens(pages) {
+  const usage = new Map();
+  const fields = [];
+
+  pages.forEach(page => {
+    if (page.background && page.background.type === 'image' && page.background.value && !hasTokenReference(page.background.value)) {
+      fields.push({ target: page.background, field: 'value', background: true });
+    }
+    (page.elements || []).forEach(element => {
+      if (element.kind === 'image' && element.src && !hasTokenReference(element.src)) {
+        usage.set(element.src, Math.max(usage.get(element.src) || 0, elementArea(element)));
+        fields.push({ target: element, field: 'src' });
+      }
+    });
+  });
+
+  const images = {};
+  const names = new Map();
+  [...usage.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([src], index) => {
+      const name = index === 0 ? 'hero' : `image${index + 1}`;
+      names.set(src, name);
+      images[name] = { default: src };
+    });
+
+  let backgroundIndex = 1;
+  fields.forEach(({ target, field, background }) => {
+    const src = target[field];
+    if (!names.has(src)) {
+      const name = background ? (backgroundIndex === 1 ? 'background' : `background${backgroundIndex}`) : `image${names.size + 1}`;
+      if (background) backgroundIndex++;
+      names.set(src, name);
+      images[name] = { default: src };
+    }
+    target[field] = `{images.${names.get(src)}}`;
+  });
+
+  return images;
+}
+
+/**
+ * Lift text contents into copy tokens (largest text becomes "headline")
+ * @param {Array} textElements - Text elements (mutated)
+ * @returns {Object} - tokens.copy definitions
+ */
+function extractCopyTokens(textElements) {
+  const ordered = textElements
+    .filter(element => element.content && String(element.content).trim() && !hasTokenReference(element.content))
+    .map((element, order) => ({ element, order }))
+    .sort((a, b) => ((b.element.fontSize || 16) - (a.element.fontSize || 16)) || (a.order - b.order));
+
+  const copy = {};
+  let bodyIndex = 0;
+  ordered.forEach(({ element }, index) => {
+    let name;
+    if (index < EXTRACT_CONFIG.COPY_ROLES.length) {
+      name = EXTRACT_CONFIG.COPY_ROLES[index];
+    } else {
+      name = bodyIndex === 0 ? 'body' : `body${bodyIndex + 1}`;
+      bodyIndex++;
+    }
+
+    const text = String(element.content);
+    copy[name] = {
+      default: text,
+      required: index === 0,
+      maxLength: Math.max(Math.ceil(text.length * EXTRACT_CONFIG.COPY_GROWTH_RATIO), text.length + EXTRACT_CONFIG.COPY_MIN_EXTRA_CHARS)
+    };
+    element.content = `{copy.${name}}`;
+  });
+
+  return copy;
+}
+
+/**
+ * Analyze a layout and produce template tokens plus a tokenized copy of the layout
+ * The input is not modified.
+ * @param {Object} layout - Plain layout object ({ pages })
+ * @returns {{tokens: Object, layout: Object}} - Token definitions per group and the rewritten layout
+ */
+function extractTokens(layout) {
+  const tokenized = JSON.parse(JSON.stringify(layout || {}));
+  delete tokenized._id;
+  delete tokenized.__v;
+  const pages = tokenized.pages || [];
+
+  const textElements = [];
+  pages.forEach(page => {
+    (page.elements || []).forEach(element => {
+      if (element.kind === 'text') textElements.push(element);
+    });
+  });
+
+  const tokens = {
+    colors: extractColorTokens(pages),
+    fonts: extractFontTokens(textElements),
+    images: extractImageTokens(pages),
+    copy: extractCopyTokens(textElements)
+  };
+
+  return { tokens, layout: tokenized };
+}
+
+module.exports = {
+  extractTokens,
+  EXTRACT_CONFIG
+};